@@ -9,13 +9,16 @@ import {
 } from 'react-native';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
-import AccessibilitySidebar from './AccessibilitySidebar';
+import AccessibilitySidebar, { getTextSpacingStyle, spaceWords } from './AccessibilitySidebar';
 
 const AccessibilityExample = () => {
   // State for accessibility settings
   const [fontSize, setFontSize] = useState(0);
   const [highContrast, setHighContrast] = useState(false);
   const [lineHeight, setLineHeight] = useState(0);
+  const [letterSpacing, setLetterSpacing] = useState(false);
+  const [wordSpacing, setWordSpacing] = useState(false);
+  const [paragraphSpacing, setParagraphSpacing] = useState(false);
 
   // Sample content for the test
   const sampleContent = `
@@ -46,6 +49,7 @@ const AccessibilityExample = () => {
     return {
       fontSize: calculatedFontSize,
       lineHeight: calculatedFontSize * calculatedLineHeight,
+      ...getTextSpacingStyle(calculatedFontSize, { letterSpacing, paragraphSpacing }),
       color: highContrast ? '#ffffff' : '#333333',
       backgroundColor: highContrast ? '#000000' : '#ffffff'
     };
@@ -83,7 +87,7 @@ const AccessibilityExample = () => {
                 Despre testul RAADS-R
               </Text>
               <Text style={[styles.bodyText, textStyles]}>
-                {sampleContent}
+                {spaceWords(sampleContent, wordSpacing)}
               </Text>
             </View>
 
@@ -163,6 +167,9 @@ const AccessibilityExample = () => {
             onFontSizeChange={setFontSize}
             onContrastChange={setHighContrast}
             onLineHeightChange={setLineHeight}
+            onLetterSpacingChange={setLetterSpacing}
+            onWordSpacingChange={setWordSpacing}
+            onParagraphSpacingChange={setParagraphSpacing}
           />
         </SafeAreaView>
       </GestureHandlerRootView>
@@ -10,21 +10,73 @@ import {
   Alert,
   StyleSheet,
   StatusBar,
-  Platform
+  Platform,
+  AccessibilityInfo,
+  PixelRatio
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Speech from 'expo-speech';
 import Icon from 'react-native-vector-icons/FontAwesome5';
+import AccessibilityI18n from './src/accessibility-i18n';
+import AccessibilityStorage from './src/accessibility-storage';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
+// Settings share the web widgets' versioned record, kept in AsyncStorage
+const store = AccessibilityStorage.getStore({ backend: AsyncStorage });
+
+// Font size level for the system font scale: 0 below 120%, 1 below 150%, then 2
+const getFontSizeLevel = (fontScale) => (fontScale >= 1.5 ? 2 : fontScale >= 1.2 ? 1 : 0);
+
+// Starting values the system accessibility settings call for. Saved
+// settings still win over them. Bold text is asked for by people who find
+// thin, low-contrast text hard to read, so it starts with high contrast.
+const getSystemDefaults = ({ fontScale, boldText }) => ({
+  fontSize: getFontSizeLevel(fontScale),
+  highContrast: boldText
+});
+
+// The system settings before they are read, or when they cannot be: all off
+const getDefaultPreferences = () => ({
+  reduceMotion: false,
+  boldText: false,
+  screenReader: false,
+  fontScale: PixelRatio.getFontScale()
+});
+
+// Bold text is iOS only; Android always reports it off
+const readSystemPreferences = async () => {
+  const [reduceMotion, boldText, screenReader] = await Promise.all([
+    AccessibilityInfo.isReduceMotionEnabled(),
+    AccessibilityInfo.isBoldTextEnabled(),
+    AccessibilityInfo.isScreenReaderEnabled()
+  ]);
+  return { reduceMotion, boldText, screenReader, fontScale: PixelRatio.getFontScale() };
+};
+
+// React Native has no body stylesheet, so the host app applies the text
+// spacing itself. These helpers return the WCAG 1.4.12 values for a font size.
+export const getTextSpacingStyle = (fontSize, { letterSpacing = false, paragraphSpacing = false } = {}) => ({
+  ...(letterSpacing && { letterSpacing: fontSize * 0.12 }),
+  ...(paragraphSpacing && { marginBottom: fontSize * 2 })
+});
+
+// <Text> has no word-spacing style; a thin space (about 0.2em) after each
+// space gives at least the 0.16em WCAG asks for
+export const spaceWords = (text, wordSpacing = true) =>
+  wordSpacing && typeof text === 'string' ? text.replace(/ +/g, ' \u2009') : text;
+
 const AccessibilitySidebar = ({ 
   children, 
   targetContent = null,
   onFontSizeChange = null,
   onContrastChange = null,
-  onLineHeightChange = null 
+  onLineHeightChange = null,
+  onLetterSpacingChange = null,
+  onWordSpacingChange = null,
+  onParagraphSpacingChange = null,
+  locale: initialLocale = null
 }) => {
   const insets = useSafeAreaInsets();
   
@@ -33,7 +85,18 @@ const AccessibilitySidebar = ({
   const [fontSize, setFontSize] = useState(0); // 0: normal, 1: larger, 2: largest
   const [highContrast, setHighContrast] = useState(false);
   const [lineHeight, setLineHeight] = useState(0); // 0: normal, 1: larger, 2: largest
+  const [letterSpacing, setLetterSpacing] = useState(false);
+  const [wordSpacing, setWordSpacing] = useState(false);
+  const [paragraphSpacing, setParagraphSpacing] = useState(false);
   const [isReading, setIsReading] = useState(false);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [locale, setLocale] = useState(() => AccessibilityI18n.resolveLocale(initialLocale));
+  const t = React.useMemo(() => AccessibilityI18n.createTranslator(locale), [locale]);
+
+  // System accessibility settings: reduce motion, bold text, screen reader and font scale
+  const [systemPreferences, setSystemPreferences] = useState(getDefaultPreferences);
+  const systemDefaults = getSystemDefaults(systemPreferences);
+  const systemDefaultsRef = React.useRef(systemDefaults);
   
   // Animation values
   const panelWidth = useState(new Animated.Value(56))[0];
@@ -49,36 +112,99 @@ const AccessibilitySidebar = ({
     loadSettings();
   }, []);
 
-  // Save settings when they change
+  // Save settings when they change, once the saved ones are loaded
   useEffect(() => {
-    saveSettings();
-  }, [fontSize, highContrast, lineHeight]);
+    if (isLoaded) saveSettings();
+  }, [isLoaded, fontSize, highContrast, lineHeight, letterSpacing, wordSpacing, paragraphSpacing, locale]);
+
+  // Keep listening to the system settings
+  useEffect(() => {
+    const update = (preference) => (value) => {
+      setSystemPreferences(preferences => ({ ...preferences, [preference]: value }));
+    };
+    const subscriptions = [
+      AccessibilityInfo.addEventListener('reduceMotionChanged', update('reduceMotion')),
+      AccessibilityInfo.addEventListener('boldTextChanged', update('boldText')),
+      AccessibilityInfo.addEventListener('screenReaderChanged', update('screenReader')),
+      Dimensions.addEventListener('change', ({ window }) => update('fontScale')(window.fontScale))
+    ];
+    return () => subscriptions.forEach(subscription => subscription.remove());
+  }, []);
 
+  // A setting follows a change of the system settings while it still has
+  // the default of the previous ones
+  useEffect(() => {
+    const previous = systemDefaultsRef.current;
+    systemDefaultsRef.current = systemDefaults;
+    if (!isLoaded) return;
+    if (fontSize === previous.fontSize && systemDefaults.fontSize !== previous.fontSize) {
+      setFontSize(systemDefaults.fontSize);
+      if (onFontSizeChange) onFontSizeChange(systemDefaults.fontSize);
+    }
+    if (highContrast === previous.highContrast && systemDefaults.highContrast !== previous.highContrast) {
+      setHighContrast(systemDefaults.highContrast);
+      if (onContrastChange) onContrastChange(systemDefaults.highContrast);
+    }
+  }, [systemDefaults.fontSize, systemDefaults.highContrast]);
+
+  // The host app gets the loaded values through the change callbacks, as
+  // it applies them itself
   const loadSettings = async () => {
+    let preferences = getDefaultPreferences();
     try {
-      const settings = await AsyncStorage.getItem('@accessibility_settings');
-      if (settings) {
-        const { fontSize: savedFontSize, highContrast: savedContrast, lineHeight: savedLineHeight } = JSON.parse(settings);
-        setFontSize(savedFontSize || 0);
-        setHighContrast(savedContrast || false);
-        setLineHeight(savedLineHeight || 0);
-      }
+      preferences = await readSystemPreferences();
     } catch (error) {
-      console.warn('Failed to load accessibility settings:', error);
+      console.warn('Failed to read the system accessibility settings:', error);
     }
-  };
+    const defaults = getSystemDefaults(preferences);
+    systemDefaultsRef.current = defaults;
+    setSystemPreferences(preferences);
 
-  const saveSettings = async () => {
+    let saved = {};
     try {
-      const settings = {
-        fontSize,
-        highContrast,
-        lineHeight
-      };
-      await AsyncStorage.setItem('@accessibility_settings', JSON.stringify(settings));
+      await store.ready;
+      saved = store.get('settings');
     } catch (error) {
-      console.warn('Failed to save accessibility settings:', error);
+      console.warn('Failed to load accessibility settings:', error);
+    }
+    const loaded = {
+      fontSize: [0, 1, 2].includes(saved.fontSize) ? saved.fontSize : defaults.fontSize,
+      highContrast: typeof saved.highContrast === 'boolean' ? saved.highContrast : defaults.highContrast,
+      lineHeight: [0, 1, 2].includes(saved.lineHeight) ? saved.lineHeight : 0,
+      letterSpacing: saved.letterSpacing === true,
+      wordSpacing: saved.wordSpacing === true,
+      paragraphSpacing: saved.paragraphSpacing === true
+    };
+    setFontSize(loaded.fontSize);
+    setHighContrast(loaded.highContrast);
+    setLineHeight(loaded.lineHeight);
+    setLetterSpacing(loaded.letterSpacing);
+    setWordSpacing(loaded.wordSpacing);
+    setParagraphSpacing(loaded.paragraphSpacing);
+    if (AccessibilityI18n.isLocaleSupported(saved.locale)) {
+      setLocale(saved.locale);
     }
+    setIsLoaded(true);
+
+    if (onFontSizeChange) onFontSizeChange(loaded.fontSize);
+    if (onContrastChange) onContrastChange(loaded.highContrast);
+    if (onLineHeightChange) onLineHeightChange(loaded.lineHeight);
+    if (onLetterSpacingChange) onLetterSpacingChange(loaded.letterSpacing);
+    if (onWordSpacingChange) onWordSpacingChange(loaded.wordSpacing);
+    if (onParagraphSpacingChange) onParagraphSpacingChange(loaded.paragraphSpacing);
+  };
+
+  // Merged into the settings section, so values this widget does not know are kept
+  const saveSettings = () => {
+    store.update('settings', {
+      fontSize,
+      highContrast,
+      lineHeight,
+      letterSpacing,
+      wordSpacing,
+      paragraphSpacing,
+      locale
+    });
   };
 
   // Toggle panel visibility
@@ -88,7 +214,7 @@ const AccessibilitySidebar = ({
     
     Animated.timing(panelWidth, {
       toValue: newState ? 280 : 56,
-      duration: 300,
+      duration: systemPreferences.reduceMotion ? 0 : 300,
       useNativeDriver: false,
     }).start();
   };
@@ -123,15 +249,48 @@ const AccessibilitySidebar = ({
     }
   };
 
-  // Handle text-to-speech
+  // Handle letter, word and paragraph spacing toggles
+  const handleLetterSpacingToggle = () => {
+    const newState = !letterSpacing;
+    setLetterSpacing(newState);
+
+    if (onLetterSpacingChange) {
+      onLetterSpacingChange(newState);
+    }
+  };
+
+  const handleWordSpacingToggle = () => {
+    const newState = !wordSpacing;
+    setWordSpacing(newState);
+
+    if (onWordSpacingChange) {
+      onWordSpacingChange(newState);
+    }
+  };
+
+  const handleParagraphSpacingToggle = () => {
+    const newState = !paragraphSpacing;
+    setParagraphSpacing(newState);
+
+    if (onParagraphSpacingChange) {
+      onParagraphSpacingChange(newState);
+    }
+  };
+
+  // Handle text-to-speech. With a screen reader on, the screen reader reads
+  // the content, so two voices never talk over each other.
   const handleReadAloud = async () => {
+    if (systemPreferences.screenReader && !isReading) {
+      AccessibilityInfo.announceForAccessibility(targetContent || t('error.contentUnavailable'));
+      return;
+    }
     if (isReading) {
       Speech.stop();
       setIsReading(false);
     } else {
       try {
         // Get text content to read
-        const textToRead = targetContent || "Conținutul nu este disponibil pentru citire.";
+        const textToRead = targetContent || t('error.contentUnavailable');
         
         setIsReading(true);
         
@@ -145,23 +304,32 @@ const AccessibilitySidebar = ({
           onStopped: () => setIsReading(false),
           onError: () => {
             setIsReading(false);
-            Alert.alert('Eroare', 'Nu s-a putut începe citirea cu voce tare.');
+            Alert.alert(t('error.title'), t('error.speechStart'));
           }
         };
 
         await Speech.speak(textToRead, speechOptions);
       } catch (error) {
         setIsReading(false);
-        Alert.alert('Eroare', 'Citirea cu voce tare nu este disponibilă pe acest dispozitiv.');
+        Alert.alert(t('error.title'), t('error.speechDevice'));
       }
     }
   };
 
-  // Reset all settings
+  // Cycle through the registered UI languages
+  const handleLocaleChange = () => {
+    const locales = AccessibilityI18n.getLocales();
+    setLocale(locales[(locales.indexOf(locale) + 1) % locales.length]);
+  };
+
+  // Reset all settings to the defaults of the system settings
   const resetAllSettings = () => {
-    setFontSize(0);
-    setHighContrast(false);
+    setFontSize(systemDefaults.fontSize);
+    setHighContrast(systemDefaults.highContrast);
     setLineHeight(0);
+    setLetterSpacing(false);
+    setWordSpacing(false);
+    setParagraphSpacing(false);
     
     if (isReading) {
       Speech.stop();
@@ -169,30 +337,19 @@ const AccessibilitySidebar = ({
     }
     
     // Notify parent components
-    if (onFontSizeChange) onFontSizeChange(0);
-    if (onContrastChange) onContrastChange(false);
+    if (onFontSizeChange) onFontSizeChange(systemDefaults.fontSize);
+    if (onContrastChange) onContrastChange(systemDefaults.highContrast);
     if (onLineHeightChange) onLineHeightChange(0);
+    if (onLetterSpacingChange) onLetterSpacingChange(false);
+    if (onWordSpacingChange) onWordSpacingChange(false);
+    if (onParagraphSpacingChange) onParagraphSpacingChange(false);
   };
 
   // Get font size label
-  const getFontSizeLabel = () => {
-    switch (fontSize) {
-      case 0: return 'Normal';
-      case 1: return 'Mare';
-      case 2: return 'Foarte mare';
-      default: return 'Normal';
-    }
-  };
+  const getFontSizeLabel = () => t.level(fontSize);
 
   // Get line height label
-  const getLineHeightLabel = () => {
-    switch (lineHeight) {
-      case 0: return 'Normal';
-      case 1: return 'Mare';
-      case 2: return 'Foarte mare';
-      default: return 'Normal';
-    }
-  };
+  const getLineHeightLabel = () => t.level(lineHeight);
 
   // Get dynamic styles based on settings
   const getContainerStyle = () => ({
@@ -235,14 +392,14 @@ const AccessibilitySidebar = ({
           {isPanelOpen && (
             <View style={styles.titleContainer}>
               <Icon name="cog" size={20} color={highContrast ? '#fff' : '#2196F3'} />
-              <Text style={[styles.title, getTextStyle()]}>Accesibilitate</Text>
+              <Text style={[styles.title, getTextStyle()]}>{t('panelTitle')}</Text>
             </View>
           )}
           
           <TouchableOpacity
             onPress={togglePanel}
             style={styles.toggleButton}
-            accessibilityLabel={isPanelOpen ? "Închide panoul de accesibilitate" : "Deschide panoul de accesibilitate"}
+            accessibilityLabel={isPanelOpen ? t('closePanel') : t('openPanel')}
             accessibilityRole="button"
           >
             <Icon 
@@ -260,13 +417,13 @@ const AccessibilitySidebar = ({
             <TouchableOpacity
               style={getButtonStyle(fontSize > 0)}
               onPress={handleFontSizeChange}
-              accessibilityLabel={`Mărime text: ${getFontSizeLabel()}`}
+              accessibilityLabel={`${t('fontSize')}: ${getFontSizeLabel()}`}
               accessibilityRole="button"
             >
               <Icon name="font" size={20} color={getTextStyle(fontSize > 0).color} />
               <View style={styles.buttonTextContainer}>
                 <Text style={[styles.buttonText, getTextStyle(fontSize > 0)]}>
-                  Mărime text
+                  {t('fontSize')}
                 </Text>
                 <Text style={[styles.buttonSubtext, getTextStyle(fontSize > 0)]}>
                   {getFontSizeLabel()}
@@ -278,7 +435,7 @@ const AccessibilitySidebar = ({
             <TouchableOpacity
               style={getButtonStyle(highContrast)}
               onPress={handleContrastToggle}
-              accessibilityLabel={`Contrast: ${highContrast ? 'ridicat' : 'normal'}`}
+              accessibilityLabel={`${t('contrast')}: ${highContrast ? t('contrast.high') : t('contrast.normal')}`}
               accessibilityRole="button"
             >
               <Icon 
@@ -288,10 +445,10 @@ const AccessibilitySidebar = ({
               />
               <View style={styles.buttonTextContainer}>
                 <Text style={[styles.buttonText, getTextStyle(highContrast)]}>
-                  Contrast
+                  {t('contrast')}
                 </Text>
                 <Text style={[styles.buttonSubtext, getTextStyle(highContrast)]}>
-                  {highContrast ? 'Ridicat' : 'Normal'}
+                  {highContrast ? t('contrast.high') : t('contrast.normal')}
                 </Text>
               </View>
             </TouchableOpacity>
@@ -300,7 +457,7 @@ const AccessibilitySidebar = ({
             <TouchableOpacity
               style={getButtonStyle(lineHeight > 0)}
               onPress={handleLineHeightChange}
-              accessibilityLabel={`Spațiu între rânduri: ${getLineHeightLabel()}`}
+              accessibilityLabel={`${t('lineHeight')}: ${getLineHeightLabel()}`}
               accessibilityRole="button"
             >
               <Icon 
@@ -310,7 +467,7 @@ const AccessibilitySidebar = ({
               />
               <View style={styles.buttonTextContainer}>
                 <Text style={[styles.buttonText, getTextStyle(lineHeight > 0)]}>
-                  Spațiu între rânduri
+                  {t('lineHeight')}
                 </Text>
                 <Text style={[styles.buttonSubtext, getTextStyle(lineHeight > 0)]}>
                   {getLineHeightLabel()}
@@ -318,11 +475,37 @@ const AccessibilitySidebar = ({
               </View>
             </TouchableOpacity>
 
+            {/* Letter, Word and Paragraph Spacing Controls */}
+            {[
+              { setting: 'letterSpacing', enabled: letterSpacing, icon: 'text-width', onPress: handleLetterSpacingToggle },
+              { setting: 'wordSpacing', enabled: wordSpacing, icon: 'arrows-alt-h', onPress: handleWordSpacingToggle },
+              { setting: 'paragraphSpacing', enabled: paragraphSpacing, icon: 'paragraph', onPress: handleParagraphSpacingToggle }
+            ].map(({ setting, enabled, icon, onPress }) => (
+              <TouchableOpacity
+                key={setting}
+                style={getButtonStyle(enabled)}
+                onPress={onPress}
+                accessibilityLabel={`${t(setting)}: ${t.spacing(enabled)}`}
+                accessibilityRole="button"
+                accessibilityState={{ selected: enabled }}
+              >
+                <Icon name={icon} size={20} color={getTextStyle(enabled).color} />
+                <View style={styles.buttonTextContainer}>
+                  <Text style={[styles.buttonText, getTextStyle(enabled)]}>
+                    {t(setting)}
+                  </Text>
+                  <Text style={[styles.buttonSubtext, getTextStyle(enabled)]}>
+                    {t.spacing(enabled)}
+                  </Text>
+                </View>
+              </TouchableOpacity>
+            ))}
+
             {/* Text-to-Speech Control */}
             <TouchableOpacity
               style={getButtonStyle(isReading)}
               onPress={handleReadAloud}
-              accessibilityLabel={isReading ? "Oprește citirea" : "Citește cu voce tare"}
+              accessibilityLabel={isReading ? t('stopReading') : t('readAloud')}
               accessibilityRole="button"
             >
               <Icon 
@@ -332,10 +515,28 @@ const AccessibilitySidebar = ({
               />
               <View style={styles.buttonTextContainer}>
                 <Text style={[styles.buttonText, getTextStyle(isReading)]}>
-                  {isReading ? "Oprește citirea" : "Citește cu voce tare"}
+                  {isReading ? t('stopReading') : t('readAloud')}
                 </Text>
                 <Text style={[styles.buttonSubtext, getTextStyle(isReading)]}>
-                  {isReading ? 'Activ' : 'Inactiv'}
+                  {isReading ? t('active') : t('inactive')}
+                </Text>
+              </View>
+            </TouchableOpacity>
+
+            {/* Interface Language Selection */}
+            <TouchableOpacity
+              style={getButtonStyle(false)}
+              onPress={handleLocaleChange}
+              accessibilityLabel={`${t('uiLanguage')}: ${t.localeName}`}
+              accessibilityRole="button"
+            >
+              <Icon name="language" size={20} color={getTextStyle().color} />
+              <View style={styles.buttonTextContainer}>
+                <Text style={[styles.buttonText, getTextStyle()]}>
+                  {t('uiLanguage')}
+                </Text>
+                <Text style={[styles.buttonSubtext, getTextStyle()]}>
+                  {t.localeName}
                 </Text>
               </View>
             </TouchableOpacity>
@@ -344,12 +545,12 @@ const AccessibilitySidebar = ({
             <TouchableOpacity
               style={[styles.controlButton, styles.resetButton, { backgroundColor: highContrast ? '#444' : '#f5f5f5' }]}
               onPress={resetAllSettings}
-              accessibilityLabel="Resetează toate setările"
+              accessibilityLabel={t('resetAll')}
               accessibilityRole="button"
             >
               <Icon name="undo" size={20} color={highContrast ? '#fff' : '#666'} />
               <Text style={[styles.buttonText, { color: highContrast ? '#fff' : '#666' }]}>
-                Resetează setările
+                {t('reset')}
               </Text>
             </TouchableOpacity>
           </View>
@@ -367,6 +568,9 @@ const AccessibilitySidebar = ({
             {lineHeight > 0 && (
               <View style={[styles.indicator, { backgroundColor: highContrast ? '#fff' : '#2196F3' }]} />
             )}
+            {(letterSpacing || wordSpacing || paragraphSpacing) && (
+              <View style={[styles.indicator, { backgroundColor: highContrast ? '#fff' : '#2196F3' }]} />
+            )}
             {isReading && (
               <Animated.View 
                 style={[
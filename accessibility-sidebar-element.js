@@ -0,0 +1,2954 @@
+/**
+ * Accessibility Sidebar - Web Component (no framework required)
+ * Renders <accessibility-sidebar> with its own state and Shadow DOM
+ *
+ * <script src="src/accessibility-i18n.js"></script>
+ * <script src="src/accessibility-themes.js"></script>
+ * <script src="src/accessibility-reading-guide.js"></script>
+ * <script src="src/accessibility-narrator.js"></script>
+ * <script src="src/accessibility-reader-view.js"></script>
+ * <script src="src/accessibility-profiles.js"></script>
+ * <script src="src/accessibility-storage.js"></script>
+ * <script src="src/accessibility-share.js"></script>
+ * <script src="src/accessibility-sync.js"></script>
+ * <script src="src/accessibility-preferences.js"></script>
+ * <script src="src/accessibility-panel.js"></script>
+ * <script src="src/accessibility-position.js"></script>
+ * <script src="src/accessibility-observer.js"></script>
+ * <script src="src/accessibility-embeds.js"></script>
+ * <script src="src/accessibility-settings.js"></script>
+ * <script src="accessibility-sidebar-element.js"></script>
+ * <accessibility-sidebar theme="dark" language="ro-RO" root="main"></accessibility-sidebar>
+ */
+(function() {
+  if (typeof window === 'undefined' || !window.customElements || !window.HTMLElement) {
+    return;
+  }
+
+  const {
+    AccessibilityI18n, AccessibilityThemes, AccessibilityReadingGuide, AccessibilityNarrator, AccessibilityReaderView,
+    AccessibilityProfiles, AccessibilityStorage, AccessibilityShare, AccessibilitySync, AccessibilityPreferences,
+    AccessibilityPanel, AccessibilityPosition, AccessibilityObserver, AccessibilityEmbeds, AccessibilitySettings
+  } = window;
+  if (
+    !AccessibilityI18n || !AccessibilityThemes || !AccessibilityReadingGuide || !AccessibilityNarrator ||
+    !AccessibilityReaderView || !AccessibilityProfiles || !AccessibilityStorage || !AccessibilityShare ||
+    !AccessibilitySync || !AccessibilityPreferences || !AccessibilityPanel || !AccessibilityPosition ||
+    !AccessibilityObserver || !AccessibilityEmbeds || !AccessibilitySettings
+  ) {
+    console.error(
+      '[accessibility-sidebar] Include src/accessibility-i18n.js, src/accessibility-themes.js, ' +
+      'src/accessibility-reading-guide.js, src/accessibility-narrator.js, src/accessibility-reader-view.js, ' +
+      'src/accessibility-profiles.js, src/accessibility-storage.js, src/accessibility-share.js, ' +
+      'src/accessibility-sync.js, src/accessibility-preferences.js, src/accessibility-panel.js, ' +
+      'src/accessibility-position.js, src/accessibility-observer.js, src/accessibility-embeds.js and ' +
+      'src/accessibility-settings.js before accessibility-sidebar-element.js.'
+    );
+    return;
+  }
+
+  const TAG_NAME = 'accessibility-sidebar';
+  const PAGE_STYLE_ID = 'accessibility-sidebar-page-styles';
+
+  // The scales, page classes and stylesheet, setting validators and voice
+  // choice, shared with the React widget
+  const {
+    PANEL_THEMES, SPEECH_RATES, TEXT_SCALE, FONT_SIZE_SCALES, TEXT_SPACING_CLASSES, DISPLAY_CLASSES,
+    ADJUSTMENT_CLASSES, IGNORE_SELECTOR, isTextScale, isValidSelector, isProfileValue
+  } = AccessibilitySettings;
+
+  const FEATURES = [
+    'profiles', 'fontSize', 'contrast', 'lineHeight', 'letterSpacing', 'wordSpacing', 'paragraphSpacing',
+    'readableFont', 'leftAlign', 'bigCursor', 'stopAnimations', 'colorFilter', 'readingGuide', 'readerView', 'textToSpeech', 'speechRate', 'voice', 'locale', 'share', 'reset'
+  ];
+
+  // Reader view option of each saved setting
+  const READER_SETTINGS = { readerFont: 'font', readerWidth: 'width', readerSpacing: 'spacing' };
+
+  // Settings that change how the content looks, copied into frames and shadow roots
+  const VISUAL_SETTINGS = ['textScale', 'colorTheme', 'lineHeight']
+    .concat(Object.keys(TEXT_SPACING_CLASSES), Object.keys(DISPLAY_CLASSES));
+
+  const EVENTS = ['change', 'readingstart', 'readingprogress', 'readingpause', 'readingresume', 'readingend'];
+
+  const ICONS = {
+    accessibility: 'M12 2c1.1 0 2 .9 2 2s-.9 2-2 2-2-.9-2-2 .9-2 2-2zm9 7h-6v13h-2v-6h-2v6H9V9H3V7h18v2z',
+    collapse: 'M8 19V17H5V14H3V19C3 19.55 3.45 20 4 20H9V18H8V19ZM19 8V5H16V3H21V8H19ZM5 8V5H8V3H3V8H5ZM16 19V17H19V14H21V19C21 19.55 20.55 20 20 20H16V18V19Z',
+    dock: 'M16 20H2V4h14v16zm2-12h4V4h-4v4zm0 12h4v-4h-4v4zm0-6h4v-4h-4v4z',
+    fontSize: 'M9.62 12L12 5.67L14.37 12M11 3L5.5 21h2.25l1.12-3h6.25l1.13 3h2.25L13 3h-2z',
+    contrast: 'M12 3c-4.97 0-9 4.03-9 9s4.03 9 9 9 9-4.03 9-9c0-.46-.04-.92-.1-1.36-.98 1.37-2.58 2.26-4.4 2.26-2.98 0-5.4-2.42-5.4-5.4 0-1.81.89-3.42 2.26-4.4-.44-.06-.9-.1-1.36-.1z',
+    lineHeight: 'M3 3h18v2H3zm0 4h18v2H3zm0 4h18v2H3zm0 4h18v2H3zm0 4h18v2H3z',
+    letterSpacing: 'M2.5 4v3h5v12h3V7h5V4h-13zm19 5h-9v3h3v7h3v-7h3V9z',
+    wordSpacing: 'M18 9v4H6V9H4v6h16V9z',
+    paragraphSpacing: 'M9 10v5h2V4h2v11h2V4h2V2H9C6.79 2 5 3.79 5 6s1.79 4 4 4z',
+    colorFilter: 'M12 22C6.49 22 2 17.51 2 12S6.49 2 12 2s10 4.04 10 9c0 3.31-2.69 6-6 6h-1.77c-.28 0-.5.22-.5.5 0 .12.05.23.13.33.41.47.64 1.06.64 1.67A2.5 2.5 0 0 1 12 22zm-5.5-9a1.5 1.5 0 1 0 0-3 1.5 1.5 0 0 0 0 3zm3-4a1.5 1.5 0 1 0 0-3 1.5 1.5 0 0 0 0 3zm5 0a1.5 1.5 0 1 0 0-3 1.5 1.5 0 0 0 0 3zm3 4a1.5 1.5 0 1 0 0-3 1.5 1.5 0 0 0 0 3z',
+    readingRuler: 'M21 6H3c-1.1 0-2 .9-2 2v8c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2zm0 10H3V8h2v4h2V8h2v4h2V8h2v4h2V8h2v4h2V8h2v8z',
+    readingMask: 'M3 3h18v5H3zm0 13h18v5H3zm0-5h18v2H3z',
+    profile: 'M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z',
+    readableFont: 'M9.93 13.5h4.14L12 7.98zM20 2H4c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zm-4.05 16.5l-1.14-3H9.17l-1.12 3H5.96l5.11-13h1.86l5.11 13h-2.09z',
+    leftAlign: 'M15 15H3v2h12v-2zm0-8H3v2h12V7zM3 13h18v-2H3v2zm0 8h18v-2H3v2zM3 3v2h18V3H3z',
+    bigCursor: 'M4 2l15 11-6.5 1 3.8 7-2.8 1.5-3.8-7L4 20z',
+    stopAnimations: 'M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-1 14H9V8h2v8zm4 0h-2V8h2v8z',
+    readerView: 'M21 5c-1.11-.35-2.33-.5-3.5-.5-1.95 0-4.05.4-5.5 1.5-1.45-1.1-3.55-1.5-5.5-1.5S2.45 4.9 1 6v14.65c0 .25.25.5.5.5.1 0 .15-.05.25-.05C3.1 20.45 5.05 20 6.5 20c1.95 0 4.05.4 5.5 1.5 1.35-.85 3.8-1.5 5.5-1.5 1.65 0 3.35.3 4.75 1.05.1.05.15.05.25.05.25 0 .5-.25.5-.5V6c-.6-.45-1.25-.75-2-1zm0 13.5c-1.1-.35-2.3-.5-3.5-.5-1.7 0-4.15.65-5.5 1.5V8c1.35-.85 3.8-1.5 5.5-1.5 1.2 0 2.4.15 3.5.5v11.5z',
+    previousBlock: 'M6 6h2v12H6zm3.5 6l8.5 6V6z',
+    previousSentence: 'M11 18V6l-8.5 6 8.5 6zm.5-6l8.5 6V6l-8.5 6z',
+    play: 'M8 5v14l11-7z',
+    pause: 'M6 19h4V5H6v14zm8-14v14h4V5h-4z',
+    nextSentence: 'M4 18l8.5-6L4 6v12zm9-12v12l8.5-6L13 6z',
+    nextBlock: 'M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z',
+    textToSpeech: 'M3 9v6h4l5 5V4L7 9H3zm13.5 3c0-1.77-1.02-3.29-2.5-4.03v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z',
+    speechRate: 'M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8zM12 6v6l4 2-1 1.73L10.27 13V6z',
+    voice: 'M12 14c1.66 0 3-1.34 3-3V5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3zM17 11c0 2.76-2.24 5-5 5s-5-2.24-5-5H5c0 3.53 2.61 6.43 6 6.92V21h2v-3.08c3.39-.49 6-3.39 6-6.92h-2z',
+    locale: 'M12.87 15.07l-2.54-2.51.03-.03c1.74-1.94 2.98-4.17 3.71-6.53H17V4h-7V2H8v2H1v1.99h11.17C11.5 7.92 10.44 9.75 9 11.35 8.07 10.32 7.3 9.19 6.69 8h-2c.73 1.63 1.73 3.17 2.98 4.56l-5.09 5.02L4 19l5-5 3.11 3.11.76-2.04zM18.5 10h-2L12 22h2l1.12-3h4.75L21 22h2l-4.5-12zm-2.62 7l1.62-4.33L19.12 17h-3.24z',
+    share: 'M18 16.08c-.76 0-1.44.3-1.96.77L8.91 12.7c.05-.23.09-.46.09-.7s-.04-.47-.09-.7l7.05-4.11c.54.5 1.25.81 2.04.81 1.66 0 3-1.34 3-3s-1.34-3-3-3-3 1.34-3 3c0 .24.04.47.09.7L8.04 9.81C7.5 9.31 6.79 9 6 9c-1.66 0-3 1.34-3 3s1.34 3 3 3c.79 0 1.5-.31 2.04-.81l7.12 4.16c-.05.21-.08.43-.08.65 0 1.61 1.31 2.92 2.92 2.92s2.92-1.31 2.92-2.92-1.31-2.92-2.92-2.92z',
+    reset: 'M12.5 8c-2.65 0-5.05.99-6.9 2.6L2 7v9h9l-3.62-3.62c1.39-1.16 3.16-1.88 5.12-1.88 3.54 0 6.55 2.31 7.6 5.5l2.37-.78C21.08 11.03 17.15 8 12.5 8z'
+  };
+
+  // Styles for the panel itself, isolated from the host page by the shadow root
+  const PANEL_STYLES = `
+    :host {
+      --a11y-background: white;
+      --a11y-text: #333;
+      --a11y-accent: #2196F3;
+      --a11y-button: #f5f5f5;
+      --a11y-button-text: #333;
+      --a11y-active-button: #e3f2fd;
+      --a11y-active-button-text: #2196F3;
+      --a11y-reset-text: #666;
+      all: initial;
+      position: fixed;
+      z-index: 10000;
+      font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      line-height: 1.4;
+    }
+    .panel.theme-dark {
+      --a11y-background: #1e1e1e;
+      --a11y-text: #eee;
+      --a11y-accent: #64b5f6;
+      --a11y-button: #2c2c2c;
+      --a11y-button-text: #eee;
+      --a11y-active-button: #0d47a1;
+      --a11y-active-button-text: #fff;
+      --a11y-reset-text: #bbb;
+    }
+    .panel[data-color-theme="highContrast"] {
+      --a11y-background: #fff;
+      --a11y-text: #000;
+      --a11y-accent: #000;
+      --a11y-button: #fff;
+      --a11y-button-text: #000;
+      --a11y-active-button: #000;
+      --a11y-active-button-text: #fff;
+      --a11y-reset-text: #000;
+    }
+    .panel[data-color-theme="yellowOnBlack"] {
+      --a11y-background: #000;
+      --a11y-text: #ff0;
+      --a11y-accent: #ff0;
+      --a11y-button: #000;
+      --a11y-button-text: #ff0;
+      --a11y-active-button: #ff0;
+      --a11y-active-button-text: #000;
+      --a11y-reset-text: #ff0;
+    }
+    .panel[data-color-theme="dark"],
+    .panel[data-color-theme="inverted"] {
+      --a11y-background: #000;
+      --a11y-text: #fff;
+      --a11y-accent: #fff;
+      --a11y-button: #333;
+      --a11y-button-text: #fff;
+      --a11y-active-button: #fff;
+      --a11y-active-button-text: #000;
+      --a11y-reset-text: #fff;
+    }
+    .panel {
+      position: relative;
+      box-sizing: border-box;
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+      width: 56px;
+      max-width: 90vw;
+      padding: 8px;
+      background: var(--a11y-background);
+      color: var(--a11y-text);
+      border: 2px solid var(--a11y-accent);
+      border-radius: 12px;
+      box-shadow: 0 4px 8px rgba(0, 0, 0, 0.2);
+      transition: all 0.3s ease;
+      /* The host's max-height keeps the panel inside the viewport */
+      max-height: inherit;
+      overflow-y: auto;
+    }
+    .panel.expanded { width: 300px; padding: 16px; }
+    .panel.docked { height: 100%; border-radius: 0; }
+    .panel.dragging { transition: none; }
+    .header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 8px;
+      padding: 4px;
+      cursor: grab;
+      /* Touch moves the panel instead of scrolling the page */
+      touch-action: none;
+    }
+    .panel.dragging .header { cursor: grabbing; }
+    .title { display: flex; align-items: center; gap: 8px; font-weight: bold; }
+    .panel:not(.expanded) .title,
+    .panel:not(.expanded) .dock,
+    .panel:not(.expanded) .controls,
+    .panel.expanded .status-indicators { display: none; }
+    .toggle {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      margin: 0 auto;
+      padding: 8px;
+      border: none;
+      border-radius: 8px;
+      background: transparent;
+      color: var(--a11y-accent);
+      cursor: pointer;
+    }
+    .panel.expanded .toggle { margin: 0; }
+    .dock {
+      display: flex;
+      margin-left: auto;
+      padding: 8px;
+      border: none;
+      border-radius: 8px;
+      background: transparent;
+      color: var(--a11y-accent);
+      cursor: pointer;
+    }
+    .dock.active { background: var(--a11y-active-button); }
+    .controls { display: flex; flex-direction: column; gap: 12px; }
+    .control-button {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      width: 100%;
+      padding: 10px 12px;
+      border: none;
+      border-radius: 8px;
+      background: var(--a11y-button);
+      color: var(--a11y-button-text);
+      font: inherit;
+      text-align: left;
+      cursor: pointer;
+      transition: all 0.2s ease;
+    }
+    .control-button.active {
+      background: var(--a11y-active-button);
+      color: var(--a11y-active-button-text);
+      font-weight: bold;
+    }
+    .control-button.reset { margin-top: 8px; color: var(--a11y-reset-text); }
+    .control-button:disabled { cursor: not-allowed; opacity: 0.7; }
+    .control-button[hidden] { display: none; }
+    button:focus-visible { outline: 3px solid var(--a11y-accent); outline-offset: 2px; }
+    .label { display: flex; flex-direction: column; align-items: flex-start; }
+    .value { font-size: 12px; opacity: 0.8; }
+    .text-scale { flex-direction: column; align-items: stretch; gap: 8px; cursor: default; }
+    .text-scale-header, .text-scale-row { display: flex; align-items: center; gap: 12px; }
+    .text-scale-row { gap: 8px; }
+    .text-scale-row input { flex: 1; min-width: 0; accent-color: currentColor; cursor: pointer; }
+    .text-scale-row button {
+      width: 32px;
+      height: 32px;
+      border: none;
+      border-radius: 6px;
+      background: var(--a11y-background);
+      color: var(--a11y-text);
+      font: inherit;
+      font-weight: bold;
+      cursor: pointer;
+    }
+    .text-scale-row button:disabled { cursor: not-allowed; opacity: 0.4; }
+    .color-filter { flex-direction: column; align-items: stretch; gap: 8px; cursor: default; }
+    .color-filter-header { display: flex; align-items: center; gap: 12px; }
+    .color-filter-options { display: grid; grid-template-columns: 1fr 1fr; gap: 6px; }
+    .color-filter-options button {
+      padding: 6px 8px;
+      border: 2px solid transparent;
+      border-radius: 6px;
+      background: var(--a11y-background);
+      color: var(--a11y-text);
+      font: inherit;
+      font-size: 12px;
+      text-align: left;
+      cursor: pointer;
+    }
+    .color-filter-options button[aria-pressed="true"] { border-color: currentColor; font-weight: bold; }
+    .profile { flex-direction: column; align-items: stretch; gap: 8px; cursor: default; }
+    .profile-header { display: flex; align-items: center; gap: 12px; }
+    .profile-header select {
+      flex: 1;
+      min-width: 0;
+      padding: 4px 6px;
+      border: 1px solid currentColor;
+      border-radius: 6px;
+      background: var(--a11y-background);
+      color: var(--a11y-text);
+      font: inherit;
+      font-size: 13px;
+    }
+    .profile-status, .share-status { font-size: 12px; opacity: 0.8; }
+    .profile-status[hidden], .profile-actions button[hidden], .share-status[hidden], .share-offer[hidden] { display: none; }
+    .profile-actions, .share-actions { display: grid; grid-template-columns: 1fr 1fr; gap: 4px; }
+    .share, .share-offer { flex-direction: column; align-items: stretch; gap: 8px; cursor: default; }
+    .share-header { display: flex; align-items: center; gap: 12px; }
+    .share-code { display: flex; gap: 4px; }
+    .share-code input {
+      flex: 1;
+      min-width: 0;
+      padding: 4px 6px;
+      border: 1px solid currentColor;
+      border-radius: 6px;
+      background: var(--a11y-background);
+      color: var(--a11y-text);
+      font: inherit;
+      font-size: 13px;
+    }
+    .profile-actions button, .share-actions button, .share-code button {
+      padding: 6px 4px;
+      border: 1px solid currentColor;
+      border-radius: 6px;
+      background: var(--a11y-background);
+      color: var(--a11y-text);
+      font: inherit;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    .narrator-modes { display: grid; grid-template-columns: repeat(3, 1fr); gap: 4px; }
+    .narrator-modes[hidden], .narrator-pick-hint[hidden] { display: none; }
+    .narrator-modes button {
+      padding: 6px 4px;
+      border: 2px solid transparent;
+      border-radius: 6px;
+      background: var(--a11y-button);
+      color: var(--a11y-button-text);
+      font: inherit;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    .narrator-modes button.wide { grid-column: 1 / -1; }
+    .narrator-modes button[aria-pressed="true"] { border-color: currentColor; font-weight: bold; }
+    .narrator-modes button:disabled { cursor: not-allowed; opacity: 0.7; }
+    .narrator-pick-hint { font-size: 12px; opacity: 0.8; }
+    .narrator-player {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      padding: 10px 12px;
+      border-radius: 8px;
+      background: var(--a11y-button);
+      color: var(--a11y-button-text);
+    }
+    .narrator-player[hidden] { display: none; }
+    .narrator-buttons { display: flex; justify-content: space-between; gap: 4px; }
+    .narrator-buttons button {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 36px;
+      height: 32px;
+      border: none;
+      border-radius: 6px;
+      background: var(--a11y-background);
+      color: var(--a11y-text);
+      cursor: pointer;
+    }
+    .narrator-player input { accent-color: currentColor; cursor: pointer; }
+    .reading-mask-height { display: flex; align-items: center; gap: 8px; padding: 0 12px; font-size: 12px; }
+    .reading-mask-height[hidden] { display: none; }
+    .reading-mask-height input { flex: 1; min-width: 0; accent-color: currentColor; cursor: pointer; }
+    .a11y-icon {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      width: 24px;
+      height: 24px;
+      flex-shrink: 0;
+    }
+    .reading-progress-indicator {
+      position: absolute;
+      bottom: 0;
+      left: 0;
+      height: 3px;
+      background: linear-gradient(90deg, #4CAF50, #2196F3);
+      border-radius: 0 0 12px 12px;
+      transition: width 0.3s ease;
+    }
+    .status-indicators {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 8px;
+      margin-top: 8px;
+    }
+    .status-indicators span {
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+      background: var(--a11y-accent);
+    }
+    .status-indicators .reading { animation: pulse 1.5s infinite; }
+    @keyframes pulse {
+      0% { opacity: 0.4; }
+      50% { opacity: 1; }
+      100% { opacity: 0.4; }
+    }
+    @media (prefers-reduced-motion: reduce) {
+      .panel, .control-button { transition: none !important; }
+      .status-indicators .reading { animation: none; }
+    }
+    .visually-hidden {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      margin: -1px;
+      padding: 0;
+      overflow: hidden;
+      clip: rect(0, 0, 0, 0);
+      white-space: nowrap;
+      border: 0;
+    }
+  `;
+
+  const reportAttributeError = (message) => {
+    console.error(`[accessibility-sidebar] ${message}`);
+  };
+
+  const createIcon = (path) => {
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('width', '20');
+    svg.setAttribute('height', '20');
+    svg.setAttribute('viewBox', '0 0 24 24');
+    svg.setAttribute('fill', 'currentColor');
+    svg.setAttribute('aria-hidden', 'true');
+    const pathElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    pathElement.setAttribute('d', path);
+    svg.appendChild(pathElement);
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'a11y-icon';
+    wrapper.appendChild(svg);
+    return wrapper;
+  };
+
+  class AccessibilitySidebarElement extends HTMLElement {
+    static get observedAttributes() {
+      return [
+        'theme',
+        'language',
+        'languages',
+        'voice',
+        'locale',
+        'locales',
+        'root',
+        'exclude',
+        'position',
+        'features',
+        'default-font-size',
+        'default-text-scale',
+        'default-contrast',
+        'default-color-theme',
+        'color-themes',
+        'surfaces',
+        'profiles',
+        'default-text-spacing',
+        'default-adjustments',
+        'default-color-filter',
+        'default-reading-guide',
+        'default-reading-mask-height',
+        'default-reader-font',
+        'default-reader-width',
+        'default-reader-spacing',
+        'default-read-landmarks',
+        'default-line-height',
+        'default-speech-rate',
+        'sync',
+        'sync-hub',
+        'sync-origins',
+        'hotkey'
+      ];
+    }
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: 'open' });
+
+      this.state = {
+        isPanelOpen: false,
+        textScale: TEXT_SCALE.min,
+        colorTheme: 'default',
+        lineHeight: 0,
+        letterSpacing: false,
+        wordSpacing: false,
+        paragraphSpacing: false,
+        readableFont: false,
+        leftAlign: false,
+        bigCursor: false,
+        stopAnimations: false,
+        colorFilter: 'none',
+        readingGuide: 'off',
+        readingMaskHeight: 120,
+        readerView: false,
+        readerFont: AccessibilityReaderView.DEFAULT_OPTIONS.font,
+        readerWidth: AccessibilityReaderView.DEFAULT_OPTIONS.width,
+        readerSpacing: AccessibilityReaderView.DEFAULT_OPTIONS.spacing,
+        readLandmarks: false,
+        isReading: false,
+        readingProgress: 0,
+        isPaused: false,
+        readingPosition: { chunk: 0, total: 0 },
+        isPickingStart: false,
+        hoverToSpeak: false,
+        speechRate: 0.8,
+        speechPitch: 1.0,
+        locale: AccessibilityI18n.DEFAULT_LOCALE,
+        voices: [],
+        allVoices: [],
+        selectedVoice: null,
+        profile: null,
+        personalProfile: null,
+        sharedOffer: null,
+        shareStatus: null
+      };
+      // Voices the user picked, one per language
+      this.voicePreferences = {};
+      // Position of the panel in the current viewport class
+      this.viewportClass = AccessibilityPosition.getViewportClass();
+      this.placement = null;
+      // Pointer of the drag under way
+      this.drag = null;
+      this.elements = {};
+      this.listeners = new Map();
+      // Stops the sync with the other tabs and pages
+      this.stopSync = null;
+      this.systemPreferences = AccessibilityPreferences.getPreferences();
+      this.stopWatchingPreferences = null;
+      // Stops following content the page adds or removes later
+      this.stopObserving = null;
+      // Carries the adjustments into same-origin frames and open shadow roots
+      this.embeds = null;
+      // Element the page classes are set on
+      this.adjustedRoot = null;
+      // Focused on the page before the panel took focus
+      this.returnFocus = null;
+      this.wasPanelOpen = false;
+
+      this.handleResize = this.handleResize.bind(this);
+      this.updateVoices = this.updateVoices.bind(this);
+      this.handleNarratorShortcut = this.handleNarratorShortcut.bind(this);
+      this.handleHotkey = this.handleHotkey.bind(this);
+    }
+
+    connectedCallback() {
+      this.config = this.readConfig();
+      this.placement = this.getSavedPlacement();
+      this.state.locale = this.config.locale;
+
+      injectPageStyles(this.config.exclude);
+      this.render();
+      this.loadSettings();
+      this.connectSync();
+      this.stopWatchingPreferences = AccessibilityPreferences.watch(preferences => this.handlePreferencesChange(preferences));
+      this.readSharedLink();
+      this.observeContent();
+      document.addEventListener('keydown', this.handleHotkey);
+      window.addEventListener('resize', this.handleResize);
+
+      if ('speechSynthesis' in window) {
+        this.updateVoices();
+        window.speechSynthesis.addEventListener('voiceschanged', this.updateVoices);
+      }
+    }
+
+    disconnectedCallback() {
+      this.disconnectSync();
+      if (this.stopWatchingPreferences) this.stopWatchingPreferences();
+      this.stopWatchingPreferences = null;
+      this.stopObservingContent();
+      AccessibilityReaderView.close();
+      this.setPickingStart(false);
+      this.setHoverToSpeak(false);
+      this.stopReading();
+      AccessibilityReadingGuide.setReadingGuide('off');
+      document.removeEventListener('keydown', this.handleHotkey);
+      window.removeEventListener('resize', this.handleResize);
+      if ('speechSynthesis' in window) {
+        window.speechSynthesis.removeEventListener('voiceschanged', this.updateVoices);
+      }
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (!this.isConnected || oldValue === newValue) return;
+
+      this.config = this.readConfig();
+      if (name === 'position') {
+        this.placement = this.getSavedPlacement();
+      }
+      if (name === 'locale' || (name === 'locales' && !this.config.locales.includes(this.state.locale))) {
+        this.applySettings({ locale: this.config.locale });
+      }
+      if (name === 'languages' || name === 'language' || name === 'voice') {
+        this.voicePreferences = {};
+        this.setState({ selectedVoice: null });
+        this.updateVoices();
+      }
+      if (name.startsWith('sync')) {
+        this.disconnectSync();
+        this.connectSync();
+      }
+      // Restyle the new root without what is now excluded
+      if (name === 'root' || name === 'exclude') {
+        injectPageStyles(this.config.exclude);
+        this.stopObservingContent();
+        this.observeContent();
+        this.applySettings({ colorTheme: this.state.colorTheme, colorFilter: this.state.colorFilter }, false);
+      }
+      this.update();
+    }
+
+    // Read the configuration from attributes, reporting invalid values
+    readConfig() {
+      const config = {
+        theme: 'auto',
+        language: 'ro-RO',
+        languages: ['ro'],
+        voice: null,
+        locale: null,
+        locales: AccessibilityI18n.getLocales(),
+        root: null,
+        exclude: [],
+        position: { x: 16, y: 100 },
+        features: FEATURES.slice(),
+        sync: true,
+        syncHub: null,
+        hotkey: AccessibilityPanel.parseHotkey(AccessibilityPanel.DEFAULT_HOTKEY),
+        colorThemes: AccessibilityThemes.getThemes(),
+        surfaces: [],
+        defaults: {
+          textScale: TEXT_SCALE.min,
+          colorTheme: 'default',
+          lineHeight: 0,
+          letterSpacing: false,
+          wordSpacing: false,
+          paragraphSpacing: false,
+          readableFont: false,
+          leftAlign: false,
+          bigCursor: false,
+          stopAnimations: false,
+          colorFilter: 'none',
+          readingGuide: 'off',
+          readingMaskHeight: 120,
+          readerFont: AccessibilityReaderView.DEFAULT_OPTIONS.font,
+          readerWidth: AccessibilityReaderView.DEFAULT_OPTIONS.width,
+          readerSpacing: AccessibilityReaderView.DEFAULT_OPTIONS.spacing,
+          readLandmarks: false,
+          speechRate: 0.8
+        }
+      };
+
+      const theme = this.getAttribute('theme');
+      if (theme !== null) {
+        if (PANEL_THEMES.includes(theme)) {
+          config.theme = theme;
+        } else {
+          reportAttributeError(`Invalid theme "${theme}". Expected one of: ${PANEL_THEMES.join(', ')}.`);
+        }
+      }
+
+      const language = this.getAttribute('language');
+      if (language !== null) {
+        if (/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(language)) {
+          config.language = language;
+          config.languages = [language.split('-')[0]];
+        } else {
+          reportAttributeError(`Invalid language "${language}". Expected a tag such as "ro-RO".`);
+        }
+      }
+
+      const languages = this.getAttribute('languages');
+      if (languages !== null) {
+        const list = languages.split(/[\s,]+/).filter(Boolean);
+        if (list.length > 0) {
+          config.languages = list;
+        } else {
+          reportAttributeError('The languages attribute must list at least one language code.');
+        }
+      }
+
+      const voice = this.getAttribute('voice');
+      if (voice) config.voice = voice;
+
+      const locales = this.getAttribute('locales');
+      if (locales !== null) {
+        const list = locales.split(/[\s,]+/).filter(Boolean);
+        const unknown = list.filter(locale => !AccessibilityI18n.isLocaleSupported(locale));
+        if (unknown.length > 0) {
+          reportAttributeError(
+            `Unknown locale(s) ${unknown.map(l => `"${l}"`).join(', ')}. Register them with AccessibilityI18n.registerLocale() first.`
+          );
+        }
+        const supported = list.filter(locale => AccessibilityI18n.isLocaleSupported(locale));
+        if (supported.length > 0) config.locales = supported;
+      }
+      config.locale = AccessibilityI18n.resolveLocale(this.getAttribute('locale'));
+      if (!config.locales.includes(config.locale)) config.locale = config.locales[0];
+
+      const root = this.getAttribute('root');
+      if (root) config.root = root;
+
+      // Selectors of content left as it is, such as maps and code editors
+      const exclude = this.getAttribute('exclude');
+      if (exclude) {
+        const selectors = exclude.split(',').map(selector => selector.trim()).filter(Boolean);
+        const invalid = selectors.filter(selector => !isValidSelector(selector));
+        if (invalid.length > 0) {
+          reportAttributeError(`Invalid exclude selector(s) ${invalid.map(selector => `"${selector}"`).join(', ')}. Expected CSS selectors, e.g. ".map, .code-editor".`);
+        }
+        config.exclude = selectors.filter(isValidSelector);
+      }
+
+      const position = this.getAttribute('position');
+      if (position !== null) {
+        const [x, y] = position.split(/[\s,]+/).map(Number);
+        if (Number.isFinite(x) && Number.isFinite(y)) {
+          config.position = { x, y };
+        } else {
+          reportAttributeError(`Invalid position "${position}". Expected "x,y", e.g. "16,100".`);
+        }
+      }
+
+      const features = this.getAttribute('features');
+      if (features !== null) {
+        const list = features.split(/[\s,]+/).filter(Boolean);
+        const unknown = list.filter(feature => !FEATURES.includes(feature));
+        if (unknown.length > 0) {
+          reportAttributeError(
+            `Unknown feature(s) ${unknown.map(f => `"${f}"`).join(', ')}. Supported features are: ${FEATURES.join(', ')}.`
+          );
+        }
+        config.features = list.filter(feature => FEATURES.includes(feature));
+      }
+
+      const readLevel = (attribute, key) => {
+        const value = this.getAttribute(attribute);
+        if (value === null) return;
+        const level = Number(value);
+        if ([0, 1, 2].includes(level)) {
+          config.defaults[key] = level;
+        } else {
+          reportAttributeError(`Invalid ${attribute} "${value}". Expected 0, 1 or 2.`);
+        }
+      };
+      readLevel('default-font-size', 'fontSize');
+      readLevel('default-line-height', 'lineHeight');
+
+      // default-font-size is the 0/1/2 level of earlier versions
+      if (config.defaults.fontSize !== undefined) {
+        config.defaults.textScale = FONT_SIZE_SCALES[config.defaults.fontSize];
+        delete config.defaults.fontSize;
+      }
+
+      const textScale = this.getAttribute('default-text-scale');
+      if (textScale !== null) {
+        const scale = Number(textScale);
+        if (isTextScale(scale)) {
+          config.defaults.textScale = scale;
+        } else {
+          reportAttributeError(
+            `Invalid default-text-scale "${textScale}". Expected a percentage from ${TEXT_SCALE.min} to ${TEXT_SCALE.max} in steps of ${TEXT_SCALE.step}.`
+          );
+        }
+      }
+
+      // default-contrast of earlier versions starts the dark theme
+      if (this.hasAttribute('default-contrast') && this.getAttribute('default-contrast') !== 'false') {
+        config.defaults.colorTheme = 'dark';
+      }
+
+      const colorThemes = this.getAttribute('color-themes');
+      if (colorThemes !== null) {
+        const list = colorThemes.split(/[\s,]+/).filter(Boolean);
+        const unknown = list.filter(name => !AccessibilityThemes.isTheme(name));
+        if (unknown.length > 0) {
+          reportAttributeError(
+            `Unknown color theme(s) ${unknown.map(n => `"${n}"`).join(', ')}. Supported themes are: ${AccessibilityThemes.getThemes().join(', ')}.`
+          );
+        }
+        config.colorThemes = ['default'].concat(
+          list.filter(name => AccessibilityThemes.isTheme(name) && name !== 'default')
+        );
+      }
+
+      const colorTheme = this.getAttribute('default-color-theme');
+      if (colorTheme !== null) {
+        if (config.colorThemes.includes(colorTheme)) {
+          config.defaults.colorTheme = colorTheme;
+        } else {
+          reportAttributeError(`Invalid default-color-theme "${colorTheme}". Expected one of: ${config.colorThemes.join(', ')}.`);
+        }
+      }
+      if (!config.colorThemes.includes(config.defaults.colorTheme)) {
+        config.defaults.colorTheme = 'default';
+      }
+
+      // Selectors of the site's components that have their own background
+      const surfaces = this.getAttribute('surfaces');
+      if (surfaces) {
+        const selectors = surfaces.split(',').map(selector => selector.trim()).filter(Boolean);
+        const invalid = selectors.filter(selector => !isValidSelector(selector));
+        if (invalid.length > 0) {
+          reportAttributeError(`Invalid surfaces selector(s) ${invalid.map(selector => `"${selector}"`).join(', ')}. Expected CSS selectors, e.g. ".card, .testimonial".`);
+        }
+        config.surfaces = selectors.filter(isValidSelector);
+      }
+
+      const textSpacing = this.getAttribute('default-text-spacing');
+      if (textSpacing !== null) {
+        const list = textSpacing.split(/[\s,]+/).filter(Boolean);
+        const unknown = list.filter(setting => !TEXT_SPACING_CLASSES[setting]);
+        if (unknown.length > 0) {
+          reportAttributeError(
+            `Unknown text spacing ${unknown.map(s => `"${s}"`).join(', ')}. Expected: ${Object.keys(TEXT_SPACING_CLASSES).join(', ')}.`
+          );
+        }
+        Object.keys(TEXT_SPACING_CLASSES).forEach(setting => {
+          config.defaults[setting] = list.includes(setting);
+        });
+      }
+
+      const adjustments = this.getAttribute('default-adjustments');
+      if (adjustments !== null) {
+        const list = adjustments.split(/[\s,]+/).filter(Boolean);
+        const unknown = list.filter(setting => !DISPLAY_CLASSES[setting]);
+        if (unknown.length > 0) {
+          reportAttributeError(
+            `Unknown adjustment ${unknown.map(s => `"${s}"`).join(', ')}. Expected: ${Object.keys(DISPLAY_CLASSES).join(', ')}.`
+          );
+        }
+        Object.keys(DISPLAY_CLASSES).forEach(setting => {
+          config.defaults[setting] = list.includes(setting);
+        });
+      }
+
+      // The built-in profiles, with the site's own from a JSON attribute merged over them
+      let profiles = null;
+      const profilesAttribute = this.getAttribute('profiles');
+      if (profilesAttribute) {
+        try {
+          profiles = JSON.parse(profilesAttribute);
+        } catch (error) {
+          reportAttributeError(`Invalid profiles attribute: ${error.message}. Expected a JSON object of profiles.`);
+        }
+      }
+      config.profiles = AccessibilityProfiles.resolveProfiles(profiles, {
+        validate: isProfileValue,
+        onError: reportAttributeError
+      });
+
+      const colorFilter = this.getAttribute('default-color-filter');
+      if (colorFilter !== null) {
+        if (AccessibilityThemes.isFilter(colorFilter)) {
+          config.defaults.colorFilter = colorFilter;
+        } else {
+          reportAttributeError(`Invalid default-color-filter "${colorFilter}". Expected one of: ${AccessibilityThemes.getFilters().join(', ')}.`);
+        }
+      }
+
+      const readingGuide = this.getAttribute('default-reading-guide');
+      if (readingGuide !== null) {
+        if (AccessibilityReadingGuide.isMode(readingGuide)) {
+          config.defaults.readingGuide = readingGuide;
+        } else {
+          reportAttributeError(`Invalid default-reading-guide "${readingGuide}". Expected one of: ${AccessibilityReadingGuide.MODES.join(', ')}.`);
+        }
+      }
+
+      const maskHeight = this.getAttribute('default-reading-mask-height');
+      if (maskHeight !== null) {
+        const height = Number(maskHeight);
+        if (AccessibilityReadingGuide.isMaskHeight(height)) {
+          config.defaults.readingMaskHeight = height;
+        } else {
+          const { min, max, step } = AccessibilityReadingGuide.MASK_HEIGHT;
+          reportAttributeError(
+            `Invalid default-reading-mask-height "${maskHeight}". Expected a height in pixels from ${min} to ${max} in steps of ${step}.`
+          );
+        }
+      }
+
+      const readerOptions = {
+        font: '"site", "serif", "sans" or "dyslexic"',
+        width: '"narrow", "medium" or "wide"',
+        spacing: '"normal", "wide" or "wider"'
+      };
+      Object.keys(READER_SETTINGS).forEach(setting => {
+        const option = READER_SETTINGS[setting];
+        const value = this.getAttribute(`default-reader-${option}`);
+        if (value === null) return;
+        if (AccessibilityReaderView.isOption(option, value)) {
+          config.defaults[setting] = value;
+        } else {
+          reportAttributeError(`Invalid default-reader-${option} "${value}". Expected ${readerOptions[option]}.`);
+        }
+      });
+
+      // Navigation, banner and footer landmarks are read too
+      if (this.hasAttribute('default-read-landmarks') && this.getAttribute('default-read-landmarks') !== 'false') {
+        config.defaults.readLandmarks = true;
+      }
+
+      const speechRate = this.getAttribute('default-speech-rate');
+      if (speechRate !== null) {
+        const rate = Number(speechRate);
+        if (SPEECH_RATES.includes(rate)) {
+          config.defaults.speechRate = rate;
+        } else {
+          reportAttributeError(`Invalid default-speech-rate "${speechRate}". Expected one of: ${SPEECH_RATES.join(', ')}.`);
+        }
+      }
+
+      // The preferences of the operating system and browser adjust the defaults
+      Object.assign(config.defaults, AccessibilityPreferences.getDefaults(this.systemPreferences, {
+        colorThemes: config.colorThemes
+      }));
+
+      // sync="false" stops the live sync with the other tabs
+      config.sync = this.getAttribute('sync') !== 'false';
+
+      // The hub that shares the settings with the site's other origins
+      const syncHub = this.getAttribute('sync-hub');
+      if (syncHub) {
+        const origins = (this.getAttribute('sync-origins') || '').split(/[\s,]+/).filter(Boolean);
+        if (AccessibilitySync.isOriginList(origins)) {
+          config.syncHub = { url: syncHub, origins };
+        } else {
+          reportAttributeError(
+            'sync-hub needs sync-origins: the allowed origins, e.g. "https://example.com https://*.example.com".'
+          );
+        }
+      }
+
+      // hotkey="none" turns the shortcut off
+      const hotkey = this.getAttribute('hotkey');
+      if (hotkey === 'none') {
+        config.hotkey = null;
+      } else if (hotkey !== null) {
+        const parsed = AccessibilityPanel.parseHotkey(hotkey);
+        if (parsed) {
+          config.hotkey = parsed;
+        } else {
+          reportAttributeError(
+            `Invalid hotkey "${hotkey}". Expected a shortcut such as "Alt+A" or "Ctrl+Shift+F2" (letters and digits need a modifier), or "none".`
+          );
+        }
+      }
+
+      return config;
+    }
+
+    hasFeature(feature) {
+      return this.config.features.includes(feature);
+    }
+
+    setState(partial) {
+      this.state = { ...this.state, ...partial };
+      this.update();
+    }
+
+    // Saved values win over the defaults, but never re-enable a disabled feature
+    loadSettings() {
+      const settings = AccessibilityStorage.getStore().get('settings');
+
+      const { defaults } = this.config;
+      // Settings saved before color themes only have the highContrast flag
+      if (!this.config.colorThemes.includes(settings.colorTheme)) {
+        settings.colorTheme = settings.highContrast === undefined ? undefined
+          : settings.highContrast && this.config.colorThemes.includes('dark') ? 'dark' : 'default';
+      }
+      ['colorFilter', 'readingGuide', 'readingMaskHeight', 'readLandmarks', 'speechRate']
+        .concat(Object.keys(READER_SETTINGS), Object.keys(DISPLAY_CLASSES))
+        .forEach(setting => {
+          if (!AccessibilitySettings.isSettingValue(setting, settings[setting])) settings[setting] = undefined;
+        });
+      const speechPitch = AccessibilitySettings.isSettingValue('speechPitch', settings.speechPitch)
+        ? settings.speechPitch
+        : 1.0;
+      const personalProfile = this.hasFeature('profiles')
+        ? AccessibilityProfiles.readPersonalProfile(settings.personalProfile, { validate: isProfileValue })
+        : null;
+      const isPersonal = settings.profile === AccessibilityProfiles.PERSONAL_PROFILE;
+      const profile = this.hasFeature('profiles') && (isPersonal ? personalProfile : this.config.profiles[settings.profile])
+        ? settings.profile
+        : null;
+      if (!isTextScale(settings.textScale)) {
+        settings.textScale = [0, 1, 2].includes(settings.fontSize) ? FONT_SIZE_SCALES[settings.fontSize] : undefined;
+      }
+      const pick = (feature, key, fallback) => {
+        if (!this.hasFeature(feature)) return fallback;
+        return settings[key] !== undefined ? settings[key] : defaults[key];
+      };
+
+      this.applySettings({
+        // Settings saved before text scaling only have a 0/1/2 fontSize level
+        textScale: pick('fontSize', 'textScale', TEXT_SCALE.min),
+        colorTheme: pick('contrast', 'colorTheme', 'default'),
+        lineHeight: pick('lineHeight', 'lineHeight', 0),
+        letterSpacing: pick('letterSpacing', 'letterSpacing', false),
+        wordSpacing: pick('wordSpacing', 'wordSpacing', false),
+        paragraphSpacing: pick('paragraphSpacing', 'paragraphSpacing', false),
+        readableFont: pick('readableFont', 'readableFont', false),
+        leftAlign: pick('leftAlign', 'leftAlign', false),
+        bigCursor: pick('bigCursor', 'bigCursor', false),
+        stopAnimations: pick('stopAnimations', 'stopAnimations', false),
+        colorFilter: pick('colorFilter', 'colorFilter', 'none'),
+        readingGuide: pick('readingGuide', 'readingGuide', 'off'),
+        readingMaskHeight: pick('readingGuide', 'readingMaskHeight', defaults.readingMaskHeight),
+        readerFont: pick('readerView', 'readerFont', defaults.readerFont),
+        readerWidth: pick('readerView', 'readerWidth', defaults.readerWidth),
+        readerSpacing: pick('readerView', 'readerSpacing', defaults.readerSpacing),
+        readLandmarks: pick('textToSpeech', 'readLandmarks', false),
+        speechRate: pick('speechRate', 'speechRate', defaults.speechRate),
+        speechPitch: this.hasFeature('textToSpeech') ? speechPitch : 1.0,
+        locale: this.hasFeature('locale') && this.config.locales.includes(settings.locale)
+          ? settings.locale
+          : this.config.locale,
+        profile,
+        personalProfile
+      }, false);
+    }
+
+    // Follow a change of the system preferences. A setting follows only while
+    // it still has the default of the previous preferences.
+    handlePreferencesChange(preferences) {
+      const previous = this.config.defaults;
+      this.systemPreferences = preferences;
+      this.config = this.readConfig();
+      const { defaults } = this.config;
+      const changed = {};
+      [['contrast', 'colorTheme'], ['colorFilter', 'colorFilter'], ['stopAnimations', 'stopAnimations']]
+        .forEach(([feature, setting]) => {
+          if (
+            this.hasFeature(feature) && this.state[setting] === previous[setting] &&
+            defaults[setting] !== previous[setting]
+          ) {
+            changed[setting] = defaults[setting];
+          }
+        });
+      if (Object.keys(changed).length > 0) {
+        this.applySettings(changed);
+      } else {
+        this.update();
+      }
+    }
+
+    // Follow content the page adds or removes later, and the frames and
+    // shadow roots in it, leaving out excluded content
+    observeContent() {
+      this.stopObserving = AccessibilityObserver.observe({
+        getRoot: () => this.getAdjustedRoot(),
+        ignore: this.excluded,
+        onRemoved: () => this.handleContentRemoved(),
+        onRouteChange: () => this.handleRouteChange(),
+        onAdded: (elements) => this.handleContentAdded(elements)
+      });
+      this.embeds = AccessibilityEmbeds.createMirror({
+        getRoot: () => this.getAdjustedRoot(),
+        classes: ADJUSTMENT_CLASSES,
+        exclude: this.excluded,
+        onFrame: (doc) => AccessibilityThemes.mirrorTheme(doc)
+      });
+      this.updateEmbeds();
+    }
+
+    stopObservingContent() {
+      if (this.stopObserving) this.stopObserving();
+      if (this.embeds) this.embeds.stop();
+      this.stopObserving = null;
+      this.embeds = null;
+    }
+
+    // Same-origin frames and open shadow roots get the page classes, the
+    // text scale and, in frames, the color theme of the page
+    updateEmbeds() {
+      if (!this.embeds) return;
+      const { classList } = this.getAdjustedRoot();
+      this.embeds.update({
+        css: AccessibilitySettings.buildPageStyles(this.config.exclude),
+        active: ADJUSTMENT_CLASSES.filter(name => classList.contains(name)),
+        textScale: this.state.textScale / 100
+      });
+    }
+
+    // Content added after the settings were applied, e.g. by a framework
+    // rendering a new view, gets the repaired colors, the color filter and
+    // the paused videos of the settings, and new frames and shadow roots
+    // the adjustments
+    handleContentAdded(elements) {
+      AccessibilityThemes.refresh({ elements });
+      if (this.state.stopAnimations) elements.forEach(element => this.pauseVideos(element));
+      if (this.embeds) this.embeds.refresh(elements);
+    }
+
+    // Pause the videos in `element`, leaving out excluded content. Pausing
+    // also cancels autoplay that has not started yet.
+    pauseVideos(element) {
+      const excluded = this.excluded.join(', ');
+      const videos = element.localName === 'video' ? [element] : Array.from(element.querySelectorAll('video'));
+      videos.filter(video => !video.closest(excluded)).forEach(video => video.pause());
+    }
+
+    // The narrator leaves text the page removed
+    handleContentRemoved() {
+      if (this.narratorPlayer) this.narratorPlayer.dropRemoved();
+    }
+
+    // Client-side navigation may replace the root, which the adjustments,
+    // the theme and the filter follow, and ends picking where reading starts
+    // on the previous page
+    handleRouteChange() {
+      this.setPickingStart(false);
+      AccessibilityThemes.refresh({ root: this.getContentRoot() });
+      if (this.embeds) this.embeds.refresh();
+    }
+
+    // Apply the settings another tab or page saves, as they change
+    connectSync() {
+      if (!this.config.sync) return;
+      const store = AccessibilityStorage.getStore();
+      const disconnect = AccessibilitySync.connect(store, { hub: this.config.syncHub, onError: reportAttributeError });
+      const unsubscribe = store.subscribe(({ sections, remote }) => {
+        if (remote && sections.includes('settings')) this.loadSettings();
+      });
+      this.stopSync = () => {
+        unsubscribe();
+        disconnect();
+      };
+    }
+
+    disconnectSync() {
+      if (this.stopSync) this.stopSync();
+      this.stopSync = null;
+    }
+
+    // The voice is saved only when the user picks one, so an automatic
+    // choice never overrides the configured voice
+    saveSettings() {
+      const {
+        textScale, colorTheme, lineHeight, letterSpacing, wordSpacing, paragraphSpacing,
+        readableFont, leftAlign, bigCursor, stopAnimations, colorFilter, readingGuide, readingMaskHeight,
+        readerFont, readerWidth, readerSpacing, readLandmarks, speechRate, speechPitch, locale, profile, personalProfile
+      } = this.state;
+      AccessibilityStorage.getStore().update('settings', {
+        textScale, colorTheme, lineHeight, letterSpacing, wordSpacing, paragraphSpacing,
+        readableFont, leftAlign, bigCursor, stopAnimations, colorFilter, readingGuide, readingMaskHeight,
+        readerFont, readerWidth, readerSpacing, readLandmarks, speechRate, speechPitch, locale, profile, personalProfile
+      });
+    }
+
+    // Update state, toggle the page classes and persist the result
+    applySettings(settings, persist = true) {
+      const previous = this.state;
+      this.setState(settings);
+
+      if ('textScale' in settings) applyTextScale(this.state.textScale);
+      if ('colorTheme' in settings) {
+        // The element's shadow DOM is not repainted, so only the host is excluded
+        AccessibilityThemes.applyColorTheme(this.state.colorTheme, {
+          root: this.getAdjustedRoot(),
+          surfaces: this.config.surfaces,
+          exclude: this.excluded
+        });
+      }
+      if ('colorFilter' in settings) {
+        AccessibilityThemes.applyColorFilter(this.state.colorFilter, {
+          root: this.getContentRoot(),
+          exclude: this.excluded
+        });
+      }
+      if ('readingGuide' in settings || 'readingMaskHeight' in settings) {
+        AccessibilityReadingGuide.setReadingGuide(this.state.readingGuide, {
+          height: this.state.readingMaskHeight,
+          ignore: TAG_NAME
+        });
+      }
+      if (Object.keys(READER_SETTINGS).some(setting => setting in settings)) {
+        AccessibilityReaderView.update({ options: this.readerOptions });
+      }
+      if ('locale' in settings) {
+        AccessibilityReaderView.update({ translate: (key) => this.t(key) });
+      }
+
+      const adjustedRoot = this.getAdjustedRoot();
+      const { classList } = adjustedRoot;
+      classList.remove('line-height-larger', 'line-height-largest');
+      if (this.state.lineHeight === 1) classList.add('line-height-larger');
+      if (this.state.lineHeight === 2) classList.add('line-height-largest');
+      Object.keys(TEXT_SPACING_CLASSES).forEach(setting => {
+        classList.toggle(TEXT_SPACING_CLASSES[setting], this.state[setting]);
+      });
+      Object.keys(DISPLAY_CLASSES).forEach(setting => {
+        classList.toggle(DISPLAY_CLASSES[setting], this.state[setting]);
+      });
+      // Videos that are already playing are paused with the animations
+      if (settings.stopAnimations && !previous.stopAnimations) this.pauseVideos(adjustedRoot);
+      if (VISUAL_SETTINGS.some(setting => setting in settings)) this.updateEmbeds();
+
+      if (persist) {
+        this.saveSettings();
+        Object.keys(settings)
+          .filter(key => settings[key] !== previous[key])
+          .forEach(key => this.emit('change', { setting: key, value: settings[key] }));
+      }
+    }
+
+    // Translator for the current UI locale, rebuilt only when the locale changes
+    get t() {
+      if (!this.translator || this.translator.locale !== this.state.locale) {
+        this.translator = AccessibilityI18n.createTranslator(this.state.locale);
+      }
+      return this.translator;
+    }
+
+    emit(event, detail) {
+      this.dispatchEvent(new CustomEvent(event, { detail }));
+      if (event === 'change') {
+        document.dispatchEvent(new CustomEvent('accessibilityChange', { detail }));
+        this.announceChange(detail);
+      }
+    }
+
+    // Announce a change in the live region, in the UI language after it
+    announceChange({ setting, value }) {
+      const { t } = this;
+      AccessibilityPanel.announce(this.elements.liveRegion, AccessibilityPanel.describeChange(t, setting, value, {
+        getProfileLabel: (id) => (id === AccessibilityProfiles.PERSONAL_PROFILE
+          ? t('profile.personal')
+          : AccessibilityProfiles.getProfileLabel(this.config.profiles[id], id, t))
+      }));
+    }
+
+    // Move focus to the panel's controls, remembering where it was on the page
+    focusControls() {
+      const target = AccessibilityPanel.getRovingTarget(this.elements.controls);
+      if (!target) return;
+      const { activeElement } = document;
+      if (activeElement && activeElement !== document.body && activeElement !== this) {
+        this.returnFocus = activeElement;
+      }
+      target.focus();
+    }
+
+    // Focus moves into the panel when it opens. When it closes from inside,
+    // focus goes back to where it was before, or to the launcher.
+    updateFocus() {
+      const { isPanelOpen } = this.state;
+      AccessibilityPanel.updateRovingFocus(this.elements.controls);
+      if (isPanelOpen === this.wasPanelOpen) return;
+      this.wasPanelOpen = isPanelOpen;
+      if (isPanelOpen) {
+        this.focusControls();
+        return;
+      }
+      if (this.shadowRoot.activeElement || document.activeElement === document.body) {
+        const previous = this.returnFocus;
+        (previous && previous.isConnected ? previous : this.elements.toggle).focus();
+      }
+      this.returnFocus = null;
+    }
+
+    // The hotkey opens the panel, moves focus into it when it is already
+    // open, and closes it from inside
+    handleHotkey(event) {
+      if (!AccessibilityPanel.matchesHotkey(event, this.config.hotkey)) return;
+      event.preventDefault();
+      if (!this.state.isPanelOpen) {
+        this.open();
+      } else if (this.shadowRoot.activeElement) {
+        this.close();
+      } else {
+        this.focusControls();
+      }
+    }
+
+    updateVoices() {
+      const { languages, language, voice } = this.config;
+      const allVoices = window.speechSynthesis.getVoices();
+      const voices = AccessibilitySettings.getLanguageVoices(allVoices, languages);
+
+      // The voice the user picked, the configured voice, or the best voice for the language
+      let selectedVoice = this.state.selectedVoice;
+      if (voices.length > 0 && !selectedVoice) {
+        selectedVoice = AccessibilitySettings.pickDefaultVoice(voices, {
+          saved: this.hasFeature('voice') ? AccessibilityStorage.getStore().get('settings').voice : null,
+          voice,
+          language
+        });
+      }
+
+      this.setState({ voices, allVoices, selectedVoice });
+    }
+
+    // Content left as it is: the element, elements marked data-a11y-ignore
+    // and the `exclude` selectors
+    get excluded() {
+      return [TAG_NAME, IGNORE_SELECTOR].concat(this.config.exclude);
+    }
+
+    // Element the visual adjustments restyle: the root, or the whole body.
+    // When the page replaced the root, its classes move to the new one.
+    getAdjustedRoot() {
+      const root = (this.config.root && document.querySelector(this.config.root)) || document.body;
+      const previous = this.adjustedRoot;
+      if (previous && previous !== root) {
+        ADJUSTMENT_CLASSES.filter(name => previous.classList.contains(name)).forEach(name => {
+          previous.classList.remove(name);
+          root.classList.add(name);
+        });
+      }
+      this.adjustedRoot = root;
+      return root;
+    }
+
+    getContentRoot() {
+      return (this.config.root && document.querySelector(this.config.root)) ||
+        document.querySelector('.content-area') ||
+        document.querySelector('main') ||
+        document.body;
+    }
+
+    // Element the narrator reads: the article of the reader view while it is open
+    getReadingRoot() {
+      return AccessibilityReaderView.getArticle() || this.getContentRoot();
+    }
+
+    get readerOptions() {
+      const { readerFont, readerWidth, readerSpacing } = this.state;
+      return { font: readerFont, width: readerWidth, spacing: readerSpacing };
+    }
+
+    // Reader view: show the main article alone in a full-screen overlay. The
+    // narrator stops when it opens or closes, as the text it reads changes.
+    setReaderView(enabled) {
+      if (typeof enabled !== 'boolean') {
+        reportAttributeError(`setReaderView() expects true or false, received ${JSON.stringify(enabled)}.`);
+        return;
+      }
+      if (enabled === AccessibilityReaderView.isOpen()) return;
+      if (enabled && !this.isFeatureEnabled('readerView', 'setReaderView')) return;
+      this.stopReading();
+      this.setPickingStart(false);
+
+      if (!enabled) {
+        AccessibilityReaderView.close();
+        return;
+      }
+      const opened = AccessibilityReaderView.open({
+        root: this.getContentRoot(),
+        exclude: this.excluded,
+        adjustments: {
+          root: this.getAdjustedRoot(),
+          classes: ADJUSTMENT_CLASSES,
+          attributes: [AccessibilityThemes.ROOT_ATTRIBUTE]
+        },
+        options: this.readerOptions,
+        translate: (key) => this.t(key),
+        onChange: (option, value) => {
+          const setting = Object.keys(READER_SETTINGS).find(key => READER_SETTINGS[key] === option);
+          this.applySettings({ [setting]: value });
+        },
+        onClose: () => {
+          this.stopReading();
+          this.setState({ readerView: false });
+          this.emit('change', { setting: 'readerView', value: false });
+        }
+      });
+      if (!opened) {
+        alert(this.t('error.noArticle'));
+        return;
+      }
+      this.setState({ readerView: true });
+      this.emit('change', { setting: 'readerView', value: true });
+    }
+
+    // Options of the narrator's text walker: the element is never read, and
+    // headings, lists and links are announced in the UI language
+    get narratorOptions() {
+      return {
+        exclude: this.excluded,
+        announce: (type, details) => this.t(`narrator.announce.${type}`, details),
+        announceLang: this.t.tag,
+        landmarks: this.state.readLandmarks
+      };
+    }
+
+    // Accessible text of an element in DOM order, mapped back to its text nodes
+    getReadableChunks(root) {
+      return AccessibilityNarrator.splitChunks(AccessibilityNarrator.collectBlocks(root, this.narratorOptions));
+    }
+
+    // Plays the narrator's sentences with transport controls, created on first use
+    get player() {
+      if (!this.narratorPlayer) {
+        this.narratorPlayer = AccessibilityNarrator.createPlayer({
+          // Each chunk is read by the preferred voice of its language; the
+          // selected voice speaks its own language
+          getOptions: (chunk) => {
+            const { allVoices, selectedVoice, speechRate, speechPitch } = this.state;
+            if (selectedVoice) {
+              this.voicePreferences[AccessibilityNarrator.getBaseLanguage(selectedVoice.lang)] = selectedVoice;
+            }
+            const lang = (chunk && chunk.lang) || this.config.language;
+            const voice = AccessibilityNarrator.pickVoice(allVoices, lang, this.voicePreferences);
+            return {
+              voice,
+              lang: voice ? voice.lang : lang,
+              rate: speechRate,
+              pitch: speechPitch
+            };
+          },
+          onStart: (detail) => {
+            document.addEventListener('keydown', this.handleNarratorShortcut);
+            this.setState({ isReading: true, isPaused: false, readingProgress: 0 });
+            this.emit('readingstart', detail);
+          },
+          onProgress: (position) => {
+            this.setState({ readingProgress: position.progress, readingPosition: { chunk: position.chunk, total: position.total } });
+            this.emit('readingprogress', position);
+          },
+          onPause: (position) => {
+            this.setState({ isPaused: true });
+            this.emit('readingpause', position);
+          },
+          onResume: (position) => {
+            this.setState({ isPaused: false });
+            this.emit('readingresume', position);
+          },
+          onEnd: (detail) => {
+            document.removeEventListener('keydown', this.handleNarratorShortcut);
+            this.setState({ isReading: false, isPaused: false, readingProgress: detail.completed ? 100 : 0 });
+            this.emit('readingend', detail);
+            if (detail.completed) setTimeout(() => this.setState({ readingProgress: 0 }), 2000);
+            if (detail.error) alert(this.t('error.speech', { error: detail.error }));
+          }
+        });
+      }
+      return this.narratorPlayer;
+    }
+
+    handleReadAloud() {
+      if (!('speechSynthesis' in window)) {
+        alert(this.t('error.speechUnsupported'));
+        return;
+      }
+
+      if (this.state.isReading) {
+        this.stopReading();
+        return;
+      }
+
+      const chunks = this.getReadableChunks(this.getReadingRoot());
+      if (chunks.length === 0) {
+        alert(this.t('error.noContent'));
+        return;
+      }
+
+      this.startReading(chunks);
+    }
+
+    // Read the text selected on the page
+    readSelection() {
+      if (!this.isFeatureEnabled('textToSpeech', 'readSelection')) return;
+      if (!('speechSynthesis' in window)) {
+        alert(this.t('error.speechUnsupported'));
+        return;
+      }
+      const chunks = AccessibilityNarrator.getSelectionChunks(document.getSelection(), this.narratorOptions);
+      if (chunks.length === 0) {
+        alert(this.t('error.noSelection'));
+        return;
+      }
+      this.startReading(chunks);
+    }
+
+    // "Read from here": the next click on the page chooses where reading starts
+    setPickingStart(enabled) {
+      if (this.cancelPickingStart) this.cancelPickingStart();
+      this.cancelPickingStart = null;
+      if (enabled) {
+        this.cancelPickingStart = AccessibilityNarrator.pickReadingStart({
+          ...this.narratorOptions,
+          root: this.getReadingRoot(),
+          onPick: (chunks) => {
+            this.setPickingStart(false);
+            if (chunks.length === 0) {
+              alert(this.t('error.noContent'));
+              return;
+            }
+            this.startReading(chunks);
+          },
+          onCancel: () => this.setPickingStart(false)
+        });
+      }
+      if (this.state.isPickingStart !== enabled) this.setState({ isPickingStart: enabled });
+    }
+
+    handleReadFromHere() {
+      if (!('speechSynthesis' in window)) {
+        alert(this.t('error.speechUnsupported'));
+        return;
+      }
+      this.setPickingStart(!this.state.isPickingStart);
+    }
+
+    // Read from an element (or selector) to the end of the content root
+    readFrom(selector) {
+      if (!this.isFeatureEnabled('textToSpeech', 'readFrom')) return;
+      if (!('speechSynthesis' in window)) {
+        alert(this.t('error.speechUnsupported'));
+        return;
+      }
+      let element = selector;
+      if (typeof selector === 'string') {
+        try {
+          element = document.querySelector(selector);
+        } catch (error) {
+          // An invalid selector is reported below
+        }
+      }
+      if (!(element instanceof Element)) {
+        reportAttributeError(`readFrom() expects a selector or element on the page, received ${JSON.stringify(selector)}.`);
+        return;
+      }
+      const chunks = AccessibilityNarrator.getChunksFrom(element, this.getReadingRoot(), this.narratorOptions);
+      if (chunks.length === 0) {
+        alert(this.t('error.noContent'));
+        return;
+      }
+      this.startReading(chunks);
+    }
+
+    // Hover-to-speak: read the element under the pointer or with keyboard focus
+    setHoverToSpeak(enabled) {
+      if (typeof enabled !== 'boolean') {
+        reportAttributeError(`setHoverToSpeak() expects true or false, received ${JSON.stringify(enabled)}.`);
+        return;
+      }
+      if (enabled === this.state.hoverToSpeak) return;
+      if (enabled && !this.isFeatureEnabled('textToSpeech', 'setHoverToSpeak')) return;
+
+      if (enabled) {
+        this.hoverReader = AccessibilityNarrator.createHoverReader({
+          ...this.narratorOptions,
+          onRead: (chunks) => this.startReading(chunks)
+        });
+        this.hoverReader.start();
+      } else {
+        this.hoverReader.stop();
+        this.hoverReader = null;
+        this.stopReading();
+      }
+      this.setState({ hoverToSpeak: enabled });
+      this.emit('change', { setting: 'hoverToSpeak', value: enabled });
+    }
+
+    // Read navigation, banner and footer landmarks too
+    setReadLandmarks(enabled) {
+      if (!this.isFeatureEnabled('textToSpeech', 'setReadLandmarks')) return;
+      if (typeof enabled !== 'boolean') {
+        reportAttributeError(`setReadLandmarks() expects true or false, received ${JSON.stringify(enabled)}.`);
+        return;
+      }
+      this.applySettings({ readLandmarks: enabled });
+    }
+
+    // Read chunks from AccessibilityNarrator aloud, highlighting the current
+    // sentence and word of chunks that come from the page
+    startReading(chunks) {
+      this.player.start(chunks);
+    }
+
+    stopReading() {
+      if (this.narratorPlayer) this.narratorPlayer.stop();
+    }
+
+    // Run a transport action of the narrator while it reads
+    controlReading(action, ...args) {
+      if (this.narratorPlayer) this.narratorPlayer[action](...args);
+    }
+
+    // Narrator keyboard shortcuts, listened to while reading
+    handleNarratorShortcut(event) {
+      const action = AccessibilityNarrator.getShortcutAction(event);
+      if (!action) return;
+      event.preventDefault();
+      this.controlReading(action);
+    }
+
+    handleSpeechRateChange() {
+      const currentIndex = SPEECH_RATES.indexOf(this.state.speechRate);
+      this.applySettings({ speechRate: SPEECH_RATES[(currentIndex + 1) % SPEECH_RATES.length] });
+    }
+
+    handleVoiceChange() {
+      const { voices, selectedVoice } = this.state;
+      if (voices.length <= 1) return;
+      const currentIndex = voices.indexOf(selectedVoice);
+      const nextVoice = voices[(currentIndex + 1) % voices.length];
+      this.setState({ selectedVoice: nextVoice });
+      AccessibilityStorage.getStore().update('settings', { voice: nextVoice.name });
+      this.emit('change', { setting: 'voice', value: nextVoice.name });
+    }
+
+    handleLocaleChange() {
+      const { locales } = this.config;
+      const currentIndex = locales.indexOf(this.state.locale);
+      this.applySettings({ locale: locales[(currentIndex + 1) % locales.length] });
+    }
+
+    // Values of the profile settings after a reset: the configured defaults of
+    // the controls the site offers
+    getDefaultValues() {
+      const { defaults } = this.config;
+      const fallbacks = { textScale: TEXT_SCALE.min, colorTheme: 'default', lineHeight: 0, colorFilter: 'none', readingGuide: 'off' };
+      return AccessibilityProfiles.PROFILE_SETTINGS.reduce((values, setting) => {
+        const fallback = setting in fallbacks ? fallbacks[setting] : setting === 'readingMaskHeight' ? 120 : false;
+        values[setting] = this.hasFeature(AccessibilityProfiles.getSettingFeature(setting)) ? defaults[setting] : fallback;
+        return values;
+      }, {});
+    }
+
+    getProfile(id) {
+      return (id === AccessibilityProfiles.PERSONAL_PROFILE ? this.state.personalProfile : this.config.profiles[id]) || null;
+    }
+
+    // Values a profile sets. A color theme the site does not offer becomes the
+    // first offered one, and disabled controls keep their defaults.
+    getProfileTarget(profile) {
+      const defaults = this.getDefaultValues();
+      const target = AccessibilityProfiles.getProfileValues(profile, defaults);
+      if (this.hasFeature('contrast') && !this.config.colorThemes.includes(target.colorTheme)) {
+        target.colorTheme = this.config.colorThemes.find(name => name !== 'default') || 'default';
+      }
+      Object.keys(target).forEach(setting => {
+        if (!this.hasFeature(AccessibilityProfiles.getSettingFeature(setting))) target[setting] = defaults[setting];
+      });
+      return target;
+    }
+
+    get isProfileModified() {
+      const profile = this.state.profile && this.getProfile(this.state.profile);
+      if (!profile) return false;
+      const target = this.getProfileTarget(profile);
+      return AccessibilityProfiles.PROFILE_SETTINGS.some(setting => this.state[setting] !== target[setting]);
+    }
+
+    // Apply a profile: its own settings, and the defaults for the others.
+    // null goes back to the defaults.
+    applyProfile(id) {
+      const target = this.getProfileTarget(id ? this.getProfile(id) : { settings: {} });
+      const changed = AccessibilityProfiles.PROFILE_SETTINGS.reduce((settings, setting) => {
+        if (target[setting] !== this.state[setting]) settings[setting] = target[setting];
+        return settings;
+      }, {});
+      this.applySettings({ ...changed, profile: id });
+    }
+
+    // Keep the current settings as the user's own profile
+    savePersonalProfile() {
+      if (!this.isFeatureEnabled('profiles', 'savePersonalProfile')) return;
+      this.applySettings({
+        personalProfile: AccessibilityProfiles.createPersonalProfile(this.state),
+        profile: AccessibilityProfiles.PERSONAL_PROFILE
+      });
+    }
+
+    // Delete the user's own profile; the settings stay as they are
+    deletePersonalProfile() {
+      if (!this.isFeatureEnabled('profiles', 'deletePersonalProfile')) return;
+      const isPersonal = this.state.profile === AccessibilityProfiles.PERSONAL_PROFILE;
+      this.applySettings({ personalProfile: null, ...(isPersonal ? { profile: null } : {}) });
+    }
+
+    // Current values of the settings a shared configuration carries. Only a
+    // voice the user picked is shared.
+    getSharedSettings() {
+      const settings = AccessibilityShare.SHARED_SETTINGS.reduce((values, setting) => {
+        values[setting] = this.state[setting];
+        return values;
+      }, {});
+      settings.voice = AccessibilityStorage.getStore().get('settings').voice || null;
+      return settings;
+    }
+
+    // Values after a reset, which codes and links leave out
+    getSharedDefaults() {
+      const { defaults } = this.config;
+      return {
+        ...this.getDefaultValues(),
+        readerFont: defaults.readerFont,
+        readerWidth: defaults.readerWidth,
+        readerSpacing: defaults.readerSpacing,
+        readLandmarks: this.hasFeature('textToSpeech') && defaults.readLandmarks,
+        speechRate: defaults.speechRate,
+        speechPitch: 1.0,
+        voice: null,
+        locale: this.config.locale,
+        profile: null,
+        personalProfile: null
+      };
+    }
+
+    // Check a value of an imported configuration against the settings schema
+    isSharedValue(setting, value, settings) {
+      if (setting === 'profile') {
+        return value === null || Boolean(this.config.profiles[value]) ||
+          (value === AccessibilityProfiles.PERSONAL_PROFILE && Boolean(settings.personalProfile || this.state.personalProfile));
+      }
+      return AccessibilitySettings.isSettingValue(setting, value);
+    }
+
+    // Apply an imported configuration. Settings it leaves out go back to their
+    // defaults, and controls the site has turned off are left alone.
+    applySharedSettings(values) {
+      const shared = { ...this.getSharedDefaults(), ...values };
+      const target = this.getProfileTarget({
+        settings: AccessibilityProfiles.PROFILE_SETTINGS.reduce((settings, setting) => {
+          settings[setting] = shared[setting];
+          return settings;
+        }, {})
+      });
+      const changed = AccessibilityProfiles.PROFILE_SETTINGS.reduce((settings, setting) => {
+        if (target[setting] !== this.state[setting]) settings[setting] = target[setting];
+        return settings;
+      }, {});
+      if (this.hasFeature('readerView')) {
+        Object.keys(READER_SETTINGS).forEach(setting => { changed[setting] = shared[setting]; });
+      }
+      if (this.hasFeature('textToSpeech')) {
+        changed.readLandmarks = shared.readLandmarks;
+        changed.speechPitch = shared.speechPitch;
+      }
+      if (this.hasFeature('speechRate')) changed.speechRate = shared.speechRate;
+      if (this.hasFeature('locale') && this.config.locales.includes(shared.locale)) changed.locale = shared.locale;
+      if (this.hasFeature('profiles')) {
+        const personalProfile = 'personalProfile' in values
+          ? AccessibilityProfiles.readPersonalProfile(values.personalProfile, { validate: isProfileValue })
+          : this.state.personalProfile;
+        changed.personalProfile = personalProfile;
+        changed.profile = shared.profile === AccessibilityProfiles.PERSONAL_PROFILE && !personalProfile ? null : shared.profile;
+      }
+      if (this.hasFeature('voice') && shared.voice) {
+        AccessibilityStorage.getStore().update('settings', { voice: shared.voice });
+        const sharedVoice = this.state.voices.find(v => v.name === shared.voice);
+        if (sharedVoice) this.setState({ selectedVoice: sharedVoice });
+      }
+      this.applySettings(changed);
+      this.emit('change', { setting: 'import', value: values });
+    }
+
+    // Validate a file's contents, a code or a link, then apply it. Nothing is
+    // applied when any value is invalid.
+    importSettings(input) {
+      if (!this.isFeatureEnabled('share', 'importSettings')) return false;
+      const values = AccessibilityShare.parse(input, {
+        validate: (setting, value, settings) => this.isSharedValue(setting, value, settings),
+        onError: reportAttributeError
+      });
+      this.setState({ shareStatus: values ? 'share.applied' : 'share.invalid' });
+      if (values) this.applySharedSettings(values);
+      return Boolean(values);
+    }
+
+    exportSettings() {
+      if (!this.isFeatureEnabled('share', 'exportSettings')) return null;
+      return AccessibilityShare.toFile(this.getSharedSettings());
+    }
+
+    getShareCode() {
+      if (!this.isFeatureEnabled('share', 'getShareCode')) return null;
+      return AccessibilityShare.toCode(this.getSharedSettings(), this.getSharedDefaults());
+    }
+
+    getShareLink() {
+      if (!this.isFeatureEnabled('share', 'getShareLink')) return null;
+      return AccessibilityShare.toLink(this.getSharedSettings(), this.getSharedDefaults());
+    }
+
+    // Copy to the clipboard; when that is refused, show the text to copy by hand
+    copyShareText(text, message) {
+      const showText = () => {
+        this.elements.share.input.value = text;
+        this.setState({ shareStatus: 'share.copyFailed' });
+      };
+      if (!navigator.clipboard) {
+        showText();
+        return;
+      }
+      navigator.clipboard.writeText(text).then(() => this.setState({ shareStatus: message }), showText);
+    }
+
+    // Offer the configuration of a shared link (#a11y=...) when the page opens
+    readSharedLink() {
+      const code = this.hasFeature('share') && AccessibilityShare.getFragmentCode();
+      if (!code) return;
+      const values = AccessibilityShare.parse(code, {
+        validate: (setting, value, settings) => this.isSharedValue(setting, value, settings),
+        onError: reportAttributeError
+      });
+      if (!values) AccessibilityShare.clearFragment();
+      this.setState({ isPanelOpen: true, sharedOffer: values, shareStatus: values ? null : 'share.invalid' });
+    }
+
+    // Apply or dismiss the configuration of a shared link, then take the code
+    // out of the address
+    handleSharedOffer(apply) {
+      const { sharedOffer } = this.state;
+      this.setState({ sharedOffer: null, ...(apply ? { shareStatus: 'share.applied' } : {}) });
+      if (apply) this.applySharedSettings(sharedOffer);
+      AccessibilityShare.clearFragment();
+    }
+
+    resetAllSettings() {
+      const { defaults } = this.config;
+      this.stopReading();
+      this.applySettings({
+        textScale: this.hasFeature('fontSize') ? defaults.textScale : TEXT_SCALE.min,
+        colorTheme: this.hasFeature('contrast') ? defaults.colorTheme : 'default',
+        lineHeight: this.hasFeature('lineHeight') ? defaults.lineHeight : 0,
+        letterSpacing: this.hasFeature('letterSpacing') && defaults.letterSpacing,
+        wordSpacing: this.hasFeature('wordSpacing') && defaults.wordSpacing,
+        paragraphSpacing: this.hasFeature('paragraphSpacing') && defaults.paragraphSpacing,
+        readableFont: this.hasFeature('readableFont') && defaults.readableFont,
+        leftAlign: this.hasFeature('leftAlign') && defaults.leftAlign,
+        bigCursor: this.hasFeature('bigCursor') && defaults.bigCursor,
+        stopAnimations: this.hasFeature('stopAnimations') && defaults.stopAnimations,
+        colorFilter: this.hasFeature('colorFilter') ? defaults.colorFilter : 'none',
+        readingGuide: this.hasFeature('readingGuide') ? defaults.readingGuide : 'off',
+        readingMaskHeight: defaults.readingMaskHeight,
+        readerFont: defaults.readerFont,
+        readerWidth: defaults.readerWidth,
+        readerSpacing: defaults.readerSpacing,
+        readLandmarks: this.hasFeature('textToSpeech') && defaults.readLandmarks,
+        speechRate: defaults.speechRate,
+        speechPitch: 1.0,
+        profile: null
+      }, false);
+      this.saveSettings();
+      this.emit('change', { setting: 'reset', value: null });
+    }
+
+    // Public API, mirroring the controller returned by window.AccessibilitySidebar()
+
+    open() {
+      this.setState({ isPanelOpen: true });
+    }
+
+    close() {
+      this.setState({ isPanelOpen: false });
+    }
+
+    setFontSize(level) {
+      if (!this.isFeatureEnabled('fontSize', 'setFontSize')) return;
+      if (![0, 1, 2].includes(level)) {
+        reportAttributeError(`setFontSize() expects 0, 1 or 2, received ${JSON.stringify(level)}.`);
+        return;
+      }
+      this.applySettings({ textScale: FONT_SIZE_SCALES[level] });
+    }
+
+    setTextScale(scale) {
+      if (!this.isFeatureEnabled('fontSize', 'setTextScale')) return;
+      if (!isTextScale(scale)) {
+        reportAttributeError(
+          `setTextScale() expects a percentage from ${TEXT_SCALE.min} to ${TEXT_SCALE.max} in steps of ${TEXT_SCALE.step}, received ${JSON.stringify(scale)}.`
+        );
+        return;
+      }
+      this.applySettings({ textScale: scale });
+    }
+
+    setContrast(enabled) {
+      if (!this.isFeatureEnabled('contrast', 'setContrast')) return;
+      const highContrastTheme = this.config.colorThemes.find(name => name !== 'default');
+      this.applySettings({ colorTheme: enabled && highContrastTheme ? highContrastTheme : 'default' });
+    }
+
+    setColorTheme(name) {
+      if (!this.isFeatureEnabled('contrast', 'setColorTheme')) return;
+      if (!this.config.colorThemes.includes(name)) {
+        reportAttributeError(`setColorTheme() expects one of ${this.config.colorThemes.join(', ')}, received ${JSON.stringify(name)}.`);
+        return;
+      }
+      this.applySettings({ colorTheme: name });
+    }
+
+    setLineHeight(level) {
+      if (!this.isFeatureEnabled('lineHeight', 'setLineHeight')) return;
+      if (![0, 1, 2].includes(level)) {
+        reportAttributeError(`setLineHeight() expects 0, 1 or 2, received ${JSON.stringify(level)}.`);
+        return;
+      }
+      this.applySettings({ lineHeight: level });
+    }
+
+    setLetterSpacing(enabled) {
+      if (!this.isFeatureEnabled('letterSpacing', 'setLetterSpacing')) return;
+      this.applySettings({ letterSpacing: Boolean(enabled) });
+    }
+
+    setWordSpacing(enabled) {
+      if (!this.isFeatureEnabled('wordSpacing', 'setWordSpacing')) return;
+      this.applySettings({ wordSpacing: Boolean(enabled) });
+    }
+
+    setParagraphSpacing(enabled) {
+      if (!this.isFeatureEnabled('paragraphSpacing', 'setParagraphSpacing')) return;
+      this.applySettings({ paragraphSpacing: Boolean(enabled) });
+    }
+
+    setReadableFont(enabled) {
+      if (!this.isFeatureEnabled('readableFont', 'setReadableFont')) return;
+      this.applySettings({ readableFont: Boolean(enabled) });
+    }
+
+    setLeftAlign(enabled) {
+      if (!this.isFeatureEnabled('leftAlign', 'setLeftAlign')) return;
+      this.applySettings({ leftAlign: Boolean(enabled) });
+    }
+
+    setBigCursor(enabled) {
+      if (!this.isFeatureEnabled('bigCursor', 'setBigCursor')) return;
+      this.applySettings({ bigCursor: Boolean(enabled) });
+    }
+
+    setStopAnimations(enabled) {
+      if (!this.isFeatureEnabled('stopAnimations', 'setStopAnimations')) return;
+      this.applySettings({ stopAnimations: Boolean(enabled) });
+    }
+
+    setProfile(id) {
+      if (!this.isFeatureEnabled('profiles', 'setProfile')) return;
+      if (id !== null && !this.getProfile(id)) {
+        const ids = Object.keys(this.config.profiles)
+          .concat(this.state.personalProfile ? [AccessibilityProfiles.PERSONAL_PROFILE] : []);
+        reportAttributeError(`setProfile() expects null or one of ${ids.join(', ')}, received ${JSON.stringify(id)}.`);
+        return;
+      }
+      this.applyProfile(id);
+    }
+
+    setColorFilter(name) {
+      if (!this.isFeatureEnabled('colorFilter', 'setColorFilter')) return;
+      if (!AccessibilityThemes.isFilter(name)) {
+        reportAttributeError(`setColorFilter() expects one of ${AccessibilityThemes.getFilters().join(', ')}, received ${JSON.stringify(name)}.`);
+        return;
+      }
+      this.applySettings({ colorFilter: name });
+    }
+
+    setReadingGuide(mode) {
+      if (!this.isFeatureEnabled('readingGuide', 'setReadingGuide')) return;
+      if (!AccessibilityReadingGuide.isMode(mode)) {
+        reportAttributeError(`setReadingGuide() expects one of ${AccessibilityReadingGuide.MODES.join(', ')}, received ${JSON.stringify(mode)}.`);
+        return;
+      }
+      this.applySettings({ readingGuide: mode });
+    }
+
+    setReadingMaskHeight(height) {
+      if (!this.isFeatureEnabled('readingGuide', 'setReadingMaskHeight')) return;
+      if (!AccessibilityReadingGuide.isMaskHeight(height)) {
+        const { min, max, step } = AccessibilityReadingGuide.MASK_HEIGHT;
+        reportAttributeError(
+          `setReadingMaskHeight() expects a height in pixels from ${min} to ${max} in steps of ${step}, received ${JSON.stringify(height)}.`
+        );
+        return;
+      }
+      this.applySettings({ readingMaskHeight: height });
+    }
+
+    setLocale(locale) {
+      if (!this.isFeatureEnabled('locale', 'setLocale')) return;
+      if (!this.config.locales.includes(locale)) {
+        reportAttributeError(`setLocale() expects one of ${this.config.locales.join(', ')}, received ${JSON.stringify(locale)}.`);
+        return;
+      }
+      this.applySettings({ locale });
+    }
+
+    // Read an element (by selector) or a plain string aloud
+    speak(selectorOrText) {
+      if (!this.isFeatureEnabled('textToSpeech', 'speak')) return;
+      if (!('speechSynthesis' in window)) {
+        reportAttributeError('Speech synthesis is not supported in this browser.');
+        return;
+      }
+      if (typeof selectorOrText !== 'string' || !selectorOrText.trim()) {
+        reportAttributeError('speak() expects a CSS selector or the text to read.');
+        return;
+      }
+
+      let element = null;
+      try {
+        element = document.querySelector(selectorOrText);
+      } catch (error) {
+        // Not a valid selector, so it is the text itself
+      }
+
+      const chunks = element ? this.getReadableChunks(element) : AccessibilityNarrator.splitText(selectorOrText.trim());
+      if (chunks.length === 0) return;
+
+      this.stopReading();
+      this.startReading(chunks);
+    }
+
+    pause() {
+      this.controlReading('pause');
+    }
+
+    resume() {
+      this.controlReading('resume');
+    }
+
+    previousSentence() {
+      this.controlReading('previousSentence');
+    }
+
+    nextSentence() {
+      this.controlReading('nextSentence');
+    }
+
+    previousParagraph() {
+      this.controlReading('previousBlock');
+    }
+
+    nextParagraph() {
+      this.controlReading('nextBlock');
+    }
+
+    // Jump to a sentence, counted from 1
+    seek(sentence) {
+      if (!Number.isInteger(sentence) || sentence < 1) {
+        reportAttributeError(`seek() expects a sentence number from 1, received ${JSON.stringify(sentence)}.`);
+        return;
+      }
+      this.controlReading('seek', sentence - 1);
+    }
+
+    stop() {
+      this.stopReading();
+    }
+
+    reset() {
+      this.resetAllSettings();
+    }
+
+    getState() {
+      const {
+        isPanelOpen, profile, textScale, colorTheme, lineHeight, letterSpacing, wordSpacing, paragraphSpacing,
+        readableFont, leftAlign, bigCursor, stopAnimations, colorFilter, readingGuide, readingMaskHeight, readerView,
+        readerFont, readerWidth, readerSpacing, isReading, isPaused, readingProgress, readingPosition, hoverToSpeak,
+        readLandmarks, speechRate, speechPitch, selectedVoice, locale
+      } = this.state;
+      return {
+        isOpen: isPanelOpen,
+        locale,
+        profile,
+        profileModified: this.isProfileModified,
+        fontSize: AccessibilitySettings.getFontSizeLevel(textScale),
+        textScale,
+        highContrast: colorTheme !== 'default',
+        colorTheme,
+        lineHeight,
+        letterSpacing,
+        wordSpacing,
+        paragraphSpacing,
+        readableFont,
+        leftAlign,
+        bigCursor,
+        stopAnimations,
+        colorFilter,
+        readingGuide,
+        readingMaskHeight,
+        readerView,
+        readerFont,
+        readerWidth,
+        readerSpacing,
+        isReading,
+        isPaused,
+        readingProgress,
+        readingPosition,
+        hoverToSpeak,
+        readLandmarks,
+        speechRate,
+        speechPitch,
+        voice: selectedVoice ? selectedVoice.name : null
+      };
+    }
+
+    // Subscribe to 'change' or to one of the reading events
+    on(event, callback) {
+      if (!EVENTS.includes(event)) {
+        reportAttributeError(`Unknown event "${event}". Supported events are: ${EVENTS.join(', ')}.`);
+        return () => {};
+      }
+      if (typeof callback !== 'function') {
+        reportAttributeError(`The listener for "${event}" must be a function.`);
+        return () => {};
+      }
+
+      const listener = (domEvent) => callback(domEvent.detail);
+      if (!this.listeners.has(event)) this.listeners.set(event, new Map());
+      this.listeners.get(event).set(callback, listener);
+      this.addEventListener(event, listener);
+      return () => this.off(event, callback);
+    }
+
+    off(event, callback) {
+      const listeners = this.listeners.get(event);
+      const listener = listeners && listeners.get(callback);
+      if (!listener) return;
+      this.removeEventListener(event, listener);
+      listeners.delete(callback);
+    }
+
+    isFeatureEnabled(feature, method) {
+      if (!this.hasFeature(feature)) {
+        reportAttributeError(`${method}() was ignored because the "${feature}" feature is disabled.`);
+        return false;
+      }
+      return true;
+    }
+
+    // Panel dragging on desktop
+    // Position saved for the viewport class, or where the panel starts in it
+    getSavedPlacement() {
+      const saved = AccessibilityStorage.getStore().get('layout')[this.viewportClass];
+      return AccessibilityPosition.isPlacement(saved)
+        ? saved
+        : AccessibilityPosition.getDefaultPlacement(this.viewportClass, this.config.position);
+    }
+
+    // Keep the position the user chose for this viewport class
+    savePlacement(placement) {
+      this.placement = placement;
+      AccessibilityStorage.getStore().update('layout', { [this.viewportClass]: placement });
+      this.updatePosition();
+    }
+
+    getPanelSize() {
+      const { width, height } = this.elements.panel.getBoundingClientRect();
+      return { width, height };
+    }
+
+    // Take the position saved for a new viewport class, e.g. after the phone
+    // was turned, and keep the panel inside the viewport
+    handleResize() {
+      const viewportClass = AccessibilityPosition.getViewportClass();
+      if (viewportClass !== this.viewportClass) {
+        this.viewportClass = viewportClass;
+        this.placement = this.getSavedPlacement();
+      } else {
+        this.placement = AccessibilityPosition.fit(this.placement, this.getPanelSize());
+      }
+      this.updatePosition();
+    }
+
+    // Drag the panel by its header with a mouse, a finger or a pen. The drag
+    // starts once the pointer has moved a little, so the launcher can be
+    // dragged too and still opens the panel with a tap.
+    handlePointerDown(event) {
+      if (!event.isPrimary || event.button !== 0) return;
+      const rect = this.elements.panel.getBoundingClientRect();
+      this.drag = {
+        pointerId: event.pointerId,
+        startX: event.clientX,
+        startY: event.clientY,
+        offsetX: event.clientX - rect.left,
+        offsetY: event.clientY - rect.top,
+        isMoving: false
+      };
+      if (!event.target.closest('button')) event.preventDefault();
+    }
+
+    handlePointerMove(event) {
+      const { drag } = this;
+      if (!drag || drag.pointerId !== event.pointerId) return;
+      if (!drag.isMoving) {
+        if (Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) < AccessibilityPosition.DRAG_THRESHOLD) return;
+        // Captured, the pointer is released over the header, so the launcher
+        // under it is not clicked
+        drag.isMoving = true;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        this.elements.panel.classList.add('dragging');
+      }
+      this.placement = AccessibilityPosition.fromPoint(
+        { left: event.clientX - drag.offsetX, top: event.clientY - drag.offsetY },
+        this.getPanelSize(),
+        { bar: this.placement.bar }
+      );
+      this.updatePosition();
+    }
+
+    // Drop the panel, against the edge it is near
+    handlePointerUp(event) {
+      const { drag } = this;
+      if (!drag || drag.pointerId !== event.pointerId) return;
+      this.drag = null;
+      if (!drag.isMoving) return;
+      this.elements.panel.classList.remove('dragging');
+      const rect = this.elements.panel.getBoundingClientRect();
+      this.savePlacement(AccessibilityPosition.fromPoint(
+        { left: rect.left, top: rect.top }, this.getPanelSize(), { snap: true, bar: this.placement.bar }
+      ));
+    }
+
+    // Move the panel with the arrow keys while its header has focus
+    handleHeaderKeyDown(event) {
+      if (event.target !== event.currentTarget) return;
+      const step = AccessibilityPosition.getKeyboardMove(event);
+      if (!step) return;
+      event.preventDefault();
+      this.savePlacement(AccessibilityPosition.move(this.placement, step.dx, step.dy, this.getPanelSize()));
+    }
+
+    // Dock the open panel as a bar along its side of the window, or float it again
+    toggleBar() {
+      this.savePlacement({ ...this.placement, bar: !this.placement.bar });
+    }
+
+    updatePosition() {
+      const isBar = this.placement.bar && this.state.isPanelOpen;
+      Object.assign(this.style, AccessibilityPosition.getStyle(this.placement, { bar: isBar }));
+      this.elements.panel.classList.toggle('docked', isBar);
+      this.elements.dock.classList.toggle('active', this.placement.bar);
+      this.elements.dock.setAttribute('aria-pressed', String(this.placement.bar));
+    }
+
+    createControl(name, action, className = '') {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `control-button ${className}`.trim();
+      button.appendChild(createIcon(ICONS[name]));
+
+      const label = document.createElement('div');
+      label.className = 'label';
+      const title = document.createElement('span');
+      const value = document.createElement('small');
+      value.className = 'value';
+      label.append(title, value);
+      button.appendChild(label);
+
+      button.addEventListener('click', action);
+      this.elements[name] = { button, title, value };
+      return button;
+    }
+
+    // Offer to apply the settings of a shared link
+    createShareOffer() {
+      const group = document.createElement('div');
+      group.className = 'control-button share-offer active';
+      group.setAttribute('role', 'group');
+
+      const message = document.createElement('span');
+      message.setAttribute('role', 'status');
+      const actions = document.createElement('div');
+      actions.className = 'share-actions';
+      const apply = document.createElement('button');
+      apply.type = 'button';
+      apply.addEventListener('click', () => this.handleSharedOffer(true));
+      const dismiss = document.createElement('button');
+      dismiss.type = 'button';
+      dismiss.addEventListener('click', () => this.handleSharedOffer(false));
+      actions.append(apply, dismiss);
+      group.append(message, actions);
+
+      this.elements.shareOffer = { group, message, apply, dismiss };
+      return group;
+    }
+
+    // Copy a link or a code, save or open a file, or paste a code or link
+    createShareControl() {
+      const group = document.createElement('div');
+      group.className = 'control-button share';
+      group.setAttribute('role', 'group');
+
+      const header = document.createElement('div');
+      header.className = 'share-header';
+      const title = document.createElement('span');
+      header.append(createIcon(ICONS.share), title);
+
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = 'application/json,.json';
+      fileInput.hidden = true;
+      fileInput.addEventListener('change', () => {
+        const [file] = fileInput.files;
+        fileInput.value = '';
+        if (!file) return;
+        file.text().then(text => this.importSettings(text)).catch((error) => {
+          reportAttributeError(`Could not read the settings file "${file.name}": ${error.message}`);
+          this.setState({ shareStatus: 'share.invalid' });
+        });
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'share-actions';
+      const buttons = {};
+      [
+        ['share.copyLink', () => this.copyShareText(this.getShareLink(), 'share.linkCopied')],
+        ['share.copyCode', () => this.copyShareText(this.getShareCode(), 'share.codeCopied')],
+        ['share.exportFile', () => {
+          AccessibilityShare.downloadFile(this.getSharedSettings());
+          this.setState({ shareStatus: 'share.exported' });
+        }],
+        ['share.importFile', () => fileInput.click()]
+      ].forEach(([label, action]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.addEventListener('click', action);
+        buttons[label] = button;
+        actions.appendChild(button);
+      });
+
+      const form = document.createElement('form');
+      form.className = 'share-code';
+      const input = document.createElement('input');
+      input.type = 'text';
+      const submit = document.createElement('button');
+      submit.type = 'submit';
+      form.append(input, submit);
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (this.importSettings(input.value)) input.value = '';
+      });
+
+      const status = document.createElement('small');
+      status.className = 'share-status';
+      status.setAttribute('role', 'status');
+      group.append(header, actions, fileInput, form, status);
+
+      this.elements.share = { group, title, buttons, input, submit, status };
+      return group;
+    }
+
+    // Profile select, with a note when the settings were changed since, and
+    // buttons to save or delete the personal profile
+    createProfileControl() {
+      const group = document.createElement('div');
+      group.className = 'control-button profile';
+      group.setAttribute('role', 'group');
+
+      const header = document.createElement('label');
+      header.className = 'profile-header';
+      const title = document.createElement('span');
+      const select = document.createElement('select');
+      select.addEventListener('change', () => this.applyProfile(select.value || null));
+      header.append(createIcon(ICONS.profile), title, select);
+
+      const status = document.createElement('small');
+      status.className = 'profile-status';
+      status.setAttribute('role', 'status');
+
+      const actions = document.createElement('div');
+      actions.className = 'profile-actions';
+      const save = document.createElement('button');
+      save.type = 'button';
+      save.addEventListener('click', () => this.savePersonalProfile());
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.addEventListener('click', () => this.deletePersonalProfile());
+      actions.append(save, remove);
+      group.append(header, status, actions);
+
+      this.elements.profile = { button: group, title, select, status, save, remove };
+      return group;
+    }
+
+    // Text size slider with - and + steppers
+    createTextScaleControl() {
+      const group = document.createElement('div');
+      group.className = 'control-button text-scale';
+      group.setAttribute('role', 'group');
+
+      const header = document.createElement('div');
+      header.className = 'text-scale-header';
+      const label = document.createElement('div');
+      label.className = 'label';
+      const title = document.createElement('span');
+      const value = document.createElement('small');
+      value.className = 'value';
+      value.setAttribute('aria-hidden', 'true');
+      label.append(title, value);
+      header.append(createIcon(ICONS.fontSize), label);
+
+      const step = (direction) => {
+        const scale = this.state.textScale + direction * TEXT_SCALE.step;
+        if (scale >= TEXT_SCALE.min && scale <= TEXT_SCALE.max) this.applySettings({ textScale: scale });
+      };
+
+      const decrease = document.createElement('button');
+      decrease.type = 'button';
+      decrease.textContent = 'A\u2212';
+      decrease.addEventListener('click', () => step(-1));
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = String(TEXT_SCALE.min);
+      slider.max = String(TEXT_SCALE.max);
+      slider.step = String(TEXT_SCALE.step);
+      slider.addEventListener('input', () => this.applySettings({ textScale: Number(slider.value) }));
+
+      const increase = document.createElement('button');
+      increase.type = 'button';
+      increase.textContent = 'A+';
+      increase.addEventListener('click', () => step(1));
+
+      const row = document.createElement('div');
+      row.className = 'text-scale-row';
+      row.append(decrease, slider, increase);
+      group.append(header, row);
+
+      this.elements.fontSize = { button: group, title, value, decrease, slider, increase };
+      return group;
+    }
+
+    // One pressed button per color-vision filter
+    createColorFilterControl() {
+      const group = document.createElement('div');
+      group.className = 'control-button color-filter';
+      group.setAttribute('role', 'group');
+
+      const header = document.createElement('div');
+      header.className = 'color-filter-header';
+      const title = document.createElement('span');
+      header.append(createIcon(ICONS.colorFilter), title);
+
+      const options = document.createElement('div');
+      options.className = 'color-filter-options';
+      const buttons = {};
+      AccessibilityThemes.getFilters().forEach(name => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.addEventListener('click', () => this.applySettings({ colorFilter: name }));
+        buttons[name] = button;
+        options.appendChild(button);
+      });
+      group.append(header, options);
+
+      this.elements.colorFilter = { button: group, title, buttons };
+      return group;
+    }
+
+    // Narrator modes: the selection, from a clicked paragraph, or on hover
+    createNarratorModes() {
+      const group = document.createElement('div');
+      group.className = 'narrator-modes';
+      group.setAttribute('role', 'group');
+
+      const selection = document.createElement('button');
+      selection.type = 'button';
+      // Keep the page selection when the button is pressed
+      selection.addEventListener('mousedown', (event) => event.preventDefault());
+      selection.addEventListener('click', () => this.readSelection());
+
+      const fromHere = document.createElement('button');
+      fromHere.type = 'button';
+      fromHere.addEventListener('click', () => this.handleReadFromHere());
+
+      const hover = document.createElement('button');
+      hover.type = 'button';
+      hover.addEventListener('click', () => this.setHoverToSpeak(!this.state.hoverToSpeak));
+
+      const landmarks = document.createElement('button');
+      landmarks.type = 'button';
+      landmarks.className = 'wide';
+      landmarks.addEventListener('click', () => this.applySettings({ readLandmarks: !this.state.readLandmarks }));
+      group.append(selection, fromHere, hover, landmarks);
+
+      const hint = document.createElement('small');
+      hint.className = 'narrator-pick-hint';
+      hint.setAttribute('role', 'status');
+
+      this.elements.narratorModes = { group, selection, fromHere, hover, landmarks, hint };
+      return [group, hint];
+    }
+
+    // Narrator player: play/pause, sentence and paragraph skips and a seek bar
+    createNarratorPlayer() {
+      const group = document.createElement('div');
+      group.className = 'narrator-player';
+      group.setAttribute('role', 'group');
+
+      const row = document.createElement('div');
+      row.className = 'narrator-buttons';
+      const buttons = {};
+      ['previousBlock', 'previousSentence', 'togglePause', 'nextSentence', 'nextBlock'].forEach(action => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.setAttribute('aria-keyshortcuts', AccessibilityNarrator.SHORTCUTS[action]);
+        button.addEventListener('click', () => this.controlReading(action));
+        buttons[action] = button;
+        row.appendChild(button);
+      });
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = '1';
+      slider.step = '1';
+      slider.addEventListener('input', () => this.controlReading('seek', Number(slider.value) - 1));
+      group.append(row, slider);
+
+      this.elements.player = { group, buttons, slider };
+      return group;
+    }
+
+    // Height of the reading mask band, shown while the mask is on
+    createReadingMaskHeightControl() {
+      const label = document.createElement('label');
+      label.className = 'reading-mask-height';
+      const title = document.createElement('span');
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.min = String(AccessibilityReadingGuide.MASK_HEIGHT.min);
+      slider.max = String(AccessibilityReadingGuide.MASK_HEIGHT.max);
+      slider.step = String(AccessibilityReadingGuide.MASK_HEIGHT.step);
+      slider.addEventListener('input', () => this.applySettings({ readingMaskHeight: Number(slider.value) }));
+      label.append(title, slider);
+
+      this.elements.readingMaskHeight = { label, title, slider };
+      return label;
+    }
+
+    // Build the shadow DOM once; update() keeps it in sync with the state
+    render() {
+      const style = document.createElement('style');
+      style.textContent = PANEL_STYLES;
+
+      const panel = document.createElement('div');
+      panel.className = 'panel';
+      panel.id = 'panel';
+      // A non-modal disclosure: the launcher shows and hides the panel, and
+      // the page stays usable while it is open
+      panel.setAttribute('role', 'region');
+      // Escape closes the panel
+      panel.addEventListener('keydown', (event) => {
+        if (event.key !== 'Escape' || !this.state.isPanelOpen || event.defaultPrevented) return;
+        event.preventDefault();
+        this.close();
+      });
+
+      const progress = document.createElement('div');
+      progress.className = 'reading-progress-indicator';
+
+      const header = document.createElement('div');
+      header.className = 'header';
+      // Focused, the header moves the panel with the arrow keys
+      header.tabIndex = 0;
+      header.setAttribute('role', 'group');
+      header.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+      header.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+      header.addEventListener('pointerup', (event) => this.handlePointerUp(event));
+      header.addEventListener('pointercancel', (event) => this.handlePointerUp(event));
+      header.addEventListener('keydown', (event) => this.handleHeaderKeyDown(event));
+
+      const title = document.createElement('div');
+      title.className = 'title';
+      title.appendChild(createIcon(ICONS.accessibility));
+      const titleText = document.createElement('span');
+      title.appendChild(titleText);
+
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'toggle';
+      toggle.setAttribute('aria-controls', 'panel');
+      toggle.addEventListener('click', () => this.setState({ isPanelOpen: !this.state.isPanelOpen }));
+
+      const dock = document.createElement('button');
+      dock.type = 'button';
+      dock.className = 'dock';
+      dock.appendChild(createIcon(ICONS.dock));
+      dock.addEventListener('click', () => this.toggleBar());
+
+      header.append(title, dock, toggle);
+
+      const controls = document.createElement('div');
+      controls.className = 'controls';
+      controls.setAttribute('role', 'group');
+      // One Tab stop; the arrow keys, Home and End move between the controls
+      controls.addEventListener('keydown', (event) => AccessibilityPanel.handleRovingKeyDown(event, controls));
+      controls.addEventListener('focusin', (event) => AccessibilityPanel.handleRovingFocus(event, controls));
+      controls.append(
+        this.createShareOffer(),
+        this.createProfileControl(),
+        this.createTextScaleControl(),
+        this.createControl('contrast', () => {
+          const { colorThemes } = this.config;
+          const currentIndex = colorThemes.indexOf(this.state.colorTheme);
+          this.applySettings({ colorTheme: colorThemes[(currentIndex + 1) % colorThemes.length] });
+        }),
+        this.createControl('lineHeight', () => this.applySettings({ lineHeight: (this.state.lineHeight + 1) % 3 })),
+        ...Object.keys(TEXT_SPACING_CLASSES).map(setting =>
+          this.createControl(setting, () => this.applySettings({ [setting]: !this.state[setting] }))
+        ),
+        ...Object.keys(DISPLAY_CLASSES).map(setting =>
+          this.createControl(setting, () => this.applySettings({ [setting]: !this.state[setting] }))
+        ),
+        this.createColorFilterControl(),
+        ...['ruler', 'mask'].map(mode =>
+          this.createControl(mode === 'ruler' ? 'readingRuler' : 'readingMask', () => {
+            this.applySettings({ readingGuide: this.state.readingGuide === mode ? 'off' : mode });
+          })
+        ),
+        this.createReadingMaskHeightControl(),
+        this.createControl('readerView', () => this.setReaderView(!this.state.readerView)),
+        this.createControl('textToSpeech', () => this.handleReadAloud()),
+        ...this.createNarratorModes(),
+        this.createNarratorPlayer(),
+        this.createControl('speechRate', () => this.handleSpeechRateChange()),
+        this.createControl('voice', () => this.handleVoiceChange()),
+        this.createControl('locale', () => this.handleLocaleChange()),
+        this.createShareControl(),
+        this.createControl('reset', () => this.resetAllSettings(), 'reset')
+      );
+
+      const indicators = document.createElement('div');
+      indicators.className = 'status-indicators';
+      indicators.setAttribute('aria-hidden', 'true');
+
+      // Announces each change of a setting to screen readers
+      const liveRegion = document.createElement('span');
+      liveRegion.className = 'visually-hidden';
+      liveRegion.setAttribute('role', 'status');
+      liveRegion.setAttribute('aria-live', 'polite');
+      liveRegion.setAttribute('aria-atomic', 'true');
+
+      panel.append(progress, header, controls, indicators, liveRegion);
+      this.shadowRoot.replaceChildren(style, panel);
+
+      Object.assign(this.elements, { panel, progress, header, titleText, dock, toggle, controls, indicators, liveRegion });
+      this.update();
+    }
+
+    update() {
+      if (!this.elements.panel) return;
+
+      const {
+        isPanelOpen, sharedOffer, shareStatus, profile, personalProfile, textScale, colorTheme, lineHeight, colorFilter, readingGuide,
+        readingMaskHeight, readerView, isReading, isPaused, readingProgress, readingPosition, isPickingStart, hoverToSpeak, readLandmarks, speechRate,
+        voices, selectedVoice
+      } = this.state;
+      const speechSupported = 'speechSynthesis' in window;
+      const { panel, progress, header, titleText, dock, toggle, controls, indicators } = this.elements;
+      const { t } = this;
+
+      panel.classList.toggle(
+        'theme-dark',
+        AccessibilityPreferences.resolvePanelTheme(this.config.theme, this.systemPreferences) === 'dark'
+      );
+      panel.classList.toggle('expanded', isPanelOpen);
+      panel.setAttribute('data-color-theme', colorTheme);
+      panel.setAttribute('lang', t.tag);
+      this.updatePosition();
+
+      progress.style.display = isReading && readingProgress > 0 ? 'block' : 'none';
+      progress.style.width = `${readingProgress}%`;
+
+      titleText.textContent = t('panelTitle');
+      panel.setAttribute('aria-label', t('panelTitle'));
+      header.setAttribute('aria-label', t('movePanel'));
+      dock.setAttribute('aria-label', t('dock.bar'));
+      dock.title = t('dock.bar');
+      controls.setAttribute('aria-label', t('controlsGroup'));
+      toggle.setAttribute('aria-label', isPanelOpen ? t('closePanel') : t('openPanel'));
+      toggle.setAttribute('aria-expanded', String(isPanelOpen));
+      const { hotkey } = this.config;
+      if (hotkey) {
+        toggle.setAttribute('aria-keyshortcuts', hotkey.shortcut);
+      } else {
+        toggle.removeAttribute('aria-keyshortcuts');
+      }
+      toggle.title = `${isPanelOpen ? t('closePanelTitle') : t('openPanelTitle')}${hotkey ? ` (${hotkey.shortcut})` : ''}`;
+      toggle.replaceChildren(createIcon(isPanelOpen ? ICONS.collapse : ICONS.accessibility));
+
+      const setControl = (name, { visible, active, title, value, label, disabled = false }) => {
+        const control = this.elements[name];
+        control.button.hidden = !visible;
+        control.button.disabled = disabled;
+        control.button.classList.toggle('active', Boolean(active));
+        if (active !== undefined) control.button.setAttribute('aria-pressed', String(Boolean(active)));
+        control.button.setAttribute('aria-label', label);
+        control.title.textContent = title;
+        control.value.textContent = value;
+      };
+
+      const profileControl = this.elements.profile;
+      const profileIds = Object.keys(this.config.profiles)
+        .concat(personalProfile ? [AccessibilityProfiles.PERSONAL_PROFILE] : []);
+      profileControl.button.hidden = !this.hasFeature('profiles');
+      profileControl.button.classList.toggle('active', Boolean(profile));
+      profileControl.button.setAttribute('aria-label', t('profile'));
+      profileControl.title.textContent = t('profile');
+      const profileLabels = [''].concat(profileIds).map(id => !id
+        ? t('profile.none')
+        : id === AccessibilityProfiles.PERSONAL_PROFILE
+          ? t('profile.personal')
+          : AccessibilityProfiles.getProfileLabel(this.config.profiles[id], id, t));
+      // Rebuilt only when the options change, so an open select is not closed
+      const profileOptions = JSON.stringify([profileIds, profileLabels]);
+      if (profileControl.options !== profileOptions) {
+        profileControl.options = profileOptions;
+        profileControl.select.replaceChildren(...profileLabels.map((label, index) => {
+          const option = document.createElement('option');
+          option.value = index === 0 ? '' : profileIds[index - 1];
+          option.textContent = label;
+          return option;
+        }));
+      }
+      profileControl.select.value = profile || '';
+      profileControl.status.hidden = !this.isProfileModified;
+      profileControl.status.textContent = this.isProfileModified ? t('profile.modified') : '';
+      profileControl.save.textContent = t('profile.save');
+      profileControl.remove.textContent = t('profile.delete');
+      profileControl.remove.hidden = !personalProfile;
+
+      const scaleControl = this.elements.fontSize;
+      scaleControl.button.hidden = !this.hasFeature('fontSize');
+      scaleControl.button.classList.toggle('active', textScale > TEXT_SCALE.min);
+      scaleControl.button.setAttribute('aria-label', t('fontSize'));
+      scaleControl.title.textContent = t('fontSize');
+      scaleControl.value.textContent = t.percent(textScale);
+      scaleControl.slider.value = String(textScale);
+      scaleControl.slider.setAttribute('aria-label', t('fontSize'));
+      scaleControl.slider.setAttribute('aria-valuetext', t.percent(textScale));
+      scaleControl.decrease.setAttribute('aria-label', t('textScale.decrease'));
+      scaleControl.decrease.disabled = textScale <= TEXT_SCALE.min;
+      scaleControl.increase.setAttribute('aria-label', t('textScale.increase'));
+      scaleControl.increase.disabled = textScale >= TEXT_SCALE.max;
+      setControl('contrast', {
+        visible: this.hasFeature('contrast'),
+        active: colorTheme !== 'default',
+        title: t('contrast'),
+        value: t(`colorTheme.${colorTheme}`),
+        label: `${t('contrast')}: ${t(`colorTheme.${colorTheme}`).toLowerCase()}`
+      });
+      setControl('lineHeight', {
+        visible: this.hasFeature('lineHeight'),
+        active: lineHeight > 0,
+        title: t('lineHeight'),
+        value: t.level(lineHeight),
+        label: `${t('lineHeight')}: ${t.level(lineHeight).toLowerCase()}`
+      });
+      Object.keys(TEXT_SPACING_CLASSES).forEach(setting => {
+        setControl(setting, {
+          visible: this.hasFeature(setting),
+          active: this.state[setting],
+          title: t(setting),
+          value: t.spacing(this.state[setting]),
+          label: `${t(setting)}: ${t.spacing(this.state[setting]).toLowerCase()}`
+        });
+      });
+      Object.keys(DISPLAY_CLASSES).forEach(setting => {
+        const value = this.state[setting] ? t('active') : t('inactive');
+        setControl(setting, {
+          visible: this.hasFeature(setting),
+          active: this.state[setting],
+          title: t(setting),
+          value,
+          label: `${t(setting)}: ${value.toLowerCase()}`
+        });
+      });
+
+      const filterControl = this.elements.colorFilter;
+      filterControl.button.hidden = !this.hasFeature('colorFilter');
+      filterControl.button.classList.toggle('active', colorFilter !== 'none');
+      filterControl.button.setAttribute('aria-label', t('colorFilter'));
+      filterControl.title.textContent = t('colorFilter');
+      Object.keys(filterControl.buttons).forEach(name => {
+        filterControl.buttons[name].textContent = t(`colorFilter.${name}`);
+        filterControl.buttons[name].setAttribute('aria-pressed', String(colorFilter === name));
+      });
+      [['ruler', 'readingRuler'], ['mask', 'readingMask']].forEach(([mode, name]) => {
+        const value = readingGuide === mode ? t('active') : t('inactive');
+        setControl(name, {
+          visible: this.hasFeature('readingGuide'),
+          active: readingGuide === mode,
+          title: t(name),
+          value,
+          label: `${t(name)}: ${value.toLowerCase()}`
+        });
+      });
+      const maskHeight = this.elements.readingMaskHeight;
+      maskHeight.label.hidden = !this.hasFeature('readingGuide') || readingGuide !== 'mask';
+      maskHeight.title.textContent = t('readingMaskHeight');
+      maskHeight.slider.value = String(readingMaskHeight);
+      maskHeight.slider.setAttribute('aria-valuetext', t('readingMaskHeightValue', { height: readingMaskHeight }));
+      const readerViewValue = readerView ? t('active') : t('inactive');
+      setControl('readerView', {
+        visible: this.hasFeature('readerView'),
+        active: readerView,
+        title: t('readerView'),
+        value: readerViewValue,
+        label: `${t('readerView')}: ${readerViewValue.toLowerCase()}`
+      });
+      setControl('textToSpeech', {
+        visible: this.hasFeature('textToSpeech'),
+        active: isReading,
+        disabled: !speechSupported,
+        title: isReading ? t('stopReading') : t('readAloud'),
+        value: speechSupported
+          ? (isReading
+              ? (isPaused ? t('player.paused') : t('readingProgress', { progress: readingProgress }))
+              : t('inactive'))
+          : t('unavailable'),
+        label: isReading ? t('stopReading') : t('readAloud')
+      });
+
+      const { narratorModes } = this.elements;
+      narratorModes.group.hidden = !this.hasFeature('textToSpeech');
+      narratorModes.group.setAttribute('aria-label', t('narrator.modes'));
+      [['selection', 'narrator.selection'], ['fromHere', 'narrator.fromHere'], ['hover', 'narrator.hover']].forEach(([name, key]) => {
+        narratorModes[name].textContent = t(key);
+        narratorModes[name].disabled = !speechSupported;
+      });
+      narratorModes.fromHere.setAttribute('aria-pressed', String(isPickingStart));
+      narratorModes.hover.setAttribute('aria-pressed', String(hoverToSpeak));
+      narratorModes.landmarks.textContent = t('narrator.landmarks');
+      narratorModes.landmarks.setAttribute('aria-pressed', String(readLandmarks));
+      narratorModes.hint.hidden = !this.hasFeature('textToSpeech') || !isPickingStart;
+      narratorModes.hint.textContent = isPickingStart ? t('narrator.pickStart') : '';
+
+      const { player } = this.elements;
+      player.group.hidden = !this.hasFeature('textToSpeech') || !isReading;
+      player.group.setAttribute('aria-label', t('player.label'));
+      const playerLabels = {
+        previousBlock: t('player.previousParagraph'),
+        previousSentence: t('player.previousSentence'),
+        togglePause: isPaused ? t('player.play') : t('player.pause'),
+        nextSentence: t('player.nextSentence'),
+        nextBlock: t('player.nextParagraph')
+      };
+      Object.keys(player.buttons).forEach(action => {
+        const button = player.buttons[action];
+        const icon = action === 'togglePause' ? (isPaused ? 'play' : 'pause') : action;
+        button.setAttribute('aria-label', playerLabels[action]);
+        button.title = `${playerLabels[action]} (${AccessibilityNarrator.SHORTCUTS[action]})`;
+        if (button.dataset.icon !== icon) {
+          button.dataset.icon = icon;
+          button.replaceChildren(createIcon(ICONS[icon]));
+        }
+      });
+      player.slider.max = String(Math.max(1, readingPosition.total));
+      player.slider.value = String(readingPosition.chunk || 1);
+      player.slider.setAttribute('aria-label', t('player.seek'));
+      player.slider.setAttribute('aria-valuetext', t('player.position', readingPosition));
+      setControl('speechRate', {
+        visible: this.hasFeature('textToSpeech') && this.hasFeature('speechRate') && voices.length > 0,
+        title: t('speechRate'),
+        value: t.speechRate(speechRate),
+        label: `${t('speechRate')}: ${t.speechRate(speechRate)}`
+      });
+
+      const voiceName = !selectedVoice
+        ? t('defaultVoice')
+        : selectedVoice.name.length > 20 ? selectedVoice.name.substring(0, 20) + '...' : selectedVoice.name;
+      setControl('voice', {
+        visible: this.hasFeature('textToSpeech') && this.hasFeature('voice') && voices.length > 1,
+        title: t('voice'),
+        value: voiceName,
+        label: `${t('voiceLabel', { voice: voiceName })}, ${t('voicesAvailable', { count: voices.length })}`
+      });
+      setControl('locale', {
+        visible: this.hasFeature('locale') && this.config.locales.length > 1,
+        title: t('uiLanguage'),
+        value: t.localeName,
+        label: `${t('uiLanguage')}: ${t.localeName}`
+      });
+      const { shareOffer, share } = this.elements;
+      shareOffer.group.hidden = !sharedOffer;
+      shareOffer.group.setAttribute('aria-label', t('share'));
+      shareOffer.message.textContent = t('share.offer');
+      shareOffer.apply.textContent = t('share.apply');
+      shareOffer.dismiss.textContent = t('share.dismiss');
+      share.group.hidden = !this.hasFeature('share');
+      share.group.setAttribute('aria-label', t('share'));
+      share.title.textContent = t('share');
+      Object.keys(share.buttons).forEach(label => {
+        share.buttons[label].textContent = t(label);
+      });
+      share.input.placeholder = t('share.code');
+      share.input.setAttribute('aria-label', t('share.code'));
+      share.submit.textContent = t('share.apply');
+      share.status.hidden = !shareStatus;
+      share.status.textContent = shareStatus ? t(shareStatus) : '';
+      setControl('reset', {
+        visible: this.hasFeature('reset'),
+        title: t('reset'),
+        value: '',
+        label: t('resetAll')
+      });
+
+      const activeIndicators = [
+        textScale > TEXT_SCALE.min && { title: t('indicator.fontSize') },
+        colorTheme !== 'default' && { title: t('indicator.contrast') },
+        lineHeight > 0 && { title: t('indicator.lineHeight') },
+        Object.keys(TEXT_SPACING_CLASSES).some(setting => this.state[setting]) && { title: t('indicator.textSpacing') },
+        colorFilter !== 'none' && { title: t('indicator.colorFilter') },
+        readingGuide !== 'off' && { title: t('indicator.readingGuide') },
+        isReading && { title: t('indicator.reading'), className: 'reading' }
+      ].filter(Boolean);
+      indicators.replaceChildren(...activeIndicators.map(({ title, className }) => {
+        const dot = document.createElement('span');
+        dot.title = title;
+        if (className) dot.className = className;
+        return dot;
+      }));
+
+      this.updateFocus();
+    }
+  }
+
+  // Scale the root and body font sizes from their unscaled values, so rem and
+  // em sizes keep their proportions. Only two elements are restyled.
+  function applyTextScale(scale) {
+    const root = document.documentElement;
+    if (!root.classList.contains('a11y-text-scaled')) {
+      root.style.setProperty('--a11y-root-font-size', window.getComputedStyle(root).fontSize);
+      root.style.setProperty('--a11y-body-font-size', window.getComputedStyle(document.body).fontSize);
+    }
+    root.style.setProperty('--a11y-text-scale', String(scale / 100));
+    root.classList.toggle('a11y-text-scaled', scale !== TEXT_SCALE.min);
+  }
+
+  // Page styles are shared by every instance, so they are injected only
+  // once and rebuilt with the `exclude` selectors of the last one configured
+  function injectPageStyles(exclude) {
+    let style = document.getElementById(PAGE_STYLE_ID);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = PAGE_STYLE_ID;
+      document.head.appendChild(style);
+    }
+    style.textContent = AccessibilitySettings.buildPageStyles(exclude);
+  }
+
+  if (!window.customElements.get(TAG_NAME)) {
+    window.customElements.define(TAG_NAME, AccessibilitySidebarElement);
+  }
+
+  window.AccessibilitySidebarElement = AccessibilitySidebarElement;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilitySidebarElement;
+  }
+})();
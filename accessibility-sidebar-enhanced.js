@@ -3,126 +3,797 @@
  * Compatible with browsers without build tools
  */
 
+// Default configuration. Every key can be overridden through the options
+// object passed to window.AccessibilitySidebar(options).
+const SIDEBAR_DEFAULT_CONFIG = {
+  position: { x: 16, y: 100 },
+  theme: 'auto',
+  language: 'ro-RO',
+  languages: ['ro'],
+  voice: null,
+  locale: null,
+  locales: null,
+  root: null,
+  container: null,
+  colorThemes: null,
+  surfaces: [],
+  exclude: [],
+  profiles: null,
+  sync: true,
+  syncHub: null,
+  hotkey: 'Alt+A',
+  features: {
+    profiles: true,
+    fontSize: true,
+    contrast: true,
+    lineHeight: true,
+    letterSpacing: true,
+    wordSpacing: true,
+    paragraphSpacing: true,
+    readableFont: true,
+    leftAlign: true,
+    bigCursor: true,
+    stopAnimations: true,
+    colorFilter: true,
+    readingGuide: true,
+    readerView: true,
+    textToSpeech: true,
+    speechRate: true,
+    voice: true,
+    locale: true,
+    share: true,
+    reset: true
+  },
+  defaults: {
+    fontSize: 0,
+    textScale: 100,
+    highContrast: false,
+    colorTheme: 'default',
+    lineHeight: 0,
+    letterSpacing: false,
+    wordSpacing: false,
+    paragraphSpacing: false,
+    readableFont: false,
+    leftAlign: false,
+    bigCursor: false,
+    stopAnimations: false,
+    colorFilter: 'none',
+    readingGuide: 'off',
+    readingMaskHeight: 120,
+    readerFont: 'sans',
+    readerWidth: 'medium',
+    readerSpacing: 'normal',
+    readLandmarks: false,
+    speechRate: 0.8,
+    speechPitch: 1.0
+  }
+};
+
+// The scales, page classes and stylesheet, setting validators and voice
+// choice are shared with the web component through AccessibilitySettings
+// (src/accessibility-settings.js). It is looked up when used, so a missing
+// script is reported when the widget is created.
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isSelectorOrElement = (value) =>
+  value === null ||
+  (typeof value === 'string' && value.trim().length > 0) ||
+  (typeof Element !== 'undefined' && value instanceof Element);
+
+// Validators for each option. Each entry returns true when the value is usable;
+// `expected` is shown in the console error when it is not.
+const SIDEBAR_CONFIG_SCHEMA = {
+  position: {
+    validate: (v) => isPlainObject(v) && Number.isFinite(v.x) && Number.isFinite(v.y),
+    expected: 'an object like { x: 16, y: 100 }'
+  },
+  theme: {
+    validate: (v) => AccessibilitySettings.PANEL_THEMES.includes(v),
+    expected: 'one of "auto", "light", "dark"'
+  },
+  language: {
+    validate: (v) => typeof v === 'string' && /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(v),
+    expected: 'a BCP 47 language tag such as "ro-RO" or "en-US"'
+  },
+  languages: {
+    validate: (v) => Array.isArray(v) && v.length > 0 && v.every(l => typeof l === 'string' && l.length >= 2),
+    expected: 'a non-empty array of language codes such as ["ro", "en"]'
+  },
+  voice: {
+    validate: (v) => v === null || (typeof v === 'string' && v.trim().length > 0),
+    expected: 'a voice name (string) or null'
+  },
+  locale: {
+    validate: (v) => v === null || (typeof v === 'string' && /^[a-z]{2,3}([-_][A-Za-z]{2,4})?$/.test(v)),
+    expected: 'a UI locale code such as "ro", "en" or "hu", or null to follow <html lang>'
+  },
+  locales: {
+    validate: (v) => v === null || (Array.isArray(v) && v.length > 0 && v.every(l => typeof l === 'string')),
+    expected: 'a non-empty array of UI locale codes such as ["ro", "en"], or null for every registered locale'
+  },
+  root: {
+    validate: isSelectorOrElement,
+    expected: 'a CSS selector, a DOM element or null'
+  },
+  colorThemes: {
+    validate: (v) => v === null || (Array.isArray(v) && v.length > 0 && v.every(name => AccessibilityThemes.isTheme(name))),
+    expected: 'a non-empty array of color themes such as ["dark", "yellowOnBlack"], or null for all of them'
+  },
+  surfaces: {
+    validate: (v) => Array.isArray(v) && v.every(AccessibilitySettings.isValidSelector),
+    expected: 'an array of CSS selectors for components with their own background, e.g. [".card"]'
+  },
+  exclude: {
+    validate: (v) => Array.isArray(v) && v.every(AccessibilitySettings.isValidSelector),
+    expected: 'an array of CSS selectors of content left as it is, e.g. [".map", ".code-editor"]'
+  },
+  container: {
+    validate: isSelectorOrElement,
+    expected: 'a CSS selector, a DOM element or null'
+  },
+  profiles: {
+    validate: (v) => v === null || isPlainObject(v),
+    expected: 'an object of profiles such as { senior: { label: "Seniors", settings: { textScale: 150 } } }, or null'
+  },
+  sync: {
+    validate: (v) => typeof v === 'boolean',
+    expected: 'true or false'
+  },
+  syncHub: {
+    validate: (v) => v === null ||
+      (isPlainObject(v) && typeof v.url === 'string' && v.url.length > 0 && AccessibilitySync.isOriginList(v.origins)),
+    expected: 'null, or { url, origins } with the URL of accessibility-hub.html and the allowed origins, ' +
+      'e.g. { url: "https://example.com/accessibility-hub.html", origins: ["https://example.com", "https://*.example.com"] }'
+  },
+  hotkey: {
+    validate: (v) => v === null || AccessibilityPanel.parseHotkey(v) !== null,
+    expected: 'a shortcut such as "Alt+A" or "Ctrl+Shift+F2" (letters and digits need a modifier), or null to turn it off'
+  },
+  features: {
+    fields: {
+      profiles: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      fontSize: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      contrast: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      lineHeight: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      letterSpacing: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      wordSpacing: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      paragraphSpacing: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      readableFont: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      leftAlign: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      bigCursor: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      stopAnimations: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      colorFilter: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      readingGuide: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      readerView: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      textToSpeech: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      speechRate: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      voice: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      locale: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      share: { validate: (v) => typeof v === 'boolean', expected: 'true or false' },
+      reset: { validate: (v) => typeof v === 'boolean', expected: 'true or false' }
+    }
+  },
+  // The settings' own validators, shared with the web component
+  defaults: {
+    get fields() {
+      return AccessibilitySettings.SETTINGS_SCHEMA;
+    }
+  }
+};
+
+const reportConfigError = (message) => {
+  console.error(`[AccessibilitySidebar] ${message}`);
+};
+
+// Merge a group of options over its defaults, reporting unknown keys and
+// invalid values. Invalid values fall back to the default.
+const resolveConfigGroup = (options, defaults, schema, path) => {
+  const resolved = { ...defaults };
+
+  Object.keys(options).forEach(key => {
+    const optionPath = path ? `${path}.${key}` : key;
+    const rule = schema[key];
+
+    if (!rule) {
+      reportConfigError(
+        `Unknown option "${optionPath}". Supported options are: ${Object.keys(schema).join(', ')}.`
+      );
+      return;
+    }
+
+    const value = options[key];
+
+    if (rule.fields) {
+      if (!isPlainObject(value)) {
+        reportConfigError(`Option "${optionPath}" must be an object. Using the defaults.`);
+        return;
+      }
+      resolved[key] = resolveConfigGroup(value, defaults[key], rule.fields, optionPath);
+      return;
+    }
+
+    if (!rule.validate(value)) {
+      reportConfigError(
+        `Invalid value for "${optionPath}": ${JSON.stringify(value)}. ` +
+        `Expected ${rule.expected}. Using ${JSON.stringify(defaults[key])} instead.`
+      );
+      return;
+    }
+
+    resolved[key] = value;
+  });
+
+  return resolved;
+};
+
+// Validate user options and return a complete configuration object
+const resolveSidebarConfig = (options = {}) => {
+  if (!isPlainObject(options)) {
+    reportConfigError('Options must be an object. Using the default configuration.');
+    return resolveSidebarConfig({});
+  }
+
+  const config = resolveConfigGroup(options, SIDEBAR_DEFAULT_CONFIG, SIDEBAR_CONFIG_SCHEMA, '');
+
+  // The narration language must be one of the offered voice languages
+  if (options.language && !options.languages) {
+    config.languages = [config.language.split('-')[0]];
+  }
+
+  // The 0/1/2 fontSize default still works when no textScale is given
+  if (options.defaults && options.defaults.fontSize !== undefined && options.defaults.textScale === undefined) {
+    config.defaults.textScale = AccessibilitySettings.FONT_SIZE_SCALES[config.defaults.fontSize];
+  }
+
+  // highContrast: true of earlier versions starts the dark theme
+  if (options.defaults && options.defaults.highContrast && options.defaults.colorTheme === undefined) {
+    config.defaults.colorTheme = 'dark';
+  }
+
+  // The contrast button cycles through the offered themes, starting with the page's own colors
+  config.colorThemes = ['default'].concat(
+    (config.colorThemes || AccessibilityThemes.getThemes()).filter(name => name !== 'default')
+  );
+  if (!config.colorThemes.includes(config.defaults.colorTheme)) {
+    reportConfigError(
+      `defaults.colorTheme "${config.defaults.colorTheme}" is not in "colorThemes". Using "default" instead.`
+    );
+    config.defaults.colorTheme = 'default';
+  }
+
+  // Only offer UI locales that have a message catalog
+  if (config.locales) {
+    const unknownLocales = config.locales.filter(l => !AccessibilityI18n.isLocaleSupported(l));
+    if (unknownLocales.length > 0) {
+      reportConfigError(
+        `Unknown locale(s) in "locales": ${unknownLocales.join(', ')}. ` +
+        `Register them with AccessibilityI18n.registerLocale() first.`
+      );
+    }
+    config.locales = config.locales.filter(l => AccessibilityI18n.isLocaleSupported(l));
+  }
+  if (!config.locales || config.locales.length === 0) {
+    config.locales = AccessibilityI18n.getLocales();
+  }
+  config.locale = AccessibilityI18n.resolveLocale(config.locale);
+
+  // The built-in profiles, with the site's own merged over them
+  config.profiles = AccessibilityProfiles.resolveProfiles(config.profiles, {
+    validate: AccessibilitySettings.isProfileValue,
+    onError: reportConfigError
+  });
+
+  return config;
+};
+
+// Resolve a selector or element option to a DOM element
+const resolveElement = (target) => {
+  if (!target) return null;
+  if (typeof target === 'string') return document.querySelector(target);
+  return target;
+};
+
+// Colors for the panel chrome. An active color theme always wins over the panel theme.
+const getPanelPalette = (theme, colorTheme) => {
+  if (colorTheme === 'highContrast') {
+    return {
+      background: '#fff',
+      text: '#000',
+      border: '#000',
+      accent: '#000',
+      button: '#fff',
+      buttonText: '#000',
+      activeButton: '#000',
+      activeButtonText: '#fff',
+      resetButton: '#fff',
+      resetButtonText: '#000'
+    };
+  }
+
+  if (colorTheme === 'yellowOnBlack') {
+    return {
+      background: '#000',
+      text: '#ff0',
+      border: '#ff0',
+      accent: '#ff0',
+      button: '#000',
+      buttonText: '#ff0',
+      activeButton: '#ff0',
+      activeButtonText: '#000',
+      resetButton: '#000',
+      resetButtonText: '#ff0'
+    };
+  }
+
+  if (colorTheme !== 'default') {
+    return {
+      background: '#000',
+      text: '#fff',
+      border: '#fff',
+      accent: '#fff',
+      button: '#333',
+      buttonText: '#fff',
+      activeButton: '#fff',
+      activeButtonText: '#000',
+      resetButton: '#444',
+      resetButtonText: '#fff'
+    };
+  }
+
+  if (theme === 'dark') {
+    return {
+      background: '#1e1e1e',
+      text: '#eee',
+      border: '#64b5f6',
+      accent: '#64b5f6',
+      button: '#2c2c2c',
+      buttonText: '#eee',
+      activeButton: '#0d47a1',
+      activeButtonText: '#fff',
+      resetButton: '#2c2c2c',
+      resetButtonText: '#bbb'
+    };
+  }
+
+  return {
+    background: 'white',
+    text: '#333',
+    border: '#2196F3',
+    accent: '#2196F3',
+    button: '#f5f5f5',
+    buttonText: '#333',
+    activeButton: '#e3f2fd',
+    activeButtonText: '#2196F3',
+    resetButton: '#f5f5f5',
+    resetButtonText: '#666'
+  };
+};
+
+// Numbers the panels, for the id the launcher's aria-controls points at
+let sidebarPanelCount = 0;
+
+const SIDEBAR_EVENTS = ['change', 'readingstart', 'readingprogress', 'readingpause', 'readingresume', 'readingend'];
+
+// Minimal event emitter behind controller.on()/off()
+const createSidebarEventBus = () => {
+  const listeners = {};
+
+  const off = (event, callback) => {
+    if (!listeners[event]) return;
+    listeners[event] = listeners[event].filter(listener => listener !== callback);
+  };
+
+  const on = (event, callback) => {
+    if (!SIDEBAR_EVENTS.includes(event)) {
+      reportConfigError(`Unknown event "${event}". Supported events are: ${SIDEBAR_EVENTS.join(', ')}.`);
+      return () => {};
+    }
+    if (typeof callback !== 'function') {
+      reportConfigError(`The listener for "${event}" must be a function.`);
+      return () => {};
+    }
+
+    listeners[event] = (listeners[event] || []).concat(callback);
+    return () => off(event, callback);
+  };
+
+  const emit = (event, detail) => {
+    (listeners[event] || []).forEach(listener => {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`[AccessibilitySidebar] Error in "${event}" listener:`, error);
+      }
+    });
+
+    // Keep the documented DOM event for settings changes
+    if (event === 'change') {
+      document.dispatchEvent(new CustomEvent('accessibilityChange', { detail }));
+    }
+  };
+
+  return { on, off, emit };
+};
+
 // Enhanced Accessibility Sidebar Component with Narrator
-window.AccessibilitySidebar = function() {
+function AccessibilitySidebarPanel({ config = resolveSidebarConfig(), events: eventBus, controllerRef } = {}) {
+  const { features } = config;
+
+  // Preferences of the operating system and browser. They adjust the
+  // configured defaults, which saved settings still win over.
+  const [systemPreferences, setSystemPreferences] = React.useState(AccessibilityPreferences.getPreferences);
+  const defaults = React.useMemo(() => ({
+    ...config.defaults,
+    ...AccessibilityPreferences.getDefaults(systemPreferences, { colorThemes: config.colorThemes })
+  }), [systemPreferences]);
+  const systemDefaultsRef = React.useRef(defaults);
+
+  // Listeners registered through the controller; a private bus when rendered directly
+  const events = React.useRef(eventBus || createSidebarEventBus()).current;
+
   // State for panel visibility and settings
   const [isPanelOpen, setIsPanelOpen] = React.useState(false);
   const [isDragging, setIsDragging] = React.useState(false);
-  const [position, setPosition] = React.useState({ x: 16, y: 100 });
-  const [startPos, setStartPos] = React.useState({ x: 0, y: 0 });
-  const [isMobile, setIsMobile] = React.useState(false);
+
+  // Position of the panel, saved per viewport class
+  const getSavedPlacement = (viewportClass) => {
+    const saved = AccessibilityStorage.getStore().get('layout')[viewportClass];
+    return AccessibilityPosition.isPlacement(saved)
+      ? saved
+      : AccessibilityPosition.getDefaultPlacement(viewportClass, config.position);
+  };
+  const [viewportClass, setViewportClass] = React.useState(() => AccessibilityPosition.getViewportClass());
+  const isMobile = AccessibilityPosition.isMobileClass(viewportClass);
+  const [placement, setPlacement] = React.useState(() => getSavedPlacement(viewportClass));
+  const dragRef = React.useRef(null); // pointer of the drag under way
+
+  // Keyboard and screen reader support of the panel itself
+  const hotkey = React.useMemo(() => AccessibilityPanel.parseHotkey(config.hotkey), []);
+  const [panelId] = React.useState(() => `accessibility-sidebar-panel-${++sidebarPanelCount}`);
+  const panelRef = React.useRef(null);
+  const toggleRef = React.useRef(null);
+  const controlsRef = React.useRef(null);
+  const liveRegionRef = React.useRef(null);
+  const returnFocusRef = React.useRef(null); // focused before the panel took focus
+  const wasPanelOpenRef = React.useRef(false);
   
   // Voice and narrator states
   const [availableRomanianVoices, setAvailableRomanianVoices] = React.useState([]);
   const [selectedVoice, setSelectedVoice] = React.useState(null);
+  const [allVoices, setAllVoices] = React.useState([]);
   const [readingProgress, setReadingProgress] = React.useState(0);
-  const [currentUtterance, setCurrentUtterance] = React.useState(null);
-  const [speechRate, setSpeechRate] = React.useState(0.8);
-  const [speechPitch, setSpeechPitch] = React.useState(1.0);
+  const [speechRate, setSpeechRate] = React.useState(defaults.speechRate);
+  const [speechPitch, setSpeechPitch] = React.useState(defaults.speechPitch);
 
   // Accessibility states
-  const [fontSize, setFontSize] = React.useState(0); // 0: normal, 1: larger, 2: largest
-  const [highContrast, setHighContrast] = React.useState(false);
-  const [lineHeight, setLineHeight] = React.useState(0); // 0: normal, 1: larger, 2: largest
+  const [textScale, setTextScale] = React.useState( // percent
+    features.fontSize ? defaults.textScale : AccessibilitySettings.TEXT_SCALE.min
+  );
+  const [colorTheme, setColorTheme] = React.useState(features.contrast ? defaults.colorTheme : 'default');
+  const highContrast = colorTheme !== 'default';
+  const [lineHeight, setLineHeight] = React.useState(features.lineHeight ? defaults.lineHeight : 0); // 0: normal, 1: larger, 2: largest
+  const [letterSpacing, setLetterSpacing] = React.useState(features.letterSpacing ? defaults.letterSpacing : false);
+  const [wordSpacing, setWordSpacing] = React.useState(features.wordSpacing ? defaults.wordSpacing : false);
+  const [paragraphSpacing, setParagraphSpacing] = React.useState(features.paragraphSpacing ? defaults.paragraphSpacing : false);
+  const [readableFont, setReadableFont] = React.useState(features.readableFont ? defaults.readableFont : false);
+  const [leftAlign, setLeftAlign] = React.useState(features.leftAlign ? defaults.leftAlign : false);
+  const [bigCursor, setBigCursor] = React.useState(features.bigCursor ? defaults.bigCursor : false);
+  const [stopAnimations, setStopAnimations] = React.useState(features.stopAnimations ? defaults.stopAnimations : false);
+  const [colorFilter, setColorFilter] = React.useState(features.colorFilter ? defaults.colorFilter : 'none');
+  const [readingGuide, setReadingGuide] = React.useState(features.readingGuide ? defaults.readingGuide : 'off');
+  const [readingMaskHeight, setReadingMaskHeight] = React.useState(defaults.readingMaskHeight);
   const [isReading, setIsReading] = React.useState(false);
-  
-  // Use ref to avoid closure issues with isReading
-  const isReadingRef = React.useRef(false);
-
-  // Check for mobile devices
+  const [isPaused, setIsPaused] = React.useState(false);
+  const [readingPosition, setReadingPosition] = React.useState({ chunk: 0, total: 0 });
+  const [isPickingStart, setIsPickingStart] = React.useState(false);
+  const [hoverToSpeak, setHoverToSpeak] = React.useState(false);
+  const [readLandmarks, setReadLandmarks] = React.useState(features.textToSpeech ? defaults.readLandmarks : false);
+  const [isReaderView, setIsReaderView] = React.useState(false);
+  const [profile, setProfile] = React.useState(null);
+  const [personalProfile, setPersonalProfile] = React.useState(null);
+  const [sharedOffer, setSharedOffer] = React.useState(null); // settings of a shared link, until applied or dismissed
+  const [shareInput, setShareInput] = React.useState('');
+  const [shareStatus, setShareStatus] = React.useState(null); // message key of the last share action
+  const shareFileRef = React.useRef(null);
+  const [readerOptions, setReaderOptions] = React.useState({
+    font: defaults.readerFont,
+    width: defaults.readerWidth,
+    spacing: defaults.readerSpacing
+  });
+
+  // UI locale and its translator
+  const [locale, setLocale] = React.useState(config.locale);
+  const t = React.useMemo(() => AccessibilityI18n.createTranslator(locale), [locale]);
+
+  // Follow the viewport class, and keep the panel inside the viewport
   React.useEffect(() => {
-    const checkMobile = () => {
-      setIsMobile(window.innerWidth <= 768);
+    const handleResize = () => {
+      setViewportClass(AccessibilityPosition.getViewportClass());
+      setPlacement(current => AccessibilityPosition.fit(current, getPanelSize()));
     };
-
-    checkMobile();
-    window.addEventListener('resize', checkMobile);
-    return () => window.removeEventListener('resize', checkMobile);
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
   }, []);
 
-  // Load saved settings on mount
+  // Take the position saved for a new viewport class, e.g. after the phone
+  // was turned
   React.useEffect(() => {
-    try {
-      const savedSettings = localStorage.getItem('accessibilitySettings');
-      if (savedSettings) {
-        const settings = JSON.parse(savedSettings);
-        if (settings.fontSize !== undefined) {
-          setFontSize(settings.fontSize);
-          applyFontSizeClass(settings.fontSize);
-        }
-        if (settings.highContrast !== undefined) {
-          setHighContrast(settings.highContrast);
-          applyHighContrastClass(settings.highContrast);
-        }
-        if (settings.lineHeight !== undefined) {
-          setLineHeight(settings.lineHeight);
-          applyLineHeightClass(settings.lineHeight);
-        }
+    setPlacement(getSavedPlacement(viewportClass));
+  }, [viewportClass]);
+
+  // Apply saved settings. Saved values win over the configured defaults,
+  // but never re-enable a feature the site has turned off.
+  const applySavedSettings = (settings) => {
+    if (features.fontSize) {
+      // Settings saved before text scaling only have a 0/1/2 fontSize level
+      const savedTextScale = AccessibilitySettings.isTextScale(settings.textScale)
+        ? settings.textScale
+        : [0, 1, 2].includes(settings.fontSize)
+          ? AccessibilitySettings.FONT_SIZE_SCALES[settings.fontSize]
+          : defaults.textScale;
+      setTextScale(savedTextScale);
+      applyTextScale(savedTextScale);
+    }
+    if (features.contrast) {
+      // Settings saved before color themes only have the highContrast flag
+      const savedTheme = config.colorThemes.includes(settings.colorTheme)
+        ? settings.colorTheme
+        : settings.highContrast !== undefined
+          ? (settings.highContrast && config.colorThemes.includes('dark') ? 'dark' : 'default')
+          : defaults.colorTheme;
+      setColorTheme(savedTheme);
+      applyColorTheme(savedTheme);
+    }
+    if (features.lineHeight) {
+      const savedLineHeight = settings.lineHeight !== undefined ? settings.lineHeight : defaults.lineHeight;
+      setLineHeight(savedLineHeight);
+      applyLineHeightClass(savedLineHeight);
+    }
+    Object.keys(AccessibilitySettings.TEXT_SPACING_CLASSES).forEach(setting => {
+      if (!features[setting]) return;
+      const savedSpacing = settings[setting] !== undefined ? settings[setting] : defaults[setting];
+      textSpacingSetters[setting](savedSpacing);
+      applyTextSpacingClass(setting, savedSpacing);
+    });
+    Object.keys(AccessibilitySettings.DISPLAY_CLASSES).forEach(setting => {
+      if (!features[setting]) return;
+      const savedAdjustment = typeof settings[setting] === 'boolean' ? settings[setting] : defaults[setting];
+      displaySetters[setting](savedAdjustment);
+      applyDisplayClass(setting, savedAdjustment);
+    });
+    if (features.colorFilter) {
+      const savedFilter = AccessibilityThemes.isFilter(settings.colorFilter) ? settings.colorFilter : defaults.colorFilter;
+      setColorFilter(savedFilter);
+      applyColorFilter(savedFilter);
+    }
+    if (features.readingGuide) {
+      const savedGuide = AccessibilityReadingGuide.isMode(settings.readingGuide) ? settings.readingGuide : defaults.readingGuide;
+      const savedHeight = AccessibilityReadingGuide.isMaskHeight(settings.readingMaskHeight)
+        ? settings.readingMaskHeight
+        : defaults.readingMaskHeight;
+      setReadingGuide(savedGuide);
+      setReadingMaskHeight(savedHeight);
+      applyReadingGuide(savedGuide, savedHeight);
+    }
+    if (features.readerView) {
+      setReaderOptions({
+        font: AccessibilityReaderView.isOption('font', settings.readerFont) ? settings.readerFont : defaults.readerFont,
+        width: AccessibilityReaderView.isOption('width', settings.readerWidth) ? settings.readerWidth : defaults.readerWidth,
+        spacing: AccessibilityReaderView.isOption('spacing', settings.readerSpacing) ? settings.readerSpacing : defaults.readerSpacing
+      });
+    }
+    if (features.textToSpeech) {
+      setReadLandmarks(typeof settings.readLandmarks === 'boolean' ? settings.readLandmarks : defaults.readLandmarks);
+      setSpeechPitch(AccessibilitySettings.isSettingValue('speechPitch', settings.speechPitch)
+        ? settings.speechPitch
+        : defaults.speechPitch);
+    }
+    if (features.speechRate) {
+      setSpeechRate(AccessibilitySettings.isSettingValue('speechRate', settings.speechRate)
+        ? settings.speechRate
+        : defaults.speechRate);
+    }
+    if (features.locale && config.locales.includes(settings.locale)) {
+      setLocale(settings.locale);
+    }
+    if (features.profiles) {
+      const savedPersonalProfile = AccessibilityProfiles.readPersonalProfile(settings.personalProfile, {
+        validate: AccessibilitySettings.isProfileValue
+      });
+      setPersonalProfile(savedPersonalProfile);
+      const isPersonal = settings.profile === AccessibilityProfiles.PERSONAL_PROFILE;
+      if (isPersonal ? savedPersonalProfile : config.profiles[settings.profile]) {
+        setProfile(settings.profile);
+      } else {
+        setProfile(null);
       }
-    } catch (error) {
-      console.error('Error loading accessibility settings:', error);
     }
+  };
+
+  // Load saved settings on mount. With sync on, the settings another tab or
+  // page saves are applied as they change.
+  const [isLoaded, setIsLoaded] = React.useState(false);
+  React.useEffect(() => {
+    const store = AccessibilityStorage.getStore();
+    applySavedSettings(store.get('settings'));
+    setIsLoaded(true);
+    if (!config.sync) return undefined;
+
+    const disconnect = AccessibilitySync.connect(store, { hub: config.syncHub, onError: reportConfigError });
+    const unsubscribe = store.subscribe(({ sections, remote }) => {
+      if (remote && sections.includes('settings')) applySavedSettings(store.get('settings'));
+    });
+    return () => {
+      unsubscribe();
+      disconnect();
+    };
   }, []);
 
-  // Save settings whenever they change
+  // Save settings whenever they change. The voice is saved only when the user
+  // picks one, so an automatic choice never overrides the configured voice.
+  // Nothing is saved before the saved settings are applied, or the defaults
+  // would overwrite them and be sent to the other tabs.
   React.useEffect(() => {
-    try {
-      const settings = {
-        fontSize,
-        highContrast,
-        lineHeight
-      };
-      localStorage.setItem('accessibilitySettings', JSON.stringify(settings));
-    } catch (error) {
-      console.error('Error saving accessibility settings:', error);
-    }
-  }, [fontSize, highContrast, lineHeight]);
+    if (!isLoaded) return;
+    AccessibilityStorage.getStore().update('settings', {
+      textScale,
+      colorTheme,
+      lineHeight,
+      letterSpacing,
+      wordSpacing,
+      paragraphSpacing,
+      readableFont,
+      leftAlign,
+      bigCursor,
+      stopAnimations,
+      colorFilter,
+      readingGuide,
+      readingMaskHeight,
+      readerFont: readerOptions.font,
+      readerWidth: readerOptions.width,
+      readerSpacing: readerOptions.spacing,
+      readLandmarks,
+      speechRate,
+      speechPitch,
+      locale,
+      profile,
+      personalProfile
+    });
+  }, [
+    isLoaded, textScale, colorTheme, lineHeight, letterSpacing, wordSpacing, paragraphSpacing,
+    readableFont, leftAlign, bigCursor, stopAnimations, colorFilter, readingGuide, readingMaskHeight,
+    readerOptions, readLandmarks, speechRate, speechPitch, locale, profile, personalProfile
+  ]);
 
   // Helper functions to apply classes
-  const applyFontSizeClass = (size) => {
-    document.body.classList.remove('font-size-larger', 'font-size-largest');
-    if (size === 1) {
-      document.body.classList.add('font-size-larger');
-    } else if (size === 2) {
-      document.body.classList.add('font-size-largest');
+  // Scale the root and body font sizes from their unscaled values, so rem and
+  // em sizes keep their proportions. Only two elements are restyled, however
+  // large the page is.
+  const applyTextScale = (scale) => {
+    const root = document.documentElement;
+    if (!root.classList.contains('a11y-text-scaled')) {
+      root.style.setProperty('--a11y-root-font-size', window.getComputedStyle(root).fontSize);
+      root.style.setProperty('--a11y-body-font-size', window.getComputedStyle(document.body).fontSize);
     }
+    root.style.setProperty('--a11y-text-scale', String(scale / 100));
+    root.classList.toggle('a11y-text-scaled', scale !== AccessibilitySettings.TEXT_SCALE.min);
   };
 
-  const applyHighContrastClass = (enabled) => {
-    if (enabled) {
-      document.body.classList.add('high-contrast');
-    } else {
-      document.body.classList.remove('high-contrast');
+  // Content left as it is: the sidebar, elements marked data-a11y-ignore
+  // and the `exclude` selectors
+  const getExcluded = () => ['.accessibility-sidebar', AccessibilitySettings.IGNORE_SELECTOR].concat(config.exclude);
+
+  // Element the visual adjustments restyle: the configured root, or the
+  // whole body. When the page replaced the root, its classes move to the
+  // new one.
+  const adjustedRootRef = React.useRef(null);
+  const getAdjustedRoot = () => {
+    const root = resolveElement(config.root) || document.body;
+    const previous = adjustedRootRef.current;
+    if (previous && previous !== root) {
+      AccessibilitySettings.ADJUSTMENT_CLASSES.filter(name => previous.classList.contains(name)).forEach(name => {
+        previous.classList.remove(name);
+        root.classList.add(name);
+      });
     }
+    adjustedRootRef.current = root;
+    return root;
+  };
+
+  // Paint the page with a color theme. The sidebar keeps its own colors.
+  const applyColorTheme = (name) => {
+    AccessibilityThemes.applyColorTheme(name, {
+      root: getAdjustedRoot(),
+      surfaces: config.surfaces,
+      exclude: getExcluded()
+    });
   };
 
   const applyLineHeightClass = (height) => {
-    document.body.classList.remove('line-height-larger', 'line-height-largest');
+    const { classList } = getAdjustedRoot();
+    classList.remove('line-height-larger', 'line-height-largest');
     if (height === 1) {
-      document.body.classList.add('line-height-larger');
+      classList.add('line-height-larger');
     } else if (height === 2) {
-      document.body.classList.add('line-height-largest');
+      classList.add('line-height-largest');
     }
   };
 
+  const applyTextSpacingClass = (setting, enabled) => {
+    getAdjustedRoot().classList.toggle(AccessibilitySettings.TEXT_SPACING_CLASSES[setting], enabled);
+  };
+
+  // Pause the videos in `element`, leaving out excluded content. Pausing
+  // also cancels autoplay that has not started yet.
+  const pauseVideos = (element) => {
+    const excluded = getExcluded().join(', ');
+    const videos = element.localName === 'video' ? [element] : Array.from(element.querySelectorAll('video'));
+    videos.filter(video => !video.closest(excluded)).forEach(video => video.pause());
+  };
+
+  // Videos that are already playing are paused with the animations
+  const applyDisplayClass = (setting, enabled) => {
+    const root = getAdjustedRoot();
+    root.classList.toggle(AccessibilitySettings.DISPLAY_CLASSES[setting], enabled);
+    if (setting === 'stopAnimations' && enabled) pauseVideos(root);
+  };
+
+  // Element whose text the narrator reads and whose colors the filters change
+  const getContentRoot = () =>
+    resolveElement(config.root) ||
+    document.querySelector('.content-area') ||
+    document.querySelector('main') ||
+    document.body;
+
+  // Element the narrator reads: the article of the reader view while it is open
+  const getReadingRoot = () => AccessibilityReaderView.getArticle() || getContentRoot();
+
+  // Filter the content root for color vision. The sidebar is never filtered.
+  const applyColorFilter = (name) => {
+    AccessibilityThemes.applyColorFilter(name, {
+      root: getContentRoot(),
+      exclude: getExcluded()
+    });
+  };
+
+  // Show the reading ruler or mask. Keys and focus inside the sidebar never move it.
+  const applyReadingGuide = (mode, height) => {
+    AccessibilityReadingGuide.setReadingGuide(mode, { height, ignore: '.accessibility-sidebar' });
+  };
+
+  // Remove the guide with the widget
+  React.useEffect(() => () => AccessibilityReadingGuide.setReadingGuide('off'), []);
+
+  // Leave the page as it was when the widget is removed. The saved settings
+  // are kept, so a widget mounted again applies them.
+  React.useEffect(() => () => {
+    const html = document.documentElement;
+    html.classList.remove('a11y-text-scaled');
+    ['--a11y-root-font-size', '--a11y-body-font-size', '--a11y-text-scale'].forEach(name => html.style.removeProperty(name));
+    const root = getAdjustedRoot();
+    AccessibilitySettings.ADJUSTMENT_CLASSES.forEach(name => root.classList.remove(name));
+    AccessibilityThemes.applyColorTheme('default');
+    AccessibilityThemes.applyColorFilter('none');
+  }, []);
+
   // Voice setup and management
   React.useEffect(() => {
     const updateVoices = () => {
       const voices = window.speechSynthesis.getVoices();
-      const romanianVoices = voices.filter(voice =>
-        voice.lang.includes('ro') ||
-        voice.name.toLowerCase().includes('romanian') ||
-        voice.name.toLowerCase().includes('română')
-      );
+      const romanianVoices = AccessibilitySettings.getLanguageVoices(voices, config.languages);
       setAvailableRomanianVoices(romanianVoices);
+      setAllVoices(voices);
 
-      // Auto-select the best Romanian voice
+      // Auto-select the voice the user picked, the configured voice, or the
+      // best voice for the default language
       if (romanianVoices.length > 0 && !selectedVoice) {
-        const bestVoice = romanianVoices.find(v => 
-          !v.name.toLowerCase().includes('standard') && 
-          !v.name.toLowerCase().includes('compact')
-        ) || romanianVoices[0];
-        setSelectedVoice(bestVoice);
+        setSelectedVoice(AccessibilitySettings.pickDefaultVoice(romanianVoices, {
+          saved: features.voice ? AccessibilityStorage.getStore().get('settings').voice : null,
+          voice: config.voice,
+          language: config.language
+        }));
       }
     };
 
@@ -138,164 +809,733 @@ window.AccessibilitySidebar = function() {
     };
   }, [selectedVoice]);
 
-  // Handle font size changes
-  const handleFontSizeChange = () => {
-    const newSize = (fontSize + 1) % 3;
-    setFontSize(newSize);
+  // Notify controller listeners about a settings change, and announce it
+  const notifyChange = (setting, value) => {
+    events.emit('change', { setting, value });
+
+    // A new UI language is announced in that language
+    const translate = setting === 'locale' ? AccessibilityI18n.createTranslator(value) : t;
+    AccessibilityPanel.announce(liveRegionRef.current, AccessibilityPanel.describeChange(translate, setting, value, {
+      getProfileLabel: (id) => (id === AccessibilityProfiles.PERSONAL_PROFILE
+        ? translate('profile.personal')
+        : AccessibilityProfiles.getProfileLabel(config.profiles[id], id, translate))
+    }));
+  };
 
-    // Remove existing classes
-    document.body.classList.remove('font-size-larger', 'font-size-largest');
+  // Set the text scale (in percent) and resize the page text
+  const updateTextScale = (newScale) => {
+    setTextScale(newScale);
+    applyTextScale(newScale);
+    notifyChange('textScale', newScale);
+  };
 
-    // Add appropriate class
-    if (newSize === 1) {
-      document.body.classList.add('font-size-larger');
-    } else if (newSize === 2) {
-      document.body.classList.add('font-size-largest');
-    }
+  // Set the color theme and repaint the page
+  const updateColorTheme = (name) => {
+    setColorTheme(name);
+    applyColorTheme(name);
+    notifyChange('colorTheme', name);
   };
 
-  // Handle contrast toggle
-  const handleContrastToggle = () => {
-    const newState = !highContrast;
-    setHighContrast(newState);
+  // Set the line height level and update the page classes
+  const updateLineHeight = (newHeight) => {
+    setLineHeight(newHeight);
+    applyLineHeightClass(newHeight);
+    notifyChange('lineHeight', newHeight);
+  };
 
-    if (newState) {
-      document.body.classList.add('high-contrast');
-    } else {
-      document.body.classList.remove('high-contrast');
+  const textSpacingSetters = {
+    letterSpacing: setLetterSpacing,
+    wordSpacing: setWordSpacing,
+    paragraphSpacing: setParagraphSpacing
+  };
+  const textSpacing = { letterSpacing, wordSpacing, paragraphSpacing };
+
+  // Turn one of the text spacing settings on or off and update the page classes
+  const updateTextSpacing = (setting, enabled) => {
+    textSpacingSetters[setting](enabled);
+    applyTextSpacingClass(setting, enabled);
+    notifyChange(setting, enabled);
+  };
+
+  const displaySetters = {
+    readableFont: setReadableFont,
+    leftAlign: setLeftAlign,
+    bigCursor: setBigCursor,
+    stopAnimations: setStopAnimations
+  };
+  const displayAdjustments = { readableFont, leftAlign, bigCursor, stopAnimations };
+
+  // Turn a display adjustment on or off and update the page classes
+  const updateDisplayAdjustment = (setting, enabled) => {
+    displaySetters[setting](enabled);
+    applyDisplayClass(setting, enabled);
+    notifyChange(setting, enabled);
+  };
+
+  // Set the color-vision filter of the content
+  const updateColorFilter = (name) => {
+    setColorFilter(name);
+    applyColorFilter(name);
+    notifyChange('colorFilter', name);
+  };
+
+  // Set the reading guide mode: 'off', 'ruler' or 'mask'
+  const updateReadingGuide = (mode, height = readingMaskHeight) => {
+    setReadingGuide(mode);
+    applyReadingGuide(mode, height);
+    notifyChange('readingGuide', mode);
+  };
+
+  // Set the height of the clear band of the reading mask
+  const updateReadingMaskHeight = (height, mode = readingGuide) => {
+    setReadingMaskHeight(height);
+    applyReadingGuide(mode, height);
+    notifyChange('readingMaskHeight', height);
+  };
+
+  // Follow the system preferences as they change. A setting follows only
+  // while it still has the default of the previous preferences.
+  React.useEffect(() => AccessibilityPreferences.watch(setSystemPreferences), []);
+  React.useEffect(() => {
+    const previous = systemDefaultsRef.current;
+    systemDefaultsRef.current = defaults;
+    const follows = (feature, setting, value) =>
+      features[feature] && value === previous[setting] && defaults[setting] !== previous[setting];
+
+    if (follows('contrast', 'colorTheme', colorTheme)) updateColorTheme(defaults.colorTheme);
+    if (follows('colorFilter', 'colorFilter', colorFilter)) updateColorFilter(defaults.colorFilter);
+    if (follows('stopAnimations', 'stopAnimations', stopAnimations)) {
+      updateDisplayAdjustment('stopAnimations', defaults.stopAnimations);
     }
+  }, [defaults]);
+
+  // Read navigation, banner and footer landmarks too
+  const updateReadLandmarks = (enabled) => {
+    setReadLandmarks(enabled);
+    notifyChange('readLandmarks', enabled);
+  };
+
+  // Handle the reading ruler and mask toggles; only one guide is shown at a time
+  const handleReadingGuideToggle = (mode) => {
+    updateReadingGuide(readingGuide === mode ? 'off' : mode);
+  };
+
+  // Handle the text size stepper buttons
+  const stepTextScale = (direction) => {
+    const newScale = textScale + direction * AccessibilitySettings.TEXT_SCALE.step;
+    if (newScale < AccessibilitySettings.TEXT_SCALE.min || newScale > AccessibilitySettings.TEXT_SCALE.max) return;
+    updateTextScale(newScale);
+  };
+
+  // Handle the text size slider
+  const handleTextScaleInput = (event) => {
+    updateTextScale(Number(event.target.value));
+  };
+
+  // Handle the contrast button: cycle through the offered color themes
+  const handleContrastToggle = () => {
+    const currentIndex = config.colorThemes.indexOf(colorTheme);
+    updateColorTheme(config.colorThemes[(currentIndex + 1) % config.colorThemes.length]);
   };
 
   // Handle line height changes
   const handleLineHeightChange = () => {
-    const newHeight = (lineHeight + 1) % 3;
-    setLineHeight(newHeight);
+    updateLineHeight((lineHeight + 1) % 3);
+  };
+
+  // Handle letter, word and paragraph spacing toggles
+  const handleTextSpacingToggle = (setting) => {
+    updateTextSpacing(setting, !textSpacing[setting]);
+  };
+
+  // Handle the readable font, left alignment, big cursor and animation toggles
+  const handleDisplayToggle = (setting) => {
+    updateDisplayAdjustment(setting, !displayAdjustments[setting]);
+  };
+
+  // Current value of every setting a profile can set
+  const profileValues = {
+    textScale, colorTheme, lineHeight, ...textSpacing, ...displayAdjustments,
+    colorFilter, readingGuide, readingMaskHeight
+  };
+
+  // Values of the profile settings after a reset: the configured defaults of
+  // the controls the site offers
+  const getDefaultValues = () => AccessibilityProfiles.PROFILE_SETTINGS.reduce((values, setting) => {
+    values[setting] = features[AccessibilityProfiles.getSettingFeature(setting)]
+      ? defaults[setting]
+      : SIDEBAR_DEFAULT_CONFIG.defaults[setting];
+    return values;
+  }, {});
+
+  const getProfile = (id) =>
+    (id === AccessibilityProfiles.PERSONAL_PROFILE ? personalProfile : config.profiles[id]) || null;
+
+  // Values a profile sets. A color theme the site does not offer becomes the
+  // first offered one, and disabled controls keep their defaults.
+  const getProfileTarget = (selected) => {
+    const target = AccessibilityProfiles.getProfileValues(selected, getDefaultValues());
+    if (!features.contrast) {
+      target.colorTheme = 'default';
+    } else if (!config.colorThemes.includes(target.colorTheme)) {
+      target.colorTheme = config.colorThemes.find(name => name !== 'default') || 'default';
+    }
+    Object.keys(target).forEach(setting => {
+      if (!features[AccessibilityProfiles.getSettingFeature(setting)]) target[setting] = getDefaultValues()[setting];
+    });
+    return target;
+  };
+
+  const activeProfile = profile && getProfile(profile);
+  const isProfileModified = Boolean(activeProfile) && (() => {
+    const target = getProfileTarget(activeProfile);
+    return AccessibilityProfiles.PROFILE_SETTINGS.some(setting => profileValues[setting] !== target[setting]);
+  })();
+
+  // Move every profile setting to its value in `target`
+  const applyProfileValues = (target) => {
+    const setters = {
+      textScale: updateTextScale,
+      colorTheme: updateColorTheme,
+      lineHeight: updateLineHeight,
+      colorFilter: updateColorFilter,
+      readingGuide: (mode) => updateReadingGuide(mode, target.readingMaskHeight),
+      readingMaskHeight: (height) => updateReadingMaskHeight(height, target.readingGuide)
+    };
+    AccessibilityProfiles.PROFILE_SETTINGS.forEach(setting => {
+      if (target[setting] === profileValues[setting]) return;
+      if (setters[setting]) {
+        setters[setting](target[setting]);
+      } else if (AccessibilitySettings.TEXT_SPACING_CLASSES[setting]) {
+        updateTextSpacing(setting, target[setting]);
+      } else {
+        updateDisplayAdjustment(setting, target[setting]);
+      }
+    });
+  };
+
+  // Apply a profile: its own settings, and the defaults for the others.
+  // null goes back to the defaults.
+  const updateProfile = (id) => {
+    applyProfileValues(getProfileTarget(id ? getProfile(id) : { settings: {} }));
+    setProfile(id);
+    notifyChange('profile', id);
+  };
+
+  // Keep the current settings as the user's own profile
+  const savePersonalProfile = () => {
+    setPersonalProfile(AccessibilityProfiles.createPersonalProfile(profileValues));
+    setProfile(AccessibilityProfiles.PERSONAL_PROFILE);
+    notifyChange('personalProfile', profileValues);
+    notifyChange('profile', AccessibilityProfiles.PERSONAL_PROFILE);
+  };
+
+  // Delete the user's own profile; the settings stay as they are
+  const deletePersonalProfile = () => {
+    setPersonalProfile(null);
+    notifyChange('personalProfile', null);
+    if (profile === AccessibilityProfiles.PERSONAL_PROFILE) {
+      setProfile(null);
+      notifyChange('profile', null);
+    }
+  };
 
-    // Remove existing classes
-    document.body.classList.remove('line-height-larger', 'line-height-largest');
+  // Current values of the settings a shared configuration carries. Only a
+  // voice the user picked is shared.
+  const getSharedSettings = () => ({
+    ...profileValues,
+    readerFont: readerOptions.font,
+    readerWidth: readerOptions.width,
+    readerSpacing: readerOptions.spacing,
+    readLandmarks,
+    speechRate,
+    speechPitch,
+    voice: AccessibilityStorage.getStore().get('settings').voice || null,
+    locale,
+    profile,
+    personalProfile
+  });
+
+  // Values after a reset, which codes and links leave out
+  const getSharedDefaults = () => ({
+    ...getDefaultValues(),
+    readerFont: defaults.readerFont,
+    readerWidth: defaults.readerWidth,
+    readerSpacing: defaults.readerSpacing,
+    readLandmarks: features.textToSpeech ? defaults.readLandmarks : false,
+    speechRate: defaults.speechRate,
+    speechPitch: defaults.speechPitch,
+    voice: null,
+    locale: config.locale,
+    profile: null,
+    personalProfile: null
+  });
+
+  // Check a value of an imported configuration against the settings schema.
+  // The profile must be one of this widget's, or the personal profile.
+  const isSharedValue = (setting, value, settings) => {
+    if (setting === 'profile') {
+      return value === null || Boolean(config.profiles[value]) ||
+        (value === AccessibilityProfiles.PERSONAL_PROFILE && Boolean(settings.personalProfile || personalProfile));
+    }
+    return AccessibilitySettings.isSettingValue(setting, value);
+  };
 
-    // Add appropriate class
-    if (newHeight === 1) {
-      document.body.classList.add('line-height-larger');
-    } else if (newHeight === 2) {
-      document.body.classList.add('line-height-largest');
+  // Apply an imported configuration. Settings it leaves out go back to their
+  // defaults, and controls the site has turned off are left alone.
+  const applySharedSettings = (values) => {
+    const shared = { ...getSharedDefaults(), ...values };
+    const profileSettings = AccessibilityProfiles.PROFILE_SETTINGS.reduce((settings, setting) => {
+      settings[setting] = shared[setting];
+      return settings;
+    }, {});
+    applyProfileValues(getProfileTarget({ settings: profileSettings }));
+    if (features.readerView) {
+      const options = { font: shared.readerFont, width: shared.readerWidth, spacing: shared.readerSpacing };
+      setReaderOptions(options);
+      AccessibilityReaderView.update({ options });
     }
+    if (features.textToSpeech) {
+      updateReadLandmarks(shared.readLandmarks);
+      setSpeechPitch(shared.speechPitch);
+    }
+    if (features.speechRate) setSpeechRate(shared.speechRate);
+    if (features.voice && shared.voice) {
+      AccessibilityStorage.getStore().update('settings', { voice: shared.voice });
+      const sharedVoice = availableRomanianVoices.find(v => v.name === shared.voice);
+      if (sharedVoice) setSelectedVoice(sharedVoice);
+    }
+    if (features.locale && config.locales.includes(shared.locale)) updateLocale(shared.locale);
+    if (features.profiles) {
+      const sharedPersonalProfile = 'personalProfile' in values
+        ? AccessibilityProfiles.readPersonalProfile(values.personalProfile, { validate: AccessibilitySettings.isProfileValue })
+        : personalProfile;
+      setPersonalProfile(sharedPersonalProfile);
+      setProfile(shared.profile === AccessibilityProfiles.PERSONAL_PROFILE && !sharedPersonalProfile ? null : shared.profile);
+    }
+    notifyChange('import', values);
   };
 
+  // Validate a file's contents, a code or a link, then apply it. Nothing is
+  // applied when any value is invalid.
+  const importSettings = (input) => {
+    const values = AccessibilityShare.parse(input, { validate: isSharedValue, onError: reportConfigError });
+    setShareStatus(values ? 'share.applied' : 'share.invalid');
+    if (values) applySharedSettings(values);
+    return Boolean(values);
+  };
+
+  // Copy to the clipboard; when that is refused, show the text to copy by hand
+  const copyShareText = (text, message) => {
+    const showText = () => {
+      setShareInput(text);
+      setShareStatus('share.copyFailed');
+    };
+    if (!navigator.clipboard) {
+      showText();
+      return;
+    }
+    navigator.clipboard.writeText(text).then(() => setShareStatus(message), showText);
+  };
+
+  const handleCopyShareLink = () => {
+    copyShareText(AccessibilityShare.toLink(getSharedSettings(), getSharedDefaults()), 'share.linkCopied');
+  };
+
+  const handleCopyShareCode = () => {
+    copyShareText(AccessibilityShare.toCode(getSharedSettings(), getSharedDefaults()), 'share.codeCopied');
+  };
+
+  const handleExportFile = () => {
+    AccessibilityShare.downloadFile(getSharedSettings());
+    setShareStatus('share.exported');
+  };
+
+  const handleImportFile = (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+    file.text().then(text => importSettings(text)).catch((error) => {
+      reportConfigError(`Could not read the settings file "${file.name}": ${error.message}`);
+      setShareStatus('share.invalid');
+    });
+  };
+
+  const handleShareInputSubmit = (event) => {
+    event.preventDefault();
+    if (importSettings(shareInput)) setShareInput('');
+  };
+
+  // Apply or dismiss the configuration of a shared link, then take the code
+  // out of the address
+  const handleSharedOffer = (apply) => {
+    if (apply) {
+      applySharedSettings(sharedOffer);
+      setShareStatus('share.applied');
+    }
+    setSharedOffer(null);
+    AccessibilityShare.clearFragment();
+  };
+
+  // Offer the configuration of a shared link (#a11y=...) when the page opens
+  React.useEffect(() => {
+    const code = features.share && AccessibilityShare.getFragmentCode();
+    if (!code) return;
+    const values = AccessibilityShare.parse(code, { validate: isSharedValue, onError: reportConfigError });
+    if (values) {
+      setSharedOffer(values);
+    } else {
+      setShareStatus('share.invalid');
+      AccessibilityShare.clearFragment();
+    }
+    setIsPanelOpen(true);
+  }, []);
+
+  // Voices the user picked, one per language; the selected voice speaks its own language
+  const voicePreferencesRef = React.useRef({});
+  if (selectedVoice) {
+    voicePreferencesRef.current[AccessibilityNarrator.getBaseLanguage(selectedVoice.lang)] = selectedVoice;
+  }
+
+  // The narrator reads with the voice settings and translator of the latest render.
+  // Each chunk is read by the preferred voice of its language.
+  const latestRef = React.useRef(null);
+  latestRef.current = {
+    t,
+    readLandmarks,
+    stopAnimations,
+    getSpeechOptions: (chunk) => {
+      const lang = (chunk && chunk.lang) || config.language;
+      const voice = AccessibilityNarrator.pickVoice(allVoices, lang, voicePreferencesRef.current);
+      return {
+        voice,
+        lang: voice ? voice.lang : lang,
+        rate: speechRate,
+        pitch: speechPitch
+      };
+    }
+  };
+
+  // Plays the narrator's sentences with transport controls, created on first use
+  const playerRef = React.useRef(null);
+  const getPlayer = () => {
+    if (!playerRef.current) {
+      playerRef.current = AccessibilityNarrator.createPlayer({
+        getOptions: (chunk) => latestRef.current.getSpeechOptions(chunk),
+        onStart: (detail) => {
+          setIsReading(true);
+          setIsPaused(false);
+          setReadingProgress(0);
+          events.emit('readingstart', detail);
+        },
+        onProgress: (position) => {
+          setReadingProgress(position.progress);
+          setReadingPosition({ chunk: position.chunk, total: position.total });
+          events.emit('readingprogress', position);
+        },
+        onPause: (position) => {
+          setIsPaused(true);
+          events.emit('readingpause', position);
+        },
+        onResume: (position) => {
+          setIsPaused(false);
+          events.emit('readingresume', position);
+        },
+        onEnd: (detail) => {
+          setIsReading(false);
+          setIsPaused(false);
+          events.emit('readingend', detail);
+          if (detail.completed) {
+            // Reset progress after completion
+            setTimeout(() => setReadingProgress(0), 2000);
+          } else {
+            setReadingProgress(0);
+          }
+          if (detail.error) alert(latestRef.current.t('error.speech', { error: detail.error }));
+        }
+      });
+    }
+    return playerRef.current;
+  };
+
+  // Options of the narrator's text walker: the sidebar is never read, and
+  // headings, lists and links are announced in the UI language
+  const getNarratorOptions = () => ({
+    exclude: getExcluded(),
+    announce: (type, details) => latestRef.current.t(`narrator.announce.${type}`, details),
+    announceLang: latestRef.current.t.tag,
+    landmarks: latestRef.current.readLandmarks
+  });
+
+  // Accessible text of an element in DOM order, mapped back to its text nodes
+  const getReadableChunks = (element) =>
+    AccessibilityNarrator.splitChunks(AccessibilityNarrator.collectBlocks(element, getNarratorOptions()));
+
+  // Stop the narrator and notify listeners
+  const stopReading = () => {
+    if (playerRef.current) playerRef.current.stop();
+  };
+
+  // Read chunks from AccessibilityNarrator aloud, highlighting the current
+  // sentence and word of chunks that come from the page
+  const startReading = (chunks) => {
+    getPlayer().start(chunks);
+  };
+
+  // Run a transport action of the narrator while it reads
+  const controlReading = (action, ...args) => {
+    if (playerRef.current) playerRef.current[action](...args);
+  };
+
+  // Narrator keyboard shortcuts, active while reading
+  React.useEffect(() => {
+    if (!isReading) return undefined;
+    const handleShortcut = (event) => {
+      const action = AccessibilityNarrator.getShortcutAction(event);
+      if (!action) return;
+      event.preventDefault();
+      controlReading(action);
+    };
+    document.addEventListener('keydown', handleShortcut);
+    return () => document.removeEventListener('keydown', handleShortcut);
+  }, [isReading]);
+
   // Enhanced text-to-speech with narrator features
   const handleReadAloud = () => {
     if (!('speechSynthesis' in window)) {
-      alert('Browserul dvs. nu suportă citirea cu voce tare');
+      alert(t('error.speechUnsupported'));
       return;
     }
 
     if (isReading) {
-      window.speechSynthesis.cancel();
-      setIsReading(false);
-      isReadingRef.current = false;
-      setReadingProgress(0);
-      setCurrentUtterance(null);
+      stopReading();
     } else {
-      // Get all the text from the main content
-      const contentArea = document.querySelector('.content-area') || document.querySelector('main') || document.body;
-      
-      // Get text content from relevant elements
-      const textElements = contentArea.querySelectorAll('p, li, h1, h2, h3, h4, h5, h6, blockquote, td, .tagline, .quote');
-      
-      const textContent = Array.from(textElements)
-        .filter(el => {
-          // Only exclude the accessibility sidebar itself
-          return !el.closest('.accessibility-sidebar') &&
-                 !el.classList.contains('sr-only');
-        })
-        .map(el => el.textContent.trim())
-        .filter(text => text.length > 0)
-        .join('. ');
+      // Get all the text from the configured content root
+      const chunks = getReadableChunks(getReadingRoot());
 
-      if (!textContent) {
-        alert('Nu s-a găsit conținut pentru citire');
+      if (chunks.length === 0) {
+        alert(t('error.noContent'));
         return;
       }
 
-      // Split into manageable chunks for better speech synthesis
-      const sentences = textContent.match(/[^\.!?]+[\.!?]+/g) || [textContent];
-      const chunks = [];
-      
-      let currentChunk = '';
-      sentences.forEach(sentence => {
-        if ((currentChunk + sentence).length > 200) {
-          if (currentChunk) chunks.push(currentChunk.trim());
-          currentChunk = sentence;
-        } else {
-          currentChunk += sentence;
-        }
-      });
-      if (currentChunk) chunks.push(currentChunk.trim());
-
-      let currentIndex = 0;
-
-      const speakNext = () => {
-        if (currentIndex < chunks.length && isReadingRef.current) {
-          const chunk = chunks[currentIndex];
-          
-          const utterance = new SpeechSynthesisUtterance(chunk);
-          utterance.lang = 'ro-RO';
-          utterance.rate = speechRate;
-          utterance.pitch = speechPitch;
-          utterance.volume = 1.0;
-
-          utterance.onstart = () => {
-            const progress = Math.round((currentIndex / chunks.length) * 100);
-            setReadingProgress(progress);
-          };
-
-          utterance.onend = () => {
-            currentIndex++;
-            if (currentIndex < chunks.length && isReadingRef.current) {
-              // Small pause between chunks
-              setTimeout(speakNext, 300);
-            } else {
-              setIsReading(false);
-              isReadingRef.current = false;
-              setReadingProgress(100);
-              // Reset progress after completion
-              setTimeout(() => setReadingProgress(0), 2000);
-            }
-          };
-
-          utterance.onerror = (event) => {
-            console.error('Speech synthesis error:', event.error);
-            setIsReading(false);
-            isReadingRef.current = false;
-            setReadingProgress(0);
-            alert('Eroare la citirea cu voce tare: ' + event.error);
-          };
+      startReading(chunks);
+    }
+  };
 
-          setCurrentUtterance(utterance);
-          window.speechSynthesis.speak(utterance);
+  // Read the text selected on the page
+  const readSelection = () => {
+    if (!('speechSynthesis' in window)) {
+      alert(t('error.speechUnsupported'));
+      return;
+    }
+    const chunks = AccessibilityNarrator.getSelectionChunks(document.getSelection(), getNarratorOptions());
+    if (chunks.length === 0) {
+      alert(t('error.noSelection'));
+      return;
+    }
+    startReading(chunks);
+  };
+
+  // Read from an element to the end of the content root
+  const readFrom = (element) => {
+    if (!('speechSynthesis' in window)) {
+      alert(latestRef.current.t('error.speechUnsupported'));
+      return;
+    }
+    const chunks = AccessibilityNarrator.getChunksFrom(element, getReadingRoot(), getNarratorOptions());
+    if (chunks.length === 0) {
+      alert(latestRef.current.t('error.noContent'));
+      return;
+    }
+    startReading(chunks);
+  };
+
+  // "Read from here": the next click on the page chooses where reading starts
+  React.useEffect(() => {
+    if (!isPickingStart) return undefined;
+    return AccessibilityNarrator.pickReadingStart({
+      ...getNarratorOptions(),
+      root: getReadingRoot(),
+      onPick: (chunks) => {
+        setIsPickingStart(false);
+        if (chunks.length === 0) {
+          alert(latestRef.current.t('error.noContent'));
+          return;
         }
-      };
+        startReading(chunks);
+      },
+      onCancel: () => setIsPickingStart(false)
+    });
+  }, [isPickingStart]);
+
+  const handleReadFromHere = () => {
+    if (!('speechSynthesis' in window)) {
+      alert(t('error.speechUnsupported'));
+      return;
+    }
+    setIsPickingStart(!isPickingStart);
+  };
+
+  // Hover-to-speak: read the element under the pointer or with keyboard focus
+  React.useEffect(() => {
+    if (!hoverToSpeak) return undefined;
+    const reader = AccessibilityNarrator.createHoverReader({ ...getNarratorOptions(), onRead: startReading });
+    reader.start();
+    return () => {
+      reader.stop();
+      stopReading();
+    };
+  }, [hoverToSpeak]);
+
+  const updateHoverToSpeak = (enabled) => {
+    setHoverToSpeak(enabled);
+    notifyChange('hoverToSpeak', enabled);
+  };
+
+  // Reader view: show the main article alone in a full-screen overlay. The
+  // narrator stops when it opens or closes, as the text it reads changes.
+  const updateReaderView = (enabled) => {
+    if (enabled === AccessibilityReaderView.isOpen()) return;
+    stopReading();
+    setIsPickingStart(false);
+
+    if (!enabled) {
+      AccessibilityReaderView.close();
+      return;
+    }
+    const opened = AccessibilityReaderView.open({
+      root: getContentRoot(),
+      exclude: getExcluded(),
+      adjustments: {
+        root: getAdjustedRoot(),
+        classes: AccessibilitySettings.ADJUSTMENT_CLASSES,
+        attributes: [AccessibilityThemes.ROOT_ATTRIBUTE]
+      },
+      options: readerOptions,
+      translate: (key) => latestRef.current.t(key),
+      onChange: (name, value) => {
+        setReaderOptions(options => ({ ...options, [name]: value }));
+        notifyChange(`reader${name[0].toUpperCase()}${name.slice(1)}`, value);
+      },
+      onClose: () => {
+        stopReading();
+        setIsReaderView(false);
+        notifyChange('readerView', false);
+      }
+    });
+    if (!opened) {
+      alert(latestRef.current.t('error.noArticle'));
+      return;
+    }
+    setIsReaderView(true);
+    notifyChange('readerView', true);
+  };
+
+  // Relabel the reader view when the UI language changes
+  React.useEffect(() => {
+    AccessibilityReaderView.update({ translate: (key) => t(key) });
+  }, [t]);
+
+  // Close the reader view with the widget
+  React.useEffect(() => () => AccessibilityReaderView.close(), []);
+
+  // Same-origin frames and open shadow roots in the adjusted root get the
+  // visual adjustments too, and frames the color theme
+  const mirrorRef = React.useRef(null);
+  React.useEffect(() => {
+    const mirror = AccessibilityEmbeds.createMirror({
+      getRoot: getAdjustedRoot,
+      classes: AccessibilitySettings.ADJUSTMENT_CLASSES,
+      exclude: getExcluded(),
+      onFrame: (doc) => AccessibilityThemes.mirrorTheme(doc)
+    });
+    mirrorRef.current = mirror;
+    return () => {
+      mirror.stop();
+      mirrorRef.current = null;
+    };
+  }, []);
+
+  // The handlers set the classes and the theme on the page; this copies
+  // them once they changed
+  React.useEffect(() => {
+    const root = getAdjustedRoot();
+    mirrorRef.current.update({
+      css: AccessibilitySettings.buildPageStyles(config.exclude),
+      active: AccessibilitySettings.ADJUSTMENT_CLASSES.filter(name => root.classList.contains(name)),
+      textScale: textScale / 100
+    });
+  }, [
+    textScale, colorTheme, lineHeight, letterSpacing, wordSpacing, paragraphSpacing,
+    readableFont, leftAlign, bigCursor, stopAnimations
+  ]);
+
+  // Keep up with pages that change without reloading. Content added later
+  // gets the repaired colors, the color filter and the paused videos of the
+  // settings, and new frames and shadow roots the adjustments; the narrator
+  // leaves text the page removed, and the adjustments, the theme and the
+  // filter follow a root the page replaced.
+  React.useEffect(() => AccessibilityObserver.observe({
+    getRoot: getAdjustedRoot,
+    ignore: getExcluded(),
+    onRemoved: () => {
+      if (playerRef.current) playerRef.current.dropRemoved();
+    },
+    onRouteChange: () => {
+      setIsPickingStart(false);
+      AccessibilityThemes.refresh({ root: getContentRoot() });
+      if (mirrorRef.current) mirrorRef.current.refresh();
+    },
+    onAdded: (elements) => {
+      AccessibilityThemes.refresh({ elements });
+      if (latestRef.current.stopAnimations) elements.forEach(pauseVideos);
+      if (mirrorRef.current) mirrorRef.current.refresh(elements);
+    }
+  }), []);
 
-      setIsReading(true);
-      isReadingRef.current = true;
-      setReadingProgress(0);
-      
-      // Cancel any previous speech
-      window.speechSynthesis.cancel();
-      
-      // Small delay to ensure speech synthesis is ready after cancel
-      setTimeout(() => {
-        speakNext();
-      }, 100);
+  // Read an element (by selector) or a plain string aloud
+  const speak = (selectorOrText) => {
+    if (!('speechSynthesis' in window)) {
+      console.error('[AccessibilitySidebar] Speech synthesis is not supported in this browser.');
+      return;
+    }
+    if (typeof selectorOrText !== 'string' || !selectorOrText.trim()) {
+      console.error('[AccessibilitySidebar] speak() expects a CSS selector or the text to read.');
+      return;
     }
+
+    let element = null;
+    try {
+      element = document.querySelector(selectorOrText);
+    } catch (error) {
+      // Not a valid selector, so it is the text itself
+    }
+
+    const chunks = element ? getReadableChunks(element) : AccessibilityNarrator.splitText(selectorOrText.trim());
+    if (chunks.length === 0) return;
+
+    stopReading();
+    startReading(chunks);
   };
 
   // Handle speech rate change
   const handleSpeechRateChange = () => {
-    const rates = [0.6, 0.8, 1.0, 1.2];
-    const currentIndex = rates.indexOf(speechRate);
-    const newRate = rates[(currentIndex + 1) % rates.length];
+    const currentIndex = AccessibilitySettings.SPEECH_RATES.indexOf(speechRate);
+    const newRate = AccessibilitySettings.SPEECH_RATES[(currentIndex + 1) % AccessibilitySettings.SPEECH_RATES.length];
     setSpeechRate(newRate);
+    notifyChange('speechRate', newRate);
+  };
+
+  // Switch the UI locale
+  const updateLocale = (newLocale) => {
+    setLocale(newLocale);
+    notifyChange('locale', newLocale);
+  };
+
+  // Handle UI language changes
+  const handleLocaleChange = () => {
+    const currentIndex = config.locales.indexOf(locale);
+    updateLocale(config.locales[(currentIndex + 1) % config.locales.length]);
   };
 
   // Handle voice selection
@@ -305,60 +1545,82 @@ window.AccessibilitySidebar = function() {
     const currentIndex = availableRomanianVoices.indexOf(selectedVoice);
     const nextIndex = (currentIndex + 1) % availableRomanianVoices.length;
     setSelectedVoice(availableRomanianVoices[nextIndex]);
+    AccessibilityStorage.getStore().update('settings', { voice: availableRomanianVoices[nextIndex].name });
+    notifyChange('voice', availableRomanianVoices[nextIndex].name);
   };
 
-  // Handle panel dragging
-  const handleMouseDown = (e) => {
-    if (isMobile) return; // No dragging on mobile
+  const getPanelSize = () => {
+    const { width, height } = panelRef.current.getBoundingClientRect();
+    return { width, height };
+  };
 
-    setIsDragging(true);
-    setStartPos({
-      x: e.clientX - position.x,
-      y: e.clientY - position.y
-    });
+  // Keep the position the user chose for this viewport class
+  const savePlacement = (next) => {
+    setPlacement(next);
+    AccessibilityStorage.getStore().update('layout', { [viewportClass]: next });
+  };
 
+  // Drag the panel by its header with a mouse, a finger or a pen. The drag
+  // starts once the pointer has moved a little, so the launcher can be
+  // dragged too and still opens the panel with a tap.
+  const handlePointerDown = (event) => {
+    if (!event.isPrimary || event.button !== 0) return;
+    const rect = panelRef.current.getBoundingClientRect();
+    dragRef.current = {
+      pointerId: event.pointerId,
+      startX: event.clientX,
+      startY: event.clientY,
+      offsetX: event.clientX - rect.left,
+      offsetY: event.clientY - rect.top,
+      isMoving: false
+    };
     // Prevent text selection during drag
-    e.preventDefault();
+    if (!event.target.closest('button')) event.preventDefault();
   };
 
-  const handleMouseMove = (e) => {
-    if (!isDragging) return;
-
-    // Calculate new position with bounds checking
-    const newX = Math.max(0, Math.min(window.innerWidth - 60, e.clientX - startPos.x));
-    const newY = Math.max(0, Math.min(window.innerHeight - 60, e.clientY - startPos.y));
-
-    setPosition({ x: newX, y: newY });
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag || drag.pointerId !== event.pointerId) return;
+    if (!drag.isMoving) {
+      if (Math.hypot(event.clientX - drag.startX, event.clientY - drag.startY) < AccessibilityPosition.DRAG_THRESHOLD) return;
+      // Captured, the pointer is released over the header, so the launcher
+      // under it is not clicked
+      drag.isMoving = true;
+      event.currentTarget.setPointerCapture(event.pointerId);
+      setIsDragging(true);
+    }
+    const size = getPanelSize();
+    setPlacement(current => AccessibilityPosition.fromPoint(
+      { left: event.clientX - drag.offsetX, top: event.clientY - drag.offsetY }, size, { bar: current.bar }
+    ));
   };
 
-  const handleMouseUp = () => {
+  // Drop the panel, against the edge it is near
+  const handlePointerUp = (event) => {
+    const drag = dragRef.current;
+    if (!drag || drag.pointerId !== event.pointerId) return;
+    dragRef.current = null;
+    if (!drag.isMoving) return;
     setIsDragging(false);
+    const rect = panelRef.current.getBoundingClientRect();
+    savePlacement(AccessibilityPosition.fromPoint(
+      { left: rect.left, top: rect.top }, getPanelSize(), { snap: true, bar: placement.bar }
+    ));
   };
 
-  // Set up mouse event listeners for dragging
-  React.useEffect(() => {
-    if (isDragging) {
-      document.addEventListener('mousemove', handleMouseMove);
-      document.addEventListener('mouseup', handleMouseUp);
-    } else {
-      document.removeEventListener('mousemove', handleMouseMove);
-      document.removeEventListener('mouseup', handleMouseUp);
-    }
-
-    return () => {
-      document.removeEventListener('mousemove', handleMouseMove);
-      document.removeEventListener('mouseup', handleMouseUp);
-    };
-  }, [isDragging]);
+  // Move the panel with the arrow keys while its header has focus
+  const handleHeaderKeyDown = (event) => {
+    if (event.target !== event.currentTarget) return;
+    const step = AccessibilityPosition.getKeyboardMove(event);
+    if (!step) return;
+    event.preventDefault();
+    savePlacement(AccessibilityPosition.move(placement, step.dx, step.dy, getPanelSize()));
+  };
 
-  // Reset position when switching between mobile and desktop
-  React.useEffect(() => {
-    if (isMobile) {
-      setPosition({ x: 16, y: window.innerHeight - 80 });
-    } else {
-      setPosition({ x: 16, y: 100 });
-    }
-  }, [isMobile]);
+  // Dock the open panel as a bar along its side of the window, or float it again
+  const toggleBar = () => {
+    savePlacement({ ...placement, bar: !placement.bar });
+  };
 
   // Handle keyboard accessibility
   const handleKeyDown = (e, action) => {
@@ -368,49 +1630,366 @@ window.AccessibilitySidebar = function() {
     }
   };
 
-  // Reset all settings
+  // Move focus to the panel's controls, remembering where it was on the page
+  const focusControls = () => {
+    const target = AccessibilityPanel.getRovingTarget(controlsRef.current);
+    if (!target) return;
+    const { activeElement } = document;
+    if (activeElement && activeElement !== document.body && !panelRef.current.contains(activeElement)) {
+      returnFocusRef.current = activeElement;
+    }
+    target.focus();
+  };
+
+  // Keep a single Tab stop among the controls as they change
+  React.useEffect(() => {
+    AccessibilityPanel.updateRovingFocus(controlsRef.current);
+  });
+
+  // Focus moves into the panel when it opens. When it closes from inside,
+  // focus goes back to where it was before, or to the launcher.
+  React.useEffect(() => {
+    if (isPanelOpen === wasPanelOpenRef.current) return;
+    wasPanelOpenRef.current = isPanelOpen;
+    if (isPanelOpen) {
+      focusControls();
+      return;
+    }
+    const { activeElement } = document;
+    if (activeElement === document.body || panelRef.current.contains(activeElement)) {
+      const previous = returnFocusRef.current;
+      (previous && previous.isConnected ? previous : toggleRef.current).focus();
+    }
+    returnFocusRef.current = null;
+  }, [isPanelOpen]);
+
+  // The hotkey opens the panel, moves focus into it when it is already
+  // open, and closes it from inside
+  React.useEffect(() => {
+    if (!hotkey) return undefined;
+    const handleHotkey = (event) => {
+      if (!AccessibilityPanel.matchesHotkey(event, hotkey)) return;
+      event.preventDefault();
+      if (!isPanelOpen) {
+        setIsPanelOpen(true);
+      } else if (panelRef.current.contains(document.activeElement)) {
+        setIsPanelOpen(false);
+      } else {
+        focusControls();
+      }
+    };
+    document.addEventListener('keydown', handleHotkey);
+    return () => document.removeEventListener('keydown', handleHotkey);
+  }, [isPanelOpen]);
+
+  // Escape closes the panel
+  const handlePanelKeyDown = (event) => {
+    if (event.key !== 'Escape' || !isPanelOpen || event.defaultPrevented) return;
+    event.preventDefault();
+    setIsPanelOpen(false);
+  };
+
+  // Reset all settings to the configured defaults
   const resetAllSettings = () => {
-    setFontSize(0);
-    setHighContrast(false);
-    setLineHeight(0);
-    setSpeechRate(0.8);
-    setSpeechPitch(1.0);
+    const resetTextScale = features.fontSize ? defaults.textScale : AccessibilitySettings.TEXT_SCALE.min;
+    const resetTheme = features.contrast ? defaults.colorTheme : 'default';
+    const resetLineHeight = features.lineHeight ? defaults.lineHeight : 0;
+    const resetFilter = features.colorFilter ? defaults.colorFilter : 'none';
+    const resetGuide = features.readingGuide ? defaults.readingGuide : 'off';
+
+    setTextScale(resetTextScale);
+    setColorTheme(resetTheme);
+    setLineHeight(resetLineHeight);
+    setColorFilter(resetFilter);
+    setReadingGuide(resetGuide);
+    setReadingMaskHeight(defaults.readingMaskHeight);
+    Object.keys(AccessibilitySettings.TEXT_SPACING_CLASSES).forEach(setting => {
+      const resetSpacing = features[setting] ? defaults[setting] : false;
+      textSpacingSetters[setting](resetSpacing);
+      applyTextSpacingClass(setting, resetSpacing);
+    });
+    Object.keys(AccessibilitySettings.DISPLAY_CLASSES).forEach(setting => {
+      const resetAdjustment = features[setting] ? defaults[setting] : false;
+      displaySetters[setting](resetAdjustment);
+      applyDisplayClass(setting, resetAdjustment);
+    });
+    setProfile(null);
+    setSpeechRate(defaults.speechRate);
+    setSpeechPitch(defaults.speechPitch);
+    setReadLandmarks(features.textToSpeech ? defaults.readLandmarks : false);
+    const resetReaderOptions = { font: defaults.readerFont, width: defaults.readerWidth, spacing: defaults.readerSpacing };
+    setReaderOptions(resetReaderOptions);
+    AccessibilityReaderView.update({ options: resetReaderOptions });
     
-    if (isReading) {
-      window.speechSynthesis.cancel();
-      setIsReading(false);
-      isReadingRef.current = false;
-      setReadingProgress(0);
-    }
-
-    // Remove all classes
-    document.body.classList.remove(
-      'font-size-larger',
-      'font-size-largest',
-      'high-contrast',
-      'line-height-larger',
-      'line-height-largest'
-    );
+    stopReading();
+
+    applyTextScale(resetTextScale);
+    applyColorTheme(resetTheme);
+    applyLineHeightClass(resetLineHeight);
+    applyColorFilter(resetFilter);
+    applyReadingGuide(resetGuide, defaults.readingMaskHeight);
+    notifyChange('reset', null);
+  };
+
+  // Report calls that target a control the site has turned off
+  const isFeatureEnabled = (feature, method) => {
+    if (!features[feature]) {
+      reportConfigError(`${method}() was ignored because features.${feature} is disabled.`);
+      return false;
+    }
+    return true;
   };
 
+  // Imperative API used by the controller returned from window.AccessibilitySidebar()
+  React.useImperativeHandle(controllerRef, () => ({
+    open: () => setIsPanelOpen(true),
+    close: () => setIsPanelOpen(false),
+    setFontSize: (level) => {
+      if (!isFeatureEnabled('fontSize', 'setFontSize')) return;
+      if (![0, 1, 2].includes(level)) {
+        reportConfigError(`setFontSize() expects 0, 1 or 2, received ${JSON.stringify(level)}.`);
+        return;
+      }
+      updateTextScale(AccessibilitySettings.FONT_SIZE_SCALES[level]);
+    },
+    setTextScale: (scale) => {
+      if (!isFeatureEnabled('fontSize', 'setTextScale')) return;
+      if (!AccessibilitySettings.isTextScale(scale)) {
+        reportConfigError(
+          `setTextScale() expects ${AccessibilitySettings.SETTINGS_SCHEMA.textScale.expected}, received ${JSON.stringify(scale)}.`
+        );
+        return;
+      }
+      updateTextScale(scale);
+    },
+    setContrast: (enabled) => {
+      if (!isFeatureEnabled('contrast', 'setContrast')) return;
+      const highContrastTheme = config.colorThemes.find(name => name !== 'default');
+      updateColorTheme(enabled && highContrastTheme ? highContrastTheme : 'default');
+    },
+    setColorTheme: (name) => {
+      if (!isFeatureEnabled('contrast', 'setColorTheme')) return;
+      if (!config.colorThemes.includes(name)) {
+        reportConfigError(`setColorTheme() expects one of ${config.colorThemes.join(', ')}, received ${JSON.stringify(name)}.`);
+        return;
+      }
+      updateColorTheme(name);
+    },
+    setLineHeight: (level) => {
+      if (!isFeatureEnabled('lineHeight', 'setLineHeight')) return;
+      if (![0, 1, 2].includes(level)) {
+        reportConfigError(`setLineHeight() expects 0, 1 or 2, received ${JSON.stringify(level)}.`);
+        return;
+      }
+      updateLineHeight(level);
+    },
+    setLetterSpacing: (enabled) => {
+      if (!isFeatureEnabled('letterSpacing', 'setLetterSpacing')) return;
+      updateTextSpacing('letterSpacing', Boolean(enabled));
+    },
+    setWordSpacing: (enabled) => {
+      if (!isFeatureEnabled('wordSpacing', 'setWordSpacing')) return;
+      updateTextSpacing('wordSpacing', Boolean(enabled));
+    },
+    setParagraphSpacing: (enabled) => {
+      if (!isFeatureEnabled('paragraphSpacing', 'setParagraphSpacing')) return;
+      updateTextSpacing('paragraphSpacing', Boolean(enabled));
+    },
+    setReadableFont: (enabled) => {
+      if (!isFeatureEnabled('readableFont', 'setReadableFont')) return;
+      updateDisplayAdjustment('readableFont', Boolean(enabled));
+    },
+    setLeftAlign: (enabled) => {
+      if (!isFeatureEnabled('leftAlign', 'setLeftAlign')) return;
+      updateDisplayAdjustment('leftAlign', Boolean(enabled));
+    },
+    setBigCursor: (enabled) => {
+      if (!isFeatureEnabled('bigCursor', 'setBigCursor')) return;
+      updateDisplayAdjustment('bigCursor', Boolean(enabled));
+    },
+    setStopAnimations: (enabled) => {
+      if (!isFeatureEnabled('stopAnimations', 'setStopAnimations')) return;
+      updateDisplayAdjustment('stopAnimations', Boolean(enabled));
+    },
+    setProfile: (id) => {
+      if (!isFeatureEnabled('profiles', 'setProfile')) return;
+      if (id !== null && !getProfile(id)) {
+        const ids = Object.keys(config.profiles).concat(personalProfile ? [AccessibilityProfiles.PERSONAL_PROFILE] : []);
+        reportConfigError(`setProfile() expects null or one of ${ids.join(', ')}, received ${JSON.stringify(id)}.`);
+        return;
+      }
+      updateProfile(id);
+    },
+    savePersonalProfile: () => {
+      if (!isFeatureEnabled('profiles', 'savePersonalProfile')) return;
+      savePersonalProfile();
+    },
+    deletePersonalProfile: () => {
+      if (!isFeatureEnabled('profiles', 'deletePersonalProfile')) return;
+      deletePersonalProfile();
+    },
+    setColorFilter: (name) => {
+      if (!isFeatureEnabled('colorFilter', 'setColorFilter')) return;
+      if (!AccessibilityThemes.isFilter(name)) {
+        reportConfigError(`setColorFilter() expects one of ${AccessibilityThemes.getFilters().join(', ')}, received ${JSON.stringify(name)}.`);
+        return;
+      }
+      updateColorFilter(name);
+    },
+    setReadingGuide: (mode) => {
+      if (!isFeatureEnabled('readingGuide', 'setReadingGuide')) return;
+      if (!AccessibilityReadingGuide.isMode(mode)) {
+        reportConfigError(`setReadingGuide() expects one of ${AccessibilityReadingGuide.MODES.join(', ')}, received ${JSON.stringify(mode)}.`);
+        return;
+      }
+      updateReadingGuide(mode);
+    },
+    setReadingMaskHeight: (height) => {
+      if (!isFeatureEnabled('readingGuide', 'setReadingMaskHeight')) return;
+      if (!AccessibilityReadingGuide.isMaskHeight(height)) {
+        const { min, max, step } = AccessibilityReadingGuide.MASK_HEIGHT;
+        reportConfigError(
+          `setReadingMaskHeight() expects a height in pixels from ${min} to ${max} in steps of ${step}, received ${JSON.stringify(height)}.`
+        );
+        return;
+      }
+      updateReadingMaskHeight(height);
+    },
+    setReaderView: (enabled) => {
+      if (typeof enabled !== 'boolean') {
+        reportConfigError(`setReaderView() expects true or false, received ${JSON.stringify(enabled)}.`);
+        return;
+      }
+      if (enabled && !isFeatureEnabled('readerView', 'setReaderView')) return;
+      updateReaderView(enabled);
+    },
+    speak: (selectorOrText) => {
+      if (!isFeatureEnabled('textToSpeech', 'speak')) return;
+      speak(selectorOrText);
+    },
+    exportSettings: () => {
+      if (!isFeatureEnabled('share', 'exportSettings')) return null;
+      return AccessibilityShare.toFile(getSharedSettings());
+    },
+    getShareCode: () => {
+      if (!isFeatureEnabled('share', 'getShareCode')) return null;
+      return AccessibilityShare.toCode(getSharedSettings(), getSharedDefaults());
+    },
+    getShareLink: () => {
+      if (!isFeatureEnabled('share', 'getShareLink')) return null;
+      return AccessibilityShare.toLink(getSharedSettings(), getSharedDefaults());
+    },
+    importSettings: (input) => {
+      if (!isFeatureEnabled('share', 'importSettings')) return false;
+      return importSettings(input);
+    },
+    setLocale: (newLocale) => {
+      if (!config.locales.includes(newLocale)) {
+        reportConfigError(`setLocale() expects one of ${config.locales.join(', ')}, received ${JSON.stringify(newLocale)}.`);
+        return;
+      }
+      updateLocale(newLocale);
+    },
+    pause: () => controlReading('pause'),
+    resume: () => controlReading('resume'),
+    previousSentence: () => controlReading('previousSentence'),
+    nextSentence: () => controlReading('nextSentence'),
+    previousParagraph: () => controlReading('previousBlock'),
+    nextParagraph: () => controlReading('nextBlock'),
+    readSelection: () => {
+      if (!isFeatureEnabled('textToSpeech', 'readSelection')) return;
+      readSelection();
+    },
+    readFrom: (selector) => {
+      if (!isFeatureEnabled('textToSpeech', 'readFrom')) return;
+      let element = null;
+      try {
+        element = resolveElement(selector);
+      } catch (error) {
+        // An invalid selector is reported below
+      }
+      if (!(element instanceof Element)) {
+        reportConfigError(`readFrom() expects a selector or element on the page, received ${JSON.stringify(selector)}.`);
+        return;
+      }
+      readFrom(element);
+    },
+    setHoverToSpeak: (enabled) => {
+      if (typeof enabled !== 'boolean') {
+        reportConfigError(`setHoverToSpeak() expects true or false, received ${JSON.stringify(enabled)}.`);
+        return;
+      }
+      if (enabled && !isFeatureEnabled('textToSpeech', 'setHoverToSpeak')) return;
+      updateHoverToSpeak(enabled);
+    },
+    setReadLandmarks: (enabled) => {
+      if (!isFeatureEnabled('textToSpeech', 'setReadLandmarks')) return;
+      if (typeof enabled !== 'boolean') {
+        reportConfigError(`setReadLandmarks() expects true or false, received ${JSON.stringify(enabled)}.`);
+        return;
+      }
+      updateReadLandmarks(enabled);
+    },
+    seek: (sentence) => {
+      if (!Number.isInteger(sentence) || sentence < 1) {
+        reportConfigError(`seek() expects a sentence number from 1, received ${JSON.stringify(sentence)}.`);
+        return;
+      }
+      controlReading('seek', sentence - 1);
+    },
+    stop: stopReading,
+    reset: resetAllSettings,
+    getState: () => ({
+      isOpen: isPanelOpen,
+      locale,
+      profile,
+      profileModified: isProfileModified,
+      fontSize: AccessibilitySettings.getFontSizeLevel(textScale),
+      textScale,
+      highContrast,
+      colorTheme,
+      lineHeight,
+      letterSpacing,
+      wordSpacing,
+      paragraphSpacing,
+      readableFont,
+      leftAlign,
+      bigCursor,
+      stopAnimations,
+      colorFilter,
+      readingGuide,
+      readingMaskHeight,
+      readerView: isReaderView,
+      readerFont: readerOptions.font,
+      readerWidth: readerOptions.width,
+      readerSpacing: readerOptions.spacing,
+      isReading,
+      isPaused,
+      readingProgress,
+      readingPosition,
+      hoverToSpeak,
+      readLandmarks,
+      speechRate,
+      speechPitch,
+      voice: selectedVoice ? selectedVoice.name : null
+    })
+  }));
+
   // Get current voice name for display
   const getCurrentVoiceName = () => {
-    if (!selectedVoice) return 'Implicit';
+    if (!selectedVoice) return t('defaultVoice');
     return selectedVoice.name.length > 20 
       ? selectedVoice.name.substring(0, 20) + '...'
       : selectedVoice.name;
   };
 
   // Get speech rate label
-  const getSpeechRateLabel = () => {
-    switch (speechRate) {
-      case 0.6: return 'Încet';
-      case 0.8: return 'Normal';
-      case 1.0: return 'Mediu';
-      case 1.2: return 'Rapid';
-      default: return 'Normal';
-    }
-  };
+  const getSpeechRateLabel = () => t.speechRate(speechRate);
+
+  const palette = getPanelPalette(AccessibilityPreferences.resolvePanelTheme(config.theme, systemPreferences), colorTheme);
+
+  // The open panel docked as a full-height bar
+  const isBar = placement.bar && isPanelOpen;
 
   // Helper function to create elements with React.createElement
   const e = React.createElement;
@@ -418,77 +1997,8 @@ window.AccessibilitySidebar = function() {
   return e(React.Fragment, null,
     // Enhanced CSS for animations and narrator features
     e('style', null, `
-      /* Accessibility feature styles */
-      body.font-size-larger {
-        font-size: 120% !important;
-      }
-      
-      body.font-size-larger * {
-        font-size: inherit !important;
-      }
-      
-      body.font-size-largest {
-        font-size: 150% !important;
-      }
-      
-      body.font-size-largest * {
-        font-size: inherit !important;
-      }
-      
-      body.high-contrast {
-        background: #000 !important;
-        color: #fff !important;
-      }
-      
-      body.high-contrast * {
-        background-color: #000 !important;
-        color: #fff !important;
-        border-color: #fff !important;
-      }
-      
-      body.high-contrast a {
-        color: #ffff00 !important;
-        text-decoration: underline !important;
-      }
-      
-      body.high-contrast button,
-      body.high-contrast input[type="button"],
-      body.high-contrast input[type="submit"] {
-        background: #fff !important;
-        color: #000 !important;
-        border: 2px solid #fff !important;
-      }
-      
-      body.high-contrast img {
-        opacity: 0.8 !important;
-        filter: contrast(150%) !important;
-      }
-      
-      body.high-contrast .content-section,
-      body.high-contrast .card,
-      body.high-contrast .testimonial,
-      body.high-contrast header,
-      body.high-contrast footer {
-        background: #000 !important;
-        border: 2px solid #fff !important;
-      }
-      
-      body.line-height-larger {
-        line-height: 1.8 !important;
-      }
-      
-      body.line-height-larger * {
-        line-height: inherit !important;
-      }
-      
-      body.line-height-largest {
-        line-height: 2.2 !important;
-      }
-      
-      body.line-height-largest * {
-        line-height: inherit !important;
-      }
-      
+      ${AccessibilitySettings.buildPageStyles(config.exclude)}
+
       @keyframes pulse {
         0% { opacity: 0.4; }
         50% { opacity: 1; }
@@ -518,19 +2028,147 @@ window.AccessibilitySidebar = function() {
         height: 20px;
       }
 
-      .a11y-icon.large {
-        width: 24px;
-        height: 24px;
+      .a11y-icon.large {
+        width: 24px;
+        height: 24px;
+      }
+
+      .reading-progress-indicator {
+        position: absolute;
+        bottom: 0;
+        left: 0;
+        height: 3px;
+        background: linear-gradient(90deg, #4CAF50, #2196F3);
+        border-radius: 0 0 12px 12px;
+        transition: width 0.3s ease;
+      }
+
+      .text-scale-slider {
+        flex: 1;
+        min-width: 0;
+        accent-color: currentColor;
+        cursor: pointer;
+      }
+
+      .text-scale-step {
+        width: 32px;
+        height: 32px;
+        border-radius: 6px;
+        border: none;
+        font-weight: bold;
+        cursor: pointer;
+      }
+
+      .text-scale-step:disabled {
+        opacity: 0.4;
+        cursor: not-allowed;
+      }
+
+      .color-filter-options {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 6px;
+      }
+
+      .color-filter-option {
+        padding: 6px 8px;
+        border-radius: 6px;
+        border: 2px solid transparent;
+        font-size: 12px;
+        text-align: left;
+        cursor: pointer;
+      }
+
+      .color-filter-option[aria-pressed="true"] {
+        border-color: currentColor;
+        font-weight: bold;
+      }
+
+      .narrator-player {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        padding: 10px 12px;
+        border-radius: 8px;
+      }
+
+      .narrator-buttons {
+        display: flex;
+        justify-content: space-between;
+        gap: 4px;
+      }
+
+      .narrator-button {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        width: 36px;
+        height: 32px;
+        border: none;
+        border-radius: 6px;
+        cursor: pointer;
+      }
+
+      .profile-select {
+        flex: 1;
+        min-width: 0;
+        padding: 4px 6px;
+        border: 1px solid currentColor;
+        border-radius: 6px;
+        font: inherit;
+        font-size: 13px;
+      }
+
+      .profile-actions, .share-actions {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 4px;
+      }
+
+      .profile-action, .share-action {
+        padding: 6px 4px;
+        border: 1px solid currentColor;
+        border-radius: 6px;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .share-code {
+        display: flex;
+        gap: 4px;
+      }
+
+      .share-code input {
+        flex: 1;
+        min-width: 0;
+        padding: 4px 6px;
+        border: 1px solid currentColor;
+        border-radius: 6px;
+        font: inherit;
+        font-size: 13px;
+      }
+
+      .narrator-modes {
+        display: grid;
+        grid-template-columns: repeat(3, 1fr);
+        gap: 4px;
       }
 
-      .reading-progress-indicator {
-        position: absolute;
-        bottom: 0;
-        left: 0;
-        height: 3px;
-        background: linear-gradient(90deg, #4CAF50, #2196F3);
-        border-radius: 0 0 12px 12px;
-        transition: width 0.3s ease;
+      .narrator-mode {
+        padding: 6px 4px;
+        border: 2px solid transparent;
+        border-radius: 6px;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .narrator-mode.wide {
+        grid-column: 1 / -1;
+      }
+
+      .narrator-mode[aria-pressed="true"] {
+        border-color: currentColor;
+        font-weight: bold;
       }
 
       .voice-indicator {
@@ -539,31 +2177,50 @@ window.AccessibilitySidebar = function() {
         margin-top: 2px;
         line-height: 1;
       }
+
+      .accessibility-sidebar .visually-hidden {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        margin: -1px;
+        padding: 0;
+        overflow: hidden;
+        clip: rect(0, 0, 0, 0);
+        white-space: nowrap;
+        border: 0;
+      }
     `),
 
     e('div', {
       className: `accessibility-sidebar ${isPanelOpen ? 'expanded' : 'collapsed'} ${isMobile ? 'mobile' : 'desktop'}`,
+      ref: panelRef,
+      id: panelId,
+      // A non-modal disclosure: the launcher shows and hides the panel, and
+      // the page stays usable while it is open
+      role: 'region',
+      'aria-label': t('panelTitle'),
+      lang: t.tag,
+      onKeyDown: handlePanelKeyDown,
       style: {
         position: 'fixed',
-        top: isMobile ? 'auto' : `${position.y}px`,
-        left: isMobile ? 'auto' : `${position.x}px`,
-        bottom: isMobile ? '20px' : 'auto',
-        right: isMobile ? '20px' : 'auto',
+        ...AccessibilityPosition.getStyle(placement, { bar: isBar }),
         zIndex: 9999,
-        transition: 'all 0.3s ease',
-        background: highContrast ? '#000' : 'white',
-        color: highContrast ? '#fff' : '#333',
-        border: `2px solid ${highContrast ? '#fff' : '#2196F3'}`,
-        borderRadius: '12px',
+        // The panel follows the pointer without delay while it is dragged
+        transition: isDragging ? 'none' : 'all 0.3s ease',
+        background: palette.background,
+        color: palette.text,
+        border: `2px solid ${palette.border}`,
+        borderRadius: isBar ? '0' : '12px',
         boxShadow: '0 4px 8px rgba(0, 0, 0, 0.2)',
         padding: isPanelOpen ? '16px' : '8px',
-        width: isPanelOpen ? (isMobile ? '300px' : '300px') : '56px',
+        width: isPanelOpen ? '300px' : '56px',
         maxWidth: '90vw',
+        boxSizing: 'border-box',
+        overflowY: 'auto',
         display: 'flex',
         flexDirection: 'column',
         gap: '12px',
-        cursor: isDragging ? 'grabbing' : 'auto',
-        position: 'relative'
+        cursor: isDragging ? 'grabbing' : 'auto'
       }
     },
       // Reading progress indicator
@@ -582,11 +2239,20 @@ window.AccessibilitySidebar = function() {
           justifyContent: 'space-between',
           alignItems: 'center',
           marginBottom: '8px',
-          cursor: isMobile ? 'auto' : 'grab',
+          cursor: isDragging ? 'grabbing' : 'grab',
+          // Touch moves the panel instead of scrolling the page
+          touchAction: 'none',
           padding: '4px'
         },
-        onMouseDown: handleMouseDown,
-        role: 'presentation'
+        // Focused, the header moves the panel with the arrow keys
+        tabIndex: 0,
+        role: 'group',
+        'aria-label': t('movePanel'),
+        onPointerDown: handlePointerDown,
+        onPointerMove: handlePointerMove,
+        onPointerUp: handlePointerUp,
+        onPointerCancel: handlePointerUp,
+        onKeyDown: handleHeaderKeyDown
       },
         isPanelOpen && e('div', {
           className: 'title',
@@ -597,12 +2263,39 @@ window.AccessibilitySidebar = function() {
               e('path', { d: 'M12 2c1.1 0 2 .9 2 2s-.9 2-2 2-2-.9-2-2 .9-2 2-2zm9 7h-6v13h-2v-6h-2v6H9V9H3V7h18v2z' })
             )
           ),
-          e('span', null, 'Accesibilitate')
+          e('span', null, t('panelTitle'))
+        ),
+
+        isPanelOpen && e('button', {
+          'aria-label': t('dock.bar'),
+          'aria-pressed': placement.bar,
+          title: t('dock.bar'),
+          onClick: toggleBar,
+          style: {
+            background: placement.bar ? palette.activeButton : 'transparent',
+            border: 'none',
+            cursor: 'pointer',
+            padding: '8px',
+            borderRadius: '8px',
+            color: palette.accent,
+            marginLeft: 'auto',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center'
+          }
+        },
+          e('svg', { width: '20', height: '20', viewBox: '0 0 24 24', fill: 'currentColor', 'aria-hidden': 'true' },
+            e('path', { d: 'M16 20H2V4h14v16zm2-12h4V4h-4v4zm0 12h4v-4h-4v4zm0-6h4v-4h-4v4z' })
+          )
         ),
-        
+
         e('button', {
-          'aria-label': isPanelOpen ? "Închide panoul de accesibilitate" : "Deschide panoul de accesibilitate",
-          title: isPanelOpen ? "Închide panoul" : "Opțiuni de accesibilitate",
+          ref: toggleRef,
+          'aria-label': isPanelOpen ? t('closePanel') : t('openPanel'),
+          'aria-expanded': isPanelOpen,
+          'aria-controls': panelId,
+          'aria-keyshortcuts': hotkey ? hotkey.shortcut : undefined,
+          title: `${isPanelOpen ? t('closePanelTitle') : t('openPanelTitle')}${hotkey ? ` (${hotkey.shortcut})` : ''}`,
           onClick: () => setIsPanelOpen(!isPanelOpen),
           style: {
             background: 'transparent',
@@ -610,7 +2303,7 @@ window.AccessibilitySidebar = function() {
             cursor: 'pointer',
             padding: '8px',
             borderRadius: '8px',
-            color: highContrast ? '#fff' : '#2196F3',
+            color: palette.accent,
             marginLeft: isPanelOpen ? '0' : 'auto',
             marginRight: isPanelOpen ? '0' : 'auto',
             display: 'flex',
@@ -634,53 +2327,166 @@ window.AccessibilitySidebar = function() {
       // Control Buttons - Only visible when panel is expanded
       isPanelOpen && e('div', {
         className: 'control-buttons',
+        ref: controlsRef,
         style: {
           display: 'flex',
           flexDirection: 'column',
           gap: '12px'
         },
         role: 'group',
-        'aria-label': 'Controale de accesibilitate'
+        'aria-label': t('controlsGroup'),
+        // One Tab stop; the arrow keys, Home and End move between the controls
+        onKeyDown: (event) => AccessibilityPanel.handleRovingKeyDown(event, controlsRef.current),
+        onFocus: (event) => AccessibilityPanel.handleRovingFocus(event, controlsRef.current)
       },
-        // Font Size Control
-        e('button', {
-          'aria-label': `Mărime text: ${fontSize === 0 ? 'normal' : fontSize === 1 ? 'mare' : 'foarte mare'}`,
-          'aria-pressed': fontSize > 0,
-          className: `control-button ${fontSize > 0 ? 'active' : ''}`,
-          onClick: handleFontSizeChange,
-          onKeyDown: (e) => handleKeyDown(e, handleFontSizeChange),
+        // Offer to apply the settings of a shared link
+        sharedOffer && e('div', {
+          role: 'group',
+          'aria-label': t('share'),
+          className: 'control-button active',
           style: {
             display: 'flex',
-            alignItems: 'center',
-            gap: '12px',
+            flexDirection: 'column',
+            gap: '8px',
             padding: '10px 12px',
             borderRadius: '8px',
-            border: 'none',
-            background: fontSize > 0 ? (highContrast ? '#fff' : '#e3f2fd') : (highContrast ? '#333' : '#f5f5f5'),
-            color: fontSize > 0 ? (highContrast ? '#000' : '#2196F3') : (highContrast ? '#fff' : '#333'),
-            cursor: 'pointer',
-            textAlign: 'left',
-            fontWeight: fontSize > 0 ? 'bold' : 'normal',
-            transition: 'all 0.2s ease',
+            background: palette.activeButton,
+            color: palette.activeButtonText,
             width: '100%'
           }
         },
-          e('div', { className: 'a11y-icon', style: { width: '24px', height: '24px', display: 'flex', alignItems: 'center', justifyContent: 'center' } },
-            e('svg', { width: '20', height: '20', viewBox: '0 0 24 24', fill: 'currentColor', 'aria-hidden': 'true' },
-              e('path', { d: 'M9.62 12L12 5.67L14.37 12M11 3L5.5 21h2.25l1.12-3h6.25l1.13 3h2.25L13 3h-2z' })
+          e('span', { role: 'status' }, t('share.offer')),
+          e('div', { className: 'share-actions' },
+            e('button', {
+              className: 'share-action',
+              onClick: () => handleSharedOffer(true),
+              style: { background: palette.background, color: palette.text }
+            }, t('share.apply')),
+            e('button', {
+              className: 'share-action',
+              onClick: () => handleSharedOffer(false),
+              style: { background: palette.background, color: palette.text }
+            }, t('share.dismiss'))
+          )
+        ),
+
+        // Profile selector: one-click bundles of settings
+        features.profiles && e('div', {
+          role: 'group',
+          'aria-label': t('profile'),
+          className: `control-button ${profile ? 'active' : ''}`,
+          style: {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+            padding: '10px 12px',
+            borderRadius: '8px',
+            background: profile ? palette.activeButton : palette.button,
+            color: profile ? palette.activeButtonText : palette.buttonText,
+            width: '100%'
+          }
+        },
+          e('label', { style: { display: 'flex', alignItems: 'center', gap: '12px' } },
+            e('div', { className: 'a11y-icon', style: { width: '24px', height: '24px', display: 'flex', alignItems: 'center', justifyContent: 'center' } },
+              e('svg', { width: '20', height: '20', viewBox: '0 0 24 24', fill: 'currentColor', 'aria-hidden': 'true' },
+                e('path', { d: 'M12 12c2.21 0 4-1.79 4-4s-1.79-4-4-4-4 1.79-4 4 1.79 4 4 4zm0 2c-2.67 0-8 1.34-8 4v2h16v-2c0-2.66-5.33-4-8-4z' })
+              )
+            ),
+            e('span', { style: { fontWeight: profile ? 'bold' : 'normal' } }, t('profile')),
+            e('select', {
+              className: 'profile-select',
+              value: profile || '',
+              onChange: (event) => updateProfile(event.target.value || null),
+              style: { background: palette.background, color: palette.text }
+            },
+              e('option', { value: '' }, t('profile.none')),
+              ...Object.keys(config.profiles).map(id => e('option', { key: id, value: id },
+                AccessibilityProfiles.getProfileLabel(config.profiles[id], id, t)
+              )),
+              personalProfile && e('option', { key: AccessibilityProfiles.PERSONAL_PROFILE, value: AccessibilityProfiles.PERSONAL_PROFILE },
+                t('profile.personal')
+              )
             )
           ),
-          e('div', { style: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start' } },
-            e('span', null, 'Mărime text'),
-            e('small', { style: { fontSize: '12px', opacity: '0.8' } },
-              fontSize === 0 ? 'Normal' : fontSize === 1 ? 'Mare' : 'Foarte mare'
+          isProfileModified && e('small', { role: 'status', style: { fontSize: '12px', opacity: '0.8' } },
+            t('profile.modified')
+          ),
+          e('div', { className: 'profile-actions' },
+            e('button', {
+              className: 'profile-action',
+              onClick: savePersonalProfile,
+              style: { background: palette.background, color: palette.text }
+            }, t('profile.save')),
+            personalProfile && e('button', {
+              className: 'profile-action',
+              onClick: deletePersonalProfile,
+              style: { background: palette.background, color: palette.text }
+            }, t('profile.delete'))
+          )
+        ),
+
+        // Font Size Control: a slider with - and + steppers
+        features.fontSize && e('div', {
+          role: 'group',
+          'aria-label': t('fontSize'),
+          className: `control-button ${textScale > AccessibilitySettings.TEXT_SCALE.min ? 'active' : ''}`,
+          style: {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+            padding: '10px 12px',
+            borderRadius: '8px',
+            background: textScale > AccessibilitySettings.TEXT_SCALE.min ? palette.activeButton : palette.button,
+            color: textScale > AccessibilitySettings.TEXT_SCALE.min ? palette.activeButtonText : palette.buttonText,
+            fontWeight: textScale > AccessibilitySettings.TEXT_SCALE.min ? 'bold' : 'normal',
+            width: '100%'
+          }
+        },
+          e('div', { style: { display: 'flex', alignItems: 'center', gap: '12px' } },
+            e('div', { className: 'a11y-icon', style: { width: '24px', height: '24px', display: 'flex', alignItems: 'center', justifyContent: 'center' } },
+              e('svg', { width: '20', height: '20', viewBox: '0 0 24 24', fill: 'currentColor', 'aria-hidden': 'true' },
+                e('path', { d: 'M9.62 12L12 5.67L14.37 12M11 3L5.5 21h2.25l1.12-3h6.25l1.13 3h2.25L13 3h-2z' })
+              )
+            ),
+            e('div', { style: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start' } },
+              e('span', null, t('fontSize')),
+              e('small', { style: { fontSize: '12px', opacity: '0.8' }, 'aria-hidden': 'true' },
+                t.percent(textScale)
+              )
             )
+          ),
+          e('div', { style: { display: 'flex', alignItems: 'center', gap: '8px' } },
+            e('button', {
+              className: 'text-scale-step',
+              'aria-label': t('textScale.decrease'),
+              onClick: () => stepTextScale(-1),
+              disabled: textScale <= AccessibilitySettings.TEXT_SCALE.min,
+              style: { background: palette.background, color: palette.text }
+            }, 'A\u2212'),
+            e('input', {
+              type: 'range',
+              className: 'text-scale-slider',
+              min: AccessibilitySettings.TEXT_SCALE.min,
+              max: AccessibilitySettings.TEXT_SCALE.max,
+              step: AccessibilitySettings.TEXT_SCALE.step,
+              value: textScale,
+              onChange: handleTextScaleInput,
+              'aria-label': t('fontSize'),
+              'aria-valuetext': t.percent(textScale)
+            }),
+            e('button', {
+              className: 'text-scale-step',
+              'aria-label': t('textScale.increase'),
+              onClick: () => stepTextScale(1),
+              disabled: textScale >= AccessibilitySettings.TEXT_SCALE.max,
+              style: { background: palette.background, color: palette.text }
+            }, 'A+')
           )
         ),
 
         // Contrast Control
-        e('button', {
-          'aria-label': `Contrast: ${highContrast ? 'ridicat' : 'normal'}`,
+        features.contrast && e('button', {
+          'aria-label': `${t('contrast')}: ${t(`colorTheme.${colorTheme}`)}`,
           'aria-pressed': highContrast,
           className: `control-button ${highContrast ? 'active' : ''}`,
           onClick: handleContrastToggle,
@@ -692,8 +2498,8 @@ window.AccessibilitySidebar = function() {
             padding: '10px 12px',
             borderRadius: '8px',
             border: 'none',
-            background: highContrast ? (highContrast ? '#fff' : '#e3f2fd') : (highContrast ? '#333' : '#f5f5f5'),
-            color: highContrast ? (highContrast ? '#000' : '#2196F3') : (highContrast ? '#fff' : '#333'),
+            background: highContrast ? palette.activeButton : palette.button,
+            color: highContrast ? palette.activeButtonText : palette.buttonText,
             cursor: 'pointer',
             textAlign: 'left',
             fontWeight: highContrast ? 'bold' : 'normal',
@@ -711,16 +2517,16 @@ window.AccessibilitySidebar = function() {
                 )
           ),
           e('div', { style: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start' } },
-            e('span', null, 'Contrast'),
+            e('span', null, t('contrast')),
             e('small', { style: { fontSize: '12px', opacity: '0.8' } },
-              highContrast ? 'Ridicat' : 'Normal'
+              t(`colorTheme.${colorTheme}`)
             )
           )
         ),
 
         // Line Height Control
-        e('button', {
-          'aria-label': `Spațiu între rânduri: ${lineHeight === 0 ? 'normal' : lineHeight === 1 ? 'mare' : 'foarte mare'}`,
+        features.lineHeight && e('button', {
+          'aria-label': `${t('lineHeight')}: ${t.level(lineHeight)}`,
           'aria-pressed': lineHeight > 0,
           className: `control-button ${lineHeight > 0 ? 'active' : ''}`,
           onClick: handleLineHeightChange,
@@ -732,8 +2538,8 @@ window.AccessibilitySidebar = function() {
             padding: '10px 12px',
             borderRadius: '8px',
             border: 'none',
-            background: lineHeight > 0 ? (highContrast ? '#fff' : '#e3f2fd') : (highContrast ? '#333' : '#f5f5f5'),
-            color: lineHeight > 0 ? (highContrast ? '#000' : '#2196F3') : (highContrast ? '#fff' : '#333'),
+            background: lineHeight > 0 ? palette.activeButton : palette.button,
+            color: lineHeight > 0 ? palette.activeButtonText : palette.buttonText,
             cursor: 'pointer',
             textAlign: 'left',
             fontWeight: lineHeight > 0 ? 'bold' : 'normal',
@@ -747,16 +2553,234 @@ window.AccessibilitySidebar = function() {
             )
           ),
           e('div', { style: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start' } },
-            e('span', null, 'Spațiu între rânduri'),
+            e('span', null, t('lineHeight')),
+            e('small', { style: { fontSize: '12px', opacity: '0.8' } },
+              t.level(lineHeight)
+            )
+          )
+        ),
+
+        // Letter, Word and Paragraph Spacing Controls
+        ...[
+          { setting: 'letterSpacing', icon: 'M2.5 4v3h5v12h3V7h5V4h-13zm19 5h-9v3h3v7h3v-7h3V9z' },
+          { setting: 'wordSpacing', icon: 'M18 9v4H6V9H4v6h16V9z' },
+          { setting: 'paragraphSpacing', icon: 'M9 10v5h2V4h2v11h2V4h2V2H9C6.79 2 5 3.79 5 6s1.79 4 4 4z' }
+        ].map(({ setting, icon }) => features[setting] && e('button', {
+          key: setting,
+          'aria-label': `${t(setting)}: ${t.spacing(textSpacing[setting])}`,
+          'aria-pressed': textSpacing[setting],
+          className: `control-button ${textSpacing[setting] ? 'active' : ''}`,
+          onClick: () => handleTextSpacingToggle(setting),
+          onKeyDown: (e) => handleKeyDown(e, () => handleTextSpacingToggle(setting)),
+          style: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '12px',
+            padding: '10px 12px',
+            borderRadius: '8px',
+            border: 'none',
+            background: textSpacing[setting] ? palette.activeButton : palette.button,
+            color: textSpacing[setting] ? palette.activeButtonText : palette.buttonText,
+            cursor: 'pointer',
+            textAlign: 'left',
+            fontWeight: textSpacing[setting] ? 'bold' : 'normal',
+            transition: 'all 0.2s ease',
+            width: '100%'
+          }
+        },
+          e('div', { className: 'a11y-icon', style: { width: '24px', height: '24px', display: 'flex', alignItems: 'center', justifyContent: 'center' } },
+            e('svg', { width: '20', height: '20', viewBox: '0 0 24 24', fill: 'currentColor', 'aria-hidden': 'true' },
+              e('path', { d: icon })
+            )
+          ),
+          e('div', { style: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start' } },
+            e('span', null, t(setting)),
+            e('small', { style: { fontSize: '12px', opacity: '0.8' } },
+              t.spacing(textSpacing[setting])
+            )
+          )
+        )),
+
+        // Readable Font, Left Alignment, Big Cursor and Stop Animations Controls
+        ...[
+          { setting: 'readableFont', icon: 'M9.93 13.5h4.14L12 7.98zM20 2H4c-1.1 0-2 .9-2 2v16c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zm-4.05 16.5l-1.14-3H9.17l-1.12 3H5.96l5.11-13h1.86l5.11 13h-2.09z' },
+          { setting: 'leftAlign', icon: 'M15 15H3v2h12v-2zm0-8H3v2h12V7zM3 13h18v-2H3v2zm0 8h18v-2H3v2zM3 3v2h18V3H3z' },
+          { setting: 'bigCursor', icon: 'M4 2l15 11-6.5 1 3.8 7-2.8 1.5-3.8-7L4 20z' },
+          { setting: 'stopAnimations', icon: 'M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-1 14H9V8h2v8zm4 0h-2V8h2v8z' }
+        ].map(({ setting, icon }) => features[setting] && e('button', {
+          key: setting,
+          'aria-label': `${t(setting)}: ${displayAdjustments[setting] ? t('active') : t('inactive')}`,
+          'aria-pressed': displayAdjustments[setting],
+          className: `control-button ${displayAdjustments[setting] ? 'active' : ''}`,
+          onClick: () => handleDisplayToggle(setting),
+          onKeyDown: (e) => handleKeyDown(e, () => handleDisplayToggle(setting)),
+          style: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '12px',
+            padding: '10px 12px',
+            borderRadius: '8px',
+            border: 'none',
+            background: displayAdjustments[setting] ? palette.activeButton : palette.button,
+            color: displayAdjustments[setting] ? palette.activeButtonText : palette.buttonText,
+            cursor: 'pointer',
+            textAlign: 'left',
+            fontWeight: displayAdjustments[setting] ? 'bold' : 'normal',
+            transition: 'all 0.2s ease',
+            width: '100%'
+          }
+        },
+          e('div', { className: 'a11y-icon', style: { width: '24px', height: '24px', display: 'flex', alignItems: 'center', justifyContent: 'center' } },
+            e('svg', { width: '20', height: '20', viewBox: '0 0 24 24', fill: 'currentColor', 'aria-hidden': 'true' },
+              e('path', { d: icon })
+            )
+          ),
+          e('div', { style: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start' } },
+            e('span', null, t(setting)),
+            e('small', { style: { fontSize: '12px', opacity: '0.8' } },
+              displayAdjustments[setting] ? t('active') : t('inactive')
+            )
+          )
+        )),
+
+        // Color Filter Control: one button per filter, the active one pressed
+        features.colorFilter && e('div', {
+          role: 'group',
+          'aria-label': t('colorFilter'),
+          className: `control-button ${colorFilter !== 'none' ? 'active' : ''}`,
+          style: {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+            padding: '10px 12px',
+            borderRadius: '8px',
+            background: colorFilter !== 'none' ? palette.activeButton : palette.button,
+            color: colorFilter !== 'none' ? palette.activeButtonText : palette.buttonText,
+            width: '100%'
+          }
+        },
+          e('div', { style: { display: 'flex', alignItems: 'center', gap: '12px' } },
+            e('div', { className: 'a11y-icon', style: { width: '24px', height: '24px', display: 'flex', alignItems: 'center', justifyContent: 'center' } },
+              e('svg', { width: '20', height: '20', viewBox: '0 0 24 24', fill: 'currentColor', 'aria-hidden': 'true' },
+                e('path', { d: 'M12 22C6.49 22 2 17.51 2 12S6.49 2 12 2s10 4.04 10 9c0 3.31-2.69 6-6 6h-1.77c-.28 0-.5.22-.5.5 0 .12.05.23.13.33.41.47.64 1.06.64 1.67A2.5 2.5 0 0 1 12 22zm-5.5-9a1.5 1.5 0 1 0 0-3 1.5 1.5 0 0 0 0 3zm3-4a1.5 1.5 0 1 0 0-3 1.5 1.5 0 0 0 0 3zm5 0a1.5 1.5 0 1 0 0-3 1.5 1.5 0 0 0 0 3zm3 4a1.5 1.5 0 1 0 0-3 1.5 1.5 0 0 0 0 3z' })
+              )
+            ),
+            e('span', { style: { fontWeight: colorFilter !== 'none' ? 'bold' : 'normal' } }, t('colorFilter'))
+          ),
+          e('div', { className: 'color-filter-options' },
+            AccessibilityThemes.getFilters().map(name => e('button', {
+              key: name,
+              className: 'color-filter-option',
+              'aria-pressed': colorFilter === name,
+              onClick: () => updateColorFilter(name),
+              style: { background: palette.background, color: palette.text }
+            }, t(`colorFilter.${name}`)))
+          )
+        ),
+
+        // Reading Ruler and Reading Mask Controls
+        ...[
+          { mode: 'ruler', label: 'readingRuler', icon: 'M21 6H3c-1.1 0-2 .9-2 2v8c0 1.1.9 2 2 2h18c1.1 0 2-.9 2-2V8c0-1.1-.9-2-2-2zm0 10H3V8h2v4h2V8h2v4h2V8h2v4h2V8h2v4h2V8h2v8z' },
+          { mode: 'mask', label: 'readingMask', icon: 'M3 3h18v5H3zm0 13h18v5H3zm0-5h18v2H3z' }
+        ].map(({ mode, label, icon }) => features.readingGuide && e('button', {
+          key: mode,
+          'aria-label': `${t(label)}: ${readingGuide === mode ? t('active') : t('inactive')}`,
+          'aria-pressed': readingGuide === mode,
+          className: `control-button ${readingGuide === mode ? 'active' : ''}`,
+          onClick: () => handleReadingGuideToggle(mode),
+          onKeyDown: (e) => handleKeyDown(e, () => handleReadingGuideToggle(mode)),
+          style: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '12px',
+            padding: '10px 12px',
+            borderRadius: '8px',
+            border: 'none',
+            background: readingGuide === mode ? palette.activeButton : palette.button,
+            color: readingGuide === mode ? palette.activeButtonText : palette.buttonText,
+            cursor: 'pointer',
+            textAlign: 'left',
+            fontWeight: readingGuide === mode ? 'bold' : 'normal',
+            transition: 'all 0.2s ease',
+            width: '100%'
+          }
+        },
+          e('div', { className: 'a11y-icon', style: { width: '24px', height: '24px', display: 'flex', alignItems: 'center', justifyContent: 'center' } },
+            e('svg', { width: '20', height: '20', viewBox: '0 0 24 24', fill: 'currentColor', 'aria-hidden': 'true' },
+              e('path', { d: icon })
+            )
+          ),
+          e('div', { style: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start' } },
+            e('span', null, t(label)),
+            e('small', { style: { fontSize: '12px', opacity: '0.8' } },
+              readingGuide === mode ? t('active') : t('inactive')
+            )
+          )
+        )),
+
+        // Height of the reading mask band, shown while the mask is on
+        features.readingGuide && readingGuide === 'mask' && e('label', {
+          style: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            padding: '0 12px',
+            fontSize: '12px',
+            color: palette.text
+          }
+        },
+          e('span', null, t('readingMaskHeight')),
+          e('input', {
+            type: 'range',
+            className: 'text-scale-slider',
+            min: AccessibilityReadingGuide.MASK_HEIGHT.min,
+            max: AccessibilityReadingGuide.MASK_HEIGHT.max,
+            step: AccessibilityReadingGuide.MASK_HEIGHT.step,
+            value: readingMaskHeight,
+            onChange: (event) => updateReadingMaskHeight(Number(event.target.value)),
+            'aria-valuetext': t('readingMaskHeightValue', { height: readingMaskHeight })
+          })
+        ),
+
+        // Reader view toggle
+        features.readerView && e('button', {
+          'aria-label': `${t('readerView')}: ${isReaderView ? t('active') : t('inactive')}`,
+          'aria-pressed': isReaderView,
+          className: `control-button ${isReaderView ? 'active' : ''}`,
+          onClick: () => updateReaderView(!isReaderView),
+          onKeyDown: (e) => handleKeyDown(e, () => updateReaderView(!isReaderView)),
+          style: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '12px',
+            padding: '10px 12px',
+            borderRadius: '8px',
+            border: 'none',
+            background: isReaderView ? palette.activeButton : palette.button,
+            color: isReaderView ? palette.activeButtonText : palette.buttonText,
+            cursor: 'pointer',
+            textAlign: 'left',
+            fontWeight: isReaderView ? 'bold' : 'normal',
+            transition: 'all 0.2s ease',
+            width: '100%'
+          }
+        },
+          e('div', { className: 'a11y-icon', style: { width: '24px', height: '24px', display: 'flex', alignItems: 'center', justifyContent: 'center' } },
+            e('svg', { width: '20', height: '20', viewBox: '0 0 24 24', fill: 'currentColor', 'aria-hidden': 'true' },
+              e('path', { d: 'M21 5c-1.11-.35-2.33-.5-3.5-.5-1.95 0-4.05.4-5.5 1.5-1.45-1.1-3.55-1.5-5.5-1.5S2.45 4.9 1 6v14.65c0 .25.25.5.5.5.1 0 .15-.05.25-.05C3.1 20.45 5.05 20 6.5 20c1.95 0 4.05.4 5.5 1.5 1.35-.85 3.8-1.5 5.5-1.5 1.65 0 3.35.3 4.75 1.05.1.05.15.05.25.05.25 0 .5-.25.5-.5V6c-.6-.45-1.25-.75-2-1zm0 13.5c-1.1-.35-2.3-.5-3.5-.5-1.7 0-4.15.65-5.5 1.5V8c1.35-.85 3.8-1.5 5.5-1.5 1.2 0 2.4.15 3.5.5v11.5z' })
+            )
+          ),
+          e('div', { style: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start' } },
+            e('span', null, t('readerView')),
             e('small', { style: { fontSize: '12px', opacity: '0.8' } },
-              lineHeight === 0 ? 'Normal' : lineHeight === 1 ? 'Mare' : 'Foarte mare'
+              isReaderView ? t('active') : t('inactive')
             )
           )
         ),
 
         // Text-to-Speech Control
-        e('button', {
-          'aria-label': isReading ? "Oprește citirea" : "Citește cu voce tare",
+        features.textToSpeech && e('button', {
+          'aria-label': isReading ? t('stopReading') : t('readAloud'),
           'aria-pressed': isReading,
           className: `control-button ${isReading ? 'active' : ''}`,
           onClick: handleReadAloud,
@@ -769,8 +2793,8 @@ window.AccessibilitySidebar = function() {
             padding: '10px 12px',
             borderRadius: '8px',
             border: 'none',
-            background: isReading ? (highContrast ? '#fff' : '#e3f2fd') : (highContrast ? '#333' : '#f5f5f5'),
-            color: isReading ? (highContrast ? '#000' : '#2196F3') : (highContrast ? '#fff' : '#333'),
+            background: isReading ? palette.activeButton : palette.button,
+            color: isReading ? palette.activeButtonText : palette.buttonText,
             cursor: 'speechSynthesis' in window ? 'pointer' : 'not-allowed',
             textAlign: 'left',
             fontWeight: isReading ? 'bold' : 'normal',
@@ -790,18 +2814,106 @@ window.AccessibilitySidebar = function() {
                 )
           ),
           e('div', { style: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start' } },
-            e('span', null, isReading ? "Oprește citirea" : "Citește cu voce tare"),
+            e('span', null, isReading ? t('stopReading') : t('readAloud')),
             e('small', { style: { fontSize: '12px', opacity: '0.8' } },
               'speechSynthesis' in window 
-                ? (isReading ? `Progres: ${readingProgress}%` : 'Inactiv')
-                : 'Indisponibil'
+                ? (isReading
+                    ? (isPaused ? t('player.paused') : t('readingProgress', { progress: readingProgress }))
+                    : t('inactive'))
+                : t('unavailable')
             )
           )
         ),
 
+        // Narrator modes: the selection, from a clicked paragraph, or on hover
+        features.textToSpeech && e('div', {
+          role: 'group',
+          'aria-label': t('narrator.modes'),
+          className: 'narrator-modes'
+        },
+          e('button', {
+            className: 'narrator-mode',
+            // Keep the page selection when the button is pressed
+            onMouseDown: (event) => event.preventDefault(),
+            onClick: readSelection,
+            disabled: !('speechSynthesis' in window),
+            style: { background: palette.button, color: palette.buttonText }
+          }, t('narrator.selection')),
+          e('button', {
+            className: 'narrator-mode',
+            'aria-pressed': isPickingStart,
+            title: isPickingStart ? t('narrator.pickStart') : undefined,
+            onClick: handleReadFromHere,
+            disabled: !('speechSynthesis' in window),
+            style: { background: palette.button, color: palette.buttonText }
+          }, t('narrator.fromHere')),
+          e('button', {
+            className: 'narrator-mode',
+            'aria-pressed': hoverToSpeak,
+            onClick: () => updateHoverToSpeak(!hoverToSpeak),
+            disabled: !('speechSynthesis' in window),
+            style: { background: palette.button, color: palette.buttonText }
+          }, t('narrator.hover')),
+          e('button', {
+            className: 'narrator-mode wide',
+            'aria-pressed': readLandmarks,
+            onClick: () => updateReadLandmarks(!readLandmarks),
+            style: { background: palette.button, color: palette.buttonText }
+          }, t('narrator.landmarks'))
+        ),
+        features.textToSpeech && isPickingStart && e('small', {
+          role: 'status',
+          style: { fontSize: '12px', opacity: '0.8' }
+        }, t('narrator.pickStart')),
+
+        // Narrator Player: play/pause, sentence and paragraph skips and a seek bar
+        features.textToSpeech && isReading && e('div', {
+          role: 'group',
+          'aria-label': t('player.label'),
+          className: 'narrator-player',
+          style: { background: palette.button, color: palette.buttonText }
+        },
+          e('div', { className: 'narrator-buttons' },
+            [
+              { action: 'previousBlock', label: t('player.previousParagraph'), icon: 'M6 6h2v12H6zm3.5 6l8.5 6V6z' },
+              { action: 'previousSentence', label: t('player.previousSentence'), icon: 'M11 18V6l-8.5 6 8.5 6zm.5-6l8.5 6V6l-8.5 6z' },
+              {
+                action: 'togglePause',
+                label: isPaused ? t('player.play') : t('player.pause'),
+                icon: isPaused ? 'M8 5v14l11-7z' : 'M6 19h4V5H6v14zm8-14v14h4V5h-4z'
+              },
+              { action: 'nextSentence', label: t('player.nextSentence'), icon: 'M4 18l8.5-6L4 6v12zm9-12v12l8.5-6L13 6z' },
+              { action: 'nextBlock', label: t('player.nextParagraph'), icon: 'M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z' }
+            ].map(({ action, label, icon }) => e('button', {
+              key: action,
+              className: 'narrator-button',
+              'aria-label': label,
+              'aria-keyshortcuts': AccessibilityNarrator.SHORTCUTS[action],
+              title: `${label} (${AccessibilityNarrator.SHORTCUTS[action]})`,
+              onClick: () => controlReading(action),
+              style: { background: palette.background, color: palette.text }
+            },
+              e('svg', { width: '18', height: '18', viewBox: '0 0 24 24', fill: 'currentColor', 'aria-hidden': 'true' },
+                e('path', { d: icon })
+              )
+            ))
+          ),
+          e('input', {
+            type: 'range',
+            className: 'text-scale-slider',
+            min: 1,
+            max: Math.max(1, readingPosition.total),
+            step: 1,
+            value: readingPosition.chunk || 1,
+            onChange: (event) => controlReading('seek', Number(event.target.value) - 1),
+            'aria-label': t('player.seek'),
+            'aria-valuetext': t('player.position', { chunk: readingPosition.chunk, total: readingPosition.total })
+          })
+        ),
+
         // Speech Rate Control
-        availableRomanianVoices.length > 0 && e('button', {
-          'aria-label': `Viteza citirii: ${getSpeechRateLabel()}`,
+        features.textToSpeech && features.speechRate && availableRomanianVoices.length > 0 && e('button', {
+          'aria-label': `${t('speechRate')}: ${getSpeechRateLabel()}`,
           onClick: handleSpeechRateChange,
           onKeyDown: (e) => handleKeyDown(e, handleSpeechRateChange),
           style: {
@@ -811,8 +2923,8 @@ window.AccessibilitySidebar = function() {
             padding: '10px 12px',
             borderRadius: '8px',
             border: 'none',
-            background: highContrast ? '#333' : '#f5f5f5',
-            color: highContrast ? '#fff' : '#333',
+            background: palette.button,
+            color: palette.buttonText,
             cursor: 'pointer',
             textAlign: 'left',
             transition: 'all 0.2s ease',
@@ -826,7 +2938,7 @@ window.AccessibilitySidebar = function() {
             )
           ),
           e('div', { style: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start' } },
-            e('span', null, 'Viteza citirii'),
+            e('span', null, t('speechRate')),
             e('small', { style: { fontSize: '12px', opacity: '0.8' } },
               getSpeechRateLabel()
             )
@@ -834,8 +2946,8 @@ window.AccessibilitySidebar = function() {
         ),
 
         // Voice Selection
-        availableRomanianVoices.length > 1 && e('button', {
-          'aria-label': `Voce: ${getCurrentVoiceName()}`,
+        features.textToSpeech && features.voice && availableRomanianVoices.length > 1 && e('button', {
+          'aria-label': `${t('voiceLabel', { voice: getCurrentVoiceName() })}, ${t('voicesAvailable', { count: availableRomanianVoices.length })}`,
           onClick: handleVoiceChange,
           onKeyDown: (e) => handleKeyDown(e, handleVoiceChange),
           style: {
@@ -845,8 +2957,8 @@ window.AccessibilitySidebar = function() {
             padding: '10px 12px',
             borderRadius: '8px',
             border: 'none',
-            background: highContrast ? '#333' : '#f5f5f5',
-            color: highContrast ? '#fff' : '#333',
+            background: palette.button,
+            color: palette.buttonText,
             cursor: 'pointer',
             textAlign: 'left',
             transition: 'all 0.2s ease',
@@ -860,16 +2972,114 @@ window.AccessibilitySidebar = function() {
             )
           ),
           e('div', { style: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start' } },
-            e('span', null, 'Voce narrator'),
+            e('span', null, t('voice')),
             e('small', { style: { fontSize: '12px', opacity: '0.8' } },
               getCurrentVoiceName()
             )
           )
         ),
 
+        // Interface Language Selection
+        features.locale && config.locales.length > 1 && e('button', {
+          'aria-label': `${t('uiLanguage')}: ${t.localeName}`,
+          onClick: handleLocaleChange,
+          onKeyDown: (e) => handleKeyDown(e, handleLocaleChange),
+          style: {
+            display: 'flex',
+            alignItems: 'center',
+            gap: '12px',
+            padding: '10px 12px',
+            borderRadius: '8px',
+            border: 'none',
+            background: palette.button,
+            color: palette.buttonText,
+            cursor: 'pointer',
+            textAlign: 'left',
+            transition: 'all 0.2s ease',
+            width: '100%'
+          }
+        },
+          e('div', { className: 'a11y-icon', style: { width: '24px', height: '24px', display: 'flex', alignItems: 'center', justifyContent: 'center' } },
+            e('svg', { width: '20', height: '20', viewBox: '0 0 24 24', fill: 'currentColor', 'aria-hidden': 'true' },
+              e('path', { d: 'M11.99 2C6.47 2 2 6.48 2 12s4.47 10 9.99 10C17.52 22 22 17.52 22 12S17.52 2 11.99 2zm6.93 6h-2.95c-.32-1.25-.78-2.45-1.38-3.56 1.84.63 3.37 1.91 4.33 3.56zM12 4.04c.83 1.2 1.48 2.53 1.91 3.96h-3.82c.43-1.43 1.08-2.76 1.91-3.96zM4.26 14C4.1 13.36 4 12.69 4 12s.1-1.36.26-2h3.38c-.08.66-.14 1.32-.14 2 0 .68.06 1.34.14 2H4.26zm.82 2h2.95c.32 1.25.78 2.45 1.38 3.56-1.84-.63-3.37-1.9-4.33-3.56zm2.95-8H5.08c.96-1.66 2.49-2.93 4.33-3.56C8.81 5.55 8.35 6.75 8.03 8zM12 19.96c-.83-1.2-1.48-2.53-1.91-3.96h3.82c-.43 1.43-1.08 2.76-1.91 3.96zM14.34 14H9.66c-.09-.66-.16-1.32-.16-2 0-.68.07-1.35.16-2h4.68c.09.65.16 1.32.16 2 0 .68-.07 1.34-.16 2zm.25 5.56c.6-1.11 1.06-2.31 1.38-3.56h2.95c-.96 1.65-2.49 2.93-4.33 3.56zM16.36 14c.08-.66.14-1.32.14-2 0-.68-.06-1.34-.14-2h3.38c.16.64.26 1.31.26 2s-.1 1.36-.26 2h-3.38z' })
+            )
+          ),
+          e('div', { style: { display: 'flex', flexDirection: 'column', alignItems: 'flex-start' } },
+            e('span', null, t('uiLanguage')),
+            e('small', { style: { fontSize: '12px', opacity: '0.8' } },
+              t.localeName
+            )
+          )
+        ),
+
+        // Share Settings: a link, a code or a file, and a field to paste one
+        features.share && e('div', {
+          role: 'group',
+          'aria-label': t('share'),
+          className: 'control-button',
+          style: {
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+            padding: '10px 12px',
+            borderRadius: '8px',
+            background: palette.button,
+            color: palette.buttonText,
+            width: '100%'
+          }
+        },
+          e('div', { style: { display: 'flex', alignItems: 'center', gap: '12px' } },
+            e('div', { className: 'a11y-icon', style: { width: '24px', height: '24px', display: 'flex', alignItems: 'center', justifyContent: 'center' } },
+              e('svg', { width: '20', height: '20', viewBox: '0 0 24 24', fill: 'currentColor', 'aria-hidden': 'true' },
+                e('path', { d: 'M18 16.08c-.76 0-1.44.3-1.96.77L8.91 12.7c.05-.23.09-.46.09-.7s-.04-.47-.09-.7l7.05-4.11c.54.5 1.25.81 2.04.81 1.66 0 3-1.34 3-3s-1.34-3-3-3-3 1.34-3 3c0 .24.04.47.09.7L8.04 9.81C7.5 9.31 6.79 9 6 9c-1.66 0-3 1.34-3 3s1.34 3 3 3c.79 0 1.5-.31 2.04-.81l7.12 4.16c-.05.21-.08.43-.08.65 0 1.61 1.31 2.92 2.92 2.92s2.92-1.31 2.92-2.92-1.31-2.92-2.92-2.92z' })
+              )
+            ),
+            e('span', null, t('share'))
+          ),
+          e('div', { className: 'share-actions' },
+            ...[
+              ['share.copyLink', handleCopyShareLink],
+              ['share.copyCode', handleCopyShareCode],
+              ['share.exportFile', handleExportFile],
+              ['share.importFile', () => shareFileRef.current.click()]
+            ].map(([label, onClick]) => e('button', {
+              key: label,
+              className: 'share-action',
+              onClick,
+              style: { background: palette.background, color: palette.text }
+            }, t(label)))
+          ),
+          e('input', {
+            ref: shareFileRef,
+            type: 'file',
+            accept: 'application/json,.json',
+            hidden: true,
+            onChange: handleImportFile
+          }),
+          e('form', { className: 'share-code', onSubmit: handleShareInputSubmit },
+            e('input', {
+              type: 'text',
+              value: shareInput,
+              'aria-label': t('share.code'),
+              placeholder: t('share.code'),
+              onChange: (event) => setShareInput(event.target.value),
+              style: { background: palette.background, color: palette.text }
+            }),
+            e('button', {
+              type: 'submit',
+              className: 'share-action',
+              disabled: !shareInput.trim(),
+              style: { background: palette.background, color: palette.text }
+            }, t('share.apply'))
+          ),
+          shareStatus && e('small', { role: 'status', style: { fontSize: '12px', opacity: '0.8' } },
+            t(shareStatus)
+          )
+        ),
+
         // Reset All Settings
-        e('button', {
-          'aria-label': "Resetează toate setările",
+        features.reset && e('button', {
+          'aria-label': t('resetAll'),
           className: 'control-button reset',
           onClick: resetAllSettings,
           onKeyDown: (e) => handleKeyDown(e, resetAllSettings),
@@ -880,8 +3090,8 @@ window.AccessibilitySidebar = function() {
             padding: '10px 12px',
             borderRadius: '8px',
             border: 'none',
-            background: highContrast ? '#444' : '#f5f5f5',
-            color: highContrast ? '#fff' : '#666',
+            background: palette.resetButton,
+            color: palette.resetButtonText,
             cursor: 'pointer',
             textAlign: 'left',
             marginTop: '8px',
@@ -894,7 +3104,7 @@ window.AccessibilitySidebar = function() {
               e('path', { d: 'M12.5 8c-2.65 0-5.05.99-6.9 2.6L2 7v9h9l-3.62-3.62c1.39-1.16 3.16-1.88 5.12-1.88 3.54 0 6.55 2.31 7.6 5.5l2.37-.78C21.08 11.03 17.15 8 12.5 8z' })
             )
           ),
-          e('span', null, 'Resetează setările')
+          e('span', null, t('reset'))
         )
       ),
 
@@ -909,55 +3119,228 @@ window.AccessibilitySidebar = function() {
           marginTop: '8px'
         }
       },
-        fontSize > 0 && e('div', {
+        textScale > AccessibilitySettings.TEXT_SCALE.min && e('div', {
           'aria-hidden': 'true',
-          title: 'Mărime text mărită',
+          title: t('indicator.fontSize'),
           style: {
             width: '8px',
             height: '8px',
             borderRadius: '50%',
-            background: highContrast ? '#fff' : '#2196F3'
+            background: palette.accent
           }
         }),
 
         highContrast && e('div', {
           'aria-hidden': 'true',
-          title: 'Contrast ridicat activat',
+          title: t('indicator.contrast'),
           style: {
             width: '8px',
             height: '8px',
             borderRadius: '50%',
-            background: highContrast ? '#fff' : '#2196F3'
+            background: palette.accent
           }
         }),
 
         lineHeight > 0 && e('div', {
           'aria-hidden': 'true',
-          title: 'Spațiu între rânduri mărit',
+          title: t('indicator.lineHeight'),
+          style: {
+            width: '8px',
+            height: '8px',
+            borderRadius: '50%',
+            background: palette.accent
+          }
+        }),
+
+        (letterSpacing || wordSpacing || paragraphSpacing) && e('div', {
+          'aria-hidden': 'true',
+          title: t('indicator.textSpacing'),
+          style: {
+            width: '8px',
+            height: '8px',
+            borderRadius: '50%',
+            background: palette.accent
+          }
+        }),
+
+        colorFilter !== 'none' && e('div', {
+          'aria-hidden': 'true',
+          title: t('indicator.colorFilter'),
+          style: {
+            width: '8px',
+            height: '8px',
+            borderRadius: '50%',
+            background: palette.accent
+          }
+        }),
+
+        readingGuide !== 'off' && e('div', {
+          'aria-hidden': 'true',
+          title: t('indicator.readingGuide'),
           style: {
             width: '8px',
             height: '8px',
             borderRadius: '50%',
-            background: highContrast ? '#fff' : '#2196F3'
+            background: palette.accent
           }
         }),
 
         isReading && e('div', {
           'aria-hidden': 'true',
-          title: 'Citire vocală activă',
+          title: t('indicator.reading'),
           style: {
             width: '8px',
             height: '8px',
             borderRadius: '50%',
-            background: highContrast ? '#fff' : '#2196F3',
+            background: palette.accent,
             animation: 'pulse 1.5s infinite'
           }
         })
-      )
+      ),
+
+      // Announces each change of a setting to screen readers
+      e('span', {
+        ref: liveRegionRef,
+        className: 'visually-hidden',
+        role: 'status',
+        'aria-live': 'polite',
+        'aria-atomic': 'true'
+      })
     )
   );
+}
+
+// Create the fixed, click-through layer the widget renders into
+const createSidebarContainer = () => {
+  const container = document.createElement('div');
+  container.id = 'accessibility-sidebar-root';
+  container.style.position = 'fixed';
+  container.style.top = '0';
+  container.style.left = '0';
+  container.style.width = '100%';
+  container.style.height = '0';
+  container.style.pointerEvents = 'none';
+  container.style.zIndex = '10000';
+  document.body.appendChild(container);
+
+  const wrapper = document.createElement('div');
+  wrapper.style.pointerEvents = 'auto';
+  container.appendChild(wrapper);
+
+  return wrapper;
+};
+
+// Initialize the widget: validate the options and render the panel
+window.AccessibilitySidebar = function(options = {}) {
+  if (!window.React || !window.ReactDOM) {
+    console.error('[AccessibilitySidebar] React and ReactDOM must be loaded before initializing the widget.');
+    return;
+  }
+  if (
+    !window.AccessibilityI18n || !window.AccessibilityThemes || !window.AccessibilityReadingGuide ||
+    !window.AccessibilityNarrator || !window.AccessibilityReaderView || !window.AccessibilityProfiles ||
+    !window.AccessibilityStorage || !window.AccessibilityShare || !window.AccessibilitySync ||
+    !window.AccessibilityPreferences || !window.AccessibilityPanel || !window.AccessibilityPosition ||
+    !window.AccessibilityObserver || !window.AccessibilityEmbeds || !window.AccessibilitySettings
+  ) {
+    console.error(
+      '[AccessibilitySidebar] src/accessibility-i18n.js, src/accessibility-themes.js, ' +
+      'src/accessibility-reading-guide.js, src/accessibility-narrator.js, src/accessibility-reader-view.js, ' +
+      'src/accessibility-profiles.js, src/accessibility-storage.js, src/accessibility-share.js, ' +
+      'src/accessibility-sync.js, src/accessibility-preferences.js, src/accessibility-panel.js, ' +
+      'src/accessibility-position.js, src/accessibility-observer.js, src/accessibility-embeds.js and ' +
+      'src/accessibility-settings.js must be loaded before initializing the widget.'
+    );
+    return;
+  }
+
+  const config = resolveSidebarConfig(options);
+  let mountNode = resolveElement(config.container);
+  let createdContainer = null;
+
+  if (config.container && !mountNode) {
+    reportConfigError(`Container "${config.container}" was not found. Rendering at the end of <body>.`);
+  }
+  if (!mountNode) {
+    mountNode = createSidebarContainer();
+    createdContainer = mountNode.parentNode;
+  }
+
+  const events = createSidebarEventBus();
+  const controllerRef = { current: null };
+
+  ReactDOM.render(
+    React.createElement(AccessibilitySidebarPanel, { config, events, controllerRef }),
+    mountNode
+  );
+
+  // Forward a controller call to the mounted panel
+  const call = (method) => (...args) => {
+    if (!controllerRef.current) {
+      reportConfigError(`${method}() was called after the widget was destroyed.`);
+      return undefined;
+    }
+    return controllerRef.current[method](...args);
+  };
+
+  return {
+    open: call('open'),
+    close: call('close'),
+    setFontSize: call('setFontSize'),
+    setTextScale: call('setTextScale'),
+    setContrast: call('setContrast'),
+    setColorTheme: call('setColorTheme'),
+    setLineHeight: call('setLineHeight'),
+    setLetterSpacing: call('setLetterSpacing'),
+    setWordSpacing: call('setWordSpacing'),
+    setParagraphSpacing: call('setParagraphSpacing'),
+    setReadableFont: call('setReadableFont'),
+    setLeftAlign: call('setLeftAlign'),
+    setBigCursor: call('setBigCursor'),
+    setStopAnimations: call('setStopAnimations'),
+    setProfile: call('setProfile'),
+    savePersonalProfile: call('savePersonalProfile'),
+    deletePersonalProfile: call('deletePersonalProfile'),
+    setColorFilter: call('setColorFilter'),
+    setReadingGuide: call('setReadingGuide'),
+    setReadingMaskHeight: call('setReadingMaskHeight'),
+    setReaderView: call('setReaderView'),
+    setLocale: call('setLocale'),
+    exportSettings: call('exportSettings'),
+    getShareCode: call('getShareCode'),
+    getShareLink: call('getShareLink'),
+    importSettings: call('importSettings'),
+    speak: call('speak'),
+    readSelection: call('readSelection'),
+    readFrom: call('readFrom'),
+    setHoverToSpeak: call('setHoverToSpeak'),
+    setReadLandmarks: call('setReadLandmarks'),
+    pause: call('pause'),
+    resume: call('resume'),
+    previousSentence: call('previousSentence'),
+    nextSentence: call('nextSentence'),
+    previousParagraph: call('previousParagraph'),
+    nextParagraph: call('nextParagraph'),
+    seek: call('seek'),
+    stop: call('stop'),
+    reset: call('reset'),
+    getState: call('getState'),
+    on: events.on,
+    off: events.off,
+    destroy: () => {
+      if (controllerRef.current) controllerRef.current.stop();
+      ReactDOM.unmountComponentAtNode(mountNode);
+      if (createdContainer) createdContainer.remove();
+      controllerRef.current = null;
+    }
+  };
 };
 
+// The raw component and config helpers, for apps that render it themselves
+window.AccessibilitySidebar.Panel = AccessibilitySidebarPanel;
+window.AccessibilitySidebar.defaults = SIDEBAR_DEFAULT_CONFIG;
+window.AccessibilitySidebar.resolveConfig = resolveSidebarConfig;
+
 // Also export as default for module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = window.AccessibilitySidebar;
@@ -21,6 +21,10 @@ window.AccessibilitySidebar = () => {
   const [lineHeight, setLineHeight] = React.useState(0); // 0: normal, 1: larger, 2: largest
   const [isReading, setIsReading] = React.useState(false);
 
+  // UI locale (from <html lang>) and its translator
+  const [locale, setLocale] = React.useState(() => AccessibilityI18n.resolveLocale());
+  const t = React.useMemo(() => AccessibilityI18n.createTranslator(locale), [locale]);
+
   // Check for mobile devices
   React.useEffect(() => {
     const checkMobile = () => {
@@ -112,7 +116,7 @@ window.AccessibilitySidebar = () => {
   // Enhanced text-to-speech with narrator features
   const handleReadAloud = () => {
     if (!('speechSynthesis' in window)) {
-      alert('Browserul dvs. nu suportă citirea cu voce tare');
+      alert(t('error.speechUnsupported'));
       return;
     }
 
@@ -145,7 +149,7 @@ window.AccessibilitySidebar = () => {
         .join('. ');
 
       if (!textContent) {
-        alert('Nu s-a găsit conținut pentru citire');
+        alert(t('error.noContent'));
         return;
       }
 
@@ -201,7 +205,7 @@ window.AccessibilitySidebar = () => {
             console.error('Speech synthesis error:', event.error);
             setIsReading(false);
             setReadingProgress(0);
-            alert('Eroare la citirea cu voce tare: ' + event.error);
+            alert(t('error.speech', { error: event.error }));
           };
 
           setCurrentUtterance(utterance);
@@ -228,6 +232,12 @@ window.AccessibilitySidebar = () => {
     setSpeechRate(newRate);
   };
 
+  // Handle UI language changes
+  const handleLocaleChange = () => {
+    const locales = AccessibilityI18n.getLocales();
+    setLocale(locales[(locales.indexOf(locale) + 1) % locales.length]);
+  };
+
   // Handle voice selection
   const handleVoiceChange = () => {
     if (availableRomanianVoices.length <= 1) return;
@@ -324,22 +334,14 @@ window.AccessibilitySidebar = () => {
 
   // Get current voice name for display
   const getCurrentVoiceName = () => {
-    if (!selectedVoice) return 'Implicit';
+    if (!selectedVoice) return t('defaultVoice');
     return selectedVoice.name.length > 20 
       ? selectedVoice.name.substring(0, 20) + '...'
       : selectedVoice.name;
   };
 
   // Get speech rate label
-  const getSpeechRateLabel = () => {
-    switch (speechRate) {
-      case 0.6: return 'Încet';
-      case 0.8: return 'Normal';
-      case 1.0: return 'Mediu';
-      case 1.2: return 'Rapid';
-      default: return 'Normal';
-    }
-  };
+  const getSpeechRateLabel = () => t.speechRate(speechRate);
 
   return (
     <React.Fragment>
@@ -401,6 +403,7 @@ window.AccessibilitySidebar = () => {
 
       <div
         className={`accessibility-sidebar ${isPanelOpen ? 'expanded' : 'collapsed'} ${isMobile ? 'mobile' : 'desktop'}`}
+        lang={t.tag}
         style={{
           position: 'fixed',
           top: isMobile ? 'auto' : `${position.y}px`,
@@ -453,13 +456,13 @@ window.AccessibilitySidebar = () => {
               <div className="a11y-icon">
                 <i className="fas fa-universal-access" aria-hidden="true"></i>
               </div>
-              <span>Accesibilitate</span>
+              <span>{t('panelTitle')}</span>
             </div>
           )}
 
           <button
-            aria-label={isPanelOpen ? "Închide panoul de accesibilitate" : "Deschide panoul de accesibilitate"}
-            title={isPanelOpen ? "Închide panoul" : "Opțiuni de accesibilitate"}
+            aria-label={isPanelOpen ? t('closePanel') : t('openPanel')}
+            title={isPanelOpen ? t('closePanelTitle') : t('openPanelTitle')}
             onClick={() => setIsPanelOpen(!isPanelOpen)}
             style={{
               background: 'transparent',
@@ -498,11 +501,11 @@ window.AccessibilitySidebar = () => {
               gap: '12px'
             }}
             role="group"
-            aria-label="Controale de accesibilitate"
+            aria-label={t('controlsGroup')}
           >
             {/* Font Size Control */}
             <button
-              aria-label={`Mărime text: ${fontSize === 0 ? 'normal' : fontSize === 1 ? 'mare' : 'foarte mare'}`}
+              aria-label={`${t('fontSize')}: ${t.level(fontSize)}`}
               aria-pressed={fontSize > 0}
               className={`control-button ${fontSize > 0 ? 'active' : ''}`}
               onClick={handleFontSizeChange}
@@ -529,16 +532,16 @@ window.AccessibilitySidebar = () => {
                 </svg>
               </div>
               <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
-                <span>Mărime text</span>
+                <span>{t('fontSize')}</span>
                 <small style={{ fontSize: '12px', opacity: '0.8' }}>
-                  {fontSize === 0 ? 'Normal' : fontSize === 1 ? 'Mare' : 'Foarte mare'}
+                  {t.level(fontSize)}
                 </small>
               </div>
             </button>
 
             {/* Contrast Control */}
             <button
-              aria-label={`Contrast: ${highContrast ? 'ridicat' : 'normal'}`}
+              aria-label={`${t('contrast')}: ${highContrast ? t('contrast.high') : t('contrast.normal')}`}
               aria-pressed={highContrast}
               className={`control-button ${highContrast ? 'active' : ''}`}
               onClick={handleContrastToggle}
@@ -571,16 +574,16 @@ window.AccessibilitySidebar = () => {
                 )}
               </div>
               <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
-                <span>Contrast</span>
+                <span>{t('contrast')}</span>
                 <small style={{ fontSize: '12px', opacity: '0.8' }}>
-                  {highContrast ? 'Ridicat' : 'Normal'}
+                  {highContrast ? t('contrast.high') : t('contrast.normal')}
                 </small>
               </div>
             </button>
 
             {/* Line Height Control */}
             <button
-              aria-label={`Spațiu între rânduri: ${lineHeight === 0 ? 'normal' : lineHeight === 1 ? 'mare' : 'foarte mare'}`}
+              aria-label={`${t('lineHeight')}: ${t.level(lineHeight)}`}
               aria-pressed={lineHeight > 0}
               className={`control-button ${lineHeight > 0 ? 'active' : ''}`}
               onClick={handleLineHeightChange}
@@ -607,16 +610,16 @@ window.AccessibilitySidebar = () => {
                 </svg>
               </div>
               <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
-                <span>Spațiu între rânduri</span>
+                <span>{t('lineHeight')}</span>
                 <small style={{ fontSize: '12px', opacity: '0.8' }}>
-                  {lineHeight === 0 ? 'Normal' : lineHeight === 1 ? 'Mare' : 'Foarte mare'}
+                  {t.level(lineHeight)}
                 </small>
               </div>
             </button>
 
             {/* Text-to-Speech Control */}
             <button
-              aria-label={isReading ? "Oprește citirea" : "Citește cu voce tare"}
+              aria-label={isReading ? t('stopReading') : t('readAloud')}
               aria-pressed={isReading}
               className={`control-button ${isReading ? 'active' : ''}`}
               onClick={handleReadAloud}
@@ -653,11 +656,11 @@ window.AccessibilitySidebar = () => {
                 )}
               </div>
               <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
-                <span>{isReading ? "Oprește citirea" : "Citește cu voce tare"}</span>
+                <span>{isReading ? t('stopReading') : t('readAloud')}</span>
                 <small style={{ fontSize: '12px', opacity: '0.8' }}>
                   {'speechSynthesis' in window 
-                    ? (isReading ? `Progres: ${readingProgress}%` : 'Inactiv')
-                    : 'Indisponibil'}
+                    ? (isReading ? t('readingProgress', { progress: readingProgress }) : t('inactive'))
+                    : t('unavailable')}
                 </small>
               </div>
             </button>
@@ -665,7 +668,7 @@ window.AccessibilitySidebar = () => {
             {/* Speech Rate Control */}
             {availableRomanianVoices.length > 0 && (
               <button
-                aria-label={`Viteza citirii: ${getSpeechRateLabel()}`}
+                aria-label={`${t('speechRate')}: ${getSpeechRateLabel()}`}
                 onClick={handleSpeechRateChange}
                 onKeyDown={(e) => handleKeyDown(e, handleSpeechRateChange)}
                 style={{
@@ -690,7 +693,7 @@ window.AccessibilitySidebar = () => {
                   </svg>
                 </div>
                 <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
-                  <span>Viteza citirii</span>
+                  <span>{t('speechRate')}</span>
                   <small style={{ fontSize: '12px', opacity: '0.8' }}>
                     {getSpeechRateLabel()}
                   </small>
@@ -701,7 +704,7 @@ window.AccessibilitySidebar = () => {
             {/* Voice Selection */}
             {availableRomanianVoices.length > 1 && (
               <button
-                aria-label={`Voce: ${getCurrentVoiceName()}`}
+                aria-label={`${t('voiceLabel', { voice: getCurrentVoiceName() })}, ${t('voicesAvailable', { count: availableRomanianVoices.length })}`}
                 onClick={handleVoiceChange}
                 onKeyDown={(e) => handleKeyDown(e, handleVoiceChange)}
                 style={{
@@ -726,7 +729,7 @@ window.AccessibilitySidebar = () => {
                   </svg>
                 </div>
                 <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
-                  <span>Voce narrator</span>
+                  <span>{t('voice')}</span>
                   <small style={{ fontSize: '12px', opacity: '0.8' }}>
                     {getCurrentVoiceName()}
                   </small>
@@ -734,9 +737,42 @@ window.AccessibilitySidebar = () => {
               </button>
             )}
 
+            {/* Interface Language Selection */}
+            {AccessibilityI18n.getLocales().length > 1 && (
+              <button
+                aria-label={`${t('uiLanguage')}: ${t.localeName}`}
+                onClick={handleLocaleChange}
+                onKeyDown={(e) => handleKeyDown(e, handleLocaleChange)}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '12px',
+                  padding: '10px 12px',
+                  borderRadius: '8px',
+                  border: 'none',
+                  background: highContrast ? '#333' : '#f5f5f5',
+                  color: highContrast ? '#fff' : '#333',
+                  cursor: 'pointer',
+                  textAlign: 'left',
+                  transition: 'all 0.2s ease',
+                  width: '100%'
+                }}
+              >
+                <div className="a11y-icon" style={{ width: '24px', height: '24px', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                  <i className="fas fa-language" aria-hidden="true"></i>
+                </div>
+                <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-start' }}>
+                  <span>{t('uiLanguage')}</span>
+                  <small style={{ fontSize: '12px', opacity: '0.8' }}>
+                    {t.localeName}
+                  </small>
+                </div>
+              </button>
+            )}
+
             {/* Reset All Settings */}
             <button
-              aria-label="Resetează toate setările"
+              aria-label={t('resetAll')}
               className="control-button reset"
               onClick={resetAllSettings}
               onKeyDown={(e) => handleKeyDown(e, resetAllSettings)}
@@ -761,7 +797,7 @@ window.AccessibilitySidebar = () => {
                   <path d="M12.5 8c-2.65 0-5.05.99-6.9 2.6L2 7v9h9l-3.62-3.62c1.39-1.16 3.16-1.88 5.12-1.88 3.54 0 6.55 2.31 7.6 5.5l2.37-.78C21.08 11.03 17.15 8 12.5 8z"/>
                 </svg>
               </div>
-              <span>Resetează setările</span>
+              <span>{t('reset')}</span>
             </button>
           </div>
         )}
@@ -781,7 +817,7 @@ window.AccessibilitySidebar = () => {
             {fontSize > 0 && (
               <div
                 aria-hidden="true"
-                title="Mărime text mărită"
+                title={t('indicator.fontSize')}
                 style={{
                   width: '8px',
                   height: '8px',
@@ -794,7 +830,7 @@ window.AccessibilitySidebar = () => {
             {highContrast && (
               <div
                 aria-hidden="true"
-                title="Contrast ridicat activat"
+                title={t('indicator.contrast')}
                 style={{
                   width: '8px',
                   height: '8px',
@@ -807,7 +843,7 @@ window.AccessibilitySidebar = () => {
             {lineHeight > 0 && (
               <div
                 aria-hidden="true"
-                title="Spațiu între rânduri mărit"
+                title={t('indicator.lineHeight')}
                 style={{
                   width: '8px',
                   height: '8px',
@@ -820,7 +856,7 @@ window.AccessibilitySidebar = () => {
             {isReading && (
               <div
                 aria-hidden="true"
-                title="Citire vocală activă"
+                title={t('indicator.reading')}
                 style={{
                   width: '8px',
                   height: '8px',
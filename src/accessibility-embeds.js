@@ -0,0 +1,254 @@
+/**
+ * Accessibility Sidebar - Frames and shadow roots
+ * Carries the visual adjustments into content the page's styles do not
+ * reach: the documents of same-origin frames and open shadow roots, such as
+ * embedded forms and web components. Frames get the adjustment stylesheet
+ * and classes like the page; shadow roots get it rewritten to match an
+ * attribute on their host. Frames of other origins and closed shadow roots
+ * cannot be reached.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  const STYLE_ID = 'accessibility-sidebar-adjustments';
+
+  // Lists the active adjustment classes on a shadow host, as the classes
+  // of the page cannot be matched from inside its shadow root
+  const HOST_ATTRIBUTE = 'data-a11y-adjustments';
+
+  // The class and custom properties of the widgets' text scaling
+  const TEXT_SCALED_CLASS = 'a11y-text-scaled';
+
+  // The document of a same-origin frame, or null for frames of other
+  // origins and frames that have no body yet
+  const getFrameDocument = (iframe) => {
+    try {
+      const doc = iframe.contentDocument;
+      return doc && doc.body ? doc : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Whether a node is on the page, also through the frames around it
+  const isOnPage = (node) => {
+    for (let current = node; current;) {
+      if (!current.isConnected) return false;
+      const view = current.ownerDocument.defaultView;
+      if (!view || view === global) return Boolean(view);
+      current = view.frameElement;
+    }
+    return false;
+  };
+
+  // The open shadow roots and the iframes in `scope`, an element or a
+  // shadow root, and in the same-origin frames and shadow roots inside it.
+  // Subtrees matching the `excluded` selector are skipped whole.
+  const collect = (scope, excluded, found = { shadowRoots: [], iframes: [] }) => {
+    const walker = (scope.ownerDocument || scope).createTreeWalker(scope, NodeFilter.SHOW_ELEMENT, {
+      acceptNode: (node) => (excluded && node.matches(excluded) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    let element = scope.nodeType === Node.ELEMENT_NODE ? scope : walker.nextNode();
+    for (; element; element = walker.nextNode()) {
+      if (element.shadowRoot) {
+        found.shadowRoots.push(element.shadowRoot);
+        collect(element.shadowRoot, excluded, found);
+      }
+      if (element.localName === 'iframe') {
+        found.iframes.push(element);
+        const doc = getFrameDocument(element);
+        if (doc) collect(doc.body, excluded, found);
+      }
+    }
+    return found;
+  };
+
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // The page stylesheet for a shadow root: each of the `classes` becomes
+  // a match of the host attribute, e.g. ".a11y-text-left *" becomes
+  // ":host([data-a11y-adjustments~="a11y-text-left"]) *"
+  const toShadowStyles = (css, classes) =>
+    classes.reduce((styles, name) =>
+      styles.replace(new RegExp(`\\.${escapeRegExp(name)}(?![\\w-])`, 'g'), `:host([${HOST_ATTRIBUTE}~="${name}"])`), css);
+
+  const setStyle = (scope, css) => {
+    const doc = scope.ownerDocument || scope;
+    let style = scope.getElementById(STYLE_ID);
+    if (!style) {
+      style = doc.createElement('style');
+      style.id = STYLE_ID;
+      (scope.head || scope).appendChild(style);
+    }
+    if (style.textContent !== css) style.textContent = css;
+  };
+
+  const removeStyle = (scope) => {
+    const style = scope.getElementById(STYLE_ID);
+    if (style) style.remove();
+  };
+
+  // Scale a frame's text like the page's: its root and body font sizes
+  // from their unscaled values, by `scale` (1 leaves them)
+  const scaleText = (doc, scale) => {
+    const html = doc.documentElement;
+    if (!html.classList.contains(TEXT_SCALED_CLASS)) {
+      const view = doc.defaultView;
+      html.style.setProperty('--a11y-root-font-size', view.getComputedStyle(html).fontSize);
+      html.style.setProperty('--a11y-body-font-size', view.getComputedStyle(doc.body).fontSize);
+    }
+    html.style.setProperty('--a11y-text-scale', String(scale));
+    html.classList.toggle(TEXT_SCALED_CLASS, scale !== 1);
+  };
+
+  const unscaleText = (doc) => {
+    const html = doc.documentElement;
+    html.classList.remove(TEXT_SCALED_CLASS);
+    ['--a11y-root-font-size', '--a11y-body-font-size', '--a11y-text-scale'].forEach(name => html.style.removeProperty(name));
+  };
+
+  // Keep the frames and shadow roots in the element `getRoot()` returns in
+  // step with the page. `classes` lists every adjustment class the
+  // stylesheet uses; `exclude` lists selectors left out with their content,
+  // such as the widget itself. `onFrame(doc)` is called for each frame
+  // document after it was updated, e.g. to paint it with the color theme.
+  // The root is searched once; after that only what the page adds is.
+  // Returns:
+  // - update({ css, active, textScale }) applies the adjustment stylesheet,
+  //   the `active` classes and the text scale factor
+  // - refresh(elements) finds the frames and shadow roots in the elements
+  //   the page added, or, without them, searches the whole root again, e.g.
+  //   after client-side navigation
+  // - stop() takes the adjustments out of all of them
+  const createMirror = ({ getRoot = () => document.body, classes = [], exclude = [], onFrame = null } = {}) => {
+    const excluded = exclude.length > 0 ? exclude.join(', ') : null;
+    // Nothing is applied before the first update()
+    let state = null;
+    const shadowRoots = new Set();
+    // Every iframe found, with its document while it is of the same origin
+    const frames = new Map();
+
+    const updateShadowRoot = (shadowRoot) => {
+      setStyle(shadowRoot, toShadowStyles(state.css, classes));
+      if (state.active.length > 0) {
+        shadowRoot.host.setAttribute(HOST_ATTRIBUTE, state.active.join(' '));
+      } else {
+        shadowRoot.host.removeAttribute(HOST_ATTRIBUTE);
+      }
+    };
+
+    const updateFrame = (doc) => {
+      setStyle(doc, state.css);
+      classes.forEach(name => doc.body.classList.toggle(name, state.active.includes(name)));
+      scaleText(doc, state.textScale);
+      if (onFrame) onFrame(doc);
+    };
+
+    const clearShadowRoot = (shadowRoot) => {
+      removeStyle(shadowRoot);
+      shadowRoot.host.removeAttribute(HOST_ATTRIBUTE);
+    };
+
+    const clearFrame = (doc) => {
+      if (!doc || !doc.body) return;
+      removeStyle(doc);
+      classes.forEach(name => doc.body.classList.remove(name));
+      unscaleText(doc);
+    };
+
+    const forget = (iframe) => {
+      iframe.removeEventListener('load', handleLoad);
+      frames.delete(iframe);
+    };
+
+    // Track the frames and shadow roots in `scope`, and bring the new ones,
+    // and frames with a new document, up to date
+    const track = (scope, found = collect(scope, excluded)) => {
+      const docs = [];
+      const added = found.shadowRoots.filter(shadowRoot => !shadowRoots.has(shadowRoot));
+      added.forEach(shadowRoot => shadowRoots.add(shadowRoot));
+      found.iframes.forEach((iframe) => {
+        const doc = getFrameDocument(iframe);
+        if (!frames.has(iframe)) iframe.addEventListener('load', handleLoad);
+        if (doc && frames.get(iframe) !== doc) docs.push(doc);
+        frames.set(iframe, doc);
+      });
+      if (!state) return;
+      added.forEach(updateShadowRoot);
+      docs.forEach(updateFrame);
+    };
+
+    // A frame reloaded its document, or navigated
+    function handleLoad(event) {
+      track(event.currentTarget);
+    }
+
+    // Forget what the page removed
+    const prune = () => {
+      shadowRoots.forEach((shadowRoot) => {
+        if (!isOnPage(shadowRoot.host)) shadowRoots.delete(shadowRoot);
+      });
+      frames.forEach((doc, iframe) => {
+        if (!isOnPage(iframe)) forget(iframe);
+      });
+    };
+
+    const refresh = (elements) => {
+      prune();
+      if (elements) {
+        elements.forEach(element => track(element));
+        return;
+      }
+      // A full search also lets go of what is no longer in the root
+      const found = collect(getRoot(), excluded);
+      const foundShadowRoots = new Set(found.shadowRoots);
+      const foundIframes = new Set(found.iframes);
+      shadowRoots.forEach((shadowRoot) => {
+        if (foundShadowRoots.has(shadowRoot)) return;
+        clearShadowRoot(shadowRoot);
+        shadowRoots.delete(shadowRoot);
+      });
+      frames.forEach((doc, iframe) => {
+        if (foundIframes.has(iframe)) return;
+        clearFrame(doc);
+        forget(iframe);
+      });
+      track(null, found);
+    };
+
+    const update = ({ css = '', active = [], textScale = 1 } = state || {}) => {
+      state = { css, active, textScale };
+      prune();
+      shadowRoots.forEach(updateShadowRoot);
+      frames.forEach((doc) => {
+        if (doc) updateFrame(doc);
+      });
+    };
+
+    const stop = () => {
+      shadowRoots.forEach(clearShadowRoot);
+      frames.forEach((doc, iframe) => {
+        clearFrame(doc);
+        iframe.removeEventListener('load', handleLoad);
+      });
+      shadowRoots.clear();
+      frames.clear();
+    };
+
+    track(getRoot());
+    return { update, refresh, stop };
+  };
+
+  const AccessibilityEmbeds = {
+    HOST_ATTRIBUTE,
+    getFrameDocument,
+    toShadowStyles,
+    createMirror
+  };
+
+  global.AccessibilityEmbeds = AccessibilityEmbeds;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityEmbeds;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
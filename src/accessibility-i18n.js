@@ -0,0 +1,638 @@
+/**
+ * Accessibility Sidebar - UI message catalogs
+ * Shared by the web widget, the Web Component and the React components.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  const DEFAULT_LOCALE = 'ro';
+
+  // Hungarian multiplier suffix follows the vowel harmony of the last digit
+  const HUNGARIAN_MULTIPLIER_SUFFIX = {
+    0: 'szoros', 1: 'szeres', 2: 'szeres', 3: 'szoros', 4: 'szeres',
+    5: 'szörös', 6: 'szoros', 7: 'szeres', 8: 'szoros', 9: 'szeres'
+  };
+
+  const locales = {};
+
+  // Add or replace a locale. `messages` are merged over the default locale,
+  // so a partial catalog falls back to Romanian for missing keys.
+  const registerLocale = (code, bundle) => {
+    if (typeof code !== 'string' || !/^[a-z]{2,3}$/.test(code)) {
+      console.error(`[AccessibilityI18n] Invalid locale code ${JSON.stringify(code)}. Expected e.g. "de".`);
+      return;
+    }
+    if (!bundle || typeof bundle.messages !== 'object') {
+      console.error(`[AccessibilityI18n] Locale "${code}" must provide a messages object.`);
+      return;
+    }
+
+    const base = locales[code] || locales[DEFAULT_LOCALE] || { messages: {} };
+    locales[code] = {
+      name: bundle.name || code,
+      tag: bundle.tag || code,
+      formatSpeechRate: bundle.formatSpeechRate || base.formatSpeechRate,
+      messages: { ...base.messages, ...bundle.messages }
+    };
+  };
+
+  registerLocale('ro', {
+    name: 'Română',
+    tag: 'ro-RO',
+    formatSpeechRate: (label, rate) => `${label} (${rate}×)`,
+    messages: {
+      panelTitle: 'Accesibilitate',
+      openPanel: 'Deschide panoul de accesibilitate',
+      closePanel: 'Închide panoul de accesibilitate',
+      openPanelTitle: 'Opțiuni de accesibilitate',
+      closePanelTitle: 'Închide panoul',
+      controlsGroup: 'Controale de accesibilitate',
+      movePanel: 'Mută panoul cu tastele săgeți',
+      'dock.bar': 'Fixează ca bară laterală',
+      fontSize: 'Mărime text',
+      'textScale.decrease': 'Micșorează textul',
+      'textScale.increase': 'Mărește textul',
+      contrast: 'Contrast',
+      lineHeight: 'Spațiu între rânduri',
+      letterSpacing: 'Spațiere între litere',
+      wordSpacing: 'Spațiere între cuvinte',
+      paragraphSpacing: 'Spațiere între paragrafe',
+      readableFont: 'Font lizibil',
+      leftAlign: 'Text aliniat la stânga',
+      bigCursor: 'Cursor mare',
+      stopAnimations: 'Oprește animațiile',
+      profile: 'Profil',
+      'profile.none': 'Fără profil',
+      'profile.adhd': 'ADHD',
+      'profile.dyslexia': 'Dislexie',
+      'profile.lowVision': 'Vedere slabă',
+      'profile.seizureSafe': 'Fără risc de crize',
+      'profile.autismCalm': 'Calm (autism)',
+      'profile.personal': 'Profilul meu',
+      'profile.modified': 'Profil modificat. Îl puteți salva ca profilul dvs.',
+      'profile.save': 'Salvează ca profilul meu',
+      'profile.delete': 'Șterge profilul meu',
+      'spacing.wide': 'Mărită',
+      'spacing.normal': 'Normală',
+      'level.normal': 'Normal',
+      'level.large': 'Mare',
+      'level.extraLarge': 'Foarte mare',
+      'contrast.high': 'Ridicat',
+      'contrast.normal': 'Normal',
+      'colorTheme.default': 'Culorile site-ului',
+      'colorTheme.dark': 'Întunecat',
+      'colorTheme.highContrast': 'Contrast ridicat',
+      'colorTheme.yellowOnBlack': 'Galben pe negru',
+      'colorTheme.inverted': 'Culori inversate',
+      colorFilter: 'Filtru de culoare',
+      'colorFilter.none': 'Fără filtru',
+      'colorFilter.protanopia': 'Protanopie (roșu)',
+      'colorFilter.deuteranopia': 'Deuteranopie (verde)',
+      'colorFilter.tritanopia': 'Tritanopie (albastru)',
+      'colorFilter.grayscale': 'Tonuri de gri',
+      'colorFilter.calm': 'Culori estompate',
+      'colorFilter.invert': 'Inversare',
+      readingGuide: 'Ghid de citire',
+      readingRuler: 'Riglă de citire',
+      readingMask: 'Mască de citire',
+      readingMaskHeight: 'Înălțimea benzii',
+      readingMaskHeightValue: '{height} px',
+      readerView: 'Mod lectură',
+      'readerView.close': 'Închide modul lectură (Esc)',
+      'readerView.font': 'Font',
+      'readerView.font.site': 'Al site-ului',
+      'readerView.font.serif': 'Cu serife',
+      'readerView.font.sans': 'Fără serife',
+      'readerView.font.dyslexic': 'Pentru dislexie',
+      'readerView.width': 'Lățime',
+      'readerView.width.narrow': 'Îngustă',
+      'readerView.width.medium': 'Medie',
+      'readerView.width.wide': 'Lată',
+      'readerView.spacing': 'Spațiere',
+      'readerView.spacing.normal': 'Normală',
+      'readerView.spacing.wide': 'Mărită',
+      'readerView.spacing.wider': 'Mare',
+      readAloud: 'Citește cu voce tare',
+      stopReading: 'Oprește citirea',
+      readingProgress: 'Progres: {progress}%',
+      'player.label': 'Control citire',
+      'player.play': 'Continuă citirea',
+      'player.pause': 'Pauză',
+      'player.paused': 'În pauză',
+      'player.previousSentence': 'Propoziția anterioară',
+      'player.nextSentence': 'Propoziția următoare',
+      'player.previousParagraph': 'Paragraful anterior',
+      'player.nextParagraph': 'Paragraful următor',
+      'player.seek': 'Poziția citirii',
+      'player.position': 'Propoziția {chunk} din {total}',
+      'narrator.modes': 'Moduri de citire',
+      'narrator.selection': 'Citește selecția',
+      'narrator.fromHere': 'Citește de aici',
+      'narrator.pickStart': 'Faceți clic pe un paragraf (Esc anulează)',
+      'narrator.hover': 'Citește la trecere',
+      'narrator.landmarks': 'Citește și meniurile și subsolul',
+      'narrator.announce.heading': 'Titlu nivel {level}',
+      'narrator.announce.list': {
+        one: 'Listă cu {count} element',
+        few: 'Listă cu {count} elemente',
+        other: 'Listă cu {count} de elemente'
+      },
+      'narrator.announce.table': {
+        one: 'Tabel cu {count} rând',
+        few: 'Tabel cu {count} rânduri',
+        other: 'Tabel cu {count} de rânduri'
+      },
+      'narrator.announce.blockquote': 'Citat',
+      'narrator.announce.link': 'Link',
+      'narrator.announce.button': 'Buton',
+      'narrator.announce.img': 'Imagine',
+      'narrator.announce.checkbox': 'Casetă de bifare',
+      'narrator.announce.radio': 'Buton radio',
+      'narrator.announce.field': 'Câmp',
+      active: 'Activ',
+      inactive: 'Inactiv',
+      unavailable: 'Indisponibil',
+      speechRate: 'Viteza citirii',
+      'rate.slow': 'Încet',
+      'rate.normal': 'Normal',
+      'rate.medium': 'Mediu',
+      'rate.fast': 'Rapid',
+      voice: 'Voce narrator',
+      voiceLabel: 'Voce: {voice}',
+      defaultVoice: 'Implicit',
+      voicesAvailable: {
+        one: '{count} voce disponibilă',
+        few: '{count} voci disponibile',
+        other: '{count} de voci disponibile'
+      },
+      uiLanguage: 'Limba interfeței',
+      share: 'Partajează setările',
+      'share.copyLink': 'Copiază linkul',
+      'share.copyCode': 'Copiază codul',
+      'share.exportFile': 'Salvează fișierul',
+      'share.importFile': 'Deschide un fișier',
+      'share.code': 'Cod sau link cu setări',
+      'share.apply': 'Aplică',
+      'share.dismiss': 'Renunță',
+      'share.offer': 'Linkul conține setări de accesibilitate. Le aplicați?',
+      'share.linkCopied': 'Linkul a fost copiat',
+      'share.codeCopied': 'Codul a fost copiat',
+      'share.copyFailed': 'Copierea nu a reușit. Copiați textul din câmp.',
+      'share.exported': 'Fișierul cu setări a fost salvat',
+      'share.applied': 'Setările au fost aplicate',
+      'share.invalid': 'Setările nu sunt valide și nu au fost aplicate',
+      reset: 'Resetează setările',
+      resetAll: 'Resetează toate setările',
+      announce: '{setting}: {value}',
+      'announce.reset': 'Setările au fost resetate',
+      'indicator.fontSize': 'Mărime text mărită',
+      'indicator.contrast': 'Temă de culori activă',
+      'indicator.lineHeight': 'Spațiu între rânduri mărit',
+      'indicator.textSpacing': 'Spațiere text mărită',
+      'indicator.colorFilter': 'Filtru de culoare activ',
+      'indicator.readingGuide': 'Ghid de citire activ',
+      'indicator.reading': 'Citire vocală activă',
+      'error.title': 'Eroare',
+      'error.speechUnsupported': 'Browserul dvs. nu suportă citirea cu voce tare',
+      'error.noContent': 'Nu s-a găsit conținut pentru citire',
+      'error.noSelection': 'Selectați mai întâi textul de citit',
+      'error.noArticle': 'Nu s-a găsit un articol de afișat în modul lectură',
+      'error.speech': 'Eroare la citirea cu voce tare: {error}',
+      'error.speechStart': 'Nu s-a putut începe citirea cu voce tare.',
+      'error.speechDevice': 'Citirea cu voce tare nu este disponibilă pe acest dispozitiv.',
+      'error.contentUnavailable': 'Conținutul nu este disponibil pentru citire.'
+    }
+  });
+
+  registerLocale('en', {
+    name: 'English',
+    tag: 'en-US',
+    formatSpeechRate: (label, rate) => `${label} (${rate}x)`,
+    messages: {
+      panelTitle: 'Accessibility',
+      openPanel: 'Open the accessibility panel',
+      closePanel: 'Close the accessibility panel',
+      openPanelTitle: 'Accessibility options',
+      closePanelTitle: 'Close panel',
+      controlsGroup: 'Accessibility controls',
+      movePanel: 'Move the panel with the arrow keys',
+      'dock.bar': 'Dock as a sidebar',
+      fontSize: 'Text size',
+      'textScale.decrease': 'Decrease text size',
+      'textScale.increase': 'Increase text size',
+      contrast: 'Contrast',
+      lineHeight: 'Line spacing',
+      letterSpacing: 'Letter spacing',
+      wordSpacing: 'Word spacing',
+      paragraphSpacing: 'Paragraph spacing',
+      readableFont: 'Readable font',
+      leftAlign: 'Left-aligned text',
+      bigCursor: 'Big cursor',
+      stopAnimations: 'Stop animations',
+      profile: 'Profile',
+      'profile.none': 'No profile',
+      'profile.adhd': 'ADHD',
+      'profile.dyslexia': 'Dyslexia',
+      'profile.lowVision': 'Low vision',
+      'profile.seizureSafe': 'Seizure-safe',
+      'profile.autismCalm': 'Calm (autism)',
+      'profile.personal': 'My profile',
+      'profile.modified': 'Profile changed. You can save it as your own.',
+      'profile.save': 'Save as my profile',
+      'profile.delete': 'Delete my profile',
+      'spacing.wide': 'Wide',
+      'spacing.normal': 'Normal',
+      'level.normal': 'Normal',
+      'level.large': 'Large',
+      'level.extraLarge': 'Very large',
+      'contrast.high': 'High',
+      'contrast.normal': 'Normal',
+      'colorTheme.default': 'Site colors',
+      'colorTheme.dark': 'Dark',
+      'colorTheme.highContrast': 'High contrast',
+      'colorTheme.yellowOnBlack': 'Yellow on black',
+      'colorTheme.inverted': 'Inverted colors',
+      colorFilter: 'Color filter',
+      'colorFilter.none': 'No filter',
+      'colorFilter.protanopia': 'Protanopia (red)',
+      'colorFilter.deuteranopia': 'Deuteranopia (green)',
+      'colorFilter.tritanopia': 'Tritanopia (blue)',
+      'colorFilter.grayscale': 'Grayscale',
+      'colorFilter.calm': 'Muted colors',
+      'colorFilter.invert': 'Invert',
+      readingGuide: 'Reading guide',
+      readingRuler: 'Reading ruler',
+      readingMask: 'Reading mask',
+      readingMaskHeight: 'Band height',
+      readingMaskHeightValue: '{height} px',
+      readerView: 'Reader view',
+      'readerView.close': 'Close reader view (Esc)',
+      'readerView.font': 'Font',
+      'readerView.font.site': 'Site font',
+      'readerView.font.serif': 'Serif',
+      'readerView.font.sans': 'Sans-serif',
+      'readerView.font.dyslexic': 'Dyslexia-friendly',
+      'readerView.width': 'Width',
+      'readerView.width.narrow': 'Narrow',
+      'readerView.width.medium': 'Medium',
+      'readerView.width.wide': 'Wide',
+      'readerView.spacing': 'Spacing',
+      'readerView.spacing.normal': 'Normal',
+      'readerView.spacing.wide': 'Wide',
+      'readerView.spacing.wider': 'Wider',
+      readAloud: 'Read aloud',
+      stopReading: 'Stop reading',
+      readingProgress: 'Progress: {progress}%',
+      'player.label': 'Reading controls',
+      'player.play': 'Resume reading',
+      'player.pause': 'Pause',
+      'player.paused': 'Paused',
+      'player.previousSentence': 'Previous sentence',
+      'player.nextSentence': 'Next sentence',
+      'player.previousParagraph': 'Previous paragraph',
+      'player.nextParagraph': 'Next paragraph',
+      'player.seek': 'Reading position',
+      'player.position': 'Sentence {chunk} of {total}',
+      'narrator.modes': 'Reading modes',
+      'narrator.selection': 'Read selection',
+      'narrator.fromHere': 'Read from here',
+      'narrator.pickStart': 'Click a paragraph (Esc cancels)',
+      'narrator.hover': 'Read on hover',
+      'narrator.landmarks': 'Also read menus and footer',
+      'narrator.announce.heading': 'Heading level {level}',
+      'narrator.announce.list': {
+        one: 'List with {count} item',
+        other: 'List with {count} items'
+      },
+      'narrator.announce.table': {
+        one: 'Table with {count} row',
+        other: 'Table with {count} rows'
+      },
+      'narrator.announce.blockquote': 'Quote',
+      'narrator.announce.link': 'Link',
+      'narrator.announce.button': 'Button',
+      'narrator.announce.img': 'Image',
+      'narrator.announce.checkbox': 'Checkbox',
+      'narrator.announce.radio': 'Radio button',
+      'narrator.announce.field': 'Field',
+      active: 'Active',
+      inactive: 'Inactive',
+      unavailable: 'Unavailable',
+      speechRate: 'Reading speed',
+      'rate.slow': 'Slow',
+      'rate.normal': 'Normal',
+      'rate.medium': 'Medium',
+      'rate.fast': 'Fast',
+      voice: 'Narrator voice',
+      voiceLabel: 'Voice: {voice}',
+      defaultVoice: 'Default',
+      voicesAvailable: {
+        one: '{count} voice available',
+        other: '{count} voices available'
+      },
+      uiLanguage: 'Interface language',
+      share: 'Share settings',
+      'share.copyLink': 'Copy link',
+      'share.copyCode': 'Copy code',
+      'share.exportFile': 'Save file',
+      'share.importFile': 'Open a file',
+      'share.code': 'Settings code or link',
+      'share.apply': 'Apply',
+      'share.dismiss': 'Dismiss',
+      'share.offer': 'This link carries accessibility settings. Apply them?',
+      'share.linkCopied': 'Link copied',
+      'share.codeCopied': 'Code copied',
+      'share.copyFailed': 'Copying failed. Copy the text from the field.',
+      'share.exported': 'Settings file saved',
+      'share.applied': 'Settings applied',
+      'share.invalid': 'The settings are not valid and were not applied',
+      reset: 'Reset settings',
+      resetAll: 'Reset all settings',
+      announce: '{setting}: {value}',
+      'announce.reset': 'Settings reset',
+      'indicator.fontSize': 'Text size increased',
+      'indicator.contrast': 'Color theme enabled',
+      'indicator.lineHeight': 'Line spacing increased',
+      'indicator.textSpacing': 'Text spacing increased',
+      'indicator.colorFilter': 'Color filter enabled',
+      'indicator.readingGuide': 'Reading guide enabled',
+      'indicator.reading': 'Reading aloud',
+      'error.title': 'Error',
+      'error.speechUnsupported': 'Your browser does not support reading aloud',
+      'error.noContent': 'No content was found to read',
+      'error.noSelection': 'Select the text to read first',
+      'error.noArticle': 'No article was found to show in reader view',
+      'error.speech': 'Error while reading aloud: {error}',
+      'error.speechStart': 'Reading aloud could not be started.',
+      'error.speechDevice': 'Reading aloud is not available on this device.',
+      'error.contentUnavailable': 'The content is not available for reading.'
+    }
+  });
+
+  registerLocale('hu', {
+    name: 'Magyar',
+    tag: 'hu-HU',
+    formatSpeechRate: (label, rate) => {
+      const lastDigit = rate.replace(/\D/g, '').slice(-1);
+      return `${label} (${rate}-${HUNGARIAN_MULTIPLIER_SUFFIX[lastDigit]})`;
+    },
+    messages: {
+      panelTitle: 'Akadálymentesítés',
+      openPanel: 'Akadálymentesítési panel megnyitása',
+      closePanel: 'Akadálymentesítési panel bezárása',
+      openPanelTitle: 'Akadálymentesítési beállítások',
+      closePanelTitle: 'Panel bezárása',
+      controlsGroup: 'Akadálymentesítési vezérlők',
+      movePanel: 'A panel mozgatása a nyílbillentyűkkel',
+      'dock.bar': 'Rögzítés oldalsávként',
+      fontSize: 'Betűméret',
+      'textScale.decrease': 'Betűméret csökkentése',
+      'textScale.increase': 'Betűméret növelése',
+      contrast: 'Kontraszt',
+      lineHeight: 'Sorköz',
+      letterSpacing: 'Betűköz',
+      wordSpacing: 'Szóköz',
+      paragraphSpacing: 'Bekezdésköz',
+      readableFont: 'Olvasható betűtípus',
+      leftAlign: 'Balra igazított szöveg',
+      bigCursor: 'Nagy kurzor',
+      stopAnimations: 'Animációk leállítása',
+      profile: 'Profil',
+      'profile.none': 'Nincs profil',
+      'profile.adhd': 'ADHD',
+      'profile.dyslexia': 'Diszlexia',
+      'profile.lowVision': 'Gyengénlátás',
+      'profile.seizureSafe': 'Rohambiztos',
+      'profile.autismCalm': 'Nyugodt (autizmus)',
+      'profile.personal': 'Saját profil',
+      'profile.modified': 'A profil módosult. Elmentheti saját profilként.',
+      'profile.save': 'Mentés saját profilként',
+      'profile.delete': 'Saját profil törlése',
+      'spacing.wide': 'Széles',
+      'spacing.normal': 'Normál',
+      'level.normal': 'Normál',
+      'level.large': 'Nagy',
+      'level.extraLarge': 'Nagyon nagy',
+      'contrast.high': 'Magas',
+      'contrast.normal': 'Normál',
+      'colorTheme.default': 'Az oldal színei',
+      'colorTheme.dark': 'Sötét',
+      'colorTheme.highContrast': 'Magas kontraszt',
+      'colorTheme.yellowOnBlack': 'Sárga feketén',
+      'colorTheme.inverted': 'Fordított színek',
+      colorFilter: 'Színszűrő',
+      'colorFilter.none': 'Nincs szűrő',
+      'colorFilter.protanopia': 'Protanópia (vörös)',
+      'colorFilter.deuteranopia': 'Deuteranópia (zöld)',
+      'colorFilter.tritanopia': 'Tritanópia (kék)',
+      'colorFilter.grayscale': 'Szürkeárnyalatos',
+      'colorFilter.calm': 'Tompított színek',
+      'colorFilter.invert': 'Invertálás',
+      readingGuide: 'Olvasási segéd',
+      readingRuler: 'Olvasóvonalzó',
+      readingMask: 'Olvasómaszk',
+      readingMaskHeight: 'Sáv magassága',
+      readingMaskHeightValue: '{height} px',
+      readerView: 'Olvasó nézet',
+      'readerView.close': 'Olvasó nézet bezárása (Esc)',
+      'readerView.font': 'Betűtípus',
+      'readerView.font.site': 'Az oldalé',
+      'readerView.font.serif': 'Talpas',
+      'readerView.font.sans': 'Talpatlan',
+      'readerView.font.dyslexic': 'Diszlexiabarát',
+      'readerView.width': 'Szélesség',
+      'readerView.width.narrow': 'Keskeny',
+      'readerView.width.medium': 'Közepes',
+      'readerView.width.wide': 'Széles',
+      'readerView.spacing': 'Térköz',
+      'readerView.spacing.normal': 'Normál',
+      'readerView.spacing.wide': 'Nagyobb',
+      'readerView.spacing.wider': 'Nagy',
+      readAloud: 'Felolvasás',
+      stopReading: 'Felolvasás leállítása',
+      readingProgress: 'Haladás: {progress}%',
+      'player.label': 'Felolvasás vezérlése',
+      'player.play': 'Felolvasás folytatása',
+      'player.pause': 'Szünet',
+      'player.paused': 'Szüneteltetve',
+      'player.previousSentence': 'Előző mondat',
+      'player.nextSentence': 'Következő mondat',
+      'player.previousParagraph': 'Előző bekezdés',
+      'player.nextParagraph': 'Következő bekezdés',
+      'player.seek': 'Felolvasás helye',
+      'player.position': '{chunk}. mondat a {total} közül',
+      'narrator.modes': 'Felolvasási módok',
+      'narrator.selection': 'Kijelölés felolvasása',
+      'narrator.fromHere': 'Felolvasás innen',
+      'narrator.pickStart': 'Kattintson egy bekezdésre (Esc: mégse)',
+      'narrator.hover': 'Felolvasás rámutatásra',
+      'narrator.landmarks': 'Menük és lábléc felolvasása is',
+      'narrator.announce.heading': '{level}. szintű címsor',
+      'narrator.announce.list': '{count} elemes lista',
+      'narrator.announce.table': '{count} soros táblázat',
+      'narrator.announce.blockquote': 'Idézet',
+      'narrator.announce.link': 'Hivatkozás',
+      'narrator.announce.button': 'Gomb',
+      'narrator.announce.img': 'Kép',
+      'narrator.announce.checkbox': 'Jelölőnégyzet',
+      'narrator.announce.radio': 'Választógomb',
+      'narrator.announce.field': 'Mező',
+      active: 'Aktív',
+      inactive: 'Inaktív',
+      unavailable: 'Nem elérhető',
+      speechRate: 'Felolvasási sebesség',
+      'rate.slow': 'Lassú',
+      'rate.normal': 'Normál',
+      'rate.medium': 'Közepes',
+      'rate.fast': 'Gyors',
+      voice: 'Felolvasó hang',
+      voiceLabel: 'Hang: {voice}',
+      defaultVoice: 'Alapértelmezett',
+      voicesAvailable: {
+        one: '{count} elérhető hang',
+        other: '{count} elérhető hang'
+      },
+      uiLanguage: 'A felület nyelve',
+      share: 'Beállítások megosztása',
+      'share.copyLink': 'Hivatkozás másolása',
+      'share.copyCode': 'Kód másolása',
+      'share.exportFile': 'Fájl mentése',
+      'share.importFile': 'Fájl megnyitása',
+      'share.code': 'Beállításkód vagy hivatkozás',
+      'share.apply': 'Alkalmaz',
+      'share.dismiss': 'Elvetés',
+      'share.offer': 'A hivatkozás akadálymentességi beállításokat tartalmaz. Alkalmazza őket?',
+      'share.linkCopied': 'Hivatkozás másolva',
+      'share.codeCopied': 'Kód másolva',
+      'share.copyFailed': 'A másolás nem sikerült. Másolja ki a szöveget a mezőből.',
+      'share.exported': 'A beállításfájl elmentve',
+      'share.applied': 'Beállítások alkalmazva',
+      'share.invalid': 'A beállítások érvénytelenek, ezért nem lettek alkalmazva',
+      reset: 'Beállítások visszaállítása',
+      resetAll: 'Minden beállítás visszaállítása',
+      announce: '{setting}: {value}',
+      'announce.reset': 'Beállítások visszaállítva',
+      'indicator.fontSize': 'Nagyobb betűméret',
+      'indicator.contrast': 'Színtéma bekapcsolva',
+      'indicator.lineHeight': 'Nagyobb sorköz',
+      'indicator.textSpacing': 'Nagyobb szövegtávolság',
+      'indicator.colorFilter': 'Színszűrő bekapcsolva',
+      'indicator.readingGuide': 'Olvasási segéd bekapcsolva',
+      'indicator.reading': 'Felolvasás folyamatban',
+      'error.title': 'Hiba',
+      'error.speechUnsupported': 'A böngészője nem támogatja a felolvasást',
+      'error.noContent': 'Nem található felolvasható tartalom',
+      'error.noSelection': 'Előbb jelölje ki a felolvasandó szöveget',
+      'error.noArticle': 'Nem található cikk az olvasó nézethez',
+      'error.speech': 'Hiba a felolvasás során: {error}',
+      'error.speechStart': 'Nem sikerült elindítani a felolvasást.',
+      'error.speechDevice': 'A felolvasás nem érhető el ezen az eszközön.',
+      'error.contentUnavailable': 'A tartalom nem érhető el felolvasásra.'
+    }
+  });
+
+  const isLocaleSupported = (code) => Object.prototype.hasOwnProperty.call(locales, code);
+
+  const getLocales = () => Object.keys(locales);
+
+  // Pick the UI locale: the configured one, then <html lang>, then Romanian
+  const resolveLocale = (preferred) => {
+    if (preferred) {
+      const code = String(preferred).toLowerCase().split(/[-_]/)[0];
+      if (isLocaleSupported(code)) return code;
+      console.error(
+        `[AccessibilityI18n] Unsupported locale "${preferred}". Available locales are: ${getLocales().join(', ')}.`
+      );
+    }
+
+    if (typeof document !== 'undefined' && document.documentElement && document.documentElement.lang) {
+      const pageLocale = document.documentElement.lang.toLowerCase().split(/[-_]/)[0];
+      if (isLocaleSupported(pageLocale)) return pageLocale;
+    }
+
+    return DEFAULT_LOCALE;
+  };
+
+  // CLDR plural category for a count, with a fallback for engines without Intl
+  const getPluralCategory = (tag, count) => {
+    if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+      return new Intl.PluralRules(tag).select(count);
+    }
+    return count === 1 ? 'one' : 'other';
+  };
+
+  const formatNumber = (tag, value, options = { maximumFractionDigits: 1 }) => {
+    if (typeof Intl !== 'undefined' && Intl.NumberFormat) {
+      return new Intl.NumberFormat(tag, options).format(value);
+    }
+    return options.style === 'percent' ? `${Math.round(value * 100)}%` : String(value);
+  };
+
+  const interpolate = (template, params) =>
+    template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? String(params[name]) : match
+    );
+
+  // Create a translator bound to a locale. t(key, params) interpolates
+  // {placeholders}; messages with plural forms are chosen by params.count.
+  const createTranslator = (code) => {
+    const locale = locales[isLocaleSupported(code) ? code : DEFAULT_LOCALE];
+
+    const t = (key, params = {}) => {
+      let message = locale.messages[key];
+
+      if (message === undefined) {
+        console.error(`[AccessibilityI18n] Missing message "${key}" for locale "${code}".`);
+        return key;
+      }
+
+      if (typeof message === 'object') {
+        const category = getPluralCategory(locale.tag, Number(params.count) || 0);
+        message = message[category] || message.other;
+      }
+
+      return interpolate(message, params);
+    };
+
+    const SPEECH_RATE_KEYS = { 0.6: 'rate.slow', 0.8: 'rate.normal', 1.0: 'rate.medium', 1.2: 'rate.fast' };
+
+    // Label for a speech rate, e.g. "Normal (0,8×)"
+    t.speechRate = (rate) => {
+      const label = t(SPEECH_RATE_KEYS[rate] || 'rate.normal');
+      return locale.formatSpeechRate(label, formatNumber(locale.tag, rate));
+    };
+
+    // Label for a 0/1/2 level setting
+    t.level = (level) => t(level === 0 ? 'level.normal' : level === 1 ? 'level.large' : 'level.extraLarge');
+
+    // A percentage in the locale's format, e.g. "130 %" in Romanian
+    t.percent = (value) => formatNumber(locale.tag, value / 100, { style: 'percent' });
+
+    // Label for an on/off text spacing setting
+    t.spacing = (enabled) => t(enabled ? 'spacing.wide' : 'spacing.normal');
+
+    t.locale = code;
+    t.tag = locale.tag;
+    t.localeName = locale.name;
+
+    return t;
+  };
+
+  const getLocaleName = (code) => (isLocaleSupported(code) ? locales[code].name : code);
+
+  const AccessibilityI18n = {
+    DEFAULT_LOCALE,
+    registerLocale,
+    isLocaleSupported,
+    getLocales,
+    getLocaleName,
+    resolveLocale,
+    createTranslator
+  };
+
+  global.AccessibilityI18n = AccessibilityI18n;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityI18n;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
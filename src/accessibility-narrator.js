@@ -0,0 +1,1105 @@
+/**
+ * Accessibility Sidebar - Narrator
+ * Collects the accessible text of the page in DOM order, with a map back to
+ * its text nodes, splits it into sentences for speech synthesis, highlights
+ * the sentence and word being read and plays them with transport controls.
+ * Text is split by language, from `lang` attributes or a built-in detector,
+ * so each part is read with a voice of its language.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  const STYLE_ID = 'accessibility-sidebar-narrator';
+  // Text blocks outlined while the user picks where "read from here" starts
+  const READABLE_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, td, th, dt, dd, figcaption, pre, .tagline, .quote';
+
+  // Elements whose content is never read as text
+  const SKIPPED_SELECTOR = 'script, style, noscript, template, svg, canvas, iframe, object, video, audio';
+
+  // Landmarks repeated on every page, read only when asked for
+  const LANDMARK_ROLES = ['navigation', 'banner', 'contentinfo'];
+  const ACTIVE_CLASS = 'a11y-reading-active';
+  const SENTENCE_HIGHLIGHT = 'a11y-reading-sentence';
+  const WORD_HIGHLIGHT = 'a11y-reading-word';
+  const PICKING_CLASS = 'a11y-picking-reading-start';
+
+  // Speech engines cut off long utterances, so chunks stay below this length
+  const MAX_CHUNK_LENGTH = 200;
+
+  // Highlight colors come from the active color theme, so the current word
+  // is drawn in the theme's text color on its background, i.e. reversed
+  const STYLES = `
+    .${ACTIVE_CLASS} {
+      outline: 2px solid var(--a11y-theme-link, #1565c0);
+      outline-offset: 2px;
+    }
+    ::highlight(${SENTENCE_HIGHLIGHT}) {
+      background-color: rgba(255, 235, 59, 0.35);
+    }
+    html[data-a11y-theme]:not([data-a11y-theme="inverted"]) ::highlight(${SENTENCE_HIGHLIGHT}) {
+      background-color: transparent;
+      text-decoration: underline 2px var(--a11y-theme-link);
+    }
+    ::highlight(${WORD_HIGHLIGHT}) {
+      background-color: var(--a11y-theme-text, #ffeb3b);
+      color: var(--a11y-theme-background, #000);
+    }
+    html.${PICKING_CLASS} :is(${READABLE_SELECTOR}) {
+      cursor: pointer;
+    }
+    html.${PICKING_CLASS} :is(${READABLE_SELECTOR}):hover {
+      outline: 2px dashed var(--a11y-theme-link, #1565c0);
+      outline-offset: 2px;
+    }
+  `;
+
+  // Add the styles to a document, or to a shadow root, which the page's
+  // styles do not reach
+  const injectStyles = (scope = document) => {
+    if (scope.getElementById(STYLE_ID)) return;
+    const style = (scope.ownerDocument || scope).createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = STYLES;
+    (scope.head || scope).appendChild(style);
+  };
+
+  // The shadow host or same-origin frame a node's tree is in, or null in the page itself
+  const getHost = (node) => {
+    const root = node.getRootNode();
+    if (root.host) return root.host;
+    const view = root.defaultView;
+    return view && view !== window ? view.frameElement : null;
+  };
+
+  // The node, or the host or frame around it, that is in `tree`
+  const getInTree = (node, tree) => {
+    let current = node;
+    while (current && current.getRootNode() !== tree) current = getHost(current);
+    return current;
+  };
+
+  // Content in a shadow root or a frame is excluded when its host is
+  const isExcluded = (element, exclude) => {
+    if (!element || exclude.length === 0) return false;
+    const selector = exclude.join(', ');
+    for (let current = element; current; current = getHost(current)) {
+      if (current.closest(selector)) return true;
+    }
+    return false;
+  };
+
+  const toElement = (node) =>
+    node && node.nodeType === Node.ELEMENT_NODE ? node : node && node.parentElement;
+
+  // The element an event started at, inside open shadow roots
+  const getEventTarget = (event) => (event.composedPath ? event.composedPath()[0] : event.target);
+
+  const getStyle = (element) => element.ownerDocument.defaultView.getComputedStyle(element);
+
+  // The body of a same-origin frame, or null for other elements and for
+  // frames of other origins
+  const getFrameBody = (element) => {
+    if (element.localName !== 'iframe') return null;
+    try {
+      return element.contentDocument ? element.contentDocument.body : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // The nodes an element renders: the content of its open shadow root, the
+  // nodes assigned to a slot, the body of a same-origin frame, or its children
+  const getChildren = (element) => {
+    if (element.shadowRoot) return Array.from(element.shadowRoot.childNodes);
+    if (element.localName === 'slot') {
+      const assigned = element.assignedNodes();
+      if (assigned.length > 0) return assigned;
+    }
+    const frameBody = getFrameBody(element);
+    return frameBody ? [frameBody] : Array.from(element.childNodes);
+  };
+
+  const IMPLICIT_ROLES = {
+    button: 'button',
+    h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+    ul: 'list', ol: 'list', menu: 'list',
+    li: 'listitem',
+    blockquote: 'blockquote',
+    figure: 'figure',
+    table: 'table',
+    nav: 'navigation',
+    aside: 'complementary',
+    main: 'main',
+    select: 'combobox',
+    textarea: 'textbox'
+  };
+
+  const INPUT_ROLES = {
+    button: 'button', submit: 'button', reset: 'button', image: 'button',
+    checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton', search: 'searchbox'
+  };
+
+  // The explicit role of an element, or the one its tag implies
+  const getRole = (element) => {
+    const explicit = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+    if (explicit) return explicit;
+
+    const tag = element.localName;
+    if (tag === 'a' || tag === 'area') return element.hasAttribute('href') ? 'link' : null;
+    if (tag === 'img') return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+    if (tag === 'input') {
+      const type = (element.getAttribute('type') || 'text').toLowerCase();
+      if (type === 'hidden') return null;
+      return INPUT_ROLES[type] || 'textbox';
+    }
+    // <header> and <footer> are page landmarks only outside sectioning content
+    if (tag === 'header' || tag === 'footer') {
+      if (element.parentElement && element.parentElement.closest('article, aside, main, nav, section')) return null;
+      return tag === 'header' ? 'banner' : 'contentinfo';
+    }
+    return IMPLICIT_ROLES[tag] || null;
+  };
+
+  // Roles read by their accessible name rather than their content
+  const NAMED_ROLES = [
+    'img', 'link', 'button', 'checkbox', 'radio', 'switch', 'slider',
+    'textbox', 'searchbox', 'combobox', 'spinbutton'
+  ];
+
+  // Roles whose name comes from their content when nothing labels them
+  const NAME_FROM_CONTENT = [
+    'button', 'link', 'heading', 'cell', 'columnheader', 'rowheader', 'listitem',
+    'menuitem', 'option', 'tab', 'checkbox', 'radio', 'switch', 'treeitem'
+  ];
+
+  // Role announcements passed to `announce`: heading, list, blockquote, table,
+  // link, button, img, checkbox, radio and field
+  const ANNOUNCED_ROLES = {
+    link: 'link',
+    button: 'button',
+    img: 'img',
+    checkbox: 'checkbox',
+    radio: 'radio',
+    switch: 'checkbox',
+    slider: 'field',
+    textbox: 'field',
+    searchbox: 'field',
+    combobox: 'field',
+    spinbutton: 'field'
+  };
+
+  const isInlineDisplay = (display) => /^(inline|contents|ruby)/.test(display);
+
+  // Content hidden from assistive technology is never read. Visually hidden
+  // text, such as .sr-only, is meant for screen readers and is read.
+  const isHidden = (element, style = getStyle(element)) =>
+    element.hidden ||
+    element.inert ||
+    element.getAttribute('aria-hidden') === 'true' ||
+    style.display === 'none' ||
+    style.visibility === 'hidden' ||
+    style.visibility === 'collapse';
+
+  const normalize = (text) => text.replace(/\s+/g, ' ').trim();
+
+  // Text of a subtree for an accessible name, with images read by their alt text
+  const getContentText = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) return node.data;
+    if (node.nodeType !== Node.ELEMENT_NODE || node.matches(SKIPPED_SELECTOR) || isHidden(node)) return '';
+    const label = node.getAttribute('aria-label');
+    if (label && label.trim()) return ` ${label} `;
+    if (node.localName === 'img') return ` ${node.getAttribute('alt') || ''} `;
+    const text = getChildren(node).map(getContentText).join('');
+    return isInlineDisplay(getStyle(node).display) ? text : ` ${text} `;
+  };
+
+  const CAPTIONS = { fieldset: 'legend', figure: 'figcaption', table: 'caption' };
+
+  // Accessible name in the order of the W3C accessible name computation:
+  // aria-labelledby, aria-label, the native label (alt, <label>, <legend>,
+  // <figcaption>, <caption>, a button's value), the content for roles named
+  // by their content, then title and placeholder
+  const getAccessibleName = (element) => {
+    const labelledBy = (element.getAttribute('aria-labelledby') || '').trim();
+    if (labelledBy) {
+      const name = normalize(labelledBy.split(/\s+/)
+        .map(id => element.ownerDocument.getElementById(id))
+        .filter(Boolean)
+        .map(label => label.getAttribute('aria-label') || getContentText(label))
+        .join(' '));
+      if (name) return name;
+    }
+
+    const label = normalize(element.getAttribute('aria-label') || '');
+    if (label) return label;
+
+    const tag = element.localName;
+    let native = '';
+    if (tag === 'img' || tag === 'area' || (tag === 'input' && element.type === 'image')) {
+      native = element.getAttribute('alt') || '';
+    } else if (tag === 'input' && ['button', 'submit', 'reset'].includes(element.type)) {
+      native = element.value;
+    } else if (element.labels && element.labels.length > 0) {
+      native = Array.from(element.labels).map(getContentText).join(' ');
+    } else if (CAPTIONS[tag]) {
+      const caption = Array.from(element.children).find(child => child.localName === CAPTIONS[tag]);
+      if (caption) native = getContentText(caption);
+    }
+    native = normalize(native);
+    if (native) return native;
+
+    if (NAME_FROM_CONTENT.includes(getRole(element))) {
+      const content = normalize(getChildren(element).map(getContentText).join(''));
+      if (content) return content;
+    }
+
+    return normalize(element.getAttribute('title') || element.getAttribute('placeholder') || '');
+  };
+
+  // The nearest element around a node that is laid out as a block
+  const getBlockElement = (node) => {
+    let element = toElement(node);
+    while (element && element.parentElement && isInlineDisplay(getStyle(element).display)) {
+      element = element.parentElement;
+    }
+    return element;
+  };
+
+  // Language of the content at a node: the nearest `lang` attribute. Only
+  // the page's own language, or none, leaves it to the detector.
+  const getLanguageContext = (element) => {
+    const owner = element && element.closest('[lang]');
+    const lang = owner ? owner.getAttribute('lang').trim() : '';
+    return { lang, detect: !lang || owner === element.ownerDocument.documentElement };
+  };
+
+  // The accessible text of a root in DOM order, as blocks of
+  // { element, text, nodes, langs, announcement }. A block is a run of
+  // inline content in one block-level element; `nodes` maps offsets in its
+  // text back to text nodes. Names that are not page text, such as alt
+  // text, are part of the text without a node. `langs` splits the text
+  // into runs of { start, end, lang, detect }.
+  //
+  // `announce(type, details)` returns the spoken name of a structure, e.g.
+  // "Heading level 2" for ('heading', { level: 2 }) or "List with 5 items"
+  // for ('list', { count: 5 }); `announceLang` is the language it is in.
+  // `exclude` lists selectors that are never read; navigation, banner and
+  // footer landmarks are read with `landmarks`.
+  const collectBlocks = (root, { exclude = [], announce = null, announceLang = '', landmarks = false } = {}) => {
+    const excluded = exclude.length > 0 ? exclude.join(', ') : null;
+    const say = (type, details = {}) => (announce && announce(type, details)) || '';
+    const blocks = [];
+    const stack = [root];
+    const languages = [getLanguageContext(root.parentElement || root)];
+    let current = null;
+
+    const createBlockRun = (element, announcement) => ({
+      element,
+      text: '',
+      nodes: [],
+      langs: [],
+      ...(announcement ? { announcement, announceLang: announceLang || languages[languages.length - 1].lang } : {})
+    });
+
+    const flush = () => {
+      if (current && (current.text.trim() || current.announcement)) blocks.push(current);
+      current = null;
+    };
+
+    const append = (text, node) => {
+      if (!current) current = createBlockRun(stack[stack.length - 1]);
+      const start = current.text.length;
+      const end = start + text.length;
+      if (node) current.nodes.push({ node, start, end });
+
+      const { lang, detect } = languages[languages.length - 1];
+      const last = current.langs[current.langs.length - 1];
+      if (last && last.lang === lang && last.detect === detect) {
+        last.end = end;
+      } else {
+        current.langs.push({ start, end, lang, detect });
+      }
+      current.text += text;
+    };
+
+    // Spoken text that is not on the page, such as a role or alt text
+    const appendLabel = (...parts) => {
+      const text = parts.filter(Boolean).join(' ');
+      if (text) append(` ${text} `);
+    };
+
+    const getAnnouncement = (element, role) => {
+      if (role === 'heading') {
+        const level = Number(element.getAttribute('aria-level')) || Number(element.localName.slice(1)) || 2;
+        return say('heading', { level });
+      }
+      if (role === 'list') {
+        const count = Array.from(element.children)
+          .filter(child => child.localName === 'li' || child.getAttribute('role') === 'listitem').length;
+        return say('list', { count });
+      }
+      if (role === 'table') {
+        return say('table', { count: element.rows ? element.rows.length : element.querySelectorAll('[role="row"]').length });
+      }
+      if (role === 'blockquote') return say('blockquote');
+      return '';
+    };
+
+    const visitChildren = (element) => {
+      const children = element.localName === 'details' && !element.open
+        ? Array.from(element.children).filter(child => child.localName === 'summary')
+        : getChildren(element);
+      children.forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) append(child.data, child);
+        else if (child.nodeType === Node.ELEMENT_NODE) visit(child);
+      });
+    };
+
+    const visit = (element) => {
+      if (excluded && element.matches(excluded)) return;
+      const style = getStyle(element);
+      if (isHidden(element, style)) return;
+      const role = getRole(element);
+      if (element !== root && !landmarks && LANDMARK_ROLES.includes(role)) return;
+
+      // The body of a frame is read in the frame's own language
+      const doc = element.ownerDocument;
+      const hasLang = element.hasAttribute('lang') || (element === doc.body && doc !== root.ownerDocument);
+      if (hasLang) languages.push(getLanguageContext(element));
+      readElement(element, style, role);
+      if (hasLang) languages.pop();
+    };
+
+    const readElement = (element, style, role) => {
+      if (NAMED_ROLES.includes(role)) {
+        const labelled = element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby');
+        // Link and button text is read from the page, so it is highlighted
+        if ((role === 'link' || role === 'button') && !labelled && element.localName !== 'input' &&
+            normalize(getContentText(element))) {
+          appendLabel(say(ANNOUNCED_ROLES[role]));
+          visitChildren(element);
+          return;
+        }
+        // A field's <label> is read where it stands on the page
+        if (element !== root && !labelled && role !== 'button' && element.labels && element.labels.length > 0) return;
+        const name = getAccessibleName(element);
+        if (name) appendLabel(say(ANNOUNCED_ROLES[role]), name);
+        return;
+      }
+
+      if (element.matches(SKIPPED_SELECTOR) && !getFrameBody(element)) return;
+      if (element.localName === 'br') {
+        append(' ');
+        return;
+      }
+
+      const isBlock = !isInlineDisplay(style.display);
+      if (isBlock) {
+        flush();
+        stack.push(element);
+      }
+      const announcement = getAnnouncement(element, role);
+      if (announcement) {
+        flush();
+        current = createBlockRun(element, announcement);
+      }
+      visitChildren(element);
+      if (isBlock) {
+        flush();
+        stack.pop();
+      }
+    };
+
+    visit(root);
+    flush();
+    return blocks;
+  };
+
+  // Common words and distinctive letters of the languages the built-in
+  // detector knows. It only tells these apart; other languages need a
+  // `lang` attribute.
+  const LANGUAGE_PROFILES = {
+    ro: {
+      letters: 'ăâîșşțţ',
+      words: ['și', 'în', 'că', 'să', 'este', 'sunt', 'care', 'pentru', 'din', 'cu', 'pe', 'la', 'nu', 'mai',
+        'un', 'o', 'al', 'ale', 'lui', 'fost', 'sau', 'acest', 'această', 'dar', 'fi', 'se', 'ce', 'de']
+    },
+    en: {
+      letters: '',
+      words: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'with', 'as', 'was', 'on', 'are', 'be',
+        'this', 'by', 'you', 'not', 'or', 'have', 'from', 'at', 'which', 'we', 'an', 'will', 'can']
+    },
+    hu: {
+      letters: 'őű',
+      words: ['a', 'az', 'és', 'hogy', 'nem', 'is', 'egy', 'van', 'meg', 'de', 'ez', 'már', 'csak', 'mint',
+        'volt', 'ami', 'vagy', 'még', 'azt', 'ki', 'el', 'kell', 'lesz', 'ha', 'amely']
+    },
+    de: {
+      letters: 'äß',
+      words: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'ein', 'eine', 'zu', 'den', 'von', 'auf',
+        'für', 'sich', 'dem', 'auch', 'es', 'im', 'sind', 'wird', 'bei']
+    },
+    fr: {
+      letters: 'çœèêëàù',
+      words: ['le', 'la', 'les', 'et', 'est', 'des', 'une', 'un', 'dans', 'pour', 'que', 'qui', 'pas', 'sur',
+        'avec', 'du', 'au', 'ce', 'ne', 'sont', 'par', 'plus']
+    }
+  };
+
+  // Shorter texts have too few clues to tell their language
+  const MIN_DETECTION_WORDS = 3;
+
+  // Language of a text among LANGUAGE_PROFILES, or null when it is too
+  // short or no language clearly wins
+  const detectLanguage = (text) => {
+    const lower = text.toLowerCase();
+    const words = lower.match(/[\p{L}']+/gu) || [];
+    if (words.length < MIN_DETECTION_WORDS) return null;
+
+    const scores = Object.keys(LANGUAGE_PROFILES).map(lang => {
+      const { letters, words: common } = LANGUAGE_PROFILES[lang];
+      let score = words.filter(word => common.includes(word)).length * 2;
+      for (const letter of lower) {
+        if (letters.includes(letter)) score++;
+      }
+      return { lang, score };
+    }).sort((a, b) => b.score - a.score);
+
+    const [best, second] = scores;
+    return best.score >= 4 && best.score >= second.score * 2 ? best.lang : null;
+  };
+
+  // Abbreviations, in lower case, whose period does not end a sentence
+  const ABBREVIATIONS = [
+    'dr', 'str', 'nr', 'prof', 'conf', 'ing', 'dl', 'dna', 'dnul', 'dra', 'sf', 'bd', 'bl', 'sc', 'ap',
+    'jud', 'tel', 'pag', 'vol', 'cap', 'art', 'alin', 'lit', 'ex', 'cca', 'mr', 'mrs', 'ms', 'st', 'vs'
+  ];
+
+  const isAbbreviation = (textBefore) => {
+    const word = /\p{L}+$/u.exec(textBefore);
+    return Boolean(word) && ABBREVIATIONS.includes(word[0].toLowerCase());
+  };
+
+  // Sentence boundaries within text[from, to), skipping the whitespace
+  // between them. Punctuation only ends a sentence before whitespace or the
+  // end of the text, so "3.5" and "1.500" stay whole, and neither does the
+  // period of an abbreviation such as "Dr.".
+  const getSentences = (text, from = 0, to = text.length) => {
+    const sentences = [];
+    const part = text.slice(from, to);
+    const add = (partStart, partEnd) => {
+      const sentence = part.slice(partStart, partEnd);
+      const start = from + partStart + sentence.length - sentence.trimStart().length;
+      const end = from + partStart + sentence.trimEnd().length;
+      if (end > start) sentences.push({ start, end });
+    };
+
+    const pattern = /[.!?]+(?=\s|$)/g;
+    let start = 0;
+    let match;
+    while ((match = pattern.exec(part)) !== null) {
+      if (match[0] === '.' && isAbbreviation(part.slice(start, match.index))) continue;
+      const end = match.index + match[0].length;
+      add(start, end);
+      start = end;
+    }
+    add(start, part.length);
+    return sentences;
+  };
+
+  // Split a sentence that is too long for one utterance after a comma or a
+  // space. Returns the end offsets of its parts.
+  const splitLongSentence = (text, { start, end }, maxLength) => {
+    const ends = [];
+    let partStart = start;
+    while (end - partStart > maxLength) {
+      const part = text.slice(partStart, partStart + maxLength);
+      const comma = part.search(/[,;:][^,;:]*$/);
+      const space = part.lastIndexOf(' ');
+      const cut = comma > 0 ? comma + 1 : space > 0 ? space : maxLength;
+      ends.push(partStart + cut);
+      partStart += cut;
+      while (/\s/.test(text[partStart])) partStart++;
+    }
+    ends.push(end);
+    return ends;
+  };
+
+  // The parts of block.text[start, end) in each language run
+  const splitByLanguage = (block, start, end) => {
+    const runs = block.langs && block.langs.length > 0
+      ? block.langs
+      : [{ start: 0, end: block.text.length, lang: '', detect: true }];
+    return runs
+      .filter(run => run.end > start && run.start < end)
+      .map(run => ({ start: Math.max(start, run.start), end: Math.min(end, run.end), lang: run.lang, detect: run.detect }));
+  };
+
+  // One chunk per sentence of each block, so the narrator can move by
+  // sentence and by block. A chunk never spans two blocks, so every offset
+  // in it maps back to a single element, and never spans two languages:
+  // each chunk has the `lang` it is read in, or '' when it is unknown.
+  // A block with `from` and `to` offsets is only read between them.
+  const splitChunks = (blocks, maxLength = MAX_CHUNK_LENGTH) => {
+    const chunks = [];
+    blocks.forEach(block => {
+      // The announcement of a block is read before its text, and is not
+      // highlighted. A block cut by a selection is read without it.
+      if (block.announcement && block.from === undefined) {
+        chunks.push({ block, start: 0, end: 0, text: block.announcement, lang: block.announceLang || '', announcement: true });
+      }
+      getSentences(block.text, block.from, block.to).forEach(sentence => {
+        let start = sentence.start;
+        splitLongSentence(block.text, sentence, maxLength).forEach(end => {
+          let previous = null;
+          splitByLanguage(block, start, end).forEach(part => {
+            const raw = block.text.slice(part.start, part.end);
+            const text = raw.trim();
+            if (!text) return;
+            const lang = (part.detect && detectLanguage(text)) || part.lang;
+            // Runs that turn out to be in the same language are read together
+            if (previous && previous.lang === lang) {
+              previous.end = part.end;
+              previous.text = block.text.slice(previous.start, previous.end).trim();
+              return;
+            }
+            previous = { block, start: part.start + raw.search(/\S/), end: part.end, text, lang };
+            chunks.push(previous);
+          });
+          start = end;
+        });
+      });
+    });
+    return chunks;
+  };
+
+  // Chunks for text that is not on the page, such as a string passed to speak()
+  const splitText = (text, maxLength = MAX_CHUNK_LENGTH) =>
+    splitChunks([{ element: null, text, nodes: [], langs: [] }], maxLength);
+
+  // The part of a block inside a DOM range, or null when they do not overlap
+  const clipBlock = (block, range) => {
+    let from = null;
+    let to = null;
+    block.nodes.forEach(entry => {
+      if (!range.intersectsNode(entry.node)) return;
+      const start = entry.node === range.startContainer ? range.startOffset : 0;
+      const end = entry.node === range.endContainer ? range.endOffset : entry.node.data.length;
+      if (from === null) from = entry.start + start;
+      to = entry.start + end;
+    });
+    return from !== null && to > from && block.text.slice(from, to).trim()
+      ? { ...block, from, to }
+      : null;
+  };
+
+  // Chunks for the text of a selection. `options` are those of collectBlocks().
+  const getSelectionChunks = (selection, options = {}) => {
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return [];
+    const chunks = [];
+    for (let i = 0; i < selection.rangeCount; i++) {
+      const range = selection.getRangeAt(i);
+      const container = getBlockElement(range.commonAncestorContainer);
+      if (!container || isExcluded(container, options.exclude || [])) continue;
+      const blocks = collectBlocks(container, options);
+      chunks.push(...splitChunks(blocks.map(block => clipBlock(block, range)).filter(Boolean)));
+    }
+    return chunks;
+  };
+
+  // Chunks from the first block with text at or after a node to the end of
+  // the root. Nodes in shadow roots and frames are compared through their
+  // hosts, as positions are only known within one tree.
+  const getChunksFrom = (node, root, options) => {
+    const blocks = collectBlocks(root, options);
+    const tree = node.getRootNode();
+    const isAtOrAfter = (entry) => {
+      const other = getInTree(entry.node, tree);
+      if (other) return other === node || Boolean(node.compareDocumentPosition(other) & Node.DOCUMENT_POSITION_FOLLOWING);
+      const host = getInTree(node, entry.node.getRootNode());
+      return Boolean(host && host.compareDocumentPosition(entry.node) & Node.DOCUMENT_POSITION_FOLLOWING);
+    };
+    const first = blocks.findIndex(block => block.nodes.some(isAtOrAfter));
+    return first === -1 ? [] : splitChunks(blocks.slice(first));
+  };
+
+  // Elements that hover-to-speak reads on their own, before falling back to
+  // the block around them
+  const HOVER_SELECTOR = 'a[href], button, [role="button"], label, summary, img[alt], input, select, textarea';
+
+  // Chunks for the element under the pointer or with focus, and that element.
+  // Controls and images are read by their accessible name; elsewhere only the
+  // text of the block under the pointer is read, not the blocks inside it.
+  const getHoverTarget = (node, options = {}) => {
+    const target = toElement(node);
+    if (!target || isExcluded(target, options.exclude || [])) return null;
+
+    const control = target.closest(HOVER_SELECTOR);
+    const element = control || getBlockElement(target);
+    const blocks = collectBlocks(element, options).filter(block => control || block.element === element);
+    const chunks = splitChunks(blocks);
+    return chunks.length > 0 ? { element, chunks } : null;
+  };
+
+  // Wait this long on an element before reading it, so moving the pointer
+  // across the page does not start a reading at every element it crosses
+  const HOVER_DELAY = 400;
+
+  // Reads the element under the pointer or with keyboard focus through
+  // onRead(chunks). An element is read once until another one is reached.
+  // `options` are those of collectBlocks().
+  const createHoverReader = ({ onRead, delay = HOVER_DELAY, ...options } = {}) => {
+    let timer = null;
+    let lastElement = null;
+
+    const read = (node) => {
+      const target = getHoverTarget(node, options);
+      if (!target || target.element === lastElement) return;
+      lastElement = target.element;
+      onRead(target.chunks);
+    };
+
+    const handlePointerOver = (event) => {
+      if (event.pointerType === 'touch') return;
+      clearTimeout(timer);
+      const target = getEventTarget(event);
+      timer = setTimeout(() => read(target), delay);
+    };
+
+    const handleFocusIn = (event) => {
+      clearTimeout(timer);
+      read(getEventTarget(event));
+    };
+
+    const listen = (add) => {
+      const method = add ? 'addEventListener' : 'removeEventListener';
+      document[method]('pointerover', handlePointerOver);
+      document[method]('focusin', handleFocusIn);
+    };
+
+    return {
+      start: () => listen(true),
+      stop: () => {
+        listen(false);
+        clearTimeout(timer);
+        lastElement = null;
+      }
+    };
+  };
+
+  // Waits for a click on the page and passes onPick(chunks) the chunks from
+  // the clicked block to the end of `root`. The click does not follow links.
+  // Escape cancels through onCancel(). Returns a function that cancels.
+  // The other options are those of collectBlocks().
+  const pickReadingStart = ({ root, onPick, onCancel, ...options } = {}) => {
+    injectStyles();
+    const stopListening = () => {
+      document.documentElement.classList.remove(PICKING_CLASS);
+      document.removeEventListener('click', handleClick, true);
+      document.removeEventListener('keydown', handleKeyDown, true);
+    };
+
+    function handleClick(event) {
+      const target = getEventTarget(event);
+      if (isExcluded(toElement(target), options.exclude || [])) return;
+      event.preventDefault();
+      event.stopPropagation();
+      stopListening();
+      onPick(getChunksFrom(target, root, options));
+    }
+
+    function handleKeyDown(event) {
+      if (event.key !== 'Escape') return;
+      // Escape only cancels the pick, e.g. not the reader view as well
+      event.preventDefault();
+      stopListening();
+      if (onCancel) onCancel();
+    }
+
+    document.documentElement.classList.add(PICKING_CLASS);
+    document.addEventListener('click', handleClick, true);
+    document.addEventListener('keydown', handleKeyDown, true);
+    return stopListening;
+  };
+
+  // A DOM range for an offset range within a block's text. Text that is
+  // not on the page, such as alt text, is left out of it.
+  const createRange = (block, start, end) => {
+    const entries = block.nodes.filter(entry => entry.end > start && entry.start < end);
+    if (entries.length === 0) return null;
+    const first = entries[0];
+    const last = entries[entries.length - 1];
+
+    const range = first.node.ownerDocument.createRange();
+    range.setStart(first.node, Math.max(start, first.start) - first.start);
+    range.setEnd(last.node, Math.min(end, last.end) - last.start);
+    return range;
+  };
+
+  // Length of the word at an offset, for engines that report no charLength
+  const getWordLength = (text, offset) => {
+    const match = /^[\p{L}\p{N}'’-]+|^\S+/u.exec(text.slice(offset));
+    return match ? match[0].length : 0;
+  };
+
+  const prefersReducedMotion = () =>
+    Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+
+  // Scroll a rectangle of `view` into the middle third of it when it is
+  // outside it. In a frame, the frame is then scrolled into the page's view.
+  const scrollToRect = (rect, view = window) => {
+    if (!rect) return;
+    if (rect.top < 0 || rect.bottom > view.innerHeight) {
+      view.scrollBy({
+        top: rect.top - view.innerHeight / 3,
+        behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+      });
+    }
+    if (view !== window && view.frameElement) {
+      scrollToRect(view.frameElement.getBoundingClientRect(), view.parent);
+    }
+  };
+
+  // Highlights the element, sentence and word being read. Sentence and word
+  // use the CSS Custom Highlight API, so the page's DOM is never changed;
+  // browsers without it only outline the element. Text in a frame is
+  // highlighted through the frame's window, and text in a shadow root gets
+  // the styles injected there.
+  const createHighlighter = () => {
+    const supportsHighlights = typeof CSS !== 'undefined' && CSS.highlights && typeof Highlight === 'function';
+    // Windows that may hold a highlight, so they are all cleared
+    const views = new Set([window]);
+    let activeElement = null;
+
+    injectStyles();
+
+    const setHighlight = (name, range) => {
+      if (!supportsHighlights) return;
+      views.forEach((view) => {
+        if (view.closed || !view.CSS) views.delete(view);
+        else view.CSS.highlights.delete(name);
+      });
+      const view = range && range.startContainer.ownerDocument.defaultView;
+      if (view && view.CSS && view.CSS.highlights) {
+        view.CSS.highlights.set(name, new view.Highlight(range));
+        views.add(view);
+      }
+    };
+
+    const clear = () => {
+      if (activeElement) activeElement.classList.remove(ACTIVE_CLASS);
+      activeElement = null;
+      setHighlight(SENTENCE_HIGHLIGHT, null);
+      setHighlight(WORD_HIGHLIGHT, null);
+    };
+
+    // A chunk starts: outline its element and highlight its sentence
+    const showChunk = (chunk) => {
+      const { element } = chunk.block;
+      if (!element) return;
+      if (element !== activeElement) {
+        if (activeElement) activeElement.classList.remove(ACTIVE_CLASS);
+        activeElement = element;
+        if (element.isConnected) injectStyles(element.getRootNode());
+        element.classList.add(ACTIVE_CLASS);
+      }
+      const range = createRange(chunk.block, chunk.start, chunk.end);
+      setHighlight(SENTENCE_HIGHLIGHT, range);
+      setHighlight(WORD_HIGHLIGHT, null);
+      scrollToRect((range || element).getBoundingClientRect(), element.ownerDocument.defaultView);
+    };
+
+    // A word boundary event: `charIndex` is relative to the chunk's text
+    const showWord = (chunk, charIndex, charLength) => {
+      if (!chunk.block.element || chunk.announcement) return;
+      const start = chunk.start + charIndex;
+      const length = charLength || getWordLength(chunk.block.text, start);
+      const onPage = chunk.block.nodes.some(entry => start >= entry.start && start < entry.end);
+      const word = onPage && length > 0 ? createRange(chunk.block, start, start + length) : null;
+      setHighlight(WORD_HIGHLIGHT, word);
+      if (word) scrollToRect(word.getBoundingClientRect(), chunk.block.element.ownerDocument.defaultView);
+    };
+
+    return { showChunk, showWord, clear };
+  };
+
+  // Language subtag of a language tag: 'en' for 'en-GB' or 'en_GB'
+  const getBaseLanguage = (tag) => (tag || '').toLowerCase().split(/[-_]/)[0];
+
+  // Low-quality voices are only used when a language has no other
+  const isPreferredVoiceQuality = (voice) =>
+    !voice.name.toLowerCase().includes('standard') && !voice.name.toLowerCase().includes('compact');
+
+  // Best voice for a language tag: the user's preferred voice for that
+  // language, then a voice of the exact locale, then any voice of the
+  // language. `preferred` maps base languages to voices. Null when no
+  // voice speaks it.
+  const pickVoice = (voices, lang, preferred = {}) => {
+    const base = getBaseLanguage(lang);
+    if (!base) return null;
+    if (preferred[base]) return preferred[base];
+
+    const matching = voices.filter(voice => getBaseLanguage(voice.lang) === base);
+    const exact = matching.filter(voice => voice.lang.replace('_', '-').toLowerCase() === lang.toLowerCase());
+    const candidates = exact.length > 0 ? exact : matching;
+    return candidates.find(isPreferredVoiceQuality) || candidates[0] || null;
+  };
+
+  // Keyboard shortcuts of the narrator player, as aria-keyshortcuts values.
+  // Alt+Shift keeps them clear of the page's own shortcuts and of screen readers.
+  const SHORTCUTS = {
+    togglePause: 'Alt+Shift+P',
+    stop: 'Alt+Shift+S',
+    previousSentence: 'Alt+Shift+ArrowLeft',
+    nextSentence: 'Alt+Shift+ArrowRight',
+    previousBlock: 'Alt+Shift+ArrowUp',
+    nextBlock: 'Alt+Shift+ArrowDown'
+  };
+  const SHORTCUT_CODES = {
+    KeyP: 'togglePause',
+    KeyS: 'stop',
+    ArrowLeft: 'previousSentence',
+    ArrowRight: 'nextSentence',
+    ArrowUp: 'previousBlock',
+    ArrowDown: 'nextBlock'
+  };
+
+  // The player action for a keydown event, or null. Uses the physical key,
+  // since Alt+Shift changes the character on many keyboard layouts.
+  const getShortcutAction = (event) => {
+    if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey) return null;
+    return SHORTCUT_CODES[event.code] || null;
+  };
+
+  // Pause between two blocks; the sentences of one block follow each other
+  const BLOCK_PAUSE = 300;
+
+  // Speech synthesis needs a moment after cancel() before it speaks again
+  const RESTART_DELAY = 100;
+
+  // Plays a list of chunks with transport controls. Pausing cancels the
+  // utterance and keeps the position, and resuming starts the sentence
+  // again: speechSynthesis.pause() is unreliable, and on some platforms
+  // a paused utterance is dropped after a few seconds.
+  //
+  // `getOptions(chunk)` returns the { voice, lang, rate, pitch } to read a
+  // chunk with, usually chosen by its `lang`. The callbacks are onStart({ text, total }), onProgress(position),
+  // onPause(position), onResume(position) and onEnd({ completed, error }).
+  const createPlayer = ({ getOptions, onStart, onProgress, onPause, onResume, onEnd } = {}) => {
+    const highlighter = createHighlighter();
+    let chunks = [];
+    let index = 0;
+    let status = 'stopped';
+    let session = 0;
+    let timer = null;
+
+    const getPosition = () => ({
+      progress: chunks.length > 0 ? Math.round((index / chunks.length) * 100) : 0,
+      chunk: index + 1,
+      total: chunks.length,
+      text: chunks[index] ? chunks[index].text : ''
+    });
+
+    // Cancel speech and invalidate the callbacks of earlier utterances
+    const halt = () => {
+      session++;
+      clearTimeout(timer);
+      window.speechSynthesis.cancel();
+    };
+
+    const finish = (completed, error) => {
+      halt();
+      status = 'stopped';
+      highlighter.clear();
+      if (completed && onProgress) onProgress({ ...getPosition(), progress: 100, chunk: chunks.length });
+      if (onEnd) onEnd(error ? { completed, error } : { completed });
+    };
+
+    const speakFrom = (start) => {
+      halt();
+      index = start;
+      const current = session;
+
+      const speakChunk = () => {
+        if (current !== session) return;
+        const chunk = chunks[index];
+        const { voice, lang, rate, pitch } = getOptions ? getOptions(chunk) : {};
+        const utterance = new SpeechSynthesisUtterance(chunk.text);
+        if (lang) utterance.lang = lang;
+        if (rate) utterance.rate = rate;
+        if (pitch) utterance.pitch = pitch;
+        utterance.volume = 1.0;
+        if (voice) utterance.voice = voice;
+
+        utterance.onstart = () => {
+          if (current !== session) return;
+          highlighter.showChunk(chunk);
+          if (onProgress) onProgress(getPosition());
+        };
+
+        utterance.onboundary = (event) => {
+          if (event.name !== 'word' || current !== session) return;
+          highlighter.showWord(chunk, event.charIndex, event.charLength);
+        };
+
+        utterance.onend = () => {
+          if (current !== session) return;
+          if (index + 1 >= chunks.length) {
+            finish(true);
+            return;
+          }
+          index++;
+          timer = setTimeout(speakChunk, chunks[index].block === chunk.block ? 0 : BLOCK_PAUSE);
+        };
+
+        utterance.onerror = (event) => {
+          // Cancelling speech reports an error in some browsers
+          if (event.error === 'interrupted' || event.error === 'canceled' || current !== session) return;
+          console.error('Speech synthesis error:', event.error);
+          finish(false, event.error);
+        };
+
+        window.speechSynthesis.speak(utterance);
+      };
+
+      timer = setTimeout(speakChunk, RESTART_DELAY);
+    };
+
+    const start = (newChunks) => {
+      if (status !== 'stopped') finish(false);
+      chunks = newChunks;
+      status = 'playing';
+      if (onStart) onStart({ text: chunks.map(chunk => chunk.text).join(' '), total: chunks.length });
+      speakFrom(0);
+    };
+
+    const pause = () => {
+      if (status !== 'playing') return;
+      halt();
+      status = 'paused';
+      if (onPause) onPause(getPosition());
+    };
+
+    const resume = () => {
+      if (status !== 'paused') return;
+      status = 'playing';
+      if (onResume) onResume(getPosition());
+      speakFrom(index);
+    };
+
+    const stop = () => {
+      if (status !== 'stopped') finish(false);
+    };
+
+    // Move to a chunk. While paused, the new position is shown but not read.
+    const seek = (target) => {
+      if (status === 'stopped' || chunks.length === 0) return;
+      const clamped = Math.max(0, Math.min(chunks.length - 1, target));
+      if (status === 'playing') {
+        speakFrom(clamped);
+        return;
+      }
+      index = clamped;
+      highlighter.showChunk(chunks[index]);
+      if (onProgress) onProgress(getPosition());
+    };
+
+    const getBlockStart = (position) => {
+      let first = position;
+      while (first > 0 && chunks[first - 1].block === chunks[position].block) first--;
+      return first;
+    };
+
+    // Back to the start of the current block, or to the previous block when
+    // already at its start
+    const previousBlock = () => {
+      const blockStart = getBlockStart(index);
+      seek(blockStart < index || blockStart === 0 ? blockStart : getBlockStart(blockStart - 1));
+    };
+
+    const nextBlock = () => {
+      let next = index;
+      while (next < chunks.length && chunks[next].block === chunks[index].block) next++;
+      if (next < chunks.length) seek(next);
+    };
+
+    // Text typed in or read from elsewhere has no element and stays
+    const isOnPage = (chunk) => {
+      const { element, nodes } = chunk.block;
+      return !element || (element.isConnected && (nodes.length === 0 || nodes.some(entry => entry.node.isConnected)));
+    };
+
+    // Leave out the chunks whose text the page removed, as a single-page app
+    // does when it renders new content. When the chunk being read is gone,
+    // reading goes on from the next one still on the page, or stops when
+    // none is left.
+    const dropRemoved = () => {
+      if (status === 'stopped' || chunks.every(isOnPage)) return;
+      const current = chunks[index];
+      const next = chunks.slice(index).find(isOnPage);
+      chunks = chunks.filter(isOnPage);
+      if (!next) {
+        finish(false);
+        return;
+      }
+      if (next === current) {
+        index = chunks.indexOf(current);
+        if (onProgress) onProgress(getPosition());
+        return;
+      }
+      const position = chunks.indexOf(next);
+      if (status === 'playing') {
+        speakFrom(position);
+        return;
+      }
+      index = position;
+      highlighter.showChunk(next);
+      if (onProgress) onProgress(getPosition());
+    };
+
+    return {
+      start,
+      pause,
+      resume,
+      togglePause: () => (status === 'paused' ? resume() : pause()),
+      stop,
+      seek,
+      previousSentence: () => seek(index - 1),
+      nextSentence: () => seek(index + 1),
+      previousBlock,
+      nextBlock,
+      dropRemoved,
+      getStatus: () => status,
+      getPosition
+    };
+  };
+
+  const AccessibilityNarrator = {
+    READABLE_SELECTOR,
+    MAX_CHUNK_LENGTH,
+    getRole,
+    getAccessibleName,
+    collectBlocks,
+    splitChunks,
+    splitText,
+    detectLanguage,
+    getBaseLanguage,
+    pickVoice,
+    getSelectionChunks,
+    getChunksFrom,
+    getHoverTarget,
+    createHoverReader,
+    pickReadingStart,
+    createRange,
+    createHighlighter,
+    createPlayer,
+    SHORTCUTS,
+    getShortcutAction
+  };
+
+  global.AccessibilityNarrator = AccessibilityNarrator;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityNarrator;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
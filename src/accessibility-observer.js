@@ -0,0 +1,134 @@
+/**
+ * Accessibility Sidebar - Content observer
+ * Tells the widget when the page changes under it: elements a framework
+ * such as React, Vue or HTMX adds or removes after the settings were
+ * applied, and client-side navigation through the history API. Settings
+ * applied element by element, such as repaired text colors, catch up with
+ * new content from it, and the narrator leaves text that is gone.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  // Milliseconds without changes before they are reported, so a render
+  // that adds many nodes is handled once
+  const DELAY = 100;
+
+  // Dispatched on window by pushState() and replaceState(), which fire no event of their own
+  const ROUTE_EVENT = 'a11y-routechange';
+  const PATCHED = '__a11yRouteEvent';
+
+  const toElement = (node) =>
+    (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+
+  // Wrap pushState() and replaceState() once, for every observer. They stay
+  // wrapped, as a router may have wrapped them again since.
+  const patchHistory = () => {
+    const { history } = global;
+    ['pushState', 'replaceState'].forEach((method) => {
+      const original = history[method];
+      if (typeof original !== 'function' || original[PATCHED]) return;
+      const patched = function(...args) {
+        const result = original.apply(this, args);
+        global.dispatchEvent(new Event(ROUTE_EVENT));
+        return result;
+      };
+      patched[PATCHED] = true;
+      history[method] = patched;
+    });
+  };
+
+  // Watch the page for content changes in the element `getRoot()` returns,
+  // looked up again each time, as an app may replace it. `ignore` lists
+  // selectors whose changes are not reported, such as the widget itself.
+  // After each burst of changes:
+  // - onRemoved() when elements or text were removed
+  // - onRouteChange(url) when the URL changed through pushState(),
+  //   replaceState(), the back and forward buttons or a new hash
+  // - onAdded(elements) with the outermost elements added, still on the page
+  // Returns a function that stops.
+  const observe = ({ getRoot = () => document.body, ignore = [], onAdded, onRemoved, onRouteChange } = {}) => {
+    const ignored = ignore.length > 0 ? ignore.join(', ') : null;
+    const isIgnored = (element) => Boolean(ignored && element && element.closest(ignored));
+    let added = new Set();
+    let removed = false;
+    let url = global.location.href;
+    let routeChanged = false;
+    let timer = null;
+
+    const report = () => {
+      timer = null;
+      const root = getRoot();
+      const elements = Array.from(added).filter(element =>
+        element.isConnected && (root.contains(element) || element.contains(root)) && !isIgnored(element));
+      const outermost = elements.filter(element =>
+        !elements.some(other => other !== element && other.contains(element)));
+      const hadRemovals = removed;
+      const hadRouteChange = routeChanged;
+      added = new Set();
+      removed = false;
+      routeChanged = false;
+
+      if (hadRemovals && onRemoved) onRemoved();
+      if (hadRouteChange && onRouteChange) onRouteChange(url);
+      if (outermost.length > 0 && onAdded) onAdded(outermost);
+    };
+
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(report, DELAY);
+    };
+
+    const observer = new MutationObserver((mutations) => {
+      let changed = false;
+      mutations.forEach((mutation) => {
+        if (isIgnored(toElement(mutation.target))) return;
+        mutation.addedNodes.forEach((node) => {
+          const element = toElement(node);
+          if (element && !isIgnored(element)) {
+            added.add(element);
+            changed = true;
+          }
+        });
+        if (mutation.removedNodes.length > 0) {
+          removed = true;
+          changed = true;
+        }
+      });
+      if (changed) schedule();
+    });
+
+    // A route change reported by several events is reported once
+    const handleRoute = () => {
+      if (global.location.href === url) return;
+      url = global.location.href;
+      routeChanged = true;
+      schedule();
+    };
+
+    patchHistory();
+    observer.observe(document.body, { childList: true, subtree: true });
+    global.addEventListener(ROUTE_EVENT, handleRoute);
+    global.addEventListener('popstate', handleRoute);
+    global.addEventListener('hashchange', handleRoute);
+
+    return () => {
+      clearTimeout(timer);
+      observer.disconnect();
+      global.removeEventListener(ROUTE_EVENT, handleRoute);
+      global.removeEventListener('popstate', handleRoute);
+      global.removeEventListener('hashchange', handleRoute);
+    };
+  };
+
+  const AccessibilityObserver = {
+    DELAY,
+    ROUTE_EVENT,
+    observe
+  };
+
+  global.AccessibilityObserver = AccessibilityObserver;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityObserver;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,215 @@
+/**
+ * Accessibility Sidebar - Panel keyboard and screen reader support
+ * The global shortcut that opens the panel, the roving tabindex that makes
+ * its controls one Tab stop moved through with the arrow keys, and the
+ * messages a live region announces after each change of a setting.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  const DEFAULT_HOTKEY = 'Alt+A';
+
+  // Modifier names a hotkey may use, and their aria-keyshortcuts spelling
+  const MODIFIERS = {
+    alt: 'Alt',
+    option: 'Alt',
+    ctrl: 'Control',
+    control: 'Control',
+    shift: 'Shift',
+    meta: 'Meta',
+    cmd: 'Meta'
+  };
+
+  // Elements of the panel that take focus, and the ones among them that
+  // need the arrow keys themselves
+  const FOCUSABLE = 'button, select, input, textarea';
+  const FIELD = 'select, input, textarea';
+
+  // A hotkey such as "Alt+A" or "Ctrl+Shift+F2", or null when it is not
+  // valid. Letters and digits need a modifier, so typing never opens the
+  // panel; function keys may stand alone.
+  const parseHotkey = (hotkey) => {
+    if (typeof hotkey !== 'string') return null;
+    const parts = hotkey.split('+').map(part => part.trim());
+    const key = parts.pop();
+    const modifiers = parts.map(part => MODIFIERS[part.toLowerCase()]);
+    if (!key || modifiers.some(modifier => !modifier)) return null;
+
+    let code = null;
+    if (/^[a-z]$/i.test(key)) code = `Key${key.toUpperCase()}`;
+    else if (/^\d$/.test(key)) code = `Digit${key}`;
+    else if (!/^F([1-9]|1[0-2])$/i.test(key)) return null;
+    if (code && modifiers.length === 0) return null;
+
+    const name = key.toUpperCase();
+    return {
+      alt: modifiers.includes('Alt'),
+      ctrl: modifiers.includes('Control'),
+      shift: modifiers.includes('Shift'),
+      meta: modifiers.includes('Meta'),
+      key: name,
+      code: code || name,
+      // The value of aria-keyshortcuts, e.g. "Alt+A"
+      shortcut: ['Control', 'Alt', 'Shift', 'Meta'].filter(modifier => modifiers.includes(modifier)).concat(name).join('+')
+    };
+  };
+
+  // Whether a keydown event is the hotkey. The physical key is compared
+  // too, as Option+A types "å" on macOS.
+  const matchesHotkey = (event, hotkey) =>
+    Boolean(hotkey) &&
+    event.altKey === hotkey.alt && event.ctrlKey === hotkey.ctrl &&
+    event.shiftKey === hotkey.shift && event.metaKey === hotkey.meta &&
+    (event.code === hotkey.code || String(event.key).toUpperCase() === hotkey.key);
+
+  const isVisible = (element) => !element.disabled && element.getClientRects().length > 0;
+
+  // The controls of `container` that take focus, in document order
+  const getFocusables = (container) =>
+    (container ? Array.from(container.querySelectorAll(FOCUSABLE)).filter(isVisible) : []);
+
+  // The control Tab reaches: the one focused last, or the first
+  const getRovingTarget = (container) => {
+    const focusables = getFocusables(container);
+    return focusables.find(element => element.getAttribute('tabindex') === '0') || focusables[0] || null;
+  };
+
+  // Make `target` the Tab stop of `container`. Fields keep their place in
+  // the Tab order, as the arrow keys belong to them.
+  const setRovingTarget = (container, target) => {
+    getFocusables(container).forEach((element) => {
+      if (element.matches(FIELD)) return;
+      element.setAttribute('tabindex', element === target ? '0' : '-1');
+    });
+  };
+
+  // Keep a single Tab stop after the controls of `container` changed
+  const updateRovingFocus = (container) => {
+    setRovingTarget(container, getRovingTarget(container));
+  };
+
+  // Listen to focusin on `container`: the control focused becomes its Tab stop
+  const handleRovingFocus = (event, container) => {
+    if (event.target.matches(FOCUSABLE) && !event.target.matches(FIELD)) {
+      setRovingTarget(container, event.target);
+    }
+  };
+
+  // Listen to keydown on `container`: the arrow keys move to the previous
+  // or next control, Home and End to the first or last
+  const handleRovingKeyDown = (event, container) => {
+    if (event.altKey || event.ctrlKey || event.metaKey || event.target.matches(FIELD)) return;
+    const focusables = getFocusables(container);
+    const index = focusables.indexOf(event.target);
+    if (index === -1) return;
+
+    const last = focusables.length - 1;
+    const next = {
+      ArrowDown: Math.min(index + 1, last),
+      ArrowRight: Math.min(index + 1, last),
+      ArrowUp: Math.max(index - 1, 0),
+      ArrowLeft: Math.max(index - 1, 0),
+      Home: 0,
+      End: last
+    }[event.key];
+    if (next === undefined) return;
+
+    event.preventDefault();
+    setRovingTarget(container, focusables[next]);
+    focusables[next].focus();
+  };
+
+  // Settings announced as on or off
+  const SWITCHES = {
+    readableFont: 'readableFont',
+    leftAlign: 'leftAlign',
+    bigCursor: 'bigCursor',
+    stopAnimations: 'stopAnimations',
+    readerView: 'readerView',
+    readLandmarks: 'narrator.landmarks',
+    hoverToSpeak: 'narrator.hover'
+  };
+
+  const READER_OPTIONS = { readerFont: 'font', readerWidth: 'width', readerSpacing: 'spacing' };
+
+  const READING_GUIDES = { ruler: 'readingRuler', mask: 'readingMask' };
+
+  // The label and value of a change, or null for settings that are not announced
+  const describeSetting = (t, setting, value, getProfileLabel) => {
+    if (SWITCHES[setting]) return [t(SWITCHES[setting]), t(value ? 'active' : 'inactive')];
+    if (READER_OPTIONS[setting]) {
+      const option = READER_OPTIONS[setting];
+      return [t(`readerView.${option}`), t(`readerView.${option}.${value}`)];
+    }
+    switch (setting) {
+      case 'textScale':
+        return [t('fontSize'), t.percent(value)];
+      case 'colorTheme':
+        return [t('contrast'), t(`colorTheme.${value}`)];
+      case 'lineHeight':
+        return [t('lineHeight'), t.level(value)];
+      case 'letterSpacing':
+      case 'wordSpacing':
+      case 'paragraphSpacing':
+        return [t(setting), t.spacing(value)];
+      case 'colorFilter':
+        return [t('colorFilter'), t(`colorFilter.${value}`)];
+      case 'readingGuide':
+        return [t('readingGuide'), READING_GUIDES[value] ? t(READING_GUIDES[value]) : t('inactive')];
+      case 'readingMaskHeight':
+        return [t('readingMaskHeight'), t('readingMaskHeightValue', { height: value })];
+      case 'speechRate':
+        return [t('speechRate'), t.speechRate(value)];
+      case 'voice':
+        return [t('voice'), value];
+      case 'locale':
+        return [t('uiLanguage'), t.localeName];
+      case 'profile':
+        return [t('profile'), value ? getProfileLabel(value) : t('profile.none')];
+      default:
+        return null;
+    }
+  };
+
+  // The message announced after a change, e.g. "Mărime text: 150 %", or
+  // null. `t` is the translator of the locale after the change;
+  // `getProfileLabel(id)` names a profile.
+  const describeChange = (t, setting, value, { getProfileLabel = id => id } = {}) => {
+    if (setting === 'reset') return t('announce.reset');
+    if (setting === 'import') return t('share.applied');
+    const description = describeSetting(t, setting, value, getProfileLabel);
+    return description ? t('announce', { setting: description[0], value: description[1] }) : null;
+  };
+
+  const announceTimers = new WeakMap();
+
+  // Put `message` in the live region `region`. The region is emptied first,
+  // so the same message twice in a row is announced twice.
+  const announce = (region, message) => {
+    if (!region || !message) return;
+    clearTimeout(announceTimers.get(region));
+    region.textContent = '';
+    announceTimers.set(region, setTimeout(() => {
+      region.textContent = message;
+    }, 100));
+  };
+
+  const AccessibilityPanel = {
+    DEFAULT_HOTKEY,
+    parseHotkey,
+    matchesHotkey,
+    getFocusables,
+    getRovingTarget,
+    updateRovingFocus,
+    handleRovingFocus,
+    handleRovingKeyDown,
+    describeChange,
+    announce
+  };
+
+  global.AccessibilityPanel = AccessibilityPanel;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityPanel;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
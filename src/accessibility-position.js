@@ -0,0 +1,142 @@
+/**
+ * Accessibility Sidebar - Panel position
+ * Where the panel sits: a corner it is anchored to and its distances from
+ * the two edges, or a bar docked along the left or right edge. A panel
+ * dropped near an edge snaps to it. Positions are kept per viewport class,
+ * so a phone held upright and on its side each remember their own.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  // Distance from an edge, in pixels, within which a dropped panel snaps to it
+  const SNAP_DISTANCE = 24;
+
+  // Pixels a pointer moves before a drag starts, so taps still click
+  const DRAG_THRESHOLD = 5;
+
+  // Pixels an arrow key moves the panel, and with Shift
+  const STEP = 10;
+  const LARGE_STEP = 50;
+
+  // Widths up to this are phones and small tablets
+  const MOBILE_WIDTH = 768;
+
+  // Where the panel starts on phones, out of the way of the page's content
+  const MOBILE_PLACEMENT = { horizontal: 'right', vertical: 'bottom', x: 20, y: 20, bar: false };
+
+  const isDistance = (value) => Number.isFinite(value) && value >= 0;
+
+  // "mobile-portrait", "mobile-landscape", "desktop-portrait" or "desktop-landscape"
+  const getViewportClass = (width = global.innerWidth, height = global.innerHeight) =>
+    `${width <= MOBILE_WIDTH ? 'mobile' : 'desktop'}-${height > width ? 'portrait' : 'landscape'}`;
+
+  const isMobileClass = (viewportClass) => viewportClass.startsWith('mobile');
+
+  // Whether a saved value is a placement
+  const isPlacement = (value) =>
+    value !== null && typeof value === 'object' &&
+    ['left', 'right'].includes(value.horizontal) && ['top', 'bottom'].includes(value.vertical) &&
+    isDistance(value.x) && isDistance(value.y) && typeof value.bar === 'boolean';
+
+  // The placement of a panel whose top left corner is at `position`
+  // ({ x, y }), as the widget's position option gives it
+  const fromPosition = ({ x, y }) => ({ horizontal: 'left', vertical: 'top', x, y, bar: false });
+
+  // Where the panel starts in a viewport class: the configured position on
+  // desktops, the bottom right corner on phones
+  const getDefaultPlacement = (viewportClass, position) =>
+    (isMobileClass(viewportClass) ? { ...MOBILE_PLACEMENT } : fromPosition(position));
+
+  const getViewport = () => ({ width: global.innerWidth, height: global.innerHeight });
+
+  // The left and top of a panel of `size` ({ width, height }), kept inside the viewport
+  const toPoint = (placement, size, viewport = getViewport()) => {
+    const maxLeft = Math.max(0, viewport.width - size.width);
+    const maxTop = Math.max(0, viewport.height - size.height);
+    const left = placement.horizontal === 'left' ? placement.x : viewport.width - size.width - placement.x;
+    const top = placement.vertical === 'top' ? placement.y : viewport.height - size.height - placement.y;
+    return {
+      left: Math.min(maxLeft, Math.max(0, left)),
+      top: Math.min(maxTop, Math.max(0, top))
+    };
+  };
+
+  // The placement of a panel at `left` and `top`, anchored to the nearest
+  // corner so it keeps its place when the viewport is resized. With `snap`,
+  // a panel near an edge is moved against it.
+  const fromPoint = ({ left, top }, size, { snap = false, bar = false } = {}, viewport = getViewport()) => {
+    const point = toPoint({ horizontal: 'left', vertical: 'top', x: left, y: top }, size, viewport);
+    const right = Math.max(0, viewport.width - size.width - point.left);
+    const bottom = Math.max(0, viewport.height - size.height - point.top);
+    const horizontal = point.left <= right ? 'left' : 'right';
+    const vertical = point.top <= bottom ? 'top' : 'bottom';
+    let x = horizontal === 'left' ? point.left : right;
+    let y = vertical === 'top' ? point.top : bottom;
+    if (snap && x <= SNAP_DISTANCE) x = 0;
+    if (snap && y <= SNAP_DISTANCE) y = 0;
+    return { horizontal, vertical, x: Math.round(x), y: Math.round(y), bar };
+  };
+
+  // The placement after moving the panel by `dx` and `dy` pixels
+  const move = (placement, dx, dy, size, viewport = getViewport()) => {
+    const { left, top } = toPoint(placement, size, viewport);
+    return fromPoint({ left: left + dx, top: top + dy }, size, { bar: placement.bar }, viewport);
+  };
+
+  // The move of an arrow key, { dx, dy }, or null for other keys. Shift
+  // takes larger steps.
+  const getKeyboardMove = (event) => {
+    if (event.altKey || event.ctrlKey || event.metaKey) return null;
+    const step = event.shiftKey ? LARGE_STEP : STEP;
+    return {
+      ArrowLeft: { dx: -step, dy: 0 },
+      ArrowRight: { dx: step, dy: 0 },
+      ArrowUp: { dx: 0, dy: -step },
+      ArrowDown: { dx: 0, dy: step }
+    }[event.key] || null;
+  };
+
+  // The placement of a panel of `size` that was placed in a larger
+  // viewport, moved back inside this one
+  const fit = (placement, size, viewport = getViewport()) =>
+    fromPoint(toPoint(placement, size, viewport), size, { bar: placement.bar }, viewport);
+
+  // The fixed offsets of the panel: the two edges of its corner, or the
+  // full height along one side when it is a docked bar. A panel taller
+  // than the space below or above its corner scrolls.
+  const getStyle = (placement, { bar = placement.bar } = {}) => {
+    const style = { top: 'auto', right: 'auto', bottom: 'auto', left: 'auto' };
+    if (bar) {
+      return { ...style, [placement.horizontal]: '0px', top: '0px', bottom: '0px', maxHeight: '100vh' };
+    }
+    style[placement.horizontal] = `${placement.x}px`;
+    style[placement.vertical] = `${placement.y}px`;
+    style.maxHeight = `calc(100vh - ${placement.y}px)`;
+    return style;
+  };
+
+  const AccessibilityPosition = {
+    SNAP_DISTANCE,
+    DRAG_THRESHOLD,
+    STEP,
+    LARGE_STEP,
+    MOBILE_WIDTH,
+    getViewportClass,
+    isMobileClass,
+    isPlacement,
+    fromPosition,
+    getDefaultPlacement,
+    fromPoint,
+    toPoint,
+    move,
+    fit,
+    getKeyboardMove,
+    getStyle
+  };
+
+  global.AccessibilityPosition = AccessibilityPosition;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityPosition;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,96 @@
+/**
+ * Accessibility Sidebar - System preferences
+ * Reads the accessibility preferences the operating system and browser
+ * expose as media queries, and turns them into starting values for the
+ * widget's settings. Saved settings still win over them.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  const QUERIES = {
+    moreContrast: '(prefers-contrast: more)',
+    forcedColors: '(forced-colors: active)',
+    reducedMotion: '(prefers-reduced-motion: reduce)',
+    darkScheme: '(prefers-color-scheme: dark)',
+    reducedTransparency: '(prefers-reduced-transparency: reduce)'
+  };
+
+  // Color themes for more contrast, in order of preference, by color scheme
+  const CONTRAST_THEMES = {
+    light: ['highContrast', 'yellowOnBlack', 'dark'],
+    dark: ['yellowOnBlack', 'dark', 'highContrast']
+  };
+
+  const getQueryList = (query) =>
+    (typeof global.matchMedia === 'function' ? global.matchMedia(query) : null);
+
+  // Whether each preference is on. All are off where matchMedia is missing.
+  const getPreferences = () =>
+    Object.keys(QUERIES).reduce((preferences, name) => {
+      const list = getQueryList(QUERIES[name]);
+      preferences[name] = Boolean(list && list.matches);
+      return preferences;
+    }, {});
+
+  // Call `callback(preferences)` whenever one of them changes. Returns a
+  // function that stops.
+  const watch = (callback) => {
+    const handleChange = () => callback(getPreferences());
+    const lists = Object.keys(QUERIES).map(name => getQueryList(QUERIES[name])).filter(Boolean);
+    lists.forEach((list) => {
+      // Safari before 14 only has the deprecated addListener()
+      if (list.addEventListener) {
+        list.addEventListener('change', handleChange);
+      } else {
+        list.addListener(handleChange);
+      }
+    });
+    return () => {
+      lists.forEach((list) => {
+        if (list.removeEventListener) {
+          list.removeEventListener('change', handleChange);
+        } else {
+          list.removeListener(handleChange);
+        }
+      });
+    };
+  };
+
+  // Starting values the preferences call for, among `colorThemes`:
+  // - forced colors: the site's own colors and no filter, as the browser
+  //   paints the page with the user's palette
+  // - more contrast: a high-contrast theme that suits the color scheme
+  // - reduced motion: animations stopped
+  // Reduced transparency is handled in the overlays' CSS.
+  const getDefaults = (preferences, { colorThemes = ['default'] } = {}) => {
+    const defaults = {};
+    if (preferences.forcedColors) {
+      defaults.colorTheme = 'default';
+      defaults.colorFilter = 'none';
+    } else if (preferences.moreContrast) {
+      const themes = CONTRAST_THEMES[preferences.darkScheme ? 'dark' : 'light'];
+      const theme = themes.find(name => colorThemes.includes(name)) || colorThemes.find(name => name !== 'default');
+      if (theme) defaults.colorTheme = theme;
+    }
+    if (preferences.reducedMotion) defaults.stopAnimations = true;
+    return defaults;
+  };
+
+  // 'light' or 'dark' for a panel theme; 'auto' follows the color scheme
+  const resolvePanelTheme = (theme, preferences) =>
+    (theme === 'auto' ? (preferences.darkScheme ? 'dark' : 'light') : theme);
+
+  const AccessibilityPreferences = {
+    QUERIES,
+    getPreferences,
+    watch,
+    getDefaults,
+    resolvePanelTheme
+  };
+
+  global.AccessibilityPreferences = AccessibilityPreferences;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityPreferences;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,162 @@
+/**
+ * Accessibility Sidebar - Profiles
+ * One-click bundles of settings for common needs. Profiles are plain data:
+ * a site can add its own or remove the built-in ones, and the user can keep
+ * a tweaked profile as a personal one.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  // Settings a profile can set. Applying a profile sets the others back to
+  // their defaults, so switching profiles never mixes two of them.
+  const PROFILE_SETTINGS = [
+    'textScale', 'colorTheme', 'lineHeight', 'letterSpacing', 'wordSpacing', 'paragraphSpacing',
+    'readableFont', 'leftAlign', 'bigCursor', 'stopAnimations', 'colorFilter', 'readingGuide', 'readingMaskHeight'
+  ];
+
+  // Feature flag of the control behind each setting; a profile never
+  // changes a setting whose control the site has turned off
+  const SETTING_FEATURES = {
+    textScale: 'fontSize',
+    colorTheme: 'contrast',
+    readingMaskHeight: 'readingGuide'
+  };
+
+  // Built-in profiles. Their labels are the 'profile.<id>' messages.
+  const PROFILES = {
+    adhd: {
+      settings: { readingGuide: 'mask', readingMaskHeight: 160, stopAnimations: true, colorFilter: 'calm' }
+    },
+    dyslexia: {
+      settings: {
+        readableFont: true, leftAlign: true, lineHeight: 1,
+        letterSpacing: true, wordSpacing: true, paragraphSpacing: true, readingGuide: 'ruler'
+      }
+    },
+    lowVision: {
+      settings: { textScale: 200, colorTheme: 'highContrast', bigCursor: true, lineHeight: 1 }
+    },
+    seizureSafe: {
+      settings: { stopAnimations: true, colorFilter: 'calm' }
+    },
+    autismCalm: {
+      settings: { stopAnimations: true, colorFilter: 'calm', lineHeight: 1, paragraphSpacing: true }
+    }
+  };
+
+  // Id of the profile the user saved from their own settings
+  const PERSONAL_PROFILE = 'personal';
+
+  const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const getSettingFeature = (setting) => SETTING_FEATURES[setting] || setting;
+
+  // Keep the settings a profile may set with a valid value, reporting the others
+  const resolveSettings = (settings, { validate, onError, path }) => {
+    const resolved = {};
+    Object.keys(settings).forEach((setting) => {
+      if (!PROFILE_SETTINGS.includes(setting)) {
+        onError(`Unknown setting "${path}.${setting}" was ignored. Profiles can set: ${PROFILE_SETTINGS.join(', ')}.`);
+        return;
+      }
+      if (!validate(setting, settings[setting])) {
+        onError(`Invalid value ${JSON.stringify(settings[setting])} for "${path}.${setting}" was ignored.`);
+        return;
+      }
+      resolved[setting] = settings[setting];
+    });
+    return resolved;
+  };
+
+  // Merge the profiles of a site over the built-in ones. A site profile is
+  // { label, settings }, where the label is a string or a map of locales to
+  // strings; `false` removes a built-in profile. `validate(setting, value)`
+  // checks each value, and `onError(message)` reports what was ignored.
+  const resolveProfiles = (custom, { validate = () => true, onError = () => {} } = {}) => {
+    const profiles = { ...PROFILES };
+    if (custom === null || custom === undefined) return profiles;
+    if (!isPlainObject(custom)) {
+      onError('profiles must be an object of profiles, e.g. { senior: { label: "Seniors", settings: { textScale: 150 } } }.');
+      return profiles;
+    }
+
+    Object.keys(custom).forEach((id) => {
+      const profile = custom[id];
+      if (id === PERSONAL_PROFILE) {
+        onError(`The profile id "${PERSONAL_PROFILE}" is kept for the user's own profile.`);
+        return;
+      }
+      if (profile === false) {
+        delete profiles[id];
+        return;
+      }
+      if (!isPlainObject(profile) || !isPlainObject(profile.settings)) {
+        onError(`Profile "${id}" must be an object with a settings object, or false to remove it.`);
+        return;
+      }
+      if (!PROFILES[id] && !(typeof profile.label === 'string' || isPlainObject(profile.label))) {
+        onError(`Profile "${id}" needs a label: a string, or an object of strings by locale.`);
+        return;
+      }
+      profiles[id] = {
+        label: profile.label,
+        settings: resolveSettings(profile.settings, { validate, onError, path: `profiles.${id}.settings` })
+      };
+    });
+    return profiles;
+  };
+
+  // Label of a profile in the locale of the translator `t`
+  const getProfileLabel = (profile, id, t) => {
+    const { label } = profile;
+    if (typeof label === 'string') return label;
+    if (isPlainObject(label)) {
+      const base = t.tag.split('-')[0];
+      return label[t.tag] || label[base] || label[Object.keys(label)[0]];
+    }
+    return t(`profile.${id}`);
+  };
+
+  // Value of every profile setting for a profile: its own settings over `defaults`
+  const getProfileValues = (profile, defaults) =>
+    PROFILE_SETTINGS.reduce((values, setting) => {
+      values[setting] = setting in profile.settings ? profile.settings[setting] : defaults[setting];
+      return values;
+    }, {});
+
+  // The current values of the profile settings, to save as a personal profile
+  const createPersonalProfile = (values) => ({
+    settings: PROFILE_SETTINGS.reduce((settings, setting) => {
+      if (values[setting] !== undefined) settings[setting] = values[setting];
+      return settings;
+    }, {})
+  });
+
+  // The personal profile read back from storage, or null. Values that are no
+  // longer valid are dropped.
+  const readPersonalProfile = (saved, { validate = () => true } = {}) => {
+    if (!isPlainObject(saved) || !isPlainObject(saved.settings)) return null;
+    return {
+      settings: resolveSettings(saved.settings, { validate, onError: () => {}, path: PERSONAL_PROFILE })
+    };
+  };
+
+  const AccessibilityProfiles = {
+    PROFILES,
+    PROFILE_SETTINGS,
+    PERSONAL_PROFILE,
+    getSettingFeature,
+    resolveProfiles,
+    getProfileLabel,
+    getProfileValues,
+    createPersonalProfile,
+    readPersonalProfile
+  };
+
+  global.AccessibilityProfiles = AccessibilityProfiles;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityProfiles;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
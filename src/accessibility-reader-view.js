@@ -0,0 +1,503 @@
+/**
+ * Accessibility Sidebar - Reader view
+ * Finds the main article of the page with readability-style scoring, copies
+ * it without ads, sidebars and sticky bars, and shows it in a full-screen
+ * overlay with a chosen font, width and spacing. The overlay sits inside
+ * <body> and takes the classes and theme of the element the widget adjusts,
+ * so the text size, line height, spacing and theme of the widget still
+ * apply to it. Escape closes it and returns to the same scroll position.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  const STYLE_ID = 'accessibility-sidebar-reader-view';
+  const VIEW_CLASS = 'a11y-reader-view';
+
+  const FONTS = {
+    site: 'inherit',
+    serif: "Georgia, 'Times New Roman', serif",
+    sans: "system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif",
+    dyslexic: "'OpenDyslexic', 'Lexend', 'Comic Sans MS', Verdana, sans-serif"
+  };
+
+  // Maximum width of the text column
+  const WIDTHS = { narrow: '34em', medium: '42em', wide: '56em' };
+
+  const SPACINGS = {
+    normal: { letter: 'normal', word: 'normal', paragraph: '1em' },
+    wide: { letter: '0.05em', word: '0.12em', paragraph: '1.5em' },
+    wider: { letter: '0.1em', word: '0.25em', paragraph: '2em' }
+  };
+
+  const OPTIONS = { font: FONTS, width: WIDTHS, spacing: SPACINGS };
+  const DEFAULT_OPTIONS = { font: 'sans', width: 'medium', spacing: 'normal' };
+
+  // Class and id patterns that mark the main content, or clutter around it
+  const POSITIVE_PATTERN = /article|body|content|entry|main|page|post|text|blog|story/i;
+  const NEGATIVE_PATTERN = /(^|[\s_-])(ads?|advert|banner|breadcrumbs?|combx|comments?|cookies?|footer|footnote|masthead|meta|modal|nav|outbrain|popup|promo|related|share|shoutbox|sidebar|skyscraper|social|sponsor(ed)?|sticky|subscribe|tags|widget)([\s_-]|$)/i;
+
+  // Elements whose text scores the container they sit in
+  const SCORED_SELECTOR = 'p, pre, blockquote, td';
+  const MIN_PARAGRAPH_LENGTH = 25;
+
+  // Elements that never belong in the article copy
+  const DROPPED_SELECTOR = 'script, style, noscript, template, link, meta, iframe, object, embed, ' +
+    'form, button, input, select, textarea, nav, aside, dialog, canvas, svg, video, audio';
+
+  // Elements copied as they are; any other element becomes a <div> or a <span>
+  const KEPT_TAGS = new Set([
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+    'blockquote', 'q', 'pre', 'code', 'kbd', 'samp', 'em', 'strong', 'b', 'i', 'u', 's',
+    'small', 'sub', 'sup', 'mark', 'abbr', 'cite', 'time', 'a', 'img', 'picture', 'source',
+    'figure', 'figcaption', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption',
+    'br', 'hr', 'span', 'div', 'section', 'article', 'header', 'details', 'summary'
+  ]);
+  const KEPT_ATTRIBUTES = [
+    'href', 'src', 'srcset', 'sizes', 'alt', 'title', 'lang', 'dir', 'colspan', 'rowspan',
+    'scope', 'headers', 'cite', 'datetime', 'start', 'reversed', 'type', 'open'
+  ];
+
+  const STYLES = `
+    .${VIEW_CLASS} {
+      position: fixed;
+      inset: 0;
+      z-index: 9997;
+      overflow-y: auto;
+      background: var(--a11y-theme-background, #fdfcf8);
+      color: var(--a11y-theme-text, #1a1a1a);
+    }
+    .${VIEW_CLASS}-toolbar {
+      position: sticky;
+      top: 0;
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 8px 16px;
+      padding: 8px 16px;
+      background: var(--a11y-theme-surface, #f1efe8);
+      border-bottom: 1px solid var(--a11y-theme-border, #d6d3c8);
+      font-family: system-ui, -apple-system, 'Segoe UI', Roboto, Arial, sans-serif;
+      font-size: 0.875rem;
+    }
+    .${VIEW_CLASS}-toolbar label {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+    .${VIEW_CLASS}-toolbar select,
+    .${VIEW_CLASS}-close {
+      font: inherit;
+      color: var(--a11y-theme-control-text, inherit);
+      background: var(--a11y-theme-control, transparent);
+      border: 1px solid var(--a11y-theme-border, #b5b1a3);
+      border-radius: 4px;
+      padding: 4px 8px;
+    }
+    .${VIEW_CLASS}-close {
+      margin-left: auto;
+      cursor: pointer;
+    }
+    .${VIEW_CLASS}-toolbar select:focus-visible,
+    .${VIEW_CLASS}-close:focus-visible {
+      outline: 3px solid #1565c0;
+      outline-offset: 2px;
+    }
+    .${VIEW_CLASS}-article {
+      box-sizing: border-box;
+      max-width: var(--a11y-reader-width);
+      margin: 0 auto;
+      padding: 32px 24px 96px;
+      font-family: var(--a11y-reader-font);
+      font-size: 1.125rem;
+      line-height: 1.7;
+      letter-spacing: var(--a11y-reader-letter-spacing);
+      word-spacing: var(--a11y-reader-word-spacing);
+    }
+    .${VIEW_CLASS}-article:focus {
+      outline: none;
+    }
+    .${VIEW_CLASS}-article :is(p, ul, ol, dl, blockquote, pre, figure, table) {
+      margin: 0 0 var(--a11y-reader-paragraph-spacing);
+    }
+    .${VIEW_CLASS}-article :is(h1, h2, h3, h4, h5, h6) {
+      line-height: 1.25;
+      margin: 1.5em 0 0.5em;
+    }
+    .${VIEW_CLASS}-article > h1:first-child {
+      margin-top: 0;
+    }
+    .${VIEW_CLASS}-article a {
+      color: var(--a11y-theme-link, #1565c0);
+    }
+    .${VIEW_CLASS}-article :is(img, picture) {
+      max-width: 100%;
+      height: auto;
+    }
+    .${VIEW_CLASS}-article pre {
+      overflow-x: auto;
+      white-space: pre-wrap;
+    }
+    .${VIEW_CLASS}-article table {
+      border-collapse: collapse;
+    }
+    .${VIEW_CLASS}-article :is(th, td) {
+      border: 1px solid var(--a11y-theme-border, #d6d3c8);
+      padding: 4px 8px;
+    }
+  `;
+
+  let view = null;
+
+  const isOption = (name, value) => Boolean(OPTIONS[name]) && Object.prototype.hasOwnProperty.call(OPTIONS[name], value);
+
+  const injectStyles = () => {
+    if (document.getElementById(STYLE_ID)) return;
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+  };
+
+  const isExcluded = (element, exclude) =>
+    Boolean(exclude.length && element.closest && element.closest(exclude.join(', ')));
+
+  const getClassWeight = (element) => {
+    const names = `${typeof element.className === 'string' ? element.className : ''} ${element.id}`;
+    let weight = 0;
+    if (NEGATIVE_PATTERN.test(names)) weight -= 25;
+    if (POSITIVE_PATTERN.test(names)) weight += 25;
+    return weight;
+  };
+
+  // Share of the text of an element that sits inside links
+  const getLinkDensity = (element) => {
+    const length = element.textContent.trim().length;
+    if (!length) return 0;
+    const linked = Array.from(element.querySelectorAll('a'))
+      .reduce((total, link) => total + link.textContent.trim().length, 0);
+    return linked / length;
+  };
+
+  const getInitialScore = (element) => {
+    const tag = element.localName;
+    let score = getClassWeight(element);
+    if (tag === 'article' || tag === 'main') score += 10;
+    else if (tag === 'div' || tag === 'section') score += 5;
+    else if (tag === 'pre' || tag === 'td' || tag === 'blockquote') score += 3;
+    else if (/^(address|ol|ul|dl|dd|dt|li|form)$/.test(tag)) score -= 3;
+    else if (/^(h[1-6]|th)$/.test(tag)) score -= 5;
+    return score;
+  };
+
+  // Score each paragraph by its length and commas, credit its parent and half
+  // to its grandparent, and pick the container with the highest score once
+  // its link density is taken into account.
+  const findArticle = ({ root = document.body, exclude = [] } = {}) => {
+    const scores = new Map();
+    const credit = (element, score) => {
+      if (!element || element === document.documentElement || isExcluded(element, exclude)) return;
+      if (!scores.has(element)) scores.set(element, getInitialScore(element));
+      scores.set(element, scores.get(element) + score);
+    };
+
+    root.querySelectorAll(SCORED_SELECTOR).forEach((paragraph) => {
+      if (isExcluded(paragraph, exclude)) return;
+      const text = paragraph.textContent.trim();
+      if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+      const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+      const parent = paragraph.parentElement;
+      credit(parent, score);
+      if (parent && parent !== root) credit(parent.parentElement, score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, element) => {
+      const finalScore = score * (1 - getLinkDensity(element));
+      if (finalScore > bestScore) {
+        best = element;
+        bestScore = finalScore;
+      }
+    });
+
+    // Prefer the enclosing <article> when the best container is a part of it
+    const article = best && best.parentElement && best.parentElement.closest('article');
+    if (article && article !== root && root.contains(article)) return article;
+    return best;
+  };
+
+  const isClutter = (element, style) => {
+    if (element.hidden || element.getAttribute('aria-hidden') === 'true') return true;
+    if (style.display === 'none' || style.visibility === 'hidden') return true;
+    if (style.position === 'fixed' || style.position === 'sticky') return true;
+    if (getClassWeight(element) < 0) return true;
+    // Lists of links, such as share buttons or related articles
+    return /^(ul|ol|div|section|header)$/.test(element.localName) &&
+      element.textContent.trim().length < 200 &&
+      getLinkDensity(element) > 0.5;
+  };
+
+  // Copy an element of the page with its text, structure, links and images
+  // only, so no page styles, scripts or event handlers come along
+  const copyContent = (node, article, exclude) => {
+    if (node.nodeType === Node.TEXT_NODE) return document.createTextNode(node.data);
+    if (node.nodeType !== Node.ELEMENT_NODE) return null;
+    if (node.matches(DROPPED_SELECTOR) || isExcluded(node, exclude)) return null;
+
+    const style = getComputedStyle(node);
+    if (node !== article && isClutter(node, style)) return null;
+
+    const tag = node.localName;
+    const inline = style.display.startsWith('inline');
+    const copy = document.createElement(KEPT_TAGS.has(tag) ? tag : (inline ? 'span' : 'div'));
+    KEPT_ATTRIBUTES.forEach((name) => {
+      if (node.hasAttribute(name)) copy.setAttribute(name, node.getAttribute(name));
+    });
+    if (tag === 'img') {
+      // Resolve relative and lazy-loaded sources
+      const source = node.currentSrc || node.src || node.getAttribute('data-src');
+      if (source) copy.setAttribute('src', source);
+    }
+    if (tag === 'a' && node.href) copy.setAttribute('href', node.href);
+
+    node.childNodes.forEach((child) => {
+      const childCopy = copyContent(child, article, exclude);
+      if (childCopy) copy.appendChild(childCopy);
+    });
+    if (!copy.hasChildNodes() && !/^(img|br|hr|source|td|th)$/.test(copy.localName)) return null;
+    return copy;
+  };
+
+  const getTitle = (article) => {
+    const heading = article.querySelector('h1') || document.querySelector('h1');
+    const text = heading ? heading.textContent.trim() : '';
+    return text || document.title;
+  };
+
+  const applyOptions = () => {
+    const { article, options } = view;
+    const spacing = SPACINGS[options.spacing];
+    article.style.setProperty('--a11y-reader-font', FONTS[options.font]);
+    article.style.setProperty('--a11y-reader-width', WIDTHS[options.width]);
+    article.style.setProperty('--a11y-reader-letter-spacing', spacing.letter);
+    article.style.setProperty('--a11y-reader-word-spacing', spacing.word);
+    article.style.setProperty('--a11y-reader-paragraph-spacing', spacing.paragraph);
+    view.selects.forEach((select, name) => { select.value = options[name]; });
+  };
+
+  const applyLabels = () => {
+    const { container, selects, close, translate } = view;
+    container.setAttribute('aria-label', translate('readerView'));
+    close.textContent = translate('readerView.close');
+    selects.forEach((select, name) => {
+      select.previousSibling.textContent = translate(`readerView.${name}`);
+      Array.from(select.options).forEach((option) => {
+        option.textContent = translate(`readerView.${name}.${option.value}`);
+      });
+    });
+  };
+
+  const createSelect = (name) => {
+    const label = document.createElement('label');
+    const text = document.createElement('span');
+    const select = document.createElement('select');
+    Object.keys(OPTIONS[name]).forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+      view.options[name] = select.value;
+      applyOptions();
+      view.onChange(name, select.value);
+    });
+    label.append(text, select);
+    return label;
+  };
+
+  // Keep the page behind the overlay out of reach of the keyboard and
+  // assistive technology, except for the widget named by `exclude`
+  const setPageInert = (inert) => {
+    if (!inert) {
+      view.inert.forEach((element) => { element.inert = false; });
+      view.inert = [];
+      return;
+    }
+    const selector = view.exclude.join(', ');
+    Array.from(document.body.children).forEach((element) => {
+      if (element === view.container || element.inert) return;
+      if (selector && (element.matches(selector) || element.querySelector(selector))) return;
+      element.inert = true;
+      view.inert.push(element);
+    });
+  };
+
+  // Copy the `classes` and `attributes` of `root`, the element the widget's
+  // adjustments are set on, to the overlay while it is open. A root inside
+  // the page leaves the overlay outside it; the body already contains it.
+  const followAdjustments = ({ root = null, classes = [], attributes = [] } = {}) => {
+    if (!root || root.contains(document.body)) return;
+    const { container } = view;
+    const copy = () => {
+      classes.forEach(name => container.classList.toggle(name, root.classList.contains(name)));
+      attributes.forEach((name) => {
+        if (root.hasAttribute(name)) {
+          container.setAttribute(name, root.getAttribute(name));
+        } else {
+          container.removeAttribute(name);
+        }
+      });
+    };
+    copy();
+    view.adjustments = new MutationObserver(copy);
+    view.adjustments.observe(root, { attributes: true, attributeFilter: ['class'].concat(attributes) });
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key !== 'Escape' || event.defaultPrevented) return;
+    if (event.target.closest && event.target.closest(`.${VIEW_CLASS}-toolbar select`)) return;
+    event.preventDefault();
+    close();
+  };
+
+  // Close the overlay, restore the page and return to where the reader was
+  const close = () => {
+    if (!view) return;
+    const { container, scroll, overflow, returnFocus, onClose, adjustments } = view;
+    document.removeEventListener('keydown', handleKeyDown);
+    if (adjustments) adjustments.disconnect();
+    setPageInert(false);
+    container.remove();
+    document.documentElement.style.overflow = overflow;
+    window.scrollTo(scroll.x, scroll.y);
+    view = null;
+    if (returnFocus && returnFocus.isConnected) returnFocus.focus({ preventScroll: true });
+    onClose();
+  };
+
+  // Open the overlay with the main article of the page. `translate` returns
+  // the label for a key such as 'readerView.font.serif'; `exclude` lists the
+  // selectors of the widget, left out of the article and usable while open.
+  // `adjustments` ({ root, classes, attributes }) names the element the
+  // widget's adjustments are set on, and the classes and attributes of it
+  // the overlay takes. Returns false when the page has no article to show.
+  const open = ({
+    root = document.body,
+    exclude = [],
+    adjustments = {},
+    options = {},
+    translate = (key) => key,
+    onChange = () => {},
+    onClose = () => {}
+  } = {}) => {
+    if (view) return true;
+
+    const source = findArticle({ root, exclude });
+    const content = source && copyContent(source, source, exclude);
+    if (!content) return false;
+
+    injectStyles();
+
+    const container = document.createElement('div');
+    container.className = VIEW_CLASS;
+    container.setAttribute('role', 'dialog');
+
+    const toolbar = document.createElement('div');
+    toolbar.className = `${VIEW_CLASS}-toolbar`;
+    const selects = new Map();
+    Object.keys(OPTIONS).forEach((name) => {
+      const label = createSelect(name);
+      selects.set(name, label.lastChild);
+      toolbar.appendChild(label);
+    });
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = `${VIEW_CLASS}-close`;
+    closeButton.addEventListener('click', () => close());
+    toolbar.appendChild(closeButton);
+
+    const article = document.createElement('article');
+    article.className = `${VIEW_CLASS}-article`;
+    article.tabIndex = -1;
+    const lang = source.closest('[lang]');
+    if (lang) article.lang = lang.getAttribute('lang');
+    if (!content.querySelector('h1')) {
+      const title = document.createElement('h1');
+      title.textContent = getTitle(source);
+      article.appendChild(title);
+    }
+    article.append(...(content.localName === 'article' || content.localName === 'div' ? content.childNodes : [content]));
+
+    container.append(toolbar, article);
+
+    view = {
+      container,
+      article,
+      selects,
+      close: closeButton,
+      exclude,
+      translate,
+      onChange,
+      onClose,
+      inert: [],
+      adjustments: null,
+      options: Object.fromEntries(Object.keys(OPTIONS).map((name) => [
+        name, isOption(name, options[name]) ? options[name] : DEFAULT_OPTIONS[name]
+      ])),
+      scroll: { x: window.scrollX, y: window.scrollY },
+      overflow: document.documentElement.style.overflow,
+      returnFocus: document.activeElement
+    };
+
+    applyOptions();
+    applyLabels();
+    followAdjustments(adjustments);
+    document.body.appendChild(container);
+    document.documentElement.style.overflow = 'hidden';
+    setPageInert(true);
+    document.addEventListener('keydown', handleKeyDown);
+    article.focus({ preventScroll: true });
+    return true;
+  };
+
+  // Change the options or the labels of the open overlay
+  const update = ({ options, translate } = {}) => {
+    if (!view) return;
+    if (options) {
+      Object.keys(OPTIONS).forEach((name) => {
+        if (isOption(name, options[name])) view.options[name] = options[name];
+      });
+      applyOptions();
+    }
+    if (translate) {
+      view.translate = translate;
+      applyLabels();
+    }
+  };
+
+  const isOpen = () => Boolean(view);
+
+  // The article element of the open overlay, for the narrator to read
+  const getArticle = () => (view ? view.article : null);
+
+  const AccessibilityReaderView = {
+    FONTS,
+    WIDTHS,
+    SPACINGS,
+    DEFAULT_OPTIONS,
+    isOption,
+    findArticle,
+    open,
+    update,
+    close,
+    isOpen,
+    getArticle
+  };
+
+  global.AccessibilityReaderView = AccessibilityReaderView;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityReaderView;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,211 @@
+/**
+ * Accessibility Sidebar - Reading guide
+ * Draws a reading ruler, or a mask that dims the page above and below a
+ * band, at the line the user is reading. The guide follows the pointer,
+ * the text caret and keyboard focus; the arrow keys move it.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  const STYLE_ID = 'accessibility-sidebar-reading-guide';
+  const GUIDE_CLASS = 'a11y-reading-guide';
+  const MODES = ['off', 'ruler', 'mask'];
+
+  // Height of the clear band of the mask, in pixels
+  const MASK_HEIGHT = { min: 40, max: 320, step: 20 };
+  const RULER_HEIGHT = 32;
+
+  // Distance one arrow key press moves the guide, in pixels
+  const KEY_STEP = 24;
+
+  const STYLES = `
+    .${GUIDE_CLASS} {
+      position: fixed;
+      inset: 0;
+      z-index: 9998;
+      pointer-events: none;
+    }
+    .${GUIDE_CLASS} > div {
+      position: absolute;
+      left: 0;
+      right: 0;
+      transition: top 0.08s ease-out, height 0.08s ease-out;
+    }
+    .${GUIDE_CLASS}-ruler {
+      height: ${RULER_HEIGHT}px;
+      background: rgba(255, 235, 59, 0.25);
+      border-bottom: 3px solid #d32f2f;
+      box-sizing: border-box;
+    }
+    .${GUIDE_CLASS}-shade {
+      background: rgba(0, 0, 0, 0.6);
+    }
+    .${GUIDE_CLASS}-shade.bottom {
+      bottom: 0;
+    }
+    @media (prefers-reduced-motion: reduce) {
+      .${GUIDE_CLASS} > div { transition: none; }
+    }
+    @media (prefers-reduced-transparency: reduce) {
+      .${GUIDE_CLASS}-ruler { background: none; border-top: 3px solid #d32f2f; }
+      .${GUIDE_CLASS}-shade { background: #000; }
+    }
+  `;
+
+  const state = { mode: 'off', height: 120, y: null, ignore: null };
+  let elements = null;
+
+  const isMode = (mode) => MODES.includes(mode);
+
+  const isMaskHeight = (value) =>
+    Number.isInteger(value) &&
+    value >= MASK_HEIGHT.min &&
+    value <= MASK_HEIGHT.max &&
+    (value - MASK_HEIGHT.min) % MASK_HEIGHT.step === 0;
+
+  const createElements = () => {
+    if (!document.getElementById(STYLE_ID)) {
+      const style = document.createElement('style');
+      style.id = STYLE_ID;
+      style.textContent = STYLES;
+      document.head.appendChild(style);
+    }
+
+    const container = document.createElement('div');
+    container.className = GUIDE_CLASS;
+    container.setAttribute('aria-hidden', 'true');
+    const ruler = document.createElement('div');
+    ruler.className = `${GUIDE_CLASS}-ruler`;
+    const top = document.createElement('div');
+    top.className = `${GUIDE_CLASS}-shade top`;
+    const bottom = document.createElement('div');
+    bottom.className = `${GUIDE_CLASS}-shade bottom`;
+    container.append(ruler, top, bottom);
+    document.body.appendChild(container);
+
+    return { container, ruler, top, bottom };
+  };
+
+  // Move the guide to a vertical position in the viewport
+  const render = () => {
+    if (!elements) return;
+    const y = Math.max(0, Math.min(window.innerHeight, state.y));
+    const { ruler, top, bottom } = elements;
+
+    ruler.hidden = state.mode !== 'ruler';
+    top.hidden = state.mode !== 'mask';
+    bottom.hidden = state.mode !== 'mask';
+
+    ruler.style.top = `${y - RULER_HEIGHT / 2}px`;
+    top.style.top = '0';
+    top.style.height = `${Math.max(0, y - state.height / 2)}px`;
+    bottom.style.top = `${y + state.height / 2}px`;
+  };
+
+  const moveTo = (y) => {
+    state.y = y;
+    render();
+  };
+
+  const isIgnored = (element) =>
+    Boolean(state.ignore && element && element.closest && element.closest(state.ignore));
+
+  const isEditable = (element) =>
+    Boolean(element && element.closest && element.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+
+  const handlePointerMove = (event) => {
+    moveTo(event.clientY);
+  };
+
+  // Follow the text caret, e.g. in caret browsing or an editable region
+  const handleSelectionChange = () => {
+    const selection = document.getSelection();
+    if (!selection || selection.rangeCount === 0) return;
+    const node = selection.focusNode;
+    if (isIgnored(node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node)) return;
+
+    const rects = selection.getRangeAt(0).getClientRects();
+    const rect = rects[rects.length - 1];
+    if (rect && rect.height > 0) moveTo(rect.top + rect.height / 2);
+  };
+
+  // Follow keyboard focus, so tabbing through links moves the guide
+  const handleFocusIn = (event) => {
+    if (isIgnored(event.target) || event.target === document.body) return;
+    const rect = event.target.getBoundingClientRect();
+    if (rect.height > 0) moveTo(rect.top + Math.min(rect.height, RULER_HEIGHT) / 2);
+  };
+
+  // The arrow keys move the guide; at the edges of the viewport they scroll the page
+  const handleKeyDown = (event) => {
+    if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') return;
+    if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+    if (event.defaultPrevented || isEditable(event.target) || isIgnored(event.target)) return;
+
+    const direction = event.key === 'ArrowDown' ? 1 : -1;
+    const y = state.y + direction * KEY_STEP;
+    if (y < KEY_STEP || y > window.innerHeight - KEY_STEP) return;
+
+    event.preventDefault();
+    moveTo(y);
+  };
+
+  const handleResize = () => render();
+
+  const listen = (add) => {
+    const method = add ? 'addEventListener' : 'removeEventListener';
+    document[method]('pointermove', handlePointerMove, { passive: true });
+    document[method]('selectionchange', handleSelectionChange);
+    document[method]('focusin', handleFocusIn);
+    document[method]('keydown', handleKeyDown);
+    window[method]('resize', handleResize);
+  };
+
+  // Show the ruler or the mask, or remove the guide with 'off'. `ignore` is a
+  // selector for the widget, whose focus and keys never move the guide.
+  const setReadingGuide = (mode, { height = state.height, ignore = null } = {}) => {
+    if (!isMode(mode)) {
+      console.error(`[AccessibilityReadingGuide] Unknown mode "${mode}". Available modes are: ${MODES.join(', ')}.`);
+      return;
+    }
+    if (!isMaskHeight(height)) {
+      console.error(
+        `[AccessibilityReadingGuide] Invalid mask height ${JSON.stringify(height)}. ` +
+        `Expected ${MASK_HEIGHT.min} to ${MASK_HEIGHT.max} in steps of ${MASK_HEIGHT.step}.`
+      );
+      return;
+    }
+
+    Object.assign(state, { mode, height, ignore });
+
+    if (mode === 'off') {
+      if (elements) {
+        listen(false);
+        elements.container.remove();
+        elements = null;
+      }
+      return;
+    }
+
+    if (!elements) {
+      elements = createElements();
+      listen(true);
+    }
+    if (state.y === null) state.y = Math.round(window.innerHeight / 3);
+    render();
+  };
+
+  const AccessibilityReadingGuide = {
+    MODES,
+    MASK_HEIGHT,
+    isMode,
+    isMaskHeight,
+    setReadingGuide
+  };
+
+  global.AccessibilityReadingGuide = AccessibilityReadingGuide;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityReadingGuide;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
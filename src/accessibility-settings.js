@@ -0,0 +1,295 @@
+/**
+ * Accessibility Sidebar - Settings
+ * What the React widget and the web component share about the settings:
+ * their ranges, the page classes of the visual adjustments and the
+ * stylesheet behind them, the validators of configured, saved and imported
+ * values, and the voice a widget starts with.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  // Color schemes of the panel itself
+  const PANEL_THEMES = ['auto', 'light', 'dark'];
+
+  const SPEECH_RATES = [0.6, 0.8, 1.0, 1.2];
+
+  // Text size is a percentage of the page's own size, in 10% steps
+  const TEXT_SCALE = { min: 100, max: 200, step: 10 };
+
+  // Text scale used for the 0/1/2 font size levels of earlier versions
+  const FONT_SIZE_SCALES = [100, 120, 150];
+
+  const isTextScale = (value) =>
+    Number.isInteger(value) &&
+    value >= TEXT_SCALE.min &&
+    value <= TEXT_SCALE.max &&
+    (value - TEXT_SCALE.min) % TEXT_SCALE.step === 0;
+
+  // Nearest 0/1/2 font size level for a text scale, reported by getState()
+  const getFontSizeLevel = (scale) =>
+    scale >= FONT_SIZE_SCALES[2] ? 2 : scale >= FONT_SIZE_SCALES[1] ? 1 : 0;
+
+  // Page class for each line height level above the page's own
+  const LINE_HEIGHT_CLASSES = ['line-height-larger', 'line-height-largest'];
+
+  // Page class for each WCAG 1.4.12 text spacing setting
+  const TEXT_SPACING_CLASSES = {
+    letterSpacing: 'letter-spacing-wide',
+    wordSpacing: 'word-spacing-wide',
+    paragraphSpacing: 'paragraph-spacing-wide'
+  };
+
+  // Page class for each display adjustment
+  const DISPLAY_CLASSES = {
+    readableFont: 'a11y-readable-font',
+    leftAlign: 'a11y-text-left',
+    bigCursor: 'a11y-big-cursor',
+    stopAnimations: 'a11y-stop-animations'
+  };
+
+  // Classes of the visual adjustments, set on the body or on the configured root
+  const ADJUSTMENT_CLASSES = LINE_HEIGHT_CLASSES
+    .concat(Object.values(TEXT_SPACING_CLASSES), Object.values(DISPLAY_CLASSES));
+
+  // Content marked with this attribute is left as it is, like the `exclude` selectors
+  const IGNORE_SELECTOR = '[data-a11y-ignore]';
+
+  // Selector suffix that leaves out ignored content and the `exclude` selectors
+  const getNotExcluded = (exclude) => {
+    const list = [IGNORE_SELECTOR].concat(exclude).join(', ');
+    return `:not(:is(${list}), :is(${list}) *)`;
+  };
+
+  // 48px arrow cursors for the big cursor adjustment: black, and blue over links
+  const createCursor = (fill) =>
+    `url("data:image/svg+xml,${encodeURIComponent(
+      `<svg xmlns='http://www.w3.org/2000/svg' width='48' height='48' viewBox='0 0 24 24'>` +
+      `<path d='M4 2l15 11-6.5 1 3.8 7-2.8 1.5-3.8-7L4 20z' fill='${fill}' stroke='white' stroke-width='1.2'/></svg>`
+    )}") 8 4`;
+  const BIG_CURSOR = createCursor('black');
+  const BIG_LINK_CURSOR = createCursor('#1565c0');
+
+  // The styles of the visual adjustments. The classes are set on the body
+  // or the configured root, and content that is ignored or matches
+  // `exclude` keeps its own styles. They are also put in same-origin frames
+  // and, rewritten for their host, in open shadow roots.
+  const buildPageStyles = (exclude = []) => {
+    const notExcluded = getNotExcluded(exclude);
+    return `
+  /* Text scaling: rem and em sizes follow the root and body, so headings keep their proportions */
+  html.a11y-text-scaled {
+    font-size: calc(var(--a11y-root-font-size) * var(--a11y-text-scale)) !important;
+  }
+
+  html.a11y-text-scaled body {
+    font-size: calc(var(--a11y-body-font-size) * var(--a11y-text-scale)) !important;
+  }
+
+  .line-height-larger {
+    line-height: 1.8 !important;
+  }
+
+  .line-height-larger *${notExcluded} {
+    line-height: inherit !important;
+  }
+
+  .line-height-largest {
+    line-height: 2.2 !important;
+  }
+
+  .line-height-largest *${notExcluded} {
+    line-height: inherit !important;
+  }
+
+  /* WCAG 1.4.12 text spacing, in em so it follows each element's font size */
+  .letter-spacing-wide,
+  .letter-spacing-wide *${notExcluded} {
+    letter-spacing: 0.12em !important;
+  }
+
+  .word-spacing-wide,
+  .word-spacing-wide *${notExcluded} {
+    word-spacing: 0.16em !important;
+  }
+
+  .paragraph-spacing-wide p${notExcluded} {
+    margin-bottom: 2em !important;
+  }
+
+  /* Display adjustments */
+  .a11y-readable-font,
+  .a11y-readable-font *:not(code):not(pre):not(kbd):not(samp):not([class*="icon"])${notExcluded} {
+    font-family: 'OpenDyslexic', 'Lexend', 'Atkinson Hyperlegible', Verdana, Tahoma, sans-serif !important;
+  }
+
+  .a11y-text-left,
+  .a11y-text-left *${notExcluded} {
+    text-align: start !important;
+  }
+
+  .a11y-big-cursor,
+  .a11y-big-cursor *${notExcluded} {
+    cursor: ${BIG_CURSOR}, auto !important;
+  }
+
+  .a11y-big-cursor :is(a, button, [role="button"], label, select, summary)${notExcluded},
+  .a11y-big-cursor :is(a, button, [role="button"], label, select, summary) *${notExcluded} {
+    cursor: ${BIG_LINK_CURSOR}, pointer !important;
+  }
+
+  .a11y-big-cursor :is(input:not([type="checkbox"]):not([type="radio"]):not([type="range"]), textarea, [contenteditable="true"])${notExcluded} {
+    cursor: text !important;
+  }
+
+  .a11y-stop-animations *${notExcluded},
+  .a11y-stop-animations *${notExcluded}::before,
+  .a11y-stop-animations *${notExcluded}::after {
+    animation-duration: 0.001ms !important;
+    animation-iteration-count: 1 !important;
+    transition-duration: 0.001ms !important;
+    scroll-behavior: auto !important;
+  }
+  `;
+  };
+
+  // Whether the browser accepts a string as a CSS selector
+  const isValidSelector = (value) => {
+    if (typeof value !== 'string' || value.trim().length === 0) return false;
+    try {
+      document.createDocumentFragment().querySelector(value);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const isBoolean = (v) => typeof v === 'boolean';
+  const BOOLEAN = { validate: isBoolean, expected: 'true or false' };
+
+  // Validators of the settings a site can give a default. Each entry returns
+  // true when the value is usable; `expected` describes it in errors. The
+  // other modules are looked up when a value is checked, so they may load
+  // in any order.
+  const SETTINGS_SCHEMA = {
+    fontSize: { validate: (v) => [0, 1, 2].includes(v), expected: '0, 1 or 2' },
+    textScale: {
+      validate: isTextScale,
+      expected: `a percentage from ${TEXT_SCALE.min} to ${TEXT_SCALE.max} in steps of ${TEXT_SCALE.step}`
+    },
+    highContrast: BOOLEAN,
+    colorTheme: {
+      validate: (v) => global.AccessibilityThemes.isTheme(v),
+      expected: 'a color theme such as "dark", "highContrast", "yellowOnBlack" or "inverted"'
+    },
+    lineHeight: { validate: (v) => [0, 1, 2].includes(v), expected: '0, 1 or 2' },
+    letterSpacing: BOOLEAN,
+    wordSpacing: BOOLEAN,
+    paragraphSpacing: BOOLEAN,
+    readableFont: BOOLEAN,
+    leftAlign: BOOLEAN,
+    bigCursor: BOOLEAN,
+    stopAnimations: BOOLEAN,
+    colorFilter: {
+      validate: (v) => global.AccessibilityThemes.isFilter(v),
+      expected: 'a color filter such as "none", "protanopia", "deuteranopia", "tritanopia", "grayscale", "calm" or "invert"'
+    },
+    readingGuide: { validate: (v) => global.AccessibilityReadingGuide.isMode(v), expected: '"off", "ruler" or "mask"' },
+    readingMaskHeight: {
+      validate: (v) => global.AccessibilityReadingGuide.isMaskHeight(v),
+      expected: 'a band height in pixels from 40 to 320 in steps of 20'
+    },
+    readerFont: {
+      validate: (v) => global.AccessibilityReaderView.isOption('font', v),
+      expected: '"site", "serif", "sans" or "dyslexic"'
+    },
+    readerWidth: {
+      validate: (v) => global.AccessibilityReaderView.isOption('width', v),
+      expected: '"narrow", "medium" or "wide"'
+    },
+    readerSpacing: {
+      validate: (v) => global.AccessibilityReaderView.isOption('spacing', v),
+      expected: '"normal", "wide" or "wider"'
+    },
+    readLandmarks: BOOLEAN,
+    speechRate: {
+      validate: (v) => SPEECH_RATES.includes(v),
+      expected: `one of ${SPEECH_RATES.join(', ')}`
+    },
+    speechPitch: {
+      validate: (v) => Number.isFinite(v) && v >= 0 && v <= 2,
+      expected: 'a number between 0 and 2'
+    }
+  };
+
+  // Whether a value is valid for a setting that profiles can set
+  const isProfileValue = (setting, value) =>
+    Boolean(SETTINGS_SCHEMA[setting]) && SETTINGS_SCHEMA[setting].validate(value);
+
+  // Validators of the saved and shared settings that have no default
+  const OTHER_VALIDATORS = {
+    voice: (v) => v === null || typeof v === 'string',
+    locale: (v) => global.AccessibilityI18n.isLocaleSupported(v),
+    personalProfile: (v) => v === null ||
+      Boolean(global.AccessibilityProfiles.readPersonalProfile(v, { validate: isProfileValue }))
+  };
+
+  // Whether a value is valid for a saved or shared setting. The profile
+  // depends on the widget's profiles, so the widget checks it.
+  const isSettingValue = (setting, value) => {
+    if (SETTINGS_SCHEMA[setting]) return SETTINGS_SCHEMA[setting].validate(value);
+    return Boolean(OTHER_VALIDATORS[setting]) && OTHER_VALIDATORS[setting](value);
+  };
+
+  // The voices of `languages`, such as ["ro", "en"]. Romanian voices are
+  // also found by name, as some systems do not tag their language.
+  const getLanguageVoices = (voices, languages) =>
+    voices.filter(voice =>
+      languages.some(lang => voice.lang.toLowerCase().startsWith(lang.toLowerCase())) ||
+      (languages.includes('ro') && (
+        voice.name.toLowerCase().includes('romanian') ||
+        voice.name.toLowerCase().includes('română')
+      ))
+    );
+
+  // The voice a widget starts with among `voices`: the `saved` voice the
+  // user picked, the configured `voice`, or the best voice of `language`.
+  // Voices named "standard" or "compact" are only taken when there is no
+  // other. Returns null when there are no voices.
+  const pickDefaultVoice = (voices, { saved = null, voice = null, language = null } = {}) => {
+    const namedVoice = (saved && voices.find(v => v.name === saved)) || (voice && voices.find(v => v.name === voice));
+    if (namedVoice) return namedVoice;
+    const languageVoices = voices.filter(v => v.lang.replace('_', '-') === language);
+    const candidates = languageVoices.length > 0 ? languageVoices : voices;
+    return candidates.find(v =>
+      !v.name.toLowerCase().includes('standard') &&
+      !v.name.toLowerCase().includes('compact')
+    ) || candidates[0] || null;
+  };
+
+  const AccessibilitySettings = {
+    PANEL_THEMES,
+    SPEECH_RATES,
+    TEXT_SCALE,
+    FONT_SIZE_SCALES,
+    LINE_HEIGHT_CLASSES,
+    TEXT_SPACING_CLASSES,
+    DISPLAY_CLASSES,
+    ADJUSTMENT_CLASSES,
+    IGNORE_SELECTOR,
+    SETTINGS_SCHEMA,
+    isTextScale,
+    getFontSizeLevel,
+    isValidSelector,
+    buildPageStyles,
+    isProfileValue,
+    isSettingValue,
+    getLanguageVoices,
+    pickDefaultVoice
+  };
+
+  global.AccessibilitySettings = AccessibilitySettings;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilitySettings;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
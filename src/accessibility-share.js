@@ -0,0 +1,216 @@
+/**
+ * Accessibility Sidebar - Share
+ * Moves a configuration between devices: as a JSON file, as a short code,
+ * or as a link whose fragment (#a11y=...) carries the code. Nothing is
+ * applied until every value has passed the widget's validation.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  // Settings a configuration carries. Codes refer to them by position, so
+  // new settings are only ever appended.
+  const SHARED_SETTINGS = [
+    'textScale', 'colorTheme', 'lineHeight', 'letterSpacing', 'wordSpacing', 'paragraphSpacing',
+    'readableFont', 'leftAlign', 'bigCursor', 'stopAnimations', 'colorFilter', 'readingGuide', 'readingMaskHeight',
+    'readerFont', 'readerWidth', 'readerSpacing', 'readLandmarks', 'speechRate', 'speechPitch', 'voice', 'locale',
+    'profile', 'personalProfile'
+  ];
+
+  const FORMAT = 'accessibility-sidebar-settings';
+  const VERSION = 1;
+
+  // Name of the URL fragment parameter that carries a code
+  const FRAGMENT_PARAM = 'a11y';
+
+  const FILE_NAME = 'accessibility-settings.json';
+
+  const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const isEqual = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+  // Base64url of the UTF-8 bytes of a string, so voice names with
+  // diacritics survive
+  const encodeBase64Url = (text) => {
+    let binary = '';
+    new TextEncoder().encode(text).forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  };
+
+  const decodeBase64Url = (code) => {
+    const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+  };
+
+  const pickSettings = (settings) =>
+    SHARED_SETTINGS.reduce((picked, setting) => {
+      if (settings[setting] !== undefined) picked[setting] = settings[setting];
+      return picked;
+    }, {});
+
+  // The file contents: every shared setting, with the format and its version
+  const toFile = (settings) => JSON.stringify({
+    format: FORMAT,
+    version: VERSION,
+    settings: pickSettings(settings)
+  }, null, 2);
+
+  // A short code: the settings that differ from `defaults`, keyed by their
+  // position. The personal profile is left to files, as it would make the
+  // code long.
+  const toCode = (settings, defaults = {}) => {
+    const values = {};
+    SHARED_SETTINGS.forEach((setting, index) => {
+      const value = settings[setting];
+      if (value === undefined || setting === 'personalProfile' || isEqual(value, defaults[setting])) return;
+      if (setting === 'profile' && value === 'personal') return;
+      values[index] = value;
+    });
+    return `${VERSION}.${encodeBase64Url(JSON.stringify(values))}`;
+  };
+
+  // The page address with the code in its fragment
+  const toLink = (settings, defaults = {}, href = global.location.href) =>
+    `${href.split('#')[0]}#${FRAGMENT_PARAM}=${toCode(settings, defaults)}`;
+
+  // The code in a URL fragment such as "#a11y=1.eyIwIjoxNTB9", or null. A
+  // badly escaped code is returned as it is, so parse() rejects it.
+  const getFragmentCode = (hash = global.location.hash) => {
+    const match = new RegExp(`(?:^#|&)${FRAGMENT_PARAM}=([^&]+)`).exec(hash || '');
+    if (!match) return null;
+    try {
+      return decodeURIComponent(match[1]);
+    } catch (error) {
+      return match[1];
+    }
+  };
+
+  // Remove the code from the address bar once it was applied or dismissed
+  const clearFragment = () => {
+    const { location, history } = global;
+    const hash = location.hash
+      .replace(new RegExp(`(^#|&)${FRAGMENT_PARAM}=[^&]*`), '$1')
+      .replace(/^#&/, '#')
+      .replace(/&$/, '');
+    history.replaceState(history.state, '', `${location.pathname}${location.search}${hash === '#' ? '' : hash}`);
+  };
+
+  // Settings of a code, or null
+  const decodeCode = (code, onError) => {
+    const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(code);
+    if (!match) {
+      onError('The settings code is not valid.');
+      return null;
+    }
+    if (Number(match[1]) !== VERSION) {
+      onError(`The settings code is of version ${match[1]}, and only version ${VERSION} can be read.`);
+      return null;
+    }
+    let values;
+    try {
+      values = JSON.parse(decodeBase64Url(match[2]));
+    } catch (error) {
+      onError(`The settings code could not be read: ${error.message}.`);
+      return null;
+    }
+    if (!isPlainObject(values)) {
+      onError('The settings code is not valid.');
+      return null;
+    }
+    return Object.keys(values).reduce((settings, index) => {
+      const setting = SHARED_SETTINGS[index];
+      if (setting) {
+        settings[setting] = values[index];
+      } else {
+        onError(`Unknown setting #${index} in the settings code was ignored.`);
+      }
+      return settings;
+    }, {});
+  };
+
+  // Settings of a file, or null
+  const decodeFile = (text, onError) => {
+    let file;
+    try {
+      file = JSON.parse(text);
+    } catch (error) {
+      onError(`The settings file is not valid JSON: ${error.message}.`);
+      return null;
+    }
+    if (!isPlainObject(file) || file.format !== FORMAT || !isPlainObject(file.settings)) {
+      onError(`The settings file must be an object with "format": "${FORMAT}" and a settings object.`);
+      return null;
+    }
+    if (file.version !== VERSION) {
+      onError(`The settings file is of version ${JSON.stringify(file.version)}, and only version ${VERSION} can be read.`);
+      return null;
+    }
+    return file.settings;
+  };
+
+  // Read a file's contents, a code or a link into settings. Unknown settings
+  // are ignored. Any invalid value rejects the whole import, so nothing is
+  // applied: `validate(setting, value, settings)` checks each value, and
+  // `onError(message)` reports the problems. Returns the settings or null.
+  const parse = (input, { validate = () => true, onError = () => {} } = {}) => {
+    if (typeof input !== 'string' || !input.trim()) {
+      onError('Expected the contents of a settings file, a settings code or a link.');
+      return null;
+    }
+    const text = input.trim();
+    const decoded = text.startsWith('{')
+      ? decodeFile(text, onError)
+      : decodeCode(getFragmentCode(`#${text.split('#')[1] || ''}`) || text, onError);
+    if (!decoded) return null;
+
+    const settings = {};
+    let isValid = true;
+    Object.keys(decoded).forEach((setting) => {
+      if (!SHARED_SETTINGS.includes(setting)) {
+        onError(`Unknown setting "${setting}" was ignored.`);
+        return;
+      }
+      if (!validate(setting, decoded[setting], decoded)) {
+        onError(`Invalid value ${JSON.stringify(decoded[setting])} for "${setting}".`);
+        isValid = false;
+        return;
+      }
+      settings[setting] = decoded[setting];
+    });
+    return isValid ? settings : null;
+  };
+
+  // Offer the file to the user as a download
+  const downloadFile = (settings) => {
+    const url = URL.createObjectURL(new Blob([toFile(settings)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = FILE_NAME;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const AccessibilityShare = {
+    SHARED_SETTINGS,
+    FORMAT,
+    VERSION,
+    FRAGMENT_PARAM,
+    toFile,
+    toCode,
+    toLink,
+    getFragmentCode,
+    clearFragment,
+    parse,
+    downloadFile
+  };
+
+  global.AccessibilityShare = AccessibilityShare;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityShare;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,282 @@
+/**
+ * Accessibility Sidebar - Storage
+ * One versioned record holds the settings of every widget, the panel's
+ * positions and the TTS preferences. It lives in localStorage on the web and in AsyncStorage in
+ * React Native. The keys of older versions are migrated into it. When
+ * storage is unavailable (Safari private mode, blocked cookies) the settings
+ * are kept in memory. Other tabs and the sync hub pass their changes in
+ * through receive(); see src/accessibility-sync.js.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  const STORAGE_KEY = 'accessibilitySidebar';
+
+  // Sections of the record: the widget settings, the TTS integration's
+  // preferences, and the panel's position per viewport class. A record
+  // without a section gets it empty.
+  const SECTIONS = ['settings', 'tts', 'layout'];
+
+  // Keys used before the record, read once by the first migration
+  const LEGACY_KEYS = {
+    web: 'accessibilitySettings',
+    native: '@accessibility_settings',
+    tts: 'romanian-tts-preferences'
+  };
+
+  // MIGRATIONS[n] turns a version n record into a version n + 1 record.
+  // Version 0 holds the values of the legacy keys.
+  const MIGRATIONS = [
+    (legacy) => ({
+      version: 1,
+      // The web and React Native widgets never share a storage, so at most one is set
+      settings: { ...legacy.native, ...legacy.web },
+      tts: { ...legacy.tts }
+    })
+  ];
+
+  const VERSION = MIGRATIONS.length;
+
+  const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const isThenable = (value) => Boolean(value) && typeof value.then === 'function';
+
+  const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  const reportError = (message, error) => {
+    console.warn(`[AccessibilityStorage] ${message}`, ...(error ? [error] : []));
+  };
+
+  // Run `callback` on a value, or once its promise resolves, so that a
+  // synchronous storage stays synchronous
+  const then = (value, callback) => (isThenable(value) ? value.then(callback) : callback(value));
+
+  // Wait for every value that is a promise
+  const all = (values) => (values.some(isThenable) ? Promise.all(values) : values);
+
+  // Call a storage method, sending what it throws or rejects with to `onError`
+  const attempt = (operation, onError) => {
+    try {
+      const result = operation();
+      return isThenable(result) ? result.catch(onError) : result;
+    } catch (error) {
+      return onError(error);
+    }
+  };
+
+  // A storage that forgets everything when the page is closed
+  const createMemoryStorage = () => {
+    const items = new Map();
+    return {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => { items.set(key, String(value)); },
+      removeItem: (key) => { items.delete(key); }
+    };
+  };
+
+  // localStorage, or null when it is missing or refuses writes
+  const getBrowserStorage = () => {
+    try {
+      const storage = global.localStorage;
+      const probe = `${STORAGE_KEY}.probe`;
+      storage.setItem(probe, probe);
+      storage.removeItem(probe);
+      return storage;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // A stored JSON object, or null. Corrupt JSON and values of the wrong
+  // shape are reported and dropped.
+  const parseRecord = (text, key) => {
+    if (text === null || text === undefined) return null;
+    try {
+      const value = JSON.parse(text);
+      if (isPlainObject(value)) return value;
+      reportError(`Ignored "${key}": expected a JSON object.`);
+    } catch (error) {
+      reportError(`Ignored "${key}": ${error.message}.`);
+    }
+    return null;
+  };
+
+  // Make every section of a record an object. A record of a newer version
+  // keeps its version and the sections this one does not know.
+  const normalizeRecord = (record) =>
+    SECTIONS.reduce((normalized, section) => {
+      normalized[section] = isPlainObject(record[section]) ? { ...record[section] } : {};
+      return normalized;
+    }, { ...record, version: Math.max(VERSION, record.version || 0) });
+
+  // Bring a record up to VERSION. A record of a newer version is read as it
+  // is, so going back to an older widget keeps the settings it knows.
+  const migrate = (record) => {
+    let migrated = record;
+    for (let version = record.version; version < VERSION; version++) {
+      migrated = MIGRATIONS[version](migrated);
+    }
+    return normalizeRecord(migrated);
+  };
+
+  // A record written elsewhere, brought up to VERSION, or null when it is
+  // not a record
+  const readRecord = (value, key) => {
+    const saved = typeof value === 'string' ? parseRecord(value, key) : value;
+    if (!isPlainObject(saved)) return null;
+    if (Number.isInteger(saved.version) && saved.version >= 0) return migrate(saved);
+    reportError(`Ignored "${key}": it has no schema version.`);
+    return null;
+  };
+
+  // A store over `backend`, a localStorage-like object whose methods may
+  // return promises (AsyncStorage). The record is read once; get() is
+  // synchronous and returns empty sections until `ready` resolves.
+  const createStore = ({ backend = getBrowserStorage(), key = STORAGE_KEY } = {}) => {
+    let storage = backend || createMemoryStorage();
+    let persistent = Boolean(backend);
+    let record = normalizeRecord({});
+    const listeners = new Set();
+
+    // Storage failed: go on in memory with what was loaded
+    const fallBack = (error) => {
+      if (persistent) {
+        reportError('Storage is unavailable, so settings are kept until the page is closed.', error);
+      }
+      storage = createMemoryStorage();
+      persistent = false;
+      return null;
+    };
+
+    const write = () => attempt(() => storage.setItem(key, JSON.stringify(record)), fallBack);
+
+    // Switch to another record and tell the listeners which sections changed.
+    // `remote` is true when the change was made in another tab or page.
+    const change = (next, remote) => {
+      const sections = SECTIONS.filter(section => !isEqual(next[section], record[section]));
+      record = next;
+      if (sections.length === 0) return false;
+      listeners.forEach(listener => listener({ sections, remote }));
+      return true;
+    };
+
+    // Migrate the legacy keys, and remove them once the record is written
+    const migrateLegacy = () => {
+      const names = Object.keys(LEGACY_KEYS);
+      const values = names.map(name => attempt(() => storage.getItem(LEGACY_KEYS[name]), fallBack));
+      return then(all(values), (texts) => {
+        const legacy = { version: 0 };
+        names.forEach((name, index) => {
+          legacy[name] = parseRecord(texts[index], LEGACY_KEYS[name]);
+        });
+        if (!names.some(name => legacy[name])) return null;
+        record = migrate(legacy);
+        return then(write(), () => {
+          if (!persistent) return null;
+          return all(names.map(name => attempt(() => storage.removeItem(LEGACY_KEYS[name]), fallBack)));
+        });
+      });
+    };
+
+    const load = () => then(attempt(() => storage.getItem(key), fallBack), (text) => {
+      const saved = parseRecord(text, key);
+      if (saved && Number.isInteger(saved.version) && saved.version >= 0) {
+        record = migrate(saved);
+        return saved.version < VERSION ? write() : null;
+      }
+      if (saved) reportError(`Ignored "${key}": it has no schema version.`);
+      return migrateLegacy();
+    });
+
+    const isSection = (section, method) => {
+      if (SECTIONS.includes(section)) return true;
+      reportError(`${method}() expects one of ${SECTIONS.join(', ')}, received ${JSON.stringify(section)}.`);
+      return false;
+    };
+
+    const store = {
+      key,
+
+      // Resolves with the store once the record is loaded and migrated
+      ready: Promise.resolve(attempt(load, fallBack)).then(() => store),
+
+      // False once the store has fallen back to memory
+      isPersistent: () => persistent,
+
+      // A copy of a section
+      get: (section) => (isSection(section, 'get') ? { ...record[section] } : {}),
+
+      // A copy of the whole record, to send to another tab or page
+      getRecord: () => JSON.parse(JSON.stringify(record)),
+
+      // Replace a section and save the record. Saving the values it already
+      // has does nothing.
+      set: (section, values) => {
+        if (!isSection(section, 'set')) return Promise.resolve();
+        if (!change({ ...record, [section]: isPlainObject(values) ? { ...values } : {} }, false)) {
+          return Promise.resolve();
+        }
+        return Promise.resolve(write());
+      },
+
+      // Merge values into a section and save the record
+      update: (section, values) => {
+        if (!isSection(section, 'update')) return Promise.resolve();
+        return store.set(section, { ...record[section], ...values });
+      },
+
+      // Replace the whole record with one read elsewhere and save it
+      replace: (value) => {
+        const next = readRecord(value, key);
+        if (!next || !change(next, false)) return Promise.resolve();
+        return Promise.resolve(write());
+      },
+
+      // Take in a record another tab or page saved. It is only written with
+      // `persist`, as another tab on the same storage has already written it.
+      // Returns whether anything changed.
+      receive: (value, persist = false) => {
+        const next = readRecord(value, key);
+        if (!next || !change(next, true)) return false;
+        if (persist) write();
+        return true;
+      },
+
+      // Call `listener({ sections, remote })` after every change. Returns a
+      // function that removes it.
+      subscribe: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      }
+    };
+    return store;
+  };
+
+  // The shared store of a backend, localStorage by default. The widgets and
+  // the TTS integration on a page all write the same record, so they share
+  // one copy of it.
+  const stores = new Map();
+  const getStore = ({ backend = getBrowserStorage() } = {}) => {
+    if (!stores.has(backend)) stores.set(backend, createStore({ backend }));
+    return stores.get(backend);
+  };
+
+  const AccessibilityStorage = {
+    STORAGE_KEY,
+    VERSION,
+    SECTIONS,
+    LEGACY_KEYS,
+    MIGRATIONS,
+    migrate,
+    createMemoryStorage,
+    createStore,
+    getStore
+  };
+
+  global.AccessibilityStorage = AccessibilityStorage;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityStorage;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
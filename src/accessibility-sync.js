@@ -0,0 +1,209 @@
+/**
+ * Accessibility Sidebar - Sync
+ * Keeps the settings of open tabs in step: a change made in one tab is
+ * applied in the others at once, through a BroadcastChannel, or through
+ * `storage` events where BroadcastChannel is missing.
+ * Sites on several subdomains can opt in to a hub: a small page on one
+ * origin (accessibility-hub.html) that the widget loads in a hidden iframe.
+ * The hub keeps the record in its own storage and passes changes between
+ * the pages with postMessage. Both sides only talk to the origins of an
+ * allow-list.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  // Marks the messages of the hub and its pages among the page's other messages
+  const MESSAGE_SOURCE = 'accessibility-sidebar-sync';
+
+  // The sections of the record the hub shares. The layout holds panel
+  // positions that belong to each site's own design, so it stays per origin.
+  const HUB_SECTIONS = ['settings', 'tts'];
+
+  const reportError = (message) => {
+    console.error(`[AccessibilitySync] ${message}`);
+  };
+
+  // Whether an origin matches an allow-list entry. "https://*.example.com"
+  // matches every subdomain of example.com, but not example.com itself.
+  const isAllowedOrigin = (origin, origins) =>
+    origins.some((allowed) => {
+      if (allowed === origin) return true;
+      const wildcard = /^(https?:\/\/)\*\.(.+)$/.exec(allowed);
+      return Boolean(wildcard) && origin.startsWith(wildcard[1]) && origin.endsWith(`.${wildcard[2]}`);
+    });
+
+  const isOriginList = (origins) =>
+    Array.isArray(origins) && origins.length > 0 &&
+    origins.every(origin => typeof origin === 'string' && /^https?:\/\/(\*\.)?[^/*]+$/.test(origin));
+
+  const isMessage = (data) => Boolean(data) && data.source === MESSAGE_SOURCE;
+
+  // The part of a record the hub shares: its version and HUB_SECTIONS
+  const getHubRecord = (record) =>
+    HUB_SECTIONS.reduce((shared, section) => {
+      shared[section] = record[section];
+      return shared;
+    }, { version: record.version });
+
+  const isHubChange = (sections) => sections.some(section => HUB_SECTIONS.includes(section));
+
+  // Pass the changes of `store` to the other tabs of this origin, and take
+  // in theirs. Returns a function that stops.
+  const connectTabs = (store) => {
+    if (typeof global.BroadcastChannel === 'function') {
+      const channel = new global.BroadcastChannel(store.key);
+      channel.onmessage = (event) => store.receive(event.data);
+      const unsubscribe = store.subscribe(({ remote }) => {
+        if (!remote) channel.postMessage(store.getRecord());
+      });
+      return () => {
+        unsubscribe();
+        channel.close();
+      };
+    }
+
+    // Other tabs on the same storage fire a storage event for each write
+    const handleStorage = (event) => {
+      if (event.key === store.key && event.newValue !== null) store.receive(event.newValue);
+    };
+    global.addEventListener('storage', handleStorage);
+    return () => global.removeEventListener('storage', handleStorage);
+  };
+
+  // Share `store` through the hub page at `url`, loaded in a hidden iframe.
+  // The hub's origin must be in `origins`. Returns a function that stops.
+  const connectHub = (store, { url, origins, onError = reportError }) => {
+    let hubOrigin;
+    try {
+      hubOrigin = new URL(url, global.location.href).origin;
+    } catch (error) {
+      onError(`Invalid hub URL ${JSON.stringify(url)}: ${error.message}.`);
+      return () => {};
+    }
+    if (!isAllowedOrigin(hubOrigin, origins)) {
+      onError(`The hub origin ${hubOrigin} is not in the allowed origins: ${origins.join(', ')}.`);
+      return () => {};
+    }
+
+    const frame = document.createElement('iframe');
+    frame.src = url;
+    frame.title = 'Accessibility settings sync';
+    frame.hidden = true;
+    frame.tabIndex = -1;
+    frame.setAttribute('aria-hidden', 'true');
+    let isLoaded = false;
+    // A change made here before the hub loaded, sent to it as soon as it does
+    let isChanged = false;
+
+    const post = (type) => {
+      frame.contentWindow.postMessage({ source: MESSAGE_SOURCE, type, record: getHubRecord(store.getRecord()) }, hubOrigin);
+    };
+
+    // The hub answers the greeting with its record, and sends every change
+    // made on the other pages. What it sends is saved here too, so this
+    // origin starts from it next time; the layout of this origin is kept.
+    const handleMessage = (event) => {
+      if (event.source !== frame.contentWindow || event.origin !== hubOrigin || !isMessage(event.data)) return;
+      if (event.data.type === 'record' && event.data.record) {
+        store.receive({ ...store.getRecord(), ...getHubRecord(event.data.record) }, true);
+      }
+    };
+    frame.addEventListener('load', () => {
+      store.ready.then(() => {
+        isLoaded = true;
+        post(isChanged ? 'set' : 'hello');
+      });
+    });
+    const unsubscribe = store.subscribe(({ sections, remote }) => {
+      if (remote || !isHubChange(sections)) return;
+      if (isLoaded) {
+        post('set');
+      } else {
+        isChanged = true;
+      }
+    });
+
+    global.addEventListener('message', handleMessage);
+    document.body.appendChild(frame);
+    return () => {
+      unsubscribe();
+      global.removeEventListener('message', handleMessage);
+      frame.remove();
+    };
+  };
+
+  // Sync `store` with the other tabs and, when `hub` is set, with the pages
+  // of the other origins. `hub` is { url, origins }. Returns a function
+  // that stops.
+  const connect = (store, { hub = null, onError = reportError } = {}) => {
+    const disconnectTabs = connectTabs(store);
+    const disconnectHub = hub ? connectHub(store, { ...hub, onError }) : () => {};
+    return () => {
+      disconnectTabs();
+      disconnectHub();
+    };
+  };
+
+  // Run the hub, in the page that connectHub() loads. It answers only a
+  // parent page whose origin is in `origins`, and relays changes between
+  // its copies in the tabs of every origin. Returns a function that stops.
+  const serveHub = ({ origins, store = global.AccessibilityStorage.getStore() } = {}) => {
+    if (!isOriginList(origins)) {
+      reportError('serveHub() needs the allowed origins, e.g. ["https://example.com", "https://*.example.com"].');
+      return () => {};
+    }
+    const { parent } = global;
+    let parentOrigin = null;
+
+    const post = () => {
+      parent.postMessage({ source: MESSAGE_SOURCE, type: 'record', record: getHubRecord(store.getRecord()) }, parentOrigin);
+    };
+
+    // The first page to connect brings its settings; later pages get the
+    // hub's record. Only the shared sections are kept.
+    const handleMessage = (event) => {
+      if (event.source !== parent || !isMessage(event.data) || !event.data.record) return;
+      if (!isAllowedOrigin(event.origin, origins)) {
+        reportError(`Ignored a message from ${event.origin}, which is not in the allowed origins.`);
+        return;
+      }
+      parentOrigin = event.origin;
+      store.ready.then(() => {
+        const isEmpty = Object.keys(store.get('settings')).length === 0;
+        if (event.data.type === 'set' || (event.data.type === 'hello' && isEmpty)) {
+          store.replace(getHubRecord(event.data.record));
+        } else if (event.data.type === 'hello') {
+          post();
+        }
+      });
+    };
+    const unsubscribe = store.subscribe(({ sections, remote }) => {
+      if (parentOrigin && remote && isHubChange(sections)) post();
+    });
+    const disconnectTabs = connectTabs(store);
+
+    global.addEventListener('message', handleMessage);
+    return () => {
+      unsubscribe();
+      disconnectTabs();
+      global.removeEventListener('message', handleMessage);
+    };
+  };
+
+  const AccessibilitySync = {
+    MESSAGE_SOURCE,
+    HUB_SECTIONS,
+    isAllowedOrigin,
+    isOriginList,
+    connectTabs,
+    connectHub,
+    connect,
+    serveHub
+  };
+
+  global.AccessibilitySync = AccessibilitySync;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilitySync;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,520 @@
+/**
+ * Accessibility Sidebar - Color theme engine
+ * Paints the page with a color theme, then repairs only the text whose
+ * contrast with its background is still below the WCAG AA ratio.
+ * Also applies the color-vision filters to the content.
+ * Load it with a <script> tag before the web widget, or import it.
+ */
+(function(global) {
+  const STYLE_ID = 'accessibility-sidebar-color-theme';
+  const THEME_ATTRIBUTE = 'data-a11y-theme';
+  // Marks the element a theme paints: the body, or the root it was given
+  const ROOT_ATTRIBUTE = 'data-a11y-theme-root';
+  const MIN_CONTRAST = 4.5;
+
+  // Elements with their own background that every theme repaints.
+  // Sites add their components with the `surfaces` option.
+  const DEFAULT_SURFACES = ['header', 'footer', 'nav', 'aside', 'article', 'section', 'dialog', '[role="dialog"]'];
+  const CONTROLS = ['button', 'input', 'select', 'textarea'];
+
+  const THEMES = {
+    default: null,
+    dark: {
+      background: '#121212',
+      surface: '#1e1e1e',
+      text: '#f1f1f1',
+      link: '#8ab4f8',
+      border: '#5f6368',
+      control: '#2d2d2d',
+      controlText: '#ffffff'
+    },
+    highContrast: {
+      background: '#ffffff',
+      surface: '#ffffff',
+      text: '#000000',
+      link: '#0000cc',
+      border: '#000000',
+      control: '#ffffff',
+      controlText: '#000000'
+    },
+    yellowOnBlack: {
+      background: '#000000',
+      surface: '#000000',
+      text: '#ffff00',
+      link: '#00ffff',
+      border: '#ffff00',
+      control: '#000000',
+      controlText: '#ffff00'
+    },
+    // Inverts the rendered page; media is inverted back to its real colors
+    inverted: { filter: 'invert(1) hue-rotate(180deg)' }
+  };
+
+  // Daltonization: the colors a dichromat cannot tell apart (the difference
+  // between the image and its simulation) are shifted into channels they can see.
+  // Simulation matrices work on sRGB rows; see Fidaner, Lin and Ozguven (2005).
+  const CVD_SIMULATION = {
+    protanopia: [[0.567, 0.433, 0], [0.558, 0.442, 0], [0, 0.242, 0.758]],
+    deuteranopia: [[0.625, 0.375, 0], [0.7, 0.3, 0], [0, 0.3, 0.7]],
+    tritanopia: [[0.95, 0.05, 0], [0, 0.433, 0.567], [0, 0.475, 0.525]]
+  };
+  const RED_GREEN_SHIFT = [[0, 0, 0], [0.7, 1, 0], [0.7, 0, 1]];
+  const BLUE_YELLOW_SHIFT = [[1, 0, 0.7], [0, 1, 0.7], [0, 0, 0]];
+
+  // Correction matrix I + shift * (I - simulation), as feColorMatrix values
+  const getCorrectionMatrix = (simulation, shift) => {
+    const rows = [0, 1, 2].map(row => [0, 1, 2].map(column => {
+      let value = row === column ? 1 : 0;
+      for (let k = 0; k < 3; k++) {
+        value += shift[row][k] * ((k === column ? 1 : 0) - simulation[k][column]);
+      }
+      return Math.round(value * 1000) / 1000;
+    }));
+    return rows.map(row => row.concat(0, 0).join(' ')).concat('0 0 0 1 0').join(' ');
+  };
+
+  const FILTERS = {
+    none: null,
+    protanopia: { matrix: getCorrectionMatrix(CVD_SIMULATION.protanopia, RED_GREEN_SHIFT) },
+    deuteranopia: { matrix: getCorrectionMatrix(CVD_SIMULATION.deuteranopia, RED_GREEN_SHIFT) },
+    tritanopia: { matrix: getCorrectionMatrix(CVD_SIMULATION.tritanopia, BLUE_YELLOW_SHIFT) },
+    grayscale: { css: 'grayscale(1)' },
+    calm: { css: 'saturate(0.5)' },
+    invert: { css: 'invert(1) hue-rotate(180deg)' }
+  };
+  const FILTER_SVG_ID = 'accessibility-sidebar-color-filters';
+
+  // Elements whose inline color was changed, with the inline value to restore
+  const repairedColors = new Map();
+
+  // Elements carrying the color filter, with the inline filter to restore
+  const filteredElements = new Map();
+
+  // The active theme and filter, so the two can be combined and kept up
+  // to date with new content. `filterValue` is the CSS filter in effect, or
+  // null when none is.
+  const active = { theme: 'default', themeOptions: {}, filter: 'none', filterOptions: {}, filterValue: null };
+
+  const getThemes = () => Object.keys(THEMES);
+
+  const isTheme = (name) => Object.prototype.hasOwnProperty.call(THEMES, name);
+
+  // Parse rgb()/rgba() as returned by getComputedStyle, or #rgb/#rrggbb
+  const parseColor = (value) => {
+    if (typeof value !== 'string') return null;
+    const rgb = value.match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:[,\s/]+([\d.]+%?))?\s*\)$/);
+    if (rgb) {
+      const alpha = rgb[4] === undefined ? 1
+        : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+      return { r: +rgb[1], g: +rgb[2], b: +rgb[3], a: alpha };
+    }
+    const hex = value.match(/^#([\da-f]{3}|[\da-f]{6})$/i);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+      return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16),
+        a: 1
+      };
+    }
+    return null;
+  };
+
+  const toCss = ({ r, g, b }) => `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+
+  // WCAG relative luminance
+  const getLuminance = ({ r, g, b }) => {
+    const channel = (value) => {
+      const c = value / 255;
+      return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  };
+
+  const getContrastRatio = (foreground, background) => {
+    const l1 = getLuminance(foreground);
+    const l2 = getLuminance(background);
+    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+  };
+
+  // Draw a translucent color over an opaque one
+  const blend = (top, bottom) => ({
+    r: top.r * top.a + bottom.r * (1 - top.a),
+    g: top.g * top.a + bottom.g * (1 - top.a),
+    b: top.b * top.a + bottom.b * (1 - top.a),
+    a: 1
+  });
+
+  const mix = (from, to, amount) => ({
+    r: from.r + (to.r - from.r) * amount,
+    g: from.g + (to.g - from.g) * amount,
+    b: from.b + (to.b - from.b) * amount,
+    a: 1
+  });
+
+  // The color closest to `foreground` that reaches `ratio` against `background`,
+  // moving towards black or white, whichever contrasts more
+  const fixContrast = (foreground, background, ratio = MIN_CONTRAST) => {
+    const black = { r: 0, g: 0, b: 0, a: 1 };
+    const white = { r: 255, g: 255, b: 255, a: 1 };
+    const target = getContrastRatio(white, background) >= getContrastRatio(black, background) ? white : black;
+
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 12; i++) {
+      const middle = (low + high) / 2;
+      if (getContrastRatio(mix(foreground, target, middle), background) >= ratio) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+    return mix(foreground, target, high);
+  };
+
+  // Background an element's text is drawn on, compositing translucent ancestors
+  const getEffectiveBackground = (element, cache) => {
+    if (!element || element.nodeType !== 1) return { r: 255, g: 255, b: 255, a: 1 };
+    if (cache.has(element)) return cache.get(element);
+
+    const color = parseColor(global.getComputedStyle(element).backgroundColor);
+    let background;
+    if (color && color.a >= 1) {
+      background = color;
+    } else {
+      const parentBackground = getEffectiveBackground(element.parentElement, cache);
+      background = color && color.a > 0 ? blend(color, parentBackground) : parentBackground;
+    }
+    cache.set(element, background);
+    return background;
+  };
+
+  const matchesAny = (element, selectors) =>
+    selectors.length > 0 && Boolean(element.closest(selectors.join(', ')));
+
+  // Give failing text inline colors that reach 4.5:1. All colors are read
+  // before any is written, so the page is only restyled once.
+  const repairContrast = (root, exclude = []) => {
+    const elements = new Set();
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => (node.nodeValue.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT)
+    });
+    while (walker.nextNode()) {
+      const parent = walker.currentNode.parentElement;
+      if (parent && !matchesAny(parent, exclude)) elements.add(parent);
+    }
+
+    const cache = new Map();
+    const fixes = [];
+    elements.forEach(element => {
+      const foreground = parseColor(global.getComputedStyle(element).color);
+      if (!foreground) return;
+      const background = getEffectiveBackground(element, cache);
+      const visible = foreground.a < 1 ? blend(foreground, background) : foreground;
+      if (getContrastRatio(visible, background) < MIN_CONTRAST) {
+        // A little headroom, so rounding to whole rgb values cannot drop below the minimum
+        fixes.push([element, toCss(fixContrast(visible, background, MIN_CONTRAST + 0.1))]);
+      }
+    });
+
+    fixes.forEach(([element, color]) => {
+      if (!repairedColors.has(element)) {
+        repairedColors.set(element, {
+          value: element.style.getPropertyValue('color'),
+          priority: element.style.getPropertyPriority('color')
+        });
+      }
+      element.style.setProperty('color', color, 'important');
+    });
+
+    return fixes.length;
+  };
+
+  const restoreColors = () => {
+    repairedColors.forEach(({ value, priority }, element) => {
+      if (value) {
+        element.style.setProperty('color', value, priority);
+      } else {
+        element.style.removeProperty('color');
+      }
+    });
+    repairedColors.clear();
+  };
+
+  // Selector suffix leaving out the `exclude` selectors and their content
+  const getNotExcluded = (exclude) =>
+    (exclude.length > 0 ? `:not(:is(${exclude.join(', ')}), :is(${exclude.join(', ')}) *)` : '');
+
+  // `isBody` tells whether the theme paints the whole body. Another root is
+  // inverted on its own, so the rest of the page keeps its colors.
+  const buildStyles = (surfaces, exclude, isBody) => {
+    const themed = `html[${THEME_ATTRIBUTE}]:not([${THEME_ATTRIBUTE}="inverted"]) [${ROOT_ATTRIBUTE}]`;
+    const inverted = `html[${THEME_ATTRIBUTE}="inverted"]${isBody ? '' : ` [${ROOT_ATTRIBUTE}]`}`;
+    const notExcluded = getNotExcluded(exclude);
+    // Media and excluded elements are inverted back, excluded ones only once
+    const reinverted = exclude.length > 0
+      ? `, ${inverted} :is(${exclude.join(', ')}):not(:is(${exclude.join(', ')}) *)`
+      : '';
+    const variables = Object.keys(THEMES)
+      .filter(name => THEMES[name] && !THEMES[name].filter)
+      .map(name => {
+        const palette = THEMES[name];
+        return `html[${THEME_ATTRIBUTE}="${name}"] {
+          --a11y-theme-background: ${palette.background};
+          --a11y-theme-surface: ${palette.surface};
+          --a11y-theme-text: ${palette.text};
+          --a11y-theme-link: ${palette.link};
+          --a11y-theme-border: ${palette.border};
+          --a11y-theme-control: ${palette.control};
+          --a11y-theme-control-text: ${palette.controlText};
+        }`;
+      })
+      .join('\n');
+
+    return `
+      ${variables}
+      ${themed} {
+        background: var(--a11y-theme-background) !important;
+        color: var(--a11y-theme-text) !important;
+      }
+      ${themed} :is(${surfaces.join(', ')})${notExcluded} {
+        background: var(--a11y-theme-surface) !important;
+        color: var(--a11y-theme-text) !important;
+        border-color: var(--a11y-theme-border) !important;
+      }
+      ${themed} :is(${CONTROLS.join(', ')})${notExcluded} {
+        background: var(--a11y-theme-control) !important;
+        color: var(--a11y-theme-control-text) !important;
+        border: 2px solid var(--a11y-theme-border) !important;
+      }
+      ${themed} a${notExcluded} {
+        color: var(--a11y-theme-link) !important;
+        text-decoration: underline !important;
+      }
+      ${inverted} {
+        filter: ${THEMES.inverted.filter};
+      }
+      ${inverted} :is(img, video, picture, canvas, iframe)${notExcluded}${reinverted} {
+        filter: ${THEMES.inverted.filter};
+      }
+    `;
+  };
+
+  // Apply a theme to the page, or only to `root` when it is given.
+  // `surfaces` are selectors of the site's own components to repaint;
+  // `exclude` are selectors left untouched with their content, such as the
+  // sidebar itself. Returns the number of repaired text colors.
+  const applyColorTheme = (name, { root = document.body, surfaces = [], exclude = [] } = {}) => {
+    if (!isTheme(name)) {
+      console.error(`[AccessibilityThemes] Unknown theme "${name}". Available themes are: ${getThemes().join(', ')}.`);
+      return 0;
+    }
+
+    restoreColors();
+    const html = document.documentElement;
+    const wasInverted = active.theme === 'inverted';
+    const themeRoot = root || document.body;
+    if (active.themeOptions.root) active.themeOptions.root.removeAttribute(ROOT_ATTRIBUTE);
+    active.theme = name;
+    active.themeOptions = { root: themeRoot, surfaces, exclude };
+
+    // An inverted theme and the invert filter must not cancel each other out
+    if (active.filter === 'invert' && wasInverted !== (name === 'inverted')) {
+      applyColorFilter(active.filter, active.filterOptions);
+    }
+
+    let style = document.getElementById(STYLE_ID);
+    if (name === 'default') {
+      html.removeAttribute(THEME_ATTRIBUTE);
+      if (style) style.remove();
+      return 0;
+    }
+
+    if (!style) {
+      style = document.createElement('style');
+      style.id = STYLE_ID;
+      document.head.appendChild(style);
+    }
+    style.textContent = buildStyles(DEFAULT_SURFACES.concat(surfaces), exclude, themeRoot === document.body);
+    themeRoot.setAttribute(ROOT_ATTRIBUTE, '');
+    html.setAttribute(THEME_ATTRIBUTE, name);
+
+    // Inversion keeps the page's own contrast, so there is nothing to repair
+    if (THEMES[name].filter) return 0;
+    return repairContrast(themeRoot, exclude);
+  };
+
+  // Paint the document of a same-origin frame with the active theme, as the
+  // page's styles do not reach into frames. The frame is painted whole; its
+  // text colors are not repaired.
+  const mirrorTheme = (doc) => {
+    const html = doc.documentElement;
+    let style = doc.getElementById(STYLE_ID);
+    if (active.theme === 'default') {
+      html.removeAttribute(THEME_ATTRIBUTE);
+      if (style) style.remove();
+      return;
+    }
+
+    if (!style) {
+      style = doc.createElement('style');
+      style.id = STYLE_ID;
+      doc.head.appendChild(style);
+    }
+    style.textContent = buildStyles(DEFAULT_SURFACES.concat(active.themeOptions.surfaces || []), [], true);
+    doc.body.setAttribute(ROOT_ATTRIBUTE, '');
+    html.setAttribute(THEME_ATTRIBUTE, active.theme);
+  };
+
+  const getFilters = () => Object.keys(FILTERS);
+
+  const isFilter = (name) => Object.prototype.hasOwnProperty.call(FILTERS, name);
+
+  // The SVG filters for the daltonization matrices, added to the page once
+  const ensureFilterDefinitions = () => {
+    if (document.getElementById(FILTER_SVG_ID)) return;
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNamespace, 'svg');
+    svg.id = FILTER_SVG_ID;
+    svg.setAttribute('aria-hidden', 'true');
+    svg.setAttribute('focusable', 'false');
+    svg.style.cssText = 'position:absolute;width:0;height:0;overflow:hidden';
+
+    Object.keys(FILTERS).filter(name => FILTERS[name] && FILTERS[name].matrix).forEach(name => {
+      const filter = document.createElementNS(svgNamespace, 'filter');
+      filter.id = `a11y-filter-${name}`;
+      filter.setAttribute('color-interpolation-filters', 'sRGB');
+      const matrix = document.createElementNS(svgNamespace, 'feColorMatrix');
+      matrix.setAttribute('type', 'matrix');
+      matrix.setAttribute('values', FILTERS[name].matrix);
+      filter.appendChild(matrix);
+      svg.appendChild(filter);
+    });
+    document.body.appendChild(svg);
+  };
+
+  // Elements to filter: the root, or, when the root contains an excluded
+  // element such as the sidebar, its largest subtrees that do not. Filtering
+  // an ancestor of the sidebar would also filter it and move it if it is fixed.
+  const getFilterTargets = (root, exclude) => {
+    if (exclude.length === 0) return [root];
+    const selector = exclude.join(', ');
+    const targets = [];
+    const visit = (element) => {
+      if (element.matches(selector) || element.id === FILTER_SVG_ID) return;
+      if (!element.querySelector(selector)) {
+        targets.push(element);
+        return;
+      }
+      Array.from(element.children).forEach(visit);
+    };
+    visit(root);
+    return targets;
+  };
+
+  const restoreFilters = () => {
+    filteredElements.forEach(({ value, priority }, element) => {
+      if (value) {
+        element.style.setProperty('filter', value, priority);
+      } else {
+        element.style.removeProperty('filter');
+      }
+    });
+    filteredElements.clear();
+  };
+
+  const filterElement = (element) => {
+    if (filteredElements.has(element)) return;
+    filteredElements.set(element, {
+      value: element.style.getPropertyValue('filter'),
+      priority: element.style.getPropertyPriority('filter')
+    });
+    element.style.setProperty('filter', active.filterValue, 'important');
+  };
+
+  // Apply a color-vision filter to the content root, leaving out the
+  // `exclude` selectors. It combines with any color theme.
+  const applyColorFilter = (name, { root = document.body, exclude = [] } = {}) => {
+    if (!isFilter(name)) {
+      console.error(`[AccessibilityThemes] Unknown filter "${name}". Available filters are: ${getFilters().join(', ')}.`);
+      return;
+    }
+
+    restoreFilters();
+    active.filter = name;
+    active.filterOptions = { root, exclude };
+    active.filterValue = null;
+
+    if (name === 'none') {
+      const svg = document.getElementById(FILTER_SVG_ID);
+      if (svg) svg.remove();
+      return;
+    }
+    // Inverting content the inverted theme already inverts would undo both
+    if (name === 'invert' && active.theme === 'inverted') return;
+
+    let value = FILTERS[name].css;
+    if (FILTERS[name].matrix) {
+      ensureFilterDefinitions();
+      value = `url("#a11y-filter-${name}")`;
+    }
+    active.filterValue = value;
+    getFilterTargets(root || document.body, exclude).forEach(filterElement);
+  };
+
+  // Bring the active theme and filter up to date with content the page
+  // added since they were applied, as single-page apps do. The text colors
+  // of the `elements` added are repaired, and the filter covers new
+  // children of the content root. When a new `root` is passed, because the
+  // page replaced it, the filter moves to it, and so does a theme whose
+  // root is gone from the page.
+  const refresh = ({ elements = [], root = null } = {}) => {
+    // Elements the page removed are forgotten rather than restored
+    [repairedColors, filteredElements].forEach(map => map.forEach((_, element) => {
+      if (!element.isConnected) map.delete(element);
+    }));
+
+    const { themeOptions } = active;
+    if (root && themeOptions.root && !themeOptions.root.isConnected) {
+      applyColorTheme(active.theme, { ...themeOptions, root });
+    } else if (THEMES[active.theme] && !THEMES[active.theme].filter) {
+      const { exclude } = themeOptions;
+      const themeRoot = themeOptions.root || document.body;
+      elements
+        .filter(element => element.isConnected && themeRoot.contains(element) && !matchesAny(element, exclude))
+        .forEach(element => repairContrast(element, exclude));
+    }
+
+    const { filterOptions } = active;
+    const filterRoot = filterOptions.root || document.body;
+    if (root && root !== filterRoot && active.filter !== 'none') {
+      applyColorFilter(active.filter, { ...filterOptions, root });
+    } else if (active.filterValue && filterRoot.isConnected) {
+      getFilterTargets(filterRoot, filterOptions.exclude).forEach(filterElement);
+    }
+  };
+
+  const AccessibilityThemes = {
+    MIN_CONTRAST,
+    ROOT_ATTRIBUTE,
+    getThemes,
+    isTheme,
+    getFilters,
+    isFilter,
+    applyColorFilter,
+    parseColor,
+    getContrastRatio,
+    fixContrast,
+    applyColorTheme,
+    mirrorTheme,
+    refresh
+  };
+
+  global.AccessibilityThemes = AccessibilityThemes;
+
+  // Also export for module systems
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityThemes;
+  }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -1,4 +1,32 @@
 // Main entry point for the accessibility sidebar
 // Simply export the enhanced versions for bundling
 
-export { default as AccessibilitySidebarEnhanced } from '../accessibility-sidebar-enhanced.jsx';
\ No newline at end of file
+// The message catalogs, the theme engine, the reading guide, the narrator
+// text map, the reader view, the profiles, the settings storage, settings
+// sharing and sync, the system preferences, the panel keyboard support,
+// the panel position, the content observer, the frame and shadow root
+// support and the shared settings register window.AccessibilityI18n,
+// window.AccessibilityThemes, window.AccessibilityReadingGuide,
+// window.AccessibilityNarrator, window.AccessibilityReaderView,
+// window.AccessibilityProfiles, window.AccessibilityStorage,
+// window.AccessibilityShare, window.AccessibilitySync,
+// window.AccessibilityPreferences, window.AccessibilityPanel,
+// window.AccessibilityPosition, window.AccessibilityObserver,
+// window.AccessibilityEmbeds and window.AccessibilitySettings, used by the
+// components
+export { default as AccessibilityI18n } from './accessibility-i18n.js';
+export { default as AccessibilityThemes } from './accessibility-themes.js';
+export { default as AccessibilityReadingGuide } from './accessibility-reading-guide.js';
+export { default as AccessibilityNarrator } from './accessibility-narrator.js';
+export { default as AccessibilityReaderView } from './accessibility-reader-view.js';
+export { default as AccessibilityProfiles } from './accessibility-profiles.js';
+export { default as AccessibilityStorage } from './accessibility-storage.js';
+export { default as AccessibilityShare } from './accessibility-share.js';
+export { default as AccessibilitySync } from './accessibility-sync.js';
+export { default as AccessibilityPreferences } from './accessibility-preferences.js';
+export { default as AccessibilityPanel } from './accessibility-panel.js';
+export { default as AccessibilityPosition } from './accessibility-position.js';
+export { default as AccessibilityObserver } from './accessibility-observer.js';
+export { default as AccessibilityEmbeds } from './accessibility-embeds.js';
+export { default as AccessibilitySettings } from './accessibility-settings.js';
+export { default as AccessibilitySidebarEnhanced } from '../accessibility-sidebar-enhanced.jsx';
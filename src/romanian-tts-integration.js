@@ -1,3 +1,5 @@
+import AccessibilityStorage from './accessibility-storage.js';
+
 class RomanianTTSIntegration {
     constructor() {
         this.initializeEnhancements();
@@ -91,21 +93,12 @@ class RomanianTTSIntegration {
             useProsody: true
         };
 
-        try {
-            const saved = localStorage.getItem('romanian-tts-preferences');
-            return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
-        } catch {
-            return defaults;
-        }
+        return { ...defaults, ...AccessibilityStorage.getStore().get('tts') };
     }
 
     saveUserPreferences(preferences) {
         this.userPreferences = { ...this.userPreferences, ...preferences };
-        try {
-            localStorage.setItem('romanian-tts-preferences', JSON.stringify(this.userPreferences));
-        } catch (e) {
-            console.warn('Could not save TTS preferences:', e);
-        }
+        AccessibilityStorage.getStore().set('tts', this.userPreferences);
     }
 
     analyzeVoiceCapabilities(voice) {